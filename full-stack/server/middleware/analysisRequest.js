@@ -0,0 +1,71 @@
+/**
+ * Analysis Request Middleware
+ *
+ * Validates analysis requests and resolves the user's settings for them,
+ * shared by the analysis routes and the background job routes
+ */
+
+import { analysisService, DOCUMENT_TYPES, SIMPLIFICATION_LEVELS, DEFAULT_SIMPLIFICATION_LEVEL } from '../services/analysisService.js';
+
+export const MAX_TEXT_LENGTH = 50000;
+
+// Rejects a documentType the analysis (and the history schema) doesn't know
+export const isInvalidDocumentType = (documentType) => documentType !== undefined && !DOCUMENT_TYPES.includes(documentType);
+
+export const invalidDocumentType = (res) => res.status(400).json({
+  message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`,
+  error: 'INVALID_DOCUMENT_TYPE'
+});
+
+// Validates the document text, level, type and cache flag of an analysis request
+export const validateAnalysisRequest = (req, res, next) => {
+  const { text, simplificationLevel, documentType, refresh } = req.body;
+
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return res.status(400).json({
+      message: 'Document text is required',
+      error: 'MISSING_TEXT'
+    });
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({
+      message: 'Text is too long. Please limit to 50,000 characters or less.',
+      error: 'TEXT_TOO_LONG'
+    });
+  }
+
+  if (simplificationLevel !== undefined && !SIMPLIFICATION_LEVELS.includes(simplificationLevel)) {
+    return res.status(400).json({
+      message: `Simplification level must be one of: ${SIMPLIFICATION_LEVELS.join(', ')}`,
+      error: 'INVALID_SIMPLIFICATION_LEVEL'
+    });
+  }
+
+  if (isInvalidDocumentType(documentType)) {
+    return invalidDocumentType(res);
+  }
+
+  if (refresh !== undefined && typeof refresh !== 'boolean') {
+    return res.status(400).json({
+      message: 'refresh must be true or false',
+      error: 'INVALID_REFRESH'
+    });
+  }
+
+  if (!analysisService.isConfigured()) {
+    return res.status(503).json({
+      message: 'AI analysis is not configured on the server',
+      error: 'LLM_NOT_CONFIGURED'
+    });
+  }
+
+  next();
+};
+
+// A level sent with the request overrides the user's saved preference for that one analysis
+export const resolveSimplificationLevel = (req) =>
+  req.body.simplificationLevel || req.user.preferences?.simplificationLevel || DEFAULT_SIMPLIFICATION_LEVEL;
+
+// Users without a watchlist (or saved before there was one) get no concerns section
+export const resolveConcerns = (req) => req.user.concerns || [];
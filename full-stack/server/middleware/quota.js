@@ -0,0 +1,63 @@
+/**
+ * Quota Middleware
+ *
+ * Turns away requests that would use the LLM once the user has used up
+ * their plan's daily or monthly quota
+ *
+ * A request that gets through holds a reservation (req.usageReservation)
+ * until its route settles it with usageService.track. One the route never
+ * uses - bad input turned away after this check - is given back when the
+ * response closes; a route that hands it on to other work clears the field.
+ */
+
+import { usageService } from '../services/usageService.js';
+import { estimateTokens } from '../services/llm/tokenUsage.js';
+
+const PERIOD_NAMES = {
+  daily: 'daily',
+  monthly: 'monthly'
+};
+
+const METRIC_NAMES = {
+  analyses: 'analysis',
+  tokens: 'token'
+};
+
+// Request fields sent to the model; documents compared from history reserve nothing
+const PROMPT_FIELDS = ['text', 'before', 'after', 'question'];
+
+// Roughly the tokens a request's prompt will use
+const estimateRequestTokens = (req) => PROMPT_FIELDS
+  .map(field => req.body?.[field])
+  .filter(value => typeof value === 'string')
+  .reduce((total, value) => total + estimateTokens(value), 0);
+
+/**
+ * Creates middleware that checks the signed-in user has quota left
+ * @param {string} kind - 'analysis', 'compare' or 'chat'; chat only needs tokens left
+ * @returns {Function} - Express middleware
+ */
+export const enforceQuota = (kind = 'analysis') => async (req, res, next) => {
+  try {
+    const { reservation, usage, exceeded } = await usageService.reserve(req.user, kind, estimateRequestTokens(req));
+
+    if (exceeded) {
+      return res.status(429).json({
+        message: `You have used your ${PERIOD_NAMES[exceeded.period]} ${METRIC_NAMES[exceeded.metric]} limit on the ${usage.plan} plan. It resets at ${exceeded.resetsAt.toISOString()}.`,
+        error: 'QUOTA_EXCEEDED',
+        usage
+      });
+    }
+
+    req.usageReservation = reservation;
+    res.on('close', () => usageService.release(req.usageReservation));
+    next();
+
+  } catch (error) {
+    console.error('Usage check error:', error);
+    res.status(500).json({
+      message: 'Server error checking usage',
+      error: 'USAGE_CHECK_ERROR'
+    });
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Analysis Cache Model for MongoDB
+ *
+ * A finished analysis stored under a key built from the normalized document
+ * text and everything else that shapes the answer (type, level, concerns,
+ * model and prompt versions), so the same document analyzed the same way is
+ * answered from here instead of the LLM.
+ */
+
+import mongoose from 'mongoose';
+
+const analysisCacheSchema = new mongoose.Schema({
+  // SHA-256 of the key fields, see analysisCache.buildKey
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the exact text analyzed, to tell when a hit needs its citations redone
+  sourceHash: String,
+  documentType: String,
+  simplificationLevel: String,
+  model: String,
+  promptVersion: String,
+  // The analysis as simplifyDocument returned it, without the original text
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Entries are removed once they expire
+analysisCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AnalysisCache = mongoose.model('AnalysisCache', analysisCacheSchema);
+
+export default AnalysisCache;
@@ -0,0 +1,137 @@
+/**
+ * Job Model for MongoDB
+ *
+ * An analysis submitted to the background queue. Workers claim queued jobs,
+ * report progress on them while the LLM pipeline runs and store the result,
+ * so an analysis survives the user closing or reloading the tab.
+ */
+
+import mongoose from 'mongoose';
+
+// Finished jobs are removed after a week; a completed job's analysis was added to the
+// user's history when it finished (unless the user has history turned off)
+const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const jobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // Everything the worker needs, resolved from the user's settings when the job was submitted
+  input: {
+    text: {
+      type: String,
+      required: [true, 'Document text is required']
+    },
+    filename: String,
+    documentType: {
+      type: String,
+      enum: ['tos', 'privacy-policy', 'eula', 'cookie-policy', 'refund-policy', 'sla', 'nda', 'lease', 'employment-offer', 'other'],
+      default: 'tos'
+    },
+    simplificationLevel: {
+      type: String,
+      enum: ['basic', 'detailed', 'technical']
+    },
+    concerns: [String],
+    // Where each page of an uploaded PDF starts and ends in the text, and how well OCR read it,
+    // kept for the history entry and for a reloaded page to show
+    pages: [{
+      _id: false,
+      number: Number,
+      start: Number,
+      end: Number
+    }],
+    ocr: {
+      confidence: Number,
+      pages: [Number],
+      lowConfidence: [{
+        _id: false,
+        start: Number,
+        end: Number,
+        confidence: Number
+      }]
+    },
+    // Skip the analysis cache (see services/analysisCache.js)
+    refresh: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Latest progress event and report snapshot, for clients polling the job
+  progress: {
+    step: String,
+    progress: {
+      type: Number,
+      default: 0
+    },
+    message: String
+  },
+  snapshot: String,
+
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    code: String
+  },
+
+  // Worker bookkeeping: who holds the job and when it last proved it was alive
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: String,
+  lockedAt: Date,
+
+  // Quota reserved when the job was submitted, settled by the run that uses it
+  usageReservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UsageRecord'
+  },
+
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Workers take the oldest queued job first
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS });
+
+// Instance method to get the fields a client may see (the result is fetched separately)
+jobSchema.methods.toStatus = function({ includeText = false } = {}) {
+  return {
+    id: this._id,
+    status: this.status,
+    filename: this.input.filename,
+    documentType: this.input.documentType,
+    progress: this.progress,
+    snapshot: this.snapshot,
+    error: this.error?.message ? this.error : undefined,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    // Lets a reloaded page rebuild the document view while it waits for the result
+    ...(includeText && {
+      text: this.input.text,
+      pages: this.input.pages?.length ? this.input.pages : undefined,
+      ocr: this.input.ocr?.confidence !== undefined ? this.input.ocr : undefined
+    })
+  };
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,73 @@
+/**
+ * Usage Record Model for MongoDB
+ *
+ * One record per request that used the LLM on a user's behalf (an analysis,
+ * a comparison or a chat answer), with its token counts and estimated cost.
+ * Quotas add these up over the current day and month.
+ *
+ * A request still running has a reserved record holding the quota it is
+ * expected to use, so concurrent requests see each other; it is settled with
+ * the real counts when the request ends (see usageService.reserve).
+ */
+
+import mongoose from 'mongoose';
+
+// Records are kept a little over a year so monthly totals can always be rebuilt
+const USAGE_RECORD_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+const usageRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['analysis', 'compare', 'chat'],
+    required: true
+  },
+  // Number of model requests, including chunk notes and repair attempts
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // In US dollars, from the price list in usageService
+  estimatedCost: {
+    type: Number,
+    default: 0
+  },
+  // True when the provider didn't report usage and the counts were estimated from the text
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  model: String,
+  // True until the request the record was reserved for settles it
+  reserved: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+usageRecordSchema.index({ user: 1, createdAt: -1 });
+usageRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: USAGE_RECORD_TTL_SECONDS });
+
+const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
+
+export default UsageRecord;
@@ -7,6 +7,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Only the most recent documents, and chat messages per document, are kept to prevent unlimited growth
+const MAX_HISTORY_DOCUMENTS = 50;
+const MAX_CHAT_MESSAGES = 100;
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -35,13 +39,83 @@ const userSchema = new mongoose.Schema({
     summary: String,
     keyPoints: [String],
     warningFlags: [String],
+    // Full structured analysis (TL;DR, sections, red flags with severity, verdict)
+    structuredAnalysis: mongoose.Schema.Types.Mixed,
+    model: String,
+    simplificationLevel: {
+      type: String,
+      enum: ['basic', 'detailed', 'technical']
+    },
+    // Prompt template (from server/prompts) that produced the analysis
+    promptTemplateId: String,
+    promptTemplateVersion: Number,
+    promptTemplates: [String],
+    // How many of the analysis' quotes were found in the original text
+    verification: {
+      checked: Number,
+      verified: Number,
+      unverified: Number
+    },
+    // Risk score from 0 (low) to 100 (high), in total and per category
+    riskScore: {
+      overall: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      level: {
+        type: String,
+        enum: ['low', 'medium', 'high']
+      },
+      categories: [{
+        _id: false,
+        id: String,
+        label: String,
+        score: Number,
+        reasons: [String]
+      }]
+    },
+    // Where each page of an uploaded PDF starts and ends in originalText
+    pages: [{
+      _id: false,
+      number: Number,
+      start: Number,
+      end: Number
+    }],
+    // How well OCR read a scanned PDF or image, and where it struggled (offsets in originalText)
+    ocr: {
+      confidence: Number,
+      pages: [Number],
+      lowConfidence: [{
+        _id: false,
+        start: Number,
+        end: Number,
+        confidence: Number
+      }]
+    },
+    // Follow-up questions and answers about this document
+    chat: [{
+      role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true
+      },
+      content: {
+        type: String,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     processedAt: {
       type: Date,
       default: Date.now
     },
     documentType: {
       type: String,
-      enum: ['tos', 'privacy-policy', 'eula', 'other'],
+      enum: ['tos', 'privacy-policy', 'eula', 'cookie-policy', 'refund-policy', 'sla', 'nda', 'lease', 'employment-offer', 'other'],
       default: 'tos'
     }
   }],
@@ -63,6 +137,26 @@ const userSchema = new mongoose.Schema({
       default: true
     }
   },
+
+  // Things the user wants every analysis to check, e.g. "Can they sell my data?"
+  concerns: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'A concern cannot exceed 200 characters']
+    }],
+    validate: {
+      validator: (concerns) => concerns.length <= 10,
+      message: 'You can keep at most 10 concerns'
+    }
+  },
+  
+  // Plan whose usage quotas apply (see usageService)
+  plan: {
+    type: String,
+    enum: ['free', 'pro'],
+    default: 'free'
+  },
   
   // Account metadata
   isEmailVerified: {
@@ -106,17 +200,29 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to add document to history
-userSchema.methods.addDocumentToHistory = function(documentData) {
-  if (this.preferences.saveHistory) {
-    this.documentHistory.push(documentData);
-    
-    // Keep only last 50 documents to prevent unlimited growth
-    if (this.documentHistory.length > 50) {
-      this.documentHistory = this.documentHistory.slice(-50);
-    }
-  }
-  return this.save();
+// Static method to add messages to a history entry's chat in one update, so a user
+// loaded before a slow answer doesn't overwrite what was saved while it was written.
+// Resolves to the whole chat, or null when the entry no longer exists.
+userSchema.statics.appendChatMessages = async function(userId, documentId, messages) {
+  const user = await this.findOneAndUpdate(
+    { _id: userId, 'documentHistory._id': documentId },
+    { $push: { 'documentHistory.$.chat': { $each: messages, $slice: -MAX_CHAT_MESSAGES } } },
+    { new: true, projection: { 'documentHistory.$': 1 } }
+  );
+  return user ? user.documentHistory[0].chat : null;
+};
+
+// Static method to add a document to a user's history without loading the user first,
+// so changes saved in the meantime (usage, concerns, other entries) are kept.
+// Resolves to the new entry's id, or null when the user has history turned off.
+userSchema.statics.appendDocumentHistory = async function(userId, documentData) {
+  const documentId = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await this.updateOne(
+    { _id: userId, 'preferences.saveHistory': { $ne: false } },
+    { $push: { documentHistory: { $each: [{ ...documentData, _id: documentId }], $slice: -MAX_HISTORY_DOCUMENTS } } },
+    { runValidators: true }
+  );
+  return modifiedCount > 0 ? documentId : null;
 };
 
 // Static method to find user by email
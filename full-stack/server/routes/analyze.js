@@ -0,0 +1,198 @@
+/**
+ * Analysis Routes
+ * 
+ * Runs document analysis on the server so LLM API keys stay private
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken } from '../middleware/auth.js';
+import { MAX_TEXT_LENGTH, isInvalidDocumentType, invalidDocumentType, validateAnalysisRequest, resolveSimplificationLevel, resolveConcerns } from '../middleware/analysisRequest.js';
+import { enforceQuota } from '../middleware/quota.js';
+import { analysisService } from '../services/analysisService.js';
+import { analysisCache } from '../services/analysisCache.js';
+import { usageService } from '../services/usageService.js';
+
+const router = express.Router();
+
+// HTTP statuses for provider failures that outlasted every retry
+const ERROR_STATUS = {
+  LLM_RATE_LIMITED: 429,
+  LLM_TIMEOUT: 504
+};
+
+// @route   POST /api/analyze
+// @desc    Simplify a legal document with the configured LLM provider
+// @access  Private
+router.post('/', authenticateToken, validateAnalysisRequest, enforceQuota('analysis'), async (req, res) => {
+  try {
+    const { text, documentType = 'tos' } = req.body;
+
+    const analysis = await usageService.track(req.user._id, 'analysis', (onUsage) => analysisCache.simplifyDocument(text, documentType, {
+      simplificationLevel: resolveSimplificationLevel(req),
+      concerns: resolveConcerns(req),
+      refresh: req.body.refresh === true,
+      onUsage
+    }), req.usageReservation);
+
+    res.json({
+      message: 'Document analyzed successfully',
+      analysis
+    });
+
+  } catch (error) {
+    console.error('Analysis error:', error);
+    res.status(ERROR_STATUS[error.code] || 502).json({
+      message: error.message || 'Server error analyzing document',
+      error: ERROR_STATUS[error.code] ? error.code : 'ANALYSIS_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/analyze/stream
+// @desc    Simplify a legal document, streaming progress and report snapshots as newline-delimited JSON events
+// @access  Private
+router.post('/stream', authenticateToken, validateAnalysisRequest, enforceQuota('analysis'), async (req, res) => {
+  const { text, documentType = 'tos' } = req.body;
+
+  // Stop paying for tokens nobody will read once the client disconnects or cancels
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  const sendEvent = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  try {
+    // A cancelled request still counts: providers estimate what an interrupted request used
+    // from its prompt and the text streamed so far
+    const analysis = await usageService.track(req.user._id, 'analysis', (onUsage) => analysisCache.simplifyDocument(text, documentType, {
+      simplificationLevel: resolveSimplificationLevel(req),
+      concerns: resolveConcerns(req),
+      refresh: req.body.refresh === true,
+      onProgress: (progress) => sendEvent({ type: 'progress', ...progress }),
+      onText: (markdown) => sendEvent({ type: 'snapshot', text: markdown }),
+      onUsage,
+      signal: controller.signal
+    }), req.usageReservation);
+
+    sendEvent({ type: 'result', analysis });
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Analysis stream cancelled by client');
+      return;
+    }
+
+    // Headers are already sent, so the failure travels as an event
+    console.error('Analysis stream error:', error);
+    sendEvent({
+      type: 'error',
+      message: error.message || 'Server error analyzing document',
+      error: ERROR_STATUS[error.code] ? error.code : 'ANALYSIS_ERROR'
+    });
+  }
+
+  res.end();
+});
+
+// Picks the text for one side of a comparison: pasted text, or a document from the user's history
+const resolveCompareText = (req, side) => {
+  const documentId = req.body[`${side}DocumentId`];
+  if (!documentId) {
+    return { text: req.body[side] };
+  }
+
+  const document = mongoose.isValidObjectId(documentId) ? req.user.documentHistory.id(documentId) : null;
+  return document ? { text: document.originalText, documentType: document.documentType } : { notFound: true };
+};
+
+// @route   POST /api/analyze/compare
+// @desc    Compare two versions of a document (texts or history entries) and explain what changed
+// @access  Private
+router.post('/compare', authenticateToken, enforceQuota('compare'), async (req, res) => {
+  const before = resolveCompareText(req, 'before');
+  const after = resolveCompareText(req, 'after');
+
+  if (isInvalidDocumentType(req.body.documentType)) {
+    return invalidDocumentType(res);
+  }
+
+  if (before.notFound || after.notFound) {
+    return res.status(404).json({
+      message: 'Document not found in your history',
+      error: 'DOCUMENT_NOT_FOUND'
+    });
+  }
+
+  for (const side of [before, after]) {
+    if (typeof side.text !== 'string' || side.text.trim().length === 0) {
+      return res.status(400).json({
+        message: 'Both versions of the document are required',
+        error: 'MISSING_TEXT'
+      });
+    }
+
+    if (side.text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({
+        message: 'Text is too long. Please limit each version to 50,000 characters or less.',
+        error: 'TEXT_TOO_LONG'
+      });
+    }
+  }
+
+  if (!analysisService.isConfigured()) {
+    return res.status(503).json({
+      message: 'AI analysis is not configured on the server',
+      error: 'LLM_NOT_CONFIGURED'
+    });
+  }
+
+  try {
+    const documentType = req.body.documentType || after.documentType || before.documentType || 'tos';
+    const comparison = await usageService.track(req.user._id, 'compare', (onUsage) => (
+      analysisService.compareDocuments(before.text, after.text, documentType, { onUsage })
+    ), req.usageReservation);
+
+    res.json({
+      message: 'Documents compared successfully',
+      comparison
+    });
+
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(ERROR_STATUS[error.code] || 502).json({
+      message: error.message || 'Server error comparing documents',
+      error: ERROR_STATUS[error.code] ? error.code : 'COMPARE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/analyze/status
+// @desc    Report whether AI analysis is configured on the server
+// @access  Private
+router.get('/status', authenticateToken, async (req, res) => {
+  try {
+    const provider = analysisService.provider;
+
+    res.json({
+      provider: provider.name,
+      configured: provider.isConfigured(),
+      model: provider.model
+    });
+  } catch (error) {
+    // An unknown LLM_PROVIDER value ends up here
+    res.status(500).json({
+      message: error.message,
+      error: 'LLM_PROVIDER_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -72,7 +72,8 @@ router.post('/register', async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        preferences: user.preferences
+        preferences: user.preferences,
+        concerns: user.concerns
       },
       token,
       refreshToken
@@ -143,6 +144,7 @@ router.post('/login', async (req, res) => {
         email: user.email,
         name: user.name,
         preferences: user.preferences,
+        concerns: user.concerns,
         lastLoginAt: user.lastLoginAt
       },
       token,
@@ -169,6 +171,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         email: req.user.email,
         name: req.user.name,
         preferences: req.user.preferences,
+        concerns: req.user.concerns,
         documentHistory: req.user.documentHistory,
         lastLoginAt: req.user.lastLoginAt,
         createdAt: req.user.createdAt
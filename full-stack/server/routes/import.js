@@ -0,0 +1,59 @@
+/**
+ * Import Routes
+ *
+ * Brings documents in from outside the app, so a policy found on a website
+ * can be analyzed without saving it to a file first
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { MAX_TEXT_LENGTH } from '../middleware/analysisRequest.js';
+import { urlImporter, UrlImportError } from '../services/urlImporter.js';
+
+const router = express.Router();
+
+// @route   POST /api/import/url
+// @desc    Fetch a web page and return its main text, without navigation, banners or footers
+// @access  Private
+router.post('/url', authenticateToken, async (req, res) => {
+  const { url } = req.body;
+
+  if (typeof url !== 'string' || url.trim().length === 0) {
+    return res.status(400).json({
+      message: 'A web address is required',
+      error: 'MISSING_URL'
+    });
+  }
+
+  try {
+    const page = await urlImporter.importUrl(url);
+
+    if (page.text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({
+        message: 'That page has more than 50,000 characters of text. Please copy-paste the part you want analyzed.',
+        error: 'TEXT_TOO_LONG'
+      });
+    }
+
+    res.json({
+      message: 'Page imported successfully',
+      page
+    });
+
+  } catch (error) {
+    if (error instanceof UrlImportError) {
+      return res.status(error.status).json({
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('URL import error:', error);
+    res.status(500).json({
+      message: 'Server error importing the page',
+      error: 'URL_IMPORT_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+/**
+ * Job Routes
+ *
+ * Queues analyses to run in the background and reports on them, so the
+ * browser can poll for progress and pick a job up again after a reload
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateAnalysisRequest, resolveSimplificationLevel, resolveConcerns } from '../middleware/analysisRequest.js';
+import { enforceQuota } from '../middleware/quota.js';
+import { jobQueue, MAX_ACTIVE_JOBS_PER_USER, ACTIVE_STATUSES } from '../services/jobQueue.js';
+import Job from '../models/Job.js';
+
+const router = express.Router();
+
+const MAX_FILENAME_LENGTH = 255;
+
+// Finds one of the signed-in user's jobs; anyone else's job is reported as missing
+const findUserJob = (req) => (
+  mongoose.isValidObjectId(req.params.id) ? Job.findOne({ _id: req.params.id, user: req.user._id }) : null
+);
+
+const jobNotFound = (res) => res.status(404).json({
+  message: 'Job not found',
+  error: 'JOB_NOT_FOUND'
+});
+
+// @route   POST /api/jobs
+// @desc    Queue a document analysis to run in the background
+// @access  Private
+router.post('/', authenticateToken, validateAnalysisRequest, enforceQuota('analysis'), async (req, res) => {
+  try {
+    const { text, documentType = 'tos', filename, pages, ocr } = req.body;
+
+    if (await jobQueue.countActive(req.user._id) >= MAX_ACTIVE_JOBS_PER_USER) {
+      return res.status(429).json({
+        message: `You already have ${MAX_ACTIVE_JOBS_PER_USER} analyses in progress. Please wait for one to finish.`,
+        error: 'TOO_MANY_JOBS'
+      });
+    }
+
+    const job = await jobQueue.enqueue(req.user._id, {
+      text,
+      filename: typeof filename === 'string' ? filename.slice(0, MAX_FILENAME_LENGTH) : undefined,
+      documentType,
+      pages: Array.isArray(pages) ? pages : undefined,
+      ocr: ocr && typeof ocr === 'object' ? ocr : undefined,
+      simplificationLevel: resolveSimplificationLevel(req),
+      concerns: resolveConcerns(req),
+      refresh: req.body.refresh === true
+    }, { usageReservation: req.usageReservation });
+    // The job settles the reservation when it runs
+    req.usageReservation = null;
+
+    res.status(202).json({
+      message: 'Analysis queued',
+      job: job.toStatus()
+    });
+
+  } catch (error) {
+    console.error('Queue job error:', error);
+    res.status(500).json({
+      message: 'Server error queuing analysis',
+      error: 'JOB_QUEUE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/jobs
+// @desc    List the user's recent jobs; ?active=true lists only queued and running ones, with their text
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const activeOnly = req.query.active === 'true';
+    const jobs = await Job.find({
+      user: req.user._id,
+      ...(activeOnly && { status: { $in: ACTIVE_STATUSES } })
+    })
+      .select('-result')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      jobs: jobs.map(job => job.toStatus({ includeText: activeOnly }))
+    });
+
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      message: 'Server error listing jobs',
+      error: 'JOB_LIST_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/jobs/:id
+// @desc    Get a job's status, progress and report snapshot
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await findUserJob(req)?.select('-result');
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.json({ job: job.toStatus() });
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      message: 'Server error getting job',
+      error: 'JOB_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/jobs/:id/result
+// @desc    Get the analysis of a completed job
+// @access  Private
+router.get('/:id/result', authenticateToken, async (req, res) => {
+  try {
+    const job = await findUserJob(req);
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        message: `The analysis is ${job.status}, not completed`,
+        error: 'JOB_NOT_COMPLETED',
+        job: job.toStatus()
+      });
+    }
+
+    res.json({
+      job: job.toStatus(),
+      analysis: job.result
+    });
+
+  } catch (error) {
+    console.error('Get job result error:', error);
+    res.status(500).json({
+      message: 'Server error getting job result',
+      error: 'JOB_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/jobs/:id
+// @desc    Cancel a queued or running job
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return jobNotFound(res);
+    }
+
+    const job = await jobQueue.cancel(req.user._id, req.params.id);
+    if (!job) {
+      const existing = await Job.exists({ _id: req.params.id, user: req.user._id });
+      return existing
+        ? res.status(409).json({ message: 'The analysis has already finished', error: 'JOB_FINISHED' })
+        : jobNotFound(res);
+    }
+
+    res.json({
+      message: 'Analysis cancelled',
+      job: job.toStatus()
+    });
+
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      message: 'Server error cancelling job',
+      error: 'JOB_CANCEL_ERROR'
+    });
+  }
+});
+
+export default router;
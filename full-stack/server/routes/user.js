@@ -5,11 +5,71 @@
  */
 
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { enforceQuota } from '../middleware/quota.js';
+import { analysisService, MAX_CONCERNS, MAX_CONCERN_CHARS } from '../services/analysisService.js';
+import { usageService } from '../services/usageService.js';
 
 const router = express.Router();
 
+const MAX_QUESTION_LENGTH = 2000;
+
+// HTTP statuses for provider failures that outlasted every retry
+const ERROR_STATUS = {
+  LLM_RATE_LIMITED: 429,
+  LLM_TIMEOUT: 504
+};
+
+// Ways to sort the history list; ties fall back to newest first
+const HISTORY_SORTS = {
+  date: (a, b) => new Date(a.processedAt) - new Date(b.processedAt),
+  // Entries saved before scoring existed count as the lowest risk
+  risk: (a, b) => (a.riskScore?.overall ?? -1) - (b.riskScore?.overall ?? -1)
+};
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+// Checks a risk score sent by the browser against the history schema and keeps only its known fields
+const parseRiskScore = (riskScore) => {
+  const { overall, level, categories = [] } = riskScore || {};
+  const validCategory = (category) => typeof category?.id === 'string'
+    && typeof category.label === 'string'
+    && isScore(category.score)
+    && Array.isArray(category.reasons)
+    && category.reasons.every(reason => typeof reason === 'string');
+
+  if (!isScore(overall) || !RISK_LEVELS.includes(level) || !Array.isArray(categories) || !categories.every(validCategory)) {
+    return null;
+  }
+
+  return {
+    overall,
+    level,
+    categories: categories.map(({ id, label, score, reasons }) => ({ id, label, score, reasons }))
+  };
+};
+
+// Finds a document in the signed-in user's history
+const findHistoryDocument = (req, res, next) => {
+  const document = mongoose.isValidObjectId(req.params.documentId)
+    ? req.user.documentHistory.id(req.params.documentId)
+    : null;
+
+  if (!document) {
+    return res.status(404).json({
+      message: 'Document not found in your history',
+      error: 'DOCUMENT_NOT_FOUND'
+    });
+  }
+
+  req.historyDocument = document;
+  next();
+};
+
 // @route   PUT /api/user/profile
 // @desc    Update user profile
 // @access  Private
@@ -35,7 +95,8 @@ router.put('/profile', authenticateToken, async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        preferences: user.preferences
+        preferences: user.preferences,
+        concerns: user.concerns
       }
     });
 
@@ -48,6 +109,72 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/user/usage
+// @desc    Get the user's token usage, estimated cost and remaining quota for today and this month
+// @access  Private
+router.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    const usage = await usageService.getUsage(req.user);
+
+    res.json({ usage });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      message: 'Server error getting usage',
+      error: 'GET_USAGE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/user/concerns
+// @desc    Replace the user's concern watchlist, answered in every analysis
+// @access  Private
+router.put('/concerns', authenticateToken, async (req, res) => {
+  try {
+    const { concerns } = req.body;
+
+    if (!Array.isArray(concerns) || concerns.some(concern => typeof concern !== 'string')) {
+      return res.status(400).json({
+        message: 'Concerns must be a list of text',
+        error: 'INVALID_CONCERNS'
+      });
+    }
+
+    // Blank and repeated concerns are dropped rather than rejected
+    const cleaned = [...new Set(concerns.map(concern => concern.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+
+    if (cleaned.length > MAX_CONCERNS) {
+      return res.status(400).json({
+        message: `You can keep at most ${MAX_CONCERNS} concerns`,
+        error: 'TOO_MANY_CONCERNS'
+      });
+    }
+
+    if (cleaned.some(concern => concern.length > MAX_CONCERN_CHARS)) {
+      return res.status(400).json({
+        message: `Each concern must be ${MAX_CONCERN_CHARS} characters or less`,
+        error: 'CONCERN_TOO_LONG'
+      });
+    }
+
+    req.user.concerns = cleaned;
+    await req.user.save();
+
+    res.json({
+      message: 'Concerns updated successfully',
+      concerns: req.user.concerns
+    });
+
+  } catch (error) {
+    console.error('Concerns update error:', error);
+    res.status(500).json({
+      message: 'Server error updating concerns',
+      error: 'CONCERNS_UPDATE_ERROR'
+    });
+  }
+});
+
 // @route   POST /api/user/document-history
 // @desc    Add document to user's history
 // @access  Private
@@ -60,11 +187,19 @@ router.post('/document-history', authenticateToken, async (req, res) => {
       summary,
       keyPoints,
       warningFlags,
+      structuredAnalysis,
+      model,
+      simplificationLevel,
+      promptTemplateId,
+      promptTemplateVersion,
+      promptTemplates,
+      riskScore,
+      verification,
+      pages,
+      ocr,
       documentType
     } = req.body;
 
-    const user = req.user;
-
     const documentData = {
       filename,
       originalText,
@@ -72,15 +207,34 @@ router.post('/document-history', authenticateToken, async (req, res) => {
       summary,
       keyPoints: keyPoints || [],
       warningFlags: warningFlags || [],
+      structuredAnalysis,
+      model,
+      simplificationLevel,
+      promptTemplateId,
+      promptTemplateVersion,
+      promptTemplates: promptTemplates || [],
+      riskScore,
+      verification,
+      pages: pages || [],
+      ocr,
       documentType: documentType || 'tos',
       processedAt: new Date()
     };
 
-    await user.addDocumentToHistory(documentData);
+    // Pushed in one update, so documents saved at the same time (a batch, a finished job) all stay
+    const documentId = await User.appendDocumentHistory(req.user._id, documentData);
+
+    // Nothing is stored when the user has turned history off
+    if (!documentId) {
+      return res.json({
+        message: 'Document history is turned off for this account',
+        documentId: null
+      });
+    }
 
     res.json({
       message: 'Document added to history successfully',
-      documentId: user.documentHistory[user.documentHistory.length - 1]._id
+      documentId
     });
 
   } catch (error) {
@@ -98,18 +252,29 @@ router.post('/document-history', authenticateToken, async (req, res) => {
 router.get('/document-history', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, sort = 'date', order = 'desc' } = req.query;
+
+    const compare = HISTORY_SORTS[sort];
+    if (!compare || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        message: `History can be sorted by ${Object.keys(HISTORY_SORTS).join(' or ')}, in asc or desc order`,
+        error: 'INVALID_SORT'
+      });
+    }
 
     // Get paginated history
-    const history = user.documentHistory
-      .sort((a, b) => new Date(b.processedAt) - new Date(a.processedAt))
+    const direction = order === 'asc' ? 1 : -1;
+    const history = [...user.documentHistory]
+      .sort((a, b) => direction * compare(a, b) || new Date(b.processedAt) - new Date(a.processedAt))
       .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
 
     res.json({
       history,
       total: user.documentHistory.length,
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      sort,
+      order
     });
 
   } catch (error) {
@@ -121,6 +286,102 @@ router.get('/document-history', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/user/document-history/:documentId
+// @desc    Get one document from history, including its chat
+// @access  Private
+router.get('/document-history/:documentId', authenticateToken, findHistoryDocument, (req, res) => {
+  res.json({ document: req.historyDocument });
+});
+
+// @route   PUT /api/user/document-history/:documentId/risk-score
+// @desc    Store the risk score of a document saved by a background job (scores are worked out in the browser)
+// @access  Private
+router.put('/document-history/:documentId/risk-score', authenticateToken, findHistoryDocument, async (req, res) => {
+  const riskScore = parseRiskScore(req.body.riskScore);
+
+  if (!riskScore) {
+    return res.status(400).json({
+      message: `A risk score needs an overall score from 0 to 100, a level of ${RISK_LEVELS.join(', ')} and scored categories`,
+      error: 'INVALID_RISK_SCORE'
+    });
+  }
+
+  try {
+    // Only this entry changes, so anything saved to the user meanwhile is kept
+    await User.updateOne(
+      { _id: req.user._id, 'documentHistory._id': req.historyDocument._id },
+      { $set: { 'documentHistory.$.riskScore': riskScore } },
+      { runValidators: true }
+    );
+
+    res.json({ message: 'Risk score saved successfully' });
+
+  } catch (error) {
+    console.error('Save risk score error:', error);
+    res.status(500).json({
+      message: 'Server error saving risk score',
+      error: 'RISK_SCORE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/user/document-history/:documentId/chat
+// @desc    Ask a follow-up question about a document in history
+// @access  Private
+router.post('/document-history/:documentId/chat', authenticateToken, findHistoryDocument, enforceQuota('chat'), async (req, res) => {
+  const { question } = req.body;
+
+  if (typeof question !== 'string' || question.trim().length === 0) {
+    return res.status(400).json({
+      message: 'A question is required',
+      error: 'MISSING_QUESTION'
+    });
+  }
+
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return res.status(400).json({
+      message: `Questions can be at most ${MAX_QUESTION_LENGTH} characters long`,
+      error: 'QUESTION_TOO_LONG'
+    });
+  }
+
+  if (!analysisService.isConfigured()) {
+    return res.status(503).json({
+      message: 'AI analysis is not configured on the server',
+      error: 'LLM_NOT_CONFIGURED'
+    });
+  }
+
+  try {
+    const user = req.user;
+    const document = req.historyDocument;
+    const { answer, model } = await usageService.track(user._id, 'chat', (onUsage) => (
+      analysisService.answerQuestion(document, document.chat, question.trim(), { onUsage })
+    ), req.usageReservation);
+
+    const messages = [
+      { role: 'user', content: question.trim() },
+      { role: 'assistant', content: answer }
+    ];
+    const chat = await User.appendChatMessages(user._id, document._id, messages);
+
+    res.json({
+      message: 'Question answered successfully',
+      answer,
+      model,
+      // The entry may have been deleted while the answer was written; the answer is still shown
+      chat: chat || [...document.chat, ...messages]
+    });
+
+  } catch (error) {
+    console.error('Document chat error:', error);
+    res.status(ERROR_STATUS[error.code] || 502).json({
+      message: error.message || 'Server error answering question',
+      error: ERROR_STATUS[error.code] ? error.code : 'CHAT_ERROR'
+    });
+  }
+});
+
 // @route   DELETE /api/user/document-history/:documentId
 // @desc    Delete specific document from history
 // @access  Private
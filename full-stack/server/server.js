@@ -10,6 +10,10 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/user.js';
+import analyzeRoutes from './routes/analyze.js';
+import jobRoutes from './routes/jobs.js';
+import importRoutes from './routes/import.js';
+import { jobQueue } from './services/jobQueue.js';
 
 // Load environment variables
 dotenv.config();
@@ -33,6 +37,9 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/analyze', analyzeRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/import', importRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -82,6 +89,11 @@ connectDB().then(() => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📚 API Documentation: http://localhost:${PORT}/api/health`);
   });
+
+  // Background analyses run here unless dedicated workers (npm run worker) handle them
+  if (process.env.JOB_WORKER_IN_SERVER !== 'false') {
+    jobQueue.start({ concurrency: parseInt(process.env.JOB_CONCURRENCY || '2') });
+  }
 });
 
 // Global error handler
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import cacheEntries from '../../models/AnalysisCache.js';
+import { analysisCache } from '../analysisCache.js';
+import { analysisService } from '../analysisService.js';
+
+vi.mock('../../models/AnalysisCache.js', async () => {
+  const { createMemoryModel } = await import('./helpers/memoryModel.js');
+  return { default: createMemoryModel() };
+});
+
+const DOCUMENT = `1. Termination
+We may terminate your account at any time.
+
+2. Disputes
+Any dispute will be resolved by binding arbitration.`;
+
+const OPTIONS = { simplificationLevel: 'basic', concerns: [] };
+
+describe('analysisCache', () => {
+  const environment = { ...process.env };
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    delete process.env.ANALYSIS_CACHE;
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  beforeEach(() => {
+    cacheEntries.reset();
+    vi.restoreAllMocks();
+    // The analysis service logs its quote check
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('buildKey', () => {
+    it('gives copies that differ only in whitespace and line endings the same key', () => {
+      const messy = `  ${DOCUMENT.replace(/\n/g, '\r\n').replace(/ /g, '  \t')}\r\n\r\n\r\n`;
+
+      expect(analysisCache.buildKey(messy, 'tos', OPTIONS).key).toBe(analysisCache.buildKey(DOCUMENT, 'tos', OPTIONS).key);
+    });
+
+    it('changes with the text, type, level, concerns and model', () => {
+      const { key } = analysisCache.buildKey(DOCUMENT, 'tos', OPTIONS);
+
+      expect(analysisCache.buildKey(`${DOCUMENT} Fees apply.`, 'tos', OPTIONS).key).not.toBe(key);
+      expect(analysisCache.buildKey(DOCUMENT, 'eula', OPTIONS).key).not.toBe(key);
+      expect(analysisCache.buildKey(DOCUMENT, 'tos', { ...OPTIONS, simplificationLevel: 'technical' }).key).not.toBe(key);
+      expect(analysisCache.buildKey(DOCUMENT, 'tos', { ...OPTIONS, concerns: ['Can they sell my data?'] }).key).not.toBe(key);
+
+      process.env.MOCK_LLM_MODEL = 'another-model';
+      try {
+        expect(analysisCache.buildKey(DOCUMENT, 'tos', OPTIONS).key).not.toBe(key);
+      } finally {
+        delete process.env.MOCK_LLM_MODEL;
+      }
+    });
+  });
+
+  describe('simplifyDocument', () => {
+    it('answers a repeat request from the cache', async () => {
+      const analyze = vi.spyOn(analysisService, 'simplifyDocument');
+
+      const first = await analysisCache.simplifyDocument(DOCUMENT, 'tos', OPTIONS);
+      const onProgress = vi.fn();
+      const second = await analysisCache.simplifyDocument(DOCUMENT, 'tos', { ...OPTIONS, onProgress });
+
+      expect(analyze).toHaveBeenCalledTimes(1);
+      expect(first.cached).toBeUndefined();
+      expect(second).toMatchObject({ cached: true, original: DOCUMENT, structured: first.structured });
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ step: 'cached' }));
+      expect(cacheEntries.documents[0].hits).toBe(1);
+      expect(cacheEntries.documents[0].result.original).toBeUndefined();
+    });
+
+    it('rebases a hit on a copy with different whitespace so citations point into that copy', async () => {
+      const first = await analysisCache.simplifyDocument(DOCUMENT, 'tos', OPTIONS);
+      const spaced = `\r\n   ${DOCUMENT.replace(/\n/g, ' \r\n').replace('We may', 'We  may')}`;
+
+      const second = await analysisCache.simplifyDocument(spaced, 'tos', OPTIONS);
+
+      expect(second.cached).toBe(true);
+      expect(second.original).toBe(spaced);
+      const cited = second.structured.redFlags.find(flag => flag.citation);
+      const original = first.structured.redFlags.find(flag => flag.title === cited.title);
+      expect(spaced.slice(cited.citation.start, cited.citation.end))
+        .toBe(DOCUMENT.slice(original.citation.start, original.citation.end));
+      expect(cited.citation).not.toEqual(original.citation);
+    });
+
+    it('rebases the coverage of a hit on a copy with different whitespace onto that copy', async () => {
+      process.env.ANALYSIS_CHUNK_CHARS = '60';
+      const first = await analysisCache.simplifyDocument(DOCUMENT, 'tos', OPTIONS);
+      const spaced = `\r\n   ${DOCUMENT.replace(/\n/g, ' \r\n').replace('We may', 'We  may')}`;
+
+      const second = await analysisCache.simplifyDocument(spaced, 'tos', OPTIONS);
+      delete process.env.ANALYSIS_CHUNK_CHARS;
+
+      expect(second.cached).toBe(true);
+      expect(first.coverage.totalParts).toBeGreaterThan(1);
+      expect(second.coverage).toMatchObject({ complete: true, totalChars: spaced.length });
+      const headed = second.coverage.parts.filter(part => part.heading);
+      expect(headed.map(part => part.heading)).toEqual(['1. Termination', '2. Disputes']);
+      headed.forEach(part => expect(spaced.slice(part.start, part.end).trim()).toMatch(new RegExp(`^${part.heading}`)));
+      expect(second.coverage.parts.every(part => part.status === 'analyzed' && part.end <= spaced.length)).toBe(true);
+    });
+
+    it('analyzes again on refresh and replaces the entry', async () => {
+      const analyze = vi.spyOn(analysisService, 'simplifyDocument');
+
+      await analysisCache.simplifyDocument(DOCUMENT, 'tos', OPTIONS);
+      const refreshed = await analysisCache.simplifyDocument(DOCUMENT, 'tos', { ...OPTIONS, refresh: true });
+
+      expect(analyze).toHaveBeenCalledTimes(2);
+      expect(refreshed.cached).toBeUndefined();
+      expect(cacheEntries.documents).toHaveLength(1);
+    });
+
+    it('ignores expired entries', async () => {
+      const analyze = vi.spyOn(analysisService, 'simplifyDocument');
+
+      await analysisCache.simplifyDocument(DOCUMENT, 'tos', OPTIONS);
+      cacheEntries.documents[0].expiresAt = new Date(Date.now() - 1000);
+      const again = await analysisCache.simplifyDocument(DOCUMENT, 'tos', OPTIONS);
+
+      expect(analyze).toHaveBeenCalledTimes(2);
+      expect(again.cached).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { parseAnalysis, repairJson, validateAnalysis, toHistoryFields } from '../analysisSchema.js';
+
+const validAnalysis = () => ({
+  tldr: [{ point: 'They can close your account.', quote: 'We may end your account at any time.' }],
+  sections: [{ title: 'Termination', explanation: 'Your account can go at any moment.' }],
+  redFlags: [{ severity: 'high', title: 'No warning', explanation: 'You are not told first.' }],
+  moneyAndPrivacy: [],
+  rights: [],
+  verdict: { rating: 'sketchy', summary: 'One-sided terms.' }
+});
+
+describe('repairJson', () => {
+  it('strips code fences, chatter around the object and trailing commas', () => {
+    const raw = 'Sure! Here is the analysis:\n```json\n{ "a": [1, 2,], "b": { "c": "d", }, }\n```\nLet me know if you need more.';
+
+    expect(JSON.parse(repairJson(raw))).toEqual({ a: [1, 2], b: { c: 'd' } });
+  });
+});
+
+describe('parseAnalysis', () => {
+  it('accepts a valid analysis', () => {
+    const result = parseAnalysis(JSON.stringify(validAnalysis()));
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual(validAnalysis());
+  });
+
+  it('repairs broken JSON before validating it', () => {
+    const json = JSON.stringify(validAnalysis(), null, 2);
+    const raw = `Here you go:\n\`\`\`json\n${json.replace(/}\n {2}]/, '},\n  ]').replace(/}\s*}$/, '},\n}')}\n\`\`\``;
+
+    const result = parseAnalysis(raw);
+
+    expect(result.valid).toBe(true);
+    expect(result.value.verdict.rating).toBe('sketchy');
+  });
+
+  it('reports output that is not JSON at all', () => {
+    const result = parseAnalysis('I cannot analyze this document.');
+
+    expect(result.valid).toBe(false);
+    expect(result.value).toBeNull();
+    expect(result.errors[0]).toMatch(/not valid JSON/);
+  });
+
+  it('normalizes enums and strings, drops unknown keys and blank optional quotes', () => {
+    const analysis = validAnalysis();
+    analysis.redFlags[0].severity = ' HIGH ';
+    analysis.sections[0].title = '  Termination  ';
+    analysis.sections[0].quote = '';
+    analysis.extra = 'ignored';
+
+    const result = validateAnalysis(analysis);
+
+    expect(result.valid).toBe(true);
+    expect(result.value.redFlags[0].severity).toBe('high');
+    expect(result.value.sections[0]).toEqual({ title: 'Termination', explanation: 'Your account can go at any moment.' });
+    expect(result.value.extra).toBeUndefined();
+  });
+
+  it('accepts plain-string TL;DR points', () => {
+    const result = validateAnalysis({ ...validAnalysis(), tldr: ['They can close your account.'] });
+
+    expect(result.valid).toBe(true);
+    expect(result.value.tldr).toEqual([{ point: 'They can close your account.' }]);
+  });
+
+  it('lists every problem with its path', () => {
+    const analysis = validAnalysis();
+    delete analysis.verdict;
+    analysis.tldr = [];
+    analysis.redFlags[0].severity = 'extreme';
+
+    const result = validateAnalysis(analysis);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'analysis.verdict is missing',
+      'analysis.tldr needs at least 1 item(s)',
+      'analysis.redFlags[0].severity must be one of: low, medium, high'
+    ]));
+  });
+});
+
+describe('toHistoryFields', () => {
+  it('maps the analysis onto the history summary fields', () => {
+    expect(toHistoryFields(validAnalysis())).toEqual({
+      summary: 'One-sided terms.',
+      keyPoints: ['They can close your account.'],
+      warningFlags: ['[HIGH] No warning: You are not told first.']
+    });
+  });
+});
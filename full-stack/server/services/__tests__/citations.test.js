@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { locateQuote, verifyQuotes } from '../citations.js';
+
+const DOCUMENT = `1. Termination
+We may suspend or terminate your account at any time, for any reason, without notice.
+
+2. Disputes
+Any dispute will be resolved by binding arbitration on an individual basis. You waive the right to take part in a class action.`;
+
+const analysis = (overrides = {}) => ({
+  tldr: [{ point: 'They can close your account.' }],
+  sections: [],
+  redFlags: [],
+  moneyAndPrivacy: [],
+  rights: [],
+  verdict: { rating: 'sketchy', summary: 'One-sided terms.' },
+  ...overrides
+});
+
+describe('locateQuote', () => {
+  it('finds a quote regardless of case, spacing and curly quotes', () => {
+    const citation = locateQuote(DOCUMENT, '“WE MAY SUSPEND or   terminate your account”');
+
+    expect(citation).toEqual({ start: DOCUMENT.indexOf('We may'), end: DOCUMENT.indexOf(' at any time') });
+  });
+
+  it('matches an elided quote by its longest piece', () => {
+    const citation = locateQuote(DOCUMENT, 'Any dispute will be resolved ... on an individual basis');
+
+    expect(DOCUMENT.slice(citation.start, citation.end)).toBe('Any dispute will be resolved');
+  });
+
+  it('matches a lightly reworded quote approximately', () => {
+    const citation = locateQuote(DOCUMENT, 'you waive your right to take part in a class action');
+
+    expect(citation.approximate).toBe(true);
+    expect(DOCUMENT.slice(citation.start, citation.end)).toContain('waive the right to take part in a class action');
+  });
+
+  it('returns null for a quote that is not in the document', () => {
+    expect(locateQuote(DOCUMENT, 'We will never sell your personal data to anyone')).toBeNull();
+  });
+});
+
+describe('verifyQuotes', () => {
+  it('cites the quotes it finds and flags the made-up ones', () => {
+    const { analysis: checked, verification } = verifyQuotes(analysis({
+      redFlags: [
+        { severity: 'high', title: 'Forced arbitration', explanation: 'No court.', quote: 'resolved by binding arbitration' },
+        { severity: 'high', title: 'Data sale', explanation: 'They sell data.', quote: 'We sell your data to advertisers.' }
+      ]
+    }), DOCUMENT);
+
+    expect(checked.redFlags[0].citation).toEqual({
+      start: DOCUMENT.indexOf('resolved by'),
+      end: DOCUMENT.indexOf(' on an individual')
+    });
+    expect(checked.redFlags[1].unverified).toBe(true);
+    expect(verification).toMatchObject({ checked: 2, verified: 1, unverified: 1 });
+    expect(verification.claims).toEqual([
+      { list: 'redFlags', index: 1, title: 'Data sale', quote: 'We sell your data to advertisers.' }
+    ]);
+  });
+
+  it('checks passages quoted inside explanations', () => {
+    const { analysis: checked, verification } = verifyQuotes(analysis({
+      sections: [{
+        title: 'Disputes',
+        explanation: 'They say disputes go to "binding arbitration on an individual basis" and that they "may share your data with partners".'
+      }]
+    }), DOCUMENT);
+
+    expect(checked.sections[0].unverifiedQuotes).toEqual(['may share your data with partners']);
+    expect(verification).toMatchObject({ checked: 2, unverified: 1 });
+  });
+
+  it('replaces the results of an earlier check', () => {
+    const first = verifyQuotes(analysis({
+      rights: [{ title: 'Leave', explanation: 'You can go.', quote: 'We may suspend or terminate your account' }]
+    }), 'Completely different text.');
+    expect(first.analysis.rights[0].unverified).toBe(true);
+
+    const second = verifyQuotes(first.analysis, DOCUMENT);
+
+    expect(second.analysis.rights[0].unverified).toBeUndefined();
+    expect(second.analysis.rights[0].citation).toBeDefined();
+  });
+});
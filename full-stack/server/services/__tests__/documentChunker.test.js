@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { chunkDocument, splitClauses } from '../documentChunker.js';
+
+const clause = (number, title, sentences) => `${number}. ${title}\n${Array.from({ length: sentences }, (_, i) => `${title} rule ${i + 1} applies to you.`).join(' ')}\n\n`;
+
+const TERMS = [
+  clause(1, 'Accounts', 3),
+  clause(2, 'Payments', 3),
+  clause(3, 'Termination', 3),
+  clause(4, 'Disputes', 3)
+].join('');
+
+// Every chunk must map straight back onto the original text, with nothing skipped or repeated
+const expectExactCover = (text, chunks) => {
+  chunks.forEach(chunk => expect(chunk.text).toBe(text.slice(chunk.start, chunk.end)));
+  chunks.slice(1).forEach((chunk, i) => expect(chunk.start).toBe(chunks[i].end));
+  expect(chunks[0].start).toBe(0);
+  expect(chunks.at(-1).end).toBe(text.length);
+};
+
+describe('documentChunker', () => {
+  describe('chunkDocument', () => {
+    it('keeps a short document in one chunk', () => {
+      expect(chunkDocument(TERMS)).toEqual([{ index: 0, start: 0, end: TERMS.length, heading: '1. Accounts', text: TERMS }]);
+    });
+
+    it('returns no chunks for blank text', () => {
+      expect(chunkDocument('')).toEqual([]);
+      expect(chunkDocument(' \n\n ')).toEqual([]);
+    });
+
+    it('splits a long document into numbered chunks that cover it exactly, without overlap', () => {
+      const chunks = chunkDocument(TERMS, { maxChars: 150 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((chunk, i) => i));
+      chunks.forEach(chunk => expect(chunk.end - chunk.start).toBeLessThanOrEqual(150));
+      expectExactCover(TERMS, chunks);
+    });
+
+    it('starts chunks at clause headings and names each chunk after its first heading', () => {
+      const chunks = chunkDocument(TERMS, { maxChars: 150 });
+
+      expect(chunks.map(chunk => chunk.heading)).toEqual(['1. Accounts', '2. Payments', '3. Termination', '4. Disputes']);
+      chunks.forEach(chunk => expect(chunk.text).toMatch(new RegExp(`^${chunk.heading}\\n`)));
+    });
+
+    it('splits a paragraph longer than a chunk between sentences', () => {
+      const text = clause(1, 'Privacy', 12);
+
+      const chunks = chunkDocument(text, { maxChars: 120 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expectExactCover(text, chunks);
+      chunks.slice(0, -1).forEach(chunk => expect(chunk.text).toMatch(/\.\s*$/));
+    });
+
+    it('hard splits a sentence longer than a chunk', () => {
+      const text = 'x'.repeat(250);
+
+      const chunks = chunkDocument(text, { maxChars: 100 });
+
+      expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 100], [100, 200], [200, 250]]);
+    });
+
+    it('keeps offsets into the original text with Windows line endings', () => {
+      const text = TERMS.replace(/\n/g, '\r\n');
+
+      const chunks = chunkDocument(text, { maxChars: 160 });
+
+      expectExactCover(text, chunks);
+      expect(chunks[1].text.startsWith('2. Payments\r\n')).toBe(true);
+    });
+  });
+
+  describe('splitClauses', () => {
+    it('splits at numbered clauses and keeps each heading with its text', () => {
+      const clauses = splitClauses(TERMS);
+
+      expect(clauses.map(entry => entry.heading)).toEqual(['1. Accounts', '2. Payments', '3. Termination', '4. Disputes']);
+      clauses.forEach(entry => expect(TERMS.slice(entry.start, entry.end).trim()).toBe(entry.text));
+      expect(clauses[1].text).toBe('2. Payments\nPayments rule 1 applies to you. Payments rule 2 applies to you. Payments rule 3 applies to you.');
+    });
+
+    it('keeps a heading followed by a blank line with the paragraph after it', () => {
+      const clauses = splitClauses('LIMITATION OF LIABILITY\n\nWe are not liable for lost data.\n\nOther terms apply.');
+
+      expect(clauses.map(entry => entry.text)).toEqual([
+        'LIMITATION OF LIABILITY\n\nWe are not liable for lost data.',
+        'Other terms apply.'
+      ]);
+    });
+
+    it('treats a title followed by a numbered heading as two clauses', () => {
+      const clauses = splitClauses('TERMS OF SERVICE\n1. Fees\nYou pay monthly.');
+
+      expect(clauses.map(entry => entry.text)).toEqual(['TERMS OF SERVICE', '1. Fees\nYou pay monthly.']);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { diffDocuments, diffWords } from '../documentDiff.js';
+
+const ACCOUNTS = 'Accounts\nYou must be 18 or older to open an account.';
+const FEES = 'Fees\nThe service costs 5 dollars a month, billed in advance.';
+const TERMINATION = 'Termination\nYou may close your account at any time from the settings page.';
+const DISPUTES = 'Disputes\nAny dispute will be heard by the courts of your home country.';
+
+const numbered = (...clauses) => clauses.map((clause, i) => `${i + 1}. ${clause}`).join('\n\n');
+
+const summarize = ({ changes }) => changes.map(change => [change.type, change.before?.heading || change.after?.heading]);
+
+describe('documentDiff', () => {
+  describe('diffDocuments', () => {
+    it('finds no changes between identical documents', () => {
+      const text = numbered(ACCOUNTS, FEES, TERMINATION);
+
+      expect(diffDocuments(text, text)).toEqual({
+        changes: [],
+        stats: { added: 0, removed: 0, modified: 0, unchanged: 3 }
+      });
+    });
+
+    it('ignores differences in case, spacing and clause numbering', () => {
+      const before = numbered(ACCOUNTS, FEES);
+      const after = `Section 1 ${ACCOUNTS.toUpperCase()}\n\n7)   ${FEES.replace(/ /g, '  ')}`;
+
+      expect(diffDocuments(before, after).changes).toEqual([]);
+    });
+
+    it('reports an added clause with its place in the new version', () => {
+      const before = numbered(ACCOUNTS, FEES, DISPUTES);
+      const after = numbered(ACCOUNTS, FEES, TERMINATION, DISPUTES);
+
+      const diff = diffDocuments(before, after);
+
+      expect(diff.stats).toEqual({ added: 1, removed: 0, modified: 0, unchanged: 3 });
+      expect(diff.changes).toEqual([{
+        id: 'C1',
+        type: 'added',
+        after: expect.objectContaining({ index: 2, heading: '3. Termination', text: `3. ${TERMINATION}` })
+      }]);
+      const { start, end, text } = diff.changes[0].after;
+      expect(after.slice(start, end).trim()).toBe(text);
+    });
+
+    it('reports a removed clause with its place in the old version', () => {
+      const before = numbered(ACCOUNTS, FEES, TERMINATION);
+      const after = numbered(ACCOUNTS, TERMINATION);
+
+      const diff = diffDocuments(before, after);
+
+      expect(diff.stats).toEqual({ added: 0, removed: 1, modified: 0, unchanged: 2 });
+      expect(diff.changes).toEqual([{ id: 'C1', type: 'removed', before: expect.objectContaining({ index: 1, text: `2. ${FEES}` }) }]);
+    });
+
+    it('pairs a reworded clause with its old version and diffs the words', () => {
+      const before = numbered(ACCOUNTS, FEES, TERMINATION);
+      const after = numbered(ACCOUNTS, FEES.replace('5 dollars a month', '8 dollars a month'), TERMINATION);
+
+      const diff = diffDocuments(before, after);
+
+      expect(diff.stats).toEqual({ added: 0, removed: 0, modified: 1, unchanged: 2 });
+      const [change] = diff.changes;
+      expect(change).toMatchObject({ id: 'C1', type: 'modified', before: { heading: '2. Fees' }, after: { heading: '2. Fees' } });
+      expect(change.similarity).toBeGreaterThan(0.5);
+      expect(change.words).toContainEqual({ type: 'removed', text: '5' });
+      expect(change.words).toContainEqual({ type: 'added', text: '8' });
+    });
+
+    it('pairs a rewritten clause that kept its heading', () => {
+      const before = numbered(ACCOUNTS, TERMINATION);
+      const after = numbered(ACCOUNTS, 'Termination\nWe can suspend or delete any profile whenever we like, with no warning.');
+
+      expect(summarize(diffDocuments(before, after))).toEqual([['modified', '2. Termination']]);
+    });
+
+    it('reports an unrelated replacement as one clause added and one removed', () => {
+      const before = numbered(ACCOUNTS, FEES);
+      const after = numbered(ACCOUNTS, DISPUTES);
+
+      expect(summarize(diffDocuments(before, after))).toEqual([['added', '2. Disputes'], ['removed', '2. Fees']]);
+    });
+
+    it('reports a moved clause as removed from its old place and added at its new one', () => {
+      const before = numbered(ACCOUNTS, FEES, TERMINATION, DISPUTES);
+      const after = numbered(ACCOUNTS, TERMINATION, DISPUTES, FEES);
+
+      const diff = diffDocuments(before, after);
+
+      expect(summarize(diff)).toEqual([['removed', '2. Fees'], ['added', '4. Fees']]);
+      expect(diff.stats.unchanged).toBe(3);
+    });
+
+    it('numbers changes in the order of the new version, with removed clauses at the end of the gap they left', () => {
+      const before = numbered(ACCOUNTS, FEES, TERMINATION);
+      const after = numbered(DISPUTES, ACCOUNTS, TERMINATION.replace('any time', 'any moment'));
+
+      const diff = diffDocuments(before, after);
+
+      expect(diff.changes.map(change => [change.id, change.type])).toEqual([['C1', 'added'], ['C2', 'modified'], ['C3', 'removed']]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('groups runs of kept, removed and added words', () => {
+      expect(diffWords('We may end your account at any time', 'We may suspend or end your account with notice')).toEqual([
+        { type: 'same', text: 'We may' },
+        { type: 'added', text: 'suspend or' },
+        { type: 'same', text: 'end your account' },
+        { type: 'removed', text: 'at any time' },
+        { type: 'added', text: 'with notice' }
+      ]);
+    });
+
+    it('skips clauses too long to diff word by word', () => {
+      expect(diffWords('word '.repeat(1501), 'word')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * In-memory stand-in for a Mongoose model
+ *
+ * Supports the subset of queries and updates the services use ($or, $in,
+ * $lt, $lte, $gt, $gte, $ne, $set, $unset, $inc, $push, sort, new, upsert,
+ * lean and deleteOne), so their state transitions can be tested without a database.
+ */
+
+const getPath = (document, path) => path.split('.').reduce((value, key) => value?.[key], document);
+
+const setPath = (document, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] ??= {};
+    return node[key];
+  }, document);
+  parent[last] = value;
+};
+
+const unsetPath = (document, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(document, keys.join('.')) ?? (keys.length ? undefined : document);
+  if (parent) {
+    delete parent[last];
+  }
+};
+
+// Ids, dates and plain values compare by value
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value && typeof value === 'object' ? value.toString() : value;
+};
+
+const OPERATORS = {
+  $in: (value, list) => list.some(entry => comparable(entry) === comparable(value)),
+  $ne: (value, other) => comparable(value) !== comparable(other),
+  $lt: (value, other) => value !== undefined && comparable(value) < comparable(other),
+  $lte: (value, other) => value !== undefined && comparable(value) <= comparable(other),
+  $gt: (value, other) => value !== undefined && comparable(value) > comparable(other),
+  $gte: (value, other) => value !== undefined && comparable(value) >= comparable(other)
+};
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object' && !(condition instanceof Date)
+  && Object.keys(condition).every(key => key.startsWith('$'));
+
+export function matches(document, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(branch => matches(document, branch));
+    }
+
+    const value = getPath(document, key);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+    return comparable(value) === comparable(condition);
+  });
+}
+
+function applyUpdate(document, update) {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(document, path, structuredClone(value)));
+  Object.keys(update.$unset || {}).forEach(path => unsetPath(document, path));
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => setPath(document, path, (getPath(document, path) || 0) + amount));
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const list = getPath(document, path) || [];
+    const added = value?.$each ? value.$each : [value];
+    setPath(document, path, [...list, ...structuredClone(added)]);
+  });
+}
+
+// Queries resolve to plain copies already, so lean() and select() change nothing
+const query = (promise) => Object.assign(promise, { lean: () => promise, select: () => promise });
+
+export function createMemoryModel(defaults = () => ({})) {
+  let nextId = 1;
+
+  const model = {
+    documents: [],
+
+    reset() {
+      model.documents = [];
+      nextId = 1;
+    },
+
+    async create(fields) {
+      const document = { _id: `id${nextId++}`, ...defaults(), ...structuredClone(fields) };
+      model.documents.push(document);
+      return structuredClone(document);
+    },
+
+    find(filter) {
+      return model.documents.filter(document => matches(document, filter));
+    },
+
+    findById(id) {
+      const document = model.documents.find(entry => entry._id === String(id));
+      return query(Promise.resolve(document ? structuredClone(document) : null));
+    },
+
+    async countDocuments(filter) {
+      return model.find(filter).length;
+    },
+
+    findOneAndUpdate(filter, update, options) {
+      return query(Promise.resolve().then(() => model.applyOne(filter, update, options)));
+    },
+
+    applyOne(filter, update, { sort, new: returnNew = false } = {}) {
+      let candidates = model.find(filter);
+      if (sort) {
+        const [[field, direction]] = Object.entries(sort);
+        candidates = [...candidates].sort((a, b) => (comparable(a[field]) - comparable(b[field])) * direction);
+      }
+
+      const document = candidates[0];
+      if (!document) {
+        return null;
+      }
+
+      const before = structuredClone(document);
+      applyUpdate(document, update);
+      return structuredClone(returnNew ? document : before);
+    },
+
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const document = model.find(filter)[0];
+      if (document) {
+        applyUpdate(document, update);
+      } else if (upsert) {
+        const equalities = Object.entries(filter).filter(([key, condition]) => !key.startsWith('$') && !isOperatorObject(condition));
+        const created = { _id: `id${nextId++}`, ...defaults(), ...Object.fromEntries(equalities) };
+        applyUpdate(created, update);
+        model.documents.push(created);
+      }
+      return { matchedCount: document ? 1 : 0, modifiedCount: document ? 1 : 0 };
+    },
+
+    async deleteOne(filter) {
+      const document = model.find(filter)[0];
+      model.documents = model.documents.filter(entry => entry !== document);
+      return { deletedCount: document ? 1 : 0 };
+    },
+
+    async updateMany(filter, update) {
+      const documents = model.find(filter);
+      documents.forEach(document => applyUpdate(document, update));
+      return { matchedCount: documents.length, modifiedCount: documents.length };
+    }
+  };
+
+  return model;
+}
@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import jobs from '../../models/Job.js';
+import usageRecords from '../../models/UsageRecord.js';
+import User from '../../models/User.js';
+import { analysisCache as cache } from '../analysisCache.js';
+import { jobQueue } from '../jobQueue.js';
+
+vi.mock('../../models/Job.js', async () => {
+  const { createMemoryModel } = await import('./helpers/memoryModel.js');
+  return {
+    default: createMemoryModel(() => ({ status: 'queued', attempts: 0, createdAt: new Date() }))
+  };
+});
+vi.mock('../../models/UsageRecord.js', async () => {
+  const { createMemoryModel } = await import('./helpers/memoryModel.js');
+  return { default: createMemoryModel() };
+});
+vi.mock('../../models/User.js', () => ({ default: { appendDocumentHistory: vi.fn() } }));
+vi.mock('../analysisCache.js', () => ({ analysisCache: { simplifyDocument: vi.fn() } }));
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const addJob = (fields = {}) => jobs.create({
+  user: 'user1',
+  input: { text: 'We may end your account at any time.', documentType: 'tos' },
+  ...fields
+});
+
+const getJob = (id) => jobs.documents.find(job => job._id === id);
+
+describe('jobQueue', () => {
+  beforeEach(() => {
+    jobs.reset();
+    usageRecords.reset();
+    cache.simplifyDocument.mockReset();
+    User.appendDocumentHistory.mockReset();
+    vi.restoreAllMocks();
+  });
+
+  describe('claimNext', () => {
+    it('claims the oldest queued job and counts the attempt', async () => {
+      const newer = await addJob({ createdAt: minutesAgo(1) });
+      const older = await addJob({ createdAt: minutesAgo(5) });
+
+      const claimed = await jobQueue.claimNext();
+
+      expect(claimed._id).toBe(older._id);
+      expect(claimed).toMatchObject({ status: 'running', lockedBy: jobQueue.workerId, attempts: 1 });
+      expect(getJob(newer._id).status).toBe('queued');
+    });
+
+    it('returns null when nothing is waiting', async () => {
+      await addJob({ status: 'completed' });
+
+      expect(await jobQueue.claimNext()).toBeNull();
+    });
+
+    it('takes over a running job whose worker went silent, but not a live one', async () => {
+      const live = await addJob({ status: 'running', lockedBy: 'other', lockedAt: new Date(), attempts: 1 });
+      const stale = await addJob({ status: 'running', lockedBy: 'other', lockedAt: minutesAgo(5), attempts: 1 });
+
+      const claimed = await jobQueue.claimNext();
+
+      expect(claimed._id).toBe(stale._id);
+      expect(claimed.attempts).toBe(2);
+      expect(getJob(live._id).lockedBy).toBe('other');
+    });
+
+    it('leaves jobs that used up their attempts', async () => {
+      await addJob({ status: 'running', lockedBy: 'other', lockedAt: minutesAgo(5), attempts: 3 });
+
+      expect(await jobQueue.claimNext()).toBeNull();
+    });
+  });
+
+  describe('failAbandoned', () => {
+    it('fails stale jobs that used up their attempts and leaves the rest', async () => {
+      const abandoned = await addJob({ status: 'running', lockedAt: minutesAgo(5), attempts: 3 });
+      const retryable = await addJob({ status: 'running', lockedAt: minutesAgo(5), attempts: 1 });
+      const live = await addJob({ status: 'running', lockedAt: new Date(), attempts: 3 });
+
+      await jobQueue.failAbandoned();
+
+      expect(getJob(abandoned._id)).toMatchObject({ status: 'failed', error: { code: 'JOB_ABANDONED' } });
+      expect(getJob(retryable._id).status).toBe('running');
+      expect(getJob(live._id).status).toBe('running');
+    });
+
+    it('fails queued jobs with no attempts left', async () => {
+      const stuck = await addJob({ attempts: 3 });
+      const waiting = await addJob({ attempts: 2 });
+
+      await jobQueue.failAbandoned();
+
+      expect(getJob(stuck._id)).toMatchObject({ status: 'failed', error: { code: 'JOB_ABANDONED' } });
+      expect(getJob(waiting._id).status).toBe('queued');
+    });
+  });
+
+  describe('run', () => {
+    it('stores the result of a finished analysis and records its usage', async () => {
+      const analysis = { simplified: '# Report', coverage: { complete: true } };
+      cache.simplifyDocument.mockImplementation(async (text, type, { onText, onUsage }) => {
+        onText('# Rep');
+        onUsage({ promptTokens: 100, completionTokens: 20, model: 'mock-analyst', estimated: true });
+        return analysis;
+      });
+      const { _id } = await addJob();
+
+      await jobQueue.run(await jobQueue.claimNext());
+
+      expect(getJob(_id)).toMatchObject({ status: 'completed', result: analysis, progress: { step: 'complete', progress: 100 } });
+      expect(getJob(_id).snapshot).toBeUndefined();
+      expect(usageRecords.documents).toHaveLength(1);
+      expect(usageRecords.documents[0]).toMatchObject({ user: 'user1', kind: 'analysis', totalTokens: 120 });
+    });
+
+    it('settles the quota reserved when the job was submitted', async () => {
+      cache.simplifyDocument.mockImplementation(async (text, type, { onUsage }) => {
+        onUsage({ promptTokens: 100, completionTokens: 20, model: 'mock-analyst', estimated: true });
+        return { simplified: '# Report' };
+      });
+      const reservation = await usageRecords.create({ user: 'user1', kind: 'analysis', totalTokens: 10, reserved: true });
+      await addJob({ usageReservation: reservation._id });
+
+      await jobQueue.run(await jobQueue.claimNext());
+
+      expect(usageRecords.documents).toEqual([
+        expect.objectContaining({ _id: reservation._id, totalTokens: 120, reserved: false })
+      ]);
+    });
+
+    it('adds the finished analysis to the owner\'s history and links the entry from the result', async () => {
+      const analysis = { original: 'We may end your account at any time.', simplified: '# Report', structured: { tldr: 'Risky' }, model: 'mock-analyst' };
+      cache.simplifyDocument.mockResolvedValue(analysis);
+      User.appendDocumentHistory.mockResolvedValue('history1');
+      const pages = [{ number: 1, start: 0, end: 36 }];
+      const { _id } = await addJob({
+        input: { text: analysis.original, documentType: 'tos', filename: 'terms.pdf', pages, ocr: { confidence: 91, pages: [1], lowConfidence: [] } }
+      });
+
+      await jobQueue.run(await jobQueue.claimNext());
+
+      expect(User.appendDocumentHistory).toHaveBeenCalledWith('user1', expect.objectContaining({
+        filename: 'terms.pdf',
+        originalText: analysis.original,
+        simplifiedText: '# Report',
+        structuredAnalysis: { tldr: 'Risky' },
+        model: 'mock-analyst',
+        pages,
+        ocr: { confidence: 91, pages: [1], lowConfidence: [] },
+        documentType: 'tos'
+      }));
+      expect(getJob(_id)).toMatchObject({ status: 'completed', result: { ...analysis, historyId: 'history1' } });
+    });
+
+    it('still completes the job when history is off or can\'t be saved', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      cache.simplifyDocument.mockResolvedValue({ simplified: '# Report' });
+      User.appendDocumentHistory.mockResolvedValueOnce(null).mockRejectedValueOnce(new Error('Database unavailable'));
+      const first = await addJob({ createdAt: minutesAgo(2) });
+      const second = await addJob({ createdAt: minutesAgo(1) });
+
+      await jobQueue.run(await jobQueue.claimNext());
+      await jobQueue.run(await jobQueue.claimNext());
+
+      for (const { _id } of [first, second]) {
+        expect(getJob(_id)).toMatchObject({ status: 'completed', result: { simplified: '# Report' } });
+        expect(getJob(_id).result.historyId).toBeUndefined();
+      }
+      expect(User.appendDocumentHistory.mock.calls[0][1].filename).toBe('Pasted Text');
+    });
+
+    it('marks the job failed with the error code', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      cache.simplifyDocument.mockRejectedValue(Object.assign(new Error('The AI service is down'), { code: 'LLM_UNAVAILABLE' }));
+      const { _id } = await addJob();
+
+      await jobQueue.run(await jobQueue.claimNext());
+
+      expect(getJob(_id)).toMatchObject({ status: 'failed', error: { message: 'The AI service is down', code: 'LLM_UNAVAILABLE' } });
+    });
+
+    it('keeps a job the user cancelled while it ran cancelled', async () => {
+      const { _id } = await addJob();
+      cache.simplifyDocument.mockImplementation((text, type, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      const running = jobQueue.run(await jobQueue.claimNext());
+      expect(await jobQueue.cancel('user1', _id)).not.toBeNull();
+      await running;
+
+      expect(getJob(_id).status).toBe('cancelled');
+      expect(await jobQueue.cancel('user1', _id)).toBeNull();
+    });
+  });
+
+  describe('cancel', () => {
+    it('gives back the quota reserved for a job that never ran', async () => {
+      const reservation = await usageRecords.create({ user: 'user1', kind: 'analysis', totalTokens: 10, reserved: true });
+      const { _id } = await addJob({ usageReservation: reservation._id });
+
+      await jobQueue.cancel('user1', _id);
+
+      expect(getJob(_id).status).toBe('cancelled');
+      expect(usageRecords.documents).toEqual([]);
+    });
+  });
+
+  describe('stop', () => {
+    it('returns the jobs this worker was running to the queue', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const { _id } = await addJob();
+      cache.simplifyDocument.mockImplementation((text, type, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      const running = jobQueue.run(await jobQueue.claimNext());
+      await jobQueue.stop();
+      await running;
+
+      expect(getJob(_id)).toMatchObject({ status: 'queued', attempts: 1 });
+      expect(getJob(_id).lockedBy).toBeUndefined();
+    });
+
+    it('fails a job interrupted on its last attempt instead of queueing it forever', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const { _id } = await addJob({ attempts: 2 });
+      cache.simplifyDocument.mockImplementation((text, type, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      const running = jobQueue.run(await jobQueue.claimNext());
+      await jobQueue.stop();
+      await running;
+
+      expect(getJob(_id)).toMatchObject({ status: 'failed', attempts: 3, error: { code: 'JOB_ABANDONED' } });
+      expect(await jobQueue.countActive('user1')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { MockProvider } from '../llm/mockProvider.js';
+import { getProvider } from '../llm/index.js';
+import { estimateUsage } from '../llm/tokenUsage.js';
+import { parseAnalysis, parseComparison } from '../analysisSchema.js';
+
+const DOCUMENT = `1. Fees
+The subscription will automatically renew each month and fees are non-refundable.
+
+2. Disputes
+Any dispute will be settled by binding arbitration. You waive any class action.`;
+
+// Prompts end with the document after a "---" line, like the real templates
+const prompt = (instructions, content) => [
+  { role: 'system', content: 'You explain legal documents.' },
+  { role: 'user', content: `${instructions}\n---\n${content}` }
+];
+
+const ANALYSIS_PROMPT = prompt('Analyze this TOS document.', DOCUMENT);
+
+describe('MockProvider', () => {
+  const provider = new MockProvider();
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  it('is picked with LLM_PROVIDER=mock and needs no configuration', () => {
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.MOCK_LLM_MODEL = 'mock-test';
+
+    expect(getProvider()).toMatchObject({ name: 'mock', model: 'mock-test' });
+    expect(getProvider().isConfigured()).toBe(true);
+  });
+
+  describe('complete', () => {
+    it('answers a JSON request with an analysis that passes the analysis schema', async () => {
+      const { valid, errors, value } = parseAnalysis(await provider.complete(ANALYSIS_PROMPT, { json: true }));
+
+      expect(errors).toEqual([]);
+      expect(valid).toBe(true);
+      expect(value.redFlags.map(flag => flag.title)).toEqual(['Forced arbitration', 'No class actions', 'Auto-renewal']);
+      expect(value.sections.map(section => section.title)).toEqual(['1. Fees', '2. Disputes']);
+      expect(value.verdict.rating).toBe('sketchy');
+    });
+
+    it('quotes the document word for word', async () => {
+      const { value } = parseAnalysis(await provider.complete(ANALYSIS_PROMPT, { json: true }));
+
+      value.redFlags.forEach(flag => expect(DOCUMENT).toContain(flag.quote));
+    });
+
+    it('gives the same answer to the same prompt', async () => {
+      expect(await provider.complete(ANALYSIS_PROMPT, { json: true })).toBe(await provider.complete(ANALYSIS_PROMPT, { json: true }));
+    });
+
+    it('answers the concerns listed in the prompt', async () => {
+      const messages = prompt('Answer these concerns:\n- Concern 1: Can I get a refund?\n- Concern 2: Is my location shared?', DOCUMENT);
+
+      const { valid, value } = parseAnalysis(await provider.complete(messages, { json: true }));
+
+      expect(valid).toBe(true);
+      expect(value.concerns.map(({ concern, answer }) => [concern, answer])).toEqual([
+        ['Can I get a refund?', 'yes'],
+        ['Is my location shared?', 'unclear']
+      ]);
+    });
+
+    it('answers a version comparison with one explanation per change', async () => {
+      const changes = [
+        '[C1] MODIFIED (2. Disputes)\nBEFORE: Disputes go to court.\nAFTER: Disputes go to binding arbitration.',
+        '[C2] REMOVED (3. Renewal)\nOLD: Plans automatically renew.'
+      ].join('\n\n');
+
+      const { valid, value } = parseComparison(await provider.complete(prompt('Compare these versions.', changes), { json: true }));
+
+      expect(valid).toBe(true);
+      expect(value.changes.map(({ id, impact }) => [id, impact])).toEqual([['C1', 'worse'], ['C2', 'better']]);
+      expect(value.verdict.rating).toBe('mixed');
+    });
+
+    it('writes plain notes when no JSON is asked for', async () => {
+      const notes = await provider.complete(ANALYSIS_PROMPT);
+
+      expect(notes).toMatch(/^Key points\n/);
+      expect(notes).toContain('- Forced arbitration: "Any dispute will be settled by binding arbitration."');
+    });
+
+    it('answers a follow-up question from the document', async () => {
+      const messages = [...ANALYSIS_PROMPT, { role: 'assistant', content: 'Report' }, { role: 'user', content: 'Does a dispute go to arbitration?' }];
+
+      expect(await provider.complete(messages)).toContain('"Any dispute will be settled by binding arbitration."');
+    });
+
+    it('reports estimated usage for every request', async () => {
+      const onUsage = vi.fn();
+
+      const answer = await provider.complete(ANALYSIS_PROMPT, { json: true, onUsage });
+
+      expect(onUsage).toHaveBeenCalledExactlyOnceWith(estimateUsage(ANALYSIS_PROMPT, answer, 'mock-analyst'));
+    });
+
+    it('refuses a request that was already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const onUsage = vi.fn();
+
+      await expect(provider.complete(ANALYSIS_PROMPT, { signal: controller.signal, onUsage })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(onUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stream', () => {
+    it('sends the completion in pieces and returns all of it', async () => {
+      const pieces = [];
+
+      const text = await provider.stream(ANALYSIS_PROMPT, { json: true, onToken: piece => pieces.push(piece) });
+
+      expect(pieces.length).toBeGreaterThan(1);
+      expect(pieces.join('')).toBe(text);
+      expect(text).toBe(await provider.complete(ANALYSIS_PROMPT, { json: true }));
+    });
+
+    it('stops when cancelled part way through', async () => {
+      const controller = new AbortController();
+      const onToken = vi.fn(() => controller.abort());
+
+      await expect(provider.stream(ANALYSIS_PROMPT, { signal: controller.signal, onToken })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(onToken).toHaveBeenCalledOnce();
+    });
+  });
+});
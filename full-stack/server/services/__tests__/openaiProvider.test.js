@@ -0,0 +1,87 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { OpenAIProvider } from '../llm/openaiProvider.js';
+
+const MESSAGES = [
+  { role: 'system', content: 'You explain legal documents.' },
+  { role: 'user', content: 'We may terminate your account at any time without notice.' }
+];
+
+const sse = (event) => `data: ${JSON.stringify(event)}\n\n`;
+const token = (text) => sse({ choices: [{ delta: { content: text } }] });
+
+// A streamed response that sends the given events, then either finishes or hangs until aborted
+const streamResponse = (events, { hang = false, signal } = {}) => new Response(new ReadableStream({
+  start(controller) {
+    events.forEach(event => controller.enqueue(new TextEncoder().encode(event)));
+    if (!hang) {
+      controller.close();
+      return;
+    }
+    signal.addEventListener('abort', () => controller.error(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }
+}));
+
+describe('OpenAIProvider', () => {
+  const provider = new OpenAIProvider({ apiKey: 'test', model: 'gpt-4o-mini' });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('stream', () => {
+    it('reports the usage the API sends at the end', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => streamResponse([
+        token('Your account '),
+        token('can be closed.'),
+        sse({ choices: [], usage: { prompt_tokens: 40, completion_tokens: 6 } }),
+        'data: [DONE]\n\n'
+      ])));
+      const onUsage = vi.fn();
+
+      const text = await provider.stream(MESSAGES, { onUsage });
+
+      expect(text).toBe('Your account can be closed.');
+      expect(onUsage).toHaveBeenCalledExactlyOnceWith({ promptTokens: 40, completionTokens: 6, model: 'gpt-4o-mini', estimated: false });
+    });
+
+    it('estimates the usage of a stream cancelled part way through', async () => {
+      const controller = new AbortController();
+      vi.stubGlobal('fetch', vi.fn(async (url, { signal }) => streamResponse([token('Your account ')], { hang: true, signal })));
+      const onUsage = vi.fn();
+
+      const streaming = provider.stream(MESSAGES, {
+        signal: controller.signal,
+        onUsage,
+        onToken: () => controller.abort()
+      });
+
+      await expect(streaming).rejects.toThrow('aborted');
+      expect(onUsage).toHaveBeenCalledExactlyOnceWith(expect.objectContaining({ completionTokens: 4, model: 'gpt-4o-mini', estimated: true }));
+      expect(onUsage.mock.calls[0][0].promptTokens).toBeGreaterThan(0);
+    });
+
+    it('reports nothing for a request the API turned down', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('{"error":{"message":"Bad request"}}', { status: 400 })));
+      const onUsage = vi.fn();
+
+      await expect(provider.stream(MESSAGES, { onUsage })).rejects.toThrow();
+      expect(onUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('complete', () => {
+    it('estimates the prompt of a request cancelled before the answer came back', async () => {
+      const controller = new AbortController();
+      vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      })));
+      const onUsage = vi.fn();
+
+      const completing = provider.complete(MESSAGES, { signal: controller.signal, onUsage });
+      controller.abort();
+
+      await expect(completing).rejects.toThrow('aborted');
+      expect(onUsage).toHaveBeenCalledExactlyOnceWith(expect.objectContaining({ completionTokens: 0, estimated: true }));
+    });
+  });
+});
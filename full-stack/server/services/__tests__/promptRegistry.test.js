@@ -0,0 +1,131 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PromptRegistry, promptRegistry } from '../promptRegistry.js';
+
+const template = (id, version, body, description = `${id} prompt`) => `---\nid: ${id}\nversion: ${version}\ndescription: ${description}\n---\n${body}\n`;
+
+const FIXTURES = {
+  'greeting.v1.md': template('greeting', 1, 'Hello {{name}}.'),
+  'greeting.v2.md': template('greeting', 2, 'Hi {{name}}, here is your {{documentType}}:\n{{tone}}'),
+  'tone-plain.v1.md': template('tone-plain', 1, 'Use plain words.'),
+  'README.md': 'Not a template.'
+};
+
+describe('promptRegistry', () => {
+  const environment = { ...process.env };
+  let directory;
+  let registry;
+
+  const writeTemplate = (fileName, content) => fs.writeFileSync(path.join(directory, fileName), content);
+
+  beforeEach(() => {
+    delete process.env.PROMPT_VERSIONS;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    Object.entries(FIXTURES).forEach(([fileName, content]) => writeTemplate(fileName, content));
+    registry = new PromptRegistry(directory);
+  });
+
+  afterEach(() => {
+    process.env = { ...environment };
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('get', () => {
+    it('uses the newest version of a template', () => {
+      expect(registry.get('greeting')).toMatchObject({ id: 'greeting', version: 2, description: 'greeting prompt' });
+    });
+
+    it('gets a specific version', () => {
+      expect(registry.get('greeting', 1).body).toBe('Hello {{name}}.');
+    });
+
+    it('uses the versions pinned in PROMPT_VERSIONS', () => {
+      process.env.PROMPT_VERSIONS = 'greeting:1, tone-plain:1';
+
+      expect(registry.get('greeting').version).toBe(1);
+    });
+
+    it('explains unknown templates and versions', () => {
+      process.env.PROMPT_VERSIONS = 'greeting:7';
+
+      expect(() => registry.get('farewell')).toThrow('Unknown prompt template "farewell"');
+      expect(() => registry.get('greeting')).toThrow('Prompt template "greeting" has no version 7');
+    });
+  });
+
+  describe('render', () => {
+    it('fills in variables and records every template used', () => {
+      const prompt = registry.render('greeting', {
+        name: 'Sam',
+        documentType: 'lease',
+        tone: registry.render('tone-plain')
+      });
+
+      expect(prompt).toEqual({
+        id: 'greeting',
+        version: 2,
+        text: 'Hi Sam, here is your lease:\nUse plain words.',
+        templates: ['greeting@v2', 'tone-plain@v1']
+      });
+    });
+
+    it('leaves placeholders inside values alone', () => {
+      process.env.PROMPT_VERSIONS = 'greeting:1';
+
+      expect(registry.render('greeting', { name: '{{documentType}}' })).toMatchObject({ version: 1, text: 'Hello {{documentType}}.' });
+    });
+
+    it('names a missing variable', () => {
+      expect(() => registry.render('greeting', { name: 'Sam' })).toThrow('Prompt template "greeting" v2 needs the variable "documentType"');
+    });
+  });
+
+  describe('load', () => {
+    it('reads Windows line endings and drops the final newline', () => {
+      writeTemplate('crlf.v1.md', template('crlf', 1, 'Line one\nLine two').replace(/\n/g, '\r\n'));
+
+      expect(registry.get('crlf').body).toBe('Line one\nLine two');
+    });
+
+    it('refuses a template whose file name and front matter disagree', () => {
+      writeTemplate('greeting.v3.md', template('greeting', 4, 'Hey.'));
+
+      expect(() => registry.load()).toThrow('Prompt template greeting.v3.md says it is greeting v4');
+    });
+
+    it('refuses a template without front matter', () => {
+      writeTemplate('bare.v1.md', 'Just text.');
+
+      expect(() => registry.load()).toThrow('Prompt template bare.v1.md is missing its front matter');
+    });
+
+    it('picks up new versions on reload', () => {
+      registry.load();
+      writeTemplate('greeting.v3.md', template('greeting', 3, 'Hey {{name}}.'));
+
+      expect(registry.get('greeting').version).toBe(2);
+      registry.reload();
+      expect(registry.get('greeting').version).toBe(3);
+    });
+  });
+
+  describe('list', () => {
+    it('lists every template with its versions and the one in use', () => {
+      process.env.PROMPT_VERSIONS = 'greeting:1';
+
+      expect(registry.list()).toEqual([
+        { id: 'greeting', versions: [1, 2], activeVersion: 1, description: 'greeting prompt' },
+        { id: 'tone-plain', versions: [1], activeVersion: 1, description: 'tone-plain prompt' }
+      ]);
+    });
+  });
+
+  it('loads the templates shipped in server/prompts', () => {
+    const shipped = promptRegistry.reload();
+
+    expect(shipped.size).toBeGreaterThan(0);
+    ['system', 'analysis', 'chunk-notes', 'merge', 'compare', 'repair'].forEach(id => expect(promptRegistry.has(id)).toBe(true));
+  });
+});
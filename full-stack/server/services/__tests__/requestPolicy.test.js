@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LLMRequestError, createResponseError, getRetryDelay, parseRetryAfter, withRetries } from '../llm/requestPolicy.js';
+
+// Short delays and timeouts so retries run in milliseconds
+const POLICY = { timeoutMs: 50, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 100 };
+
+const rateLimited = (retryAfterMs) => new LLMRequestError('OpenAI API error: 429 - Slow down', { code: 'LLM_RATE_LIMITED', status: 429, retryAfterMs });
+
+// A request that never answers, but gives up when its signal aborts
+const hang = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+const errorResponse = (status, headers = {}) => new Response(JSON.stringify({ error: { message: 'Nope' } }), { status, headers });
+
+describe('requestPolicy', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('parseRetryAfter', () => {
+    it('reads a delay in seconds', () => {
+      expect(parseRetryAfter('2')).toBe(2000);
+      expect(parseRetryAfter('0.5')).toBe(500);
+    });
+
+    it('reads an HTTP date', () => {
+      vi.useFakeTimers({ now: new Date('2025-06-01T12:00:00Z') });
+
+      expect(parseRetryAfter('Sun, 01 Jun 2025 12:00:30 GMT')).toBe(30000);
+      expect(parseRetryAfter('Sun, 01 Jun 2025 11:59:00 GMT')).toBe(0);
+    });
+
+    it('ignores a missing or unreadable header', () => {
+      expect(parseRetryAfter(null)).toBeUndefined();
+      expect(parseRetryAfter('soon')).toBeUndefined();
+    });
+  });
+
+  describe('createResponseError', () => {
+    it('marks rate limits and server errors as retryable and keeps Retry-After', async () => {
+      expect(await createResponseError('OpenAI', errorResponse(429, { 'Retry-After': '3' }))).toMatchObject({
+        code: 'LLM_RATE_LIMITED',
+        status: 429,
+        retryAfterMs: 3000,
+        message: 'OpenAI API error: 429 - Nope'
+      });
+      expect(await createResponseError('OpenAI', errorResponse(503))).toMatchObject({ code: 'LLM_SERVER_ERROR', status: 503 });
+    });
+
+    it('marks other failures as not worth retrying', async () => {
+      expect(await createResponseError('OpenAI', errorResponse(400))).toMatchObject({ code: 'LLM_REQUEST_ERROR', status: 400 });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('backs off exponentially up to the maximum delay', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(1);
+      const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+      expect([1, 2, 3, 4].map(attempt => getRetryDelay(attempt, {}, policy))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('waits out the whole Retry-After, or gives up when it is longer than the maximum delay', () => {
+      const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+      expect(getRetryDelay(1, rateLimited(5000), policy)).toBe(5000);
+      expect(getRetryDelay(1, rateLimited(60000), policy)).toBeNull();
+    });
+  });
+
+  describe('withRetries', () => {
+    it('retries temporary failures and returns the first success', async () => {
+      const run = vi.fn()
+        .mockRejectedValueOnce(new LLMRequestError('Server error', { code: 'LLM_SERVER_ERROR', status: 500 }))
+        .mockResolvedValueOnce('answer');
+      const onRetry = vi.fn();
+
+      expect(await withRetries(run, { policy: POLICY, onRetry })).toBe('answer');
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledExactlyOnceWith(expect.objectContaining({ attempt: 1, maxRetries: 2, code: 'LLM_SERVER_ERROR' }));
+    });
+
+    it('gives up after the configured number of retries', async () => {
+      const run = vi.fn(async () => {
+        throw new LLMRequestError('Server error', { code: 'LLM_SERVER_ERROR', status: 500 });
+      });
+
+      await expect(withRetries(run, { policy: POLICY })).rejects.toMatchObject({ code: 'LLM_SERVER_ERROR' });
+      expect(run).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry requests the provider refused', async () => {
+      const run = vi.fn(async () => {
+        throw await createResponseError('OpenAI', errorResponse(401));
+      });
+
+      await expect(withRetries(run, { policy: POLICY })).rejects.toMatchObject({ code: 'LLM_REQUEST_ERROR', status: 401 });
+      expect(run).toHaveBeenCalledOnce();
+    });
+
+    it('stops retrying when canRetry says so', async () => {
+      const run = vi.fn(async () => {
+        throw new LLMRequestError('Server error', { code: 'LLM_SERVER_ERROR', status: 500 });
+      });
+
+      await expect(withRetries(run, { policy: POLICY, canRetry: () => false })).rejects.toMatchObject({ code: 'LLM_SERVER_ERROR' });
+      expect(run).toHaveBeenCalledOnce();
+    });
+
+    it('waits for the Retry-After the provider asked for', async () => {
+      const run = vi.fn().mockRejectedValueOnce(rateLimited(40)).mockResolvedValueOnce('answer');
+      const onRetry = vi.fn();
+      const startedAt = Date.now();
+
+      await withRetries(run, { policy: POLICY, onRetry });
+
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delayMs: 40, code: 'LLM_RATE_LIMITED' }));
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(35);
+    });
+
+    it('fails with the rate limit at once when Retry-After is longer than the maximum delay', async () => {
+      const run = vi.fn(async () => {
+        throw rateLimited(60000);
+      });
+      const onRetry = vi.fn();
+
+      await expect(withRetries(run, { policy: POLICY, onRetry })).rejects.toMatchObject({ code: 'LLM_RATE_LIMITED', status: 429 });
+      expect(run).toHaveBeenCalledOnce();
+      expect(onRetry).not.toHaveBeenCalled();
+    });
+
+    it('times out a request that goes silent and retries it', async () => {
+      const run = vi.fn(hang);
+
+      await expect(withRetries(run, { policy: { ...POLICY, maxRetries: 1 } })).rejects.toMatchObject({ code: 'LLM_TIMEOUT' });
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(run.mock.calls[0][0].aborted).toBe(true);
+    });
+
+    it('keeps a request alive while it reports activity', async () => {
+      const run = async (signal, touch) => {
+        for (let i = 0; i < 4; i++) {
+          await new Promise(resolve => setTimeout(resolve, 25));
+          touch();
+        }
+        return 'streamed';
+      };
+
+      expect(await withRetries(run, { policy: { ...POLICY, maxRetries: 0 } })).toBe('streamed');
+    });
+
+    it('stops without retrying when the caller cancels a request', async () => {
+      const controller = new AbortController();
+      const run = vi.fn((signal) => {
+        setTimeout(() => controller.abort(), 5);
+        return hang(signal);
+      });
+
+      await expect(withRetries(run, { signal: controller.signal, policy: POLICY })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(run).toHaveBeenCalledOnce();
+    });
+
+    it('stops waiting for a retry when the caller cancels', async () => {
+      const controller = new AbortController();
+      const run = vi.fn(async () => {
+        throw rateLimited(90);
+      });
+
+      const retrying = withRetries(run, { signal: controller.signal, policy: POLICY, onRetry: () => controller.abort() });
+
+      await expect(retrying).rejects.toMatchObject({ name: 'AbortError' });
+      expect(run).toHaveBeenCalledOnce();
+    });
+
+    it('does not start a request the caller already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const run = vi.fn();
+
+      await expect(withRetries(run, { signal: controller.signal, policy: POLICY })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(run).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import usageRecords from '../../models/UsageRecord.js';
+import { usageService } from '../usageService.js';
+
+vi.mock('../../models/UsageRecord.js', async () => {
+  const { createMemoryModel } = await import('./helpers/memoryModel.js');
+  return { default: createMemoryModel(() => ({ createdAt: new Date() })) };
+});
+
+const USER = { _id: 'user1', plan: 'free' };
+
+// getUsage as seen by a request with this many analyses and tokens left today
+const usageWithRoom = (analyses, tokens = 1000) => ({
+  plan: 'free',
+  daily: {
+    analyses: { used: 10 - analyses, limit: 10, remaining: analyses },
+    tokens: { used: 0, limit: 1000, remaining: tokens },
+    resetsAt: new Date('2030-01-02T00:00:00Z')
+  },
+  monthly: {
+    analyses: { used: 0, limit: 100, remaining: 100 },
+    tokens: { used: 0, limit: 10000, remaining: 10000 },
+    resetsAt: new Date('2030-02-01T00:00:00Z')
+  }
+});
+
+const usage = (promptTokens, completionTokens) => ({ promptTokens, completionTokens, model: 'gpt-4o-mini', estimated: false });
+
+describe('usageService', () => {
+  beforeEach(() => {
+    usageRecords.reset();
+    vi.restoreAllMocks();
+  });
+
+  describe('reserve', () => {
+    it('holds the request\'s analysis and prompt tokens while it runs, leaving them out of its own check', async () => {
+      const getUsage = vi.spyOn(usageService, 'getUsage').mockResolvedValue(usageWithRoom(1));
+
+      const { reservation, exceeded } = await usageService.reserve(USER, 'analysis', 250);
+
+      expect(exceeded).toBeNull();
+      expect(usageRecords.documents).toEqual([
+        expect.objectContaining({ _id: reservation, user: 'user1', kind: 'analysis', totalTokens: 250, reserved: true })
+      ]);
+      expect(getUsage).toHaveBeenCalledWith(USER, { excluding: reservation });
+    });
+
+    it('gives the reservation back when the quota is used up', async () => {
+      vi.spyOn(usageService, 'getUsage').mockResolvedValue(usageWithRoom(0));
+
+      const { reservation, exceeded } = await usageService.reserve(USER, 'analysis', 250);
+
+      expect(reservation).toBeNull();
+      expect(exceeded).toMatchObject({ period: 'daily', metric: 'analyses', limit: 10 });
+      expect(usageRecords.documents).toEqual([]);
+    });
+  });
+
+  describe('track', () => {
+    it('settles the reservation with what the work used', async () => {
+      vi.spyOn(usageService, 'getUsage').mockResolvedValue(usageWithRoom(1));
+      const { reservation } = await usageService.reserve(USER, 'analysis', 250);
+
+      const answer = await usageService.track('user1', 'analysis', async (onUsage) => {
+        onUsage(usage(300, 100));
+        onUsage(usage(200, 50));
+        return 'done';
+      }, reservation);
+
+      expect(answer).toBe('done');
+      expect(usageRecords.documents).toEqual([expect.objectContaining({
+        _id: reservation,
+        requests: 2,
+        promptTokens: 500,
+        completionTokens: 150,
+        totalTokens: 650,
+        reserved: false
+      })]);
+      expect(usageRecords.documents[0].estimatedCost).toBeCloseTo(0.000165);
+    });
+
+    it('gives the reservation back when the model was never asked', async () => {
+      vi.spyOn(usageService, 'getUsage').mockResolvedValue(usageWithRoom(1));
+      const { reservation } = await usageService.reserve(USER, 'analysis', 250);
+
+      await usageService.track('user1', 'analysis', async () => 'cached', reservation);
+
+      expect(usageRecords.documents).toEqual([]);
+    });
+
+    it('records usage of failed work, and a new record when the reservation was already released', async () => {
+      vi.spyOn(usageService, 'getUsage').mockResolvedValue(usageWithRoom(1));
+      const { reservation } = await usageService.reserve(USER, 'analysis', 250);
+      await usageService.release(reservation);
+
+      await expect(usageService.track('user1', 'analysis', async (onUsage) => {
+        onUsage(usage(400, 20));
+        throw new Error('Analysis cancelled');
+      }, reservation)).rejects.toThrow('Analysis cancelled');
+
+      expect(usageRecords.documents).toEqual([
+        expect.objectContaining({ user: 'user1', kind: 'analysis', totalTokens: 420 })
+      ]);
+      expect(usageRecords.documents[0].reserved).toBeUndefined();
+    });
+  });
+
+  describe('release', () => {
+    it('leaves a settled record alone', async () => {
+      vi.spyOn(usageService, 'getUsage').mockResolvedValue(usageWithRoom(1));
+      const { reservation } = await usageService.reserve(USER, 'chat', 10);
+      await usageService.track('user1', 'chat', async (onUsage) => onUsage(usage(10, 10)), reservation);
+
+      await usageService.release(reservation);
+      await usageService.release(null);
+
+      expect(usageRecords.documents).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Analysis Cache
+ *
+ * Popular policies get analyzed again and again; each run costs tokens and
+ * words things a little differently. This wraps analysisService.simplifyDocument
+ * with a Mongo-backed cache (see models/AnalysisCache.js), keyed on a hash of
+ * the normalized text plus the document type, simplification level, concerns,
+ * model and the prompt template versions in use, so changing any of them
+ * (e.g. publishing a new prompt version) misses the cache.
+ *
+ * Entries live for ANALYSIS_CACHE_TTL_HOURS (a week by default); set
+ * ANALYSIS_CACHE=false to turn the cache off.
+ */
+
+import crypto from 'crypto';
+import AnalysisCache from '../models/AnalysisCache.js';
+import { analysisService } from './analysisService.js';
+import { promptRegistry } from './promptRegistry.js';
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class AnalysisCacheService {
+  // Settings are read on access because dotenv loads after module imports
+  get enabled() {
+    return process.env.ANALYSIS_CACHE !== 'false';
+  }
+
+  get ttlMs() {
+    return (parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Normalizes text so copies that differ only in whitespace or line endings share an entry
+   * @param {string} text - Document text
+   * @returns {string} - Normalized text
+   */
+  normalizeText(text) {
+    return text
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Sums up the prompt templates in use, so a new or pinned version changes the key
+   * @returns {string} - Short hash of every template's active version
+   */
+  getPromptVersion() {
+    const versions = promptRegistry.list().map(({ id, activeVersion }) => `${id}@v${activeVersion}`);
+    return sha256(versions.join(',')).slice(0, 12);
+  }
+
+  /**
+   * Builds the cache key of an analysis
+   * @param {string} text - Document text
+   * @param {string} documentType - Type of document
+   * @param {Object} options - { simplificationLevel, concerns }
+   * @returns {Object} - { key, model, promptVersion }
+   */
+  buildKey(text, documentType, { simplificationLevel, concerns = [] }) {
+    const provider = analysisService.provider;
+    const model = `${provider.name}:${provider.model}`;
+    const promptVersion = this.getPromptVersion();
+
+    const key = sha256(JSON.stringify({
+      text: sha256(this.normalizeText(text)),
+      documentType,
+      simplificationLevel,
+      concerns,
+      model,
+      promptVersion
+    }));
+
+    return { key, model, promptVersion };
+  }
+
+  /**
+   * Analyzes a document, answering from the cache when the same analysis was done before
+   *
+   * Takes the same options as analysisService.simplifyDocument. A cache hit
+   * reports one final progress event and the finished report through onText,
+   * and is marked with cached: true and cachedAt.
+   * @param {string} documentText - The raw document text to simplify
+   * @param {string} documentType - Type of document
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.refresh - Skip the cache and analyze again, replacing the cached entry
+   * @returns {Promise<Object>} - Structured analysis, markdown report and coverage details
+   */
+  async simplifyDocument(documentText, documentType = 'tos', { refresh = false, ...options } = {}) {
+    if (!this.enabled) {
+      return analysisService.simplifyDocument(documentText, documentType, options);
+    }
+
+    const { key, model, promptVersion } = this.buildKey(documentText, documentType, options);
+    const sourceHash = sha256(documentText);
+
+    if (!refresh) {
+      const cached = await this.lookup(key);
+
+      if (cached) {
+        options.onProgress?.({ step: 'cached', progress: 100, message: 'Found an earlier analysis of this document' });
+
+        // A copy with different whitespace needs its citations found again
+        const analysis = cached.sourceHash === sourceHash
+          ? { ...cached.result, original: documentText }
+          : analysisService.rebaseAnalysis(cached.result, documentText);
+
+        options.onText?.(analysis.simplified);
+        return { ...analysis, cached: true, cachedAt: cached.createdAt.toISOString() };
+      }
+    }
+
+    const analysis = await analysisService.simplifyDocument(documentText, documentType, options);
+
+    // A report missing parts of the document shouldn't be handed out again
+    if (analysis.coverage.complete) {
+      await this.store(key, {
+        sourceHash,
+        documentType,
+        simplificationLevel: analysis.simplificationLevel,
+        model,
+        promptVersion,
+        analysis
+      });
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Finds a live cache entry and counts the hit
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - The entry, or null on a miss (or when the cache can't be read)
+   */
+  async lookup(key) {
+    try {
+      return await AnalysisCache.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      console.error('Analysis cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves an analysis under its key, replacing any older entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - { sourceHash, documentType, simplificationLevel, model, promptVersion, analysis }
+   * @returns {Promise<void>}
+   */
+  async store(key, { analysis, ...fields }) {
+    // The text is already in the request; only the analysis is worth keeping
+    const result = { ...analysis };
+    delete result.original;
+    const now = new Date();
+
+    try {
+      await AnalysisCache.updateOne(
+        { key },
+        {
+          $set: { ...fields, result, hits: 0, createdAt: now, expiresAt: new Date(now.getTime() + this.ttlMs) },
+          $unset: { lastHitAt: 1 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // The analysis itself succeeded; the next request just misses the cache
+      console.error('Failed to cache the analysis:', error);
+    }
+  }
+}
+
+// Export a singleton instance
+export const analysisCache = new AnalysisCacheService();
+export default analysisCache;
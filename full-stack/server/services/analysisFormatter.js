@@ -0,0 +1,179 @@
+/**
+ * Analysis Formatter
+ *
+ * Turns a structured analysis into the six-section markdown report the UI
+ * has always shown (plus the user's concerns, when they keep a watchlist),
+ * including partial analyses while the JSON is still streaming.
+ */
+
+import { getPointText } from './analysisSchema.js';
+
+const SEVERITY_ICONS = { high: '🔴', medium: '🟠', low: '🟡' };
+const CATEGORY_ICONS = { money: '💵', privacy: '🔒' };
+const VERDICT_LABELS = { reasonable: '👍 Reasonable', mixed: '🤷 Mixed bag', sketchy: '👎 Sketchy' };
+const ANSWER_LABELS = { yes: 'Yes', no: 'No', unclear: 'Unclear' };
+
+// How often a streaming report is re-rendered and sent to the client
+const STREAM_RENDER_INTERVAL_MS = 200;
+
+// Marks points whose quotes were not found in the document (see citations.js)
+const unverifiedMark = (entry) => (
+  entry.unverified || entry.unverifiedQuotes?.length > 0 ? ' _(⚠️ unverified quote)_' : ''
+);
+
+const labelled = (entry) => {
+  if (!entry.title) {
+    return entry.explanation ? `${entry.explanation}${unverifiedMark(entry)}` : '';
+  }
+  return `${entry.explanation ? `**${entry.title}**: ${entry.explanation}` : `**${entry.title}**`}${unverifiedMark(entry)}`;
+};
+
+/**
+ * Renders a (possibly partial) structured analysis as markdown
+ * @param {Object} analysis - Structured analysis
+ * @returns {string} - Markdown report
+ */
+export function renderAnalysisMarkdown(analysis) {
+  if (!analysis || typeof analysis !== 'object') {
+    return '';
+  }
+
+  const blocks = [];
+  const list = (entries, render) => (entries || []).filter(Boolean).map(render).filter(Boolean).join('\n');
+
+  if (analysis.tldr) {
+    blocks.push(`## 🔥 The Bottom Line (TL;DR)\n${list(analysis.tldr, (point) => (getPointText(point) ? `- ${getPointText(point)}${unverifiedMark(point)}` : ''))}`);
+  }
+
+  // Only there when the user keeps a concern watchlist
+  if (analysis.concerns) {
+    const concerns = list(analysis.concerns, (entry) => {
+      const answer = ANSWER_LABELS[String(entry.answer || '').toLowerCase()];
+      const question = entry.question || entry.concern;
+      return question ? `- **${question}** ${answer ? `${answer}. ` : ''}${entry.explanation || ''}${unverifiedMark(entry)}` : '';
+    });
+    blocks.push(`## 🎯 Your Concerns\n${concerns}`);
+  }
+
+  if (analysis.sections) {
+    blocks.push(`## 📖 What This Actually Says (In Human Terms)\n${list(analysis.sections, (section) => labelled(section)).replace(/\n/g, '\n\n')}`);
+  }
+
+  if (analysis.redFlags) {
+    const flags = list(analysis.redFlags, (flag) => {
+      const severity = String(flag.severity || '').toLowerCase();
+      return `- ${SEVERITY_ICONS[severity] || '⚠️'} ${labelled(flag)}${severity ? ` _(${severity} risk)_` : ''}`;
+    });
+    blocks.push(`## 🚨 Red Flags & Gotchas\n${flags || 'Nothing major stood out. 🎉'}`);
+  }
+
+  if (analysis.moneyAndPrivacy) {
+    const items = list(analysis.moneyAndPrivacy, (entry) => `- ${CATEGORY_ICONS[entry.category] || '•'} ${labelled(entry)}`);
+    blocks.push(`## 💰 Money & Privacy Stuff\n${items || 'Nothing about costs or your data.'}`);
+  }
+
+  if (analysis.rights) {
+    const rights = list(analysis.rights, (right) => `- ${labelled(right)}`);
+    blocks.push(`## ⚖️ Your Rights (Or Lack Thereof)\n${rights || 'The document does not spell out your options.'}`);
+  }
+
+  if (analysis.verdict) {
+    const label = VERDICT_LABELS[analysis.verdict.rating];
+    blocks.push(`## 🤔 Should You Actually Agree to This?\n${label ? `**Verdict: ${label}**\n\n` : ''}${analysis.verdict.summary || ''}${analysis.verdict.summary ? unverifiedMark(analysis.verdict) : ''}`);
+  }
+
+  return blocks.join('\n\n').trim();
+}
+
+/**
+ * Closes any open strings, arrays and objects so partial JSON can be parsed
+ * @param {string} text - JSON text that may be cut off mid-value
+ * @returns {Object|null} - Best-effort parsed value, or null
+ */
+export function parsePartialJson(text) {
+  let candidate = String(text || '');
+  const start = candidate.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+  candidate = candidate.slice(start);
+
+  // Each failed attempt drops the last unfinished key or value and tries again
+  for (let attempt = 0; attempt < 50 && candidate.length > 0; attempt++) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    let lastSafeCut = 0;
+
+    for (let i = 0; i < candidate.length; i++) {
+      const char = candidate[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+      } else if (char === ',') {
+        lastSafeCut = i;
+      }
+    }
+
+    let completion = candidate;
+    if (inString) {
+      completion += escaped ? '\\"' : '"';
+    }
+    completion = completion.replace(/[,:]\s*$/, '') + stack.reverse().join('');
+
+    try {
+      return JSON.parse(completion);
+    } catch {
+      if (lastSafeCut === 0) {
+        return null;
+      }
+      candidate = candidate.slice(0, lastSafeCut);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Creates a token handler that re-renders the streaming JSON as markdown
+ * @param {Function} onText - Called with the full markdown report so far
+ * @returns {Object} - { onToken, flush }
+ */
+export function createStreamingRenderer(onText) {
+  let buffer = '';
+  let lastSent = '';
+  let lastRenderAt = 0;
+
+  const render = () => {
+    const markdown = renderAnalysisMarkdown(parsePartialJson(buffer));
+    if (markdown && markdown !== lastSent) {
+      lastSent = markdown;
+      onText(markdown);
+    }
+    lastRenderAt = Date.now();
+  };
+
+  return {
+    onToken(token) {
+      buffer += token;
+      if (Date.now() - lastRenderAt >= STREAM_RENDER_INTERVAL_MS) {
+        render();
+      }
+    },
+    flush: render
+  };
+}
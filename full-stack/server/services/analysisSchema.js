@@ -0,0 +1,256 @@
+/**
+ * Analysis Schema
+ *
+ * Describes the structured analysis (and the version comparison) the model
+ * must return, checks model output against it and maps a valid analysis onto
+ * the documentHistory fields.
+ */
+
+const string = { type: 'string' };
+const item = (properties, optional = []) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties).filter(key => !optional.includes(key))
+});
+
+// Every point can quote the passage it is based on, so the UI can link back to the original text
+const cited = (properties) => item({ ...properties, quote: string }, ['quote']);
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['tldr', 'sections', 'redFlags', 'moneyAndPrivacy', 'rights', 'verdict'],
+  properties: {
+    tldr: { type: 'array', items: cited({ point: string }), minItems: 1, maxItems: 6 },
+    sections: { type: 'array', items: cited({ title: string, explanation: string }), minItems: 1 },
+    redFlags: {
+      type: 'array',
+      items: cited({ severity: { type: 'enum', values: ['low', 'medium', 'high'] }, title: string, explanation: string })
+    },
+    moneyAndPrivacy: {
+      type: 'array',
+      items: cited({ category: { type: 'enum', values: ['money', 'privacy'] }, title: string, explanation: string })
+    },
+    rights: { type: 'array', items: cited({ title: string, explanation: string }) },
+    verdict: item({ rating: { type: 'enum', values: ['reasonable', 'mixed', 'sketchy'] }, summary: string }),
+    // Only asked for when the user has a concern watchlist (see the concerns prompt)
+    concerns: {
+      type: 'array',
+      items: cited({ concern: string, question: string, answer: { type: 'enum', values: ['yes', 'no', 'unclear'] }, explanation: string })
+    }
+  }
+};
+
+// Shown to the model; keep it in step with ANALYSIS_SCHEMA (keys in the order they should be written)
+export const ANALYSIS_JSON_FORMAT = `📋 RESPOND WITH ONE JSON OBJECT AND NOTHING ELSE, using exactly these keys in this order:
+
+{
+  "tldr": [{ "point": "one of 3-4 short bullet points of the most crucial things to know - the stuff that really matters", "quote": "..." }],
+  "sections": [{ "title": "name of a main part of the document", "explanation": "what this part really means for you", "quote": "..." }],
+  "redFlags": [{ "severity": "low | medium | high", "title": "short name", "explanation": "why it is sketchy, unfair or could bite you later", "quote": "..." }],
+  "moneyAndPrivacy": [{ "category": "money | privacy", "title": "short name", "explanation": "costs, fees, data collection or privacy in plain terms", "quote": "..." }],
+  "rights": [{ "title": "short name", "explanation": "what you can (or can't) do if something goes wrong - suing, refunds, your actual options", "quote": "..." }],
+  "verdict": { "rating": "reasonable | mixed | sketchy", "summary": "your honest take in 2-3 sentences" }
+}
+
+Every "quote" is the passage the point is based on, copied WORD FOR WORD from the document (one sentence or less, under 200 characters) so readers can find it. Leave "quote" out when no single passage backs the point up - never make one up.
+
+Use an empty array when there is nothing to report. Every other string should be written in the style described above.`;
+
+// What the model says about a clause-level diff of two versions of a document
+export const COMPARISON_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'changes', 'verdict'],
+  properties: {
+    summary: { type: 'array', items: string, minItems: 1, maxItems: 6 },
+    changes: {
+      type: 'array',
+      items: item({ id: string, impact: { type: 'enum', values: ['worse', 'better', 'neutral'] }, explanation: string })
+    },
+    verdict: item({ rating: { type: 'enum', values: ['worse', 'better', 'mixed', 'neutral'] }, summary: string })
+  }
+};
+
+// Shown to the model; keep it in step with COMPARISON_SCHEMA
+export const COMPARISON_JSON_FORMAT = `📋 RESPOND WITH ONE JSON OBJECT AND NOTHING ELSE, using exactly these keys in this order:
+
+{
+  "summary": ["2-4 short bullet points on the changes that matter most"],
+  "changes": [{ "id": "the change id, e.g. C1", "impact": "worse | better | neutral (for the user)", "explanation": "what changed and what it means for you, in plain words" }],
+  "verdict": { "rating": "worse | better | mixed | neutral", "summary": "is the new version worse for the user overall, and why, in 1-2 sentences" }
+}
+
+Explain every change listed, using its id. Talk only about what changed - not about parts of the document that stayed the same.`;
+
+/**
+ * Checks a value against a schema node, normalizing strings and enum values
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path used in error messages
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {*} - Normalized value
+ */
+function checkNode(value, schema, path, errors) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        errors.push(`${path} must be a non-empty string`);
+        return value;
+      }
+      return value.trim();
+
+    case 'enum': {
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!schema.values.includes(normalized)) {
+        errors.push(`${path} must be one of: ${schema.values.join(', ')}`);
+      }
+      return normalized;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return value;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} needs at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        errors.push(`${path} can have at most ${schema.maxItems} items`);
+      }
+      return value.map((entry, index) => checkNode(entry, schema.items, `${path}[${index}]`, errors));
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return value;
+      }
+      const normalized = {};
+      // Models often send "" for an optional field they have nothing for
+      const isBlankOptional = (key) => value[key] === '' && !schema.required.includes(key);
+      schema.required.forEach((key) => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key} is missing`);
+        }
+      });
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined && value[key] !== null && !isBlankOptional(key)) {
+          normalized[key] = checkNode(value[key], propertySchema, `${path}.${key}`, errors);
+        }
+      });
+      return normalized;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validates a parsed analysis against ANALYSIS_SCHEMA
+ * @param {Object} value - Parsed model output
+ * @returns {Object} - { valid, errors, value } with unknown keys dropped
+ */
+export function validateAnalysis(value) {
+  const errors = [];
+
+  // Plain-string TL;DR points (the original format) are still accepted
+  if (Array.isArray(value?.tldr)) {
+    value = { ...value, tldr: value.tldr.map(point => (typeof point === 'string' ? { point } : point)) };
+  }
+
+  const normalized = checkNode(value, ANALYSIS_SCHEMA, 'analysis', errors);
+
+  return { valid: errors.length === 0, errors, value: normalized };
+}
+
+/**
+ * Fixes the most common ways models break JSON: code fences, chatter
+ * around the object and trailing commas
+ * @param {string} raw - Raw model output
+ * @returns {string} - Text that is more likely to parse
+ */
+export function repairJson(raw) {
+  let text = String(raw || '').replace(/```(?:json)?/gi, '').trim();
+
+  const firstBrace = text.indexOf('{');
+  const lastBrace = text.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace > firstBrace) {
+    text = text.slice(firstBrace, lastBrace + 1);
+  }
+
+  return text.replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Validates a parsed comparison against COMPARISON_SCHEMA
+ * @param {Object} value - Parsed model output
+ * @returns {Object} - { valid, errors, value } with unknown keys dropped
+ */
+export function validateComparison(value) {
+  const errors = [];
+  const normalized = checkNode(value, COMPARISON_SCHEMA, 'comparison', errors);
+
+  return { valid: errors.length === 0, errors, value: normalized };
+}
+
+/**
+ * Parses raw model output as JSON and validates it
+ * @param {string} raw - Raw model output
+ * @param {Function} validate - Validator such as validateAnalysis
+ * @returns {Object} - { valid, errors, value }
+ */
+function parseWith(raw, validate) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    try {
+      parsed = JSON.parse(repairJson(raw));
+    } catch (error) {
+      return { valid: false, errors: [`Response is not valid JSON (${error.message})`], value: null };
+    }
+  }
+
+  return validate(parsed);
+}
+
+/**
+ * Parses and validates raw model output
+ * @param {string} raw - Raw model output
+ * @returns {Object} - { valid, errors, value }
+ */
+export function parseAnalysis(raw) {
+  return parseWith(raw, validateAnalysis);
+}
+
+/**
+ * Parses and validates a raw model comparison of two document versions
+ * @param {string} raw - Raw model output
+ * @returns {Object} - { valid, errors, value }
+ */
+export function parseComparison(raw) {
+  return parseWith(raw, validateComparison);
+}
+
+/**
+ * Gets the text of a TL;DR point; analyses saved before citations used plain strings
+ * @param {Object|string} point - TL;DR point
+ * @returns {string} - Point text
+ */
+export function getPointText(point) {
+  return typeof point === 'string' ? point : point.point;
+}
+
+/**
+ * Maps a structured analysis onto the documentHistory summary fields
+ * @param {Object} analysis - Valid structured analysis
+ * @returns {Object} - summary, keyPoints and warningFlags
+ */
+export function toHistoryFields(analysis) {
+  return {
+    summary: analysis.verdict.summary,
+    keyPoints: analysis.tldr.map(getPointText),
+    warningFlags: analysis.redFlags.map((flag) => `[${flag.severity.toUpperCase()}] ${flag.title}: ${flag.explanation}`)
+  };
+}
@@ -0,0 +1,837 @@
+/**
+ * Document Analysis Service
+ * 
+ * This service builds the prompts and runs the document analysis pipeline on
+ * whichever LLM provider is configured (OpenAI, a local server or the mock).
+ * It runs on the server only, so API keys never reach the browser.
+ */
+
+import { getProvider, withRetries } from './llm/index.js';
+import { chunkDocument } from './documentChunker.js';
+import { ANALYSIS_JSON_FORMAT, COMPARISON_JSON_FORMAT, parseAnalysis, parseComparison, toHistoryFields, getPointText } from './analysisSchema.js';
+import { verifyQuotes } from './citations.js';
+import { diffDocuments } from './documentDiff.js';
+import { renderAnalysisMarkdown, createStreamingRenderer } from './analysisFormatter.js';
+import { promptRegistry } from './promptRegistry.js';
+
+// Partial notes only need to be short; the merge step writes the full report
+const CHUNK_NOTES_MAX_TOKENS = 600;
+
+// The first answer plus this many repair attempts when the JSON doesn't match the schema
+const MAX_STRUCTURE_ATTEMPTS = 3;
+
+// Earlier chat messages sent back with each follow-up question
+const CHAT_HISTORY_MESSAGES = 10;
+
+// Size of the pieces a long document is cut into when picking text for a question
+const CHAT_EXCERPT_CHARS = 3000;
+
+// Changes sent to the model in one comparison, and how much of each clause it sees
+const MAX_COMPARE_CHANGES = 40;
+const MAX_COMPARE_CLAUSE_CHARS = 1500;
+
+// Short words that say nothing about which part of a document a question is about
+const QUESTION_STOP_WORDS = new Set(['what', 'when', 'where', 'which', 'they', 'them', 'their', 'this', 'that', 'with', 'have', 'does', 'will', 'would', 'could', 'should', 'about', 'from', 'your', 'there', 'these', 'those', 'into', 'just', 'also', 'than', 'then', 'were', 'been', 'being', 'much', 'many', 'some', 'only', 'other']);
+
+// Matches User.documentHistory.documentType; each type has a type-<id> prompt template
+export const DOCUMENT_TYPES = ['tos', 'privacy-policy', 'eula', 'cookie-policy', 'refund-policy', 'sla', 'nda', 'lease', 'employment-offer', 'other'];
+
+// Matches User.preferences.simplificationLevel
+export const SIMPLIFICATION_LEVELS = ['basic', 'detailed', 'technical'];
+export const DEFAULT_SIMPLIFICATION_LEVEL = 'detailed';
+
+// Matches the limits on User.concerns
+export const MAX_CONCERNS = 10;
+export const MAX_CONCERN_CHARS = 200;
+
+class AnalysisService {
+  // Settings are read on access because dotenv loads after module imports
+  get provider() {
+    return getProvider();
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  get maxTokens() {
+    return parseInt(process.env.LLM_MAX_TOKENS || process.env.OPENAI_MAX_TOKENS || '1500');
+  }
+
+  // Documents longer than this are analyzed part by part and then merged
+  get chunkSize() {
+    return parseInt(process.env.ANALYSIS_CHUNK_CHARS || '6000');
+  }
+
+  // How much of the document is sent with a follow-up question
+  get chatContextChars() {
+    return parseInt(process.env.CHAT_CONTEXT_CHARS || '24000');
+  }
+
+  /**
+   * Validates if the selected LLM provider can be used
+   */
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  /**
+   * Simplifies a Terms of Service document using the configured LLM provider
+   * 
+   * Short documents are analyzed in one request. Longer ones are split into
+   * clause-aware chunks, each chunk is analyzed on its own (map) and the
+   * partial notes are merged into one final report (reduce).
+   * @param {string} documentText - The raw document text to simplify
+   * @param {string} documentType - Type of document, one of DOCUMENT_TYPES
+   * @param {Object} options - Analysis options
+   * @param {string} options.simplificationLevel - 'basic', 'detailed' or 'technical'
+   * @param {Array<string>} options.concerns - The user's concern watchlist, answered in the report's concerns section
+   * @param {Function} options.onProgress - Progress callback, called once per chunk and before each retry
+   * @param {Function} options.onText - When given, the report so far is streamed through this callback as markdown
+   * @param {AbortSignal} options.signal - Cancels the analysis
+   * @param {Function} options.onUsage - Called with the tokens of every model request, for metering
+   * @returns {Promise<Object>} - Structured analysis, markdown report and coverage details
+   */
+  async simplifyDocument(documentText, documentType = 'tos', { simplificationLevel = DEFAULT_SIMPLIFICATION_LEVEL, concerns = [], onProgress = () => {}, onText, signal, onUsage } = {}) {
+    const provider = this.provider;
+
+    if (!provider.isConfigured()) {
+      throw new Error(`The "${provider.name}" LLM provider is not configured. Check the LLM_PROVIDER settings in the server environment variables.`);
+    }
+
+    if (!documentText || documentText.trim().length === 0) {
+      throw new Error('Document text cannot be empty');
+    }
+
+    // Retries keep the progress bar where it is and only change the message
+    let currentProgress = 0;
+    const reportProgress = (event) => {
+      currentProgress = event.progress;
+      onProgress(event);
+    };
+    const onRetry = (retry) => reportProgress({
+      step: 'retrying',
+      progress: currentProgress,
+      retry,
+      message: `${retry.reason}, retrying in ${Math.ceil(retry.delayMs / 1000)}s (retry ${retry.attempt} of ${retry.maxRetries})...`
+    });
+
+    try {
+      const chunks = chunkDocument(documentText, { maxChars: this.chunkSize });
+      let structured;
+      let parts;
+      // The prompt that produced the final report comes first
+      let prompts;
+
+      if (chunks.length <= 1) {
+        reportProgress({ step: 'analyzing', progress: 0, chunk: 1, totalChunks: 1, message: 'Analyzing document with AI...' });
+
+        const prompt = this.createPrompt(documentText, documentType, simplificationLevel, concerns);
+        structured = await this.generateStructuredReport(prompt, { onText, onRetry, signal, onUsage, jsonFormat: this.getAnalysisFormat(concerns) });
+        parts = chunks.map(chunk => this.describePart(chunk, 'analyzed'));
+        prompts = [prompt];
+      } else {
+        ({ structured, parts, prompts } = await this.analyzeInChunks(chunks, documentType, { simplificationLevel, concerns, onProgress: reportProgress, onText, onRetry, signal, onUsage }));
+      }
+
+      structured = this.matchConcernAnswers(structured, concerns);
+
+      reportProgress({ step: 'analyzed', progress: 100, message: 'Analysis complete' });
+
+      // Link each quoted point back to its passage in the original text, and catch made-up quotes
+      const checked = verifyQuotes(structured, documentText);
+      structured = checked.analysis;
+      this.logVerification(checked.verification);
+      const simplifiedContent = renderAnalysisMarkdown(structured);
+
+      return {
+        original: documentText,
+        simplified: simplifiedContent,
+        structured,
+        ...toHistoryFields(structured),
+        wordCount: {
+          original: documentText.split(/\s+/).length,
+          simplified: simplifiedContent.split(/\s+/).length
+        },
+        coverage: this.buildCoverage(documentText, parts),
+        verification: checked.verification,
+        simplificationLevel,
+        timestamp: new Date().toISOString(),
+        model: provider.model,
+        provider: provider.name,
+        promptTemplateId: prompts[0].id,
+        promptTemplateVersion: prompts[0].version,
+        promptTemplates: [...new Set([this.getSystemPrompt(), ...prompts].flatMap(prompt => prompt.templates))],
+        success: true
+      };
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
+      console.error('Analysis Service Error:', error);
+      // Keep the error code so the route can tell rate limits and timeouts apart
+      throw Object.assign(new Error(`Failed to simplify document: ${error.message}`), { code: error.code });
+    }
+  }
+
+  /**
+   * Points a finished analysis at another copy of the same document
+   *
+   * Used for cached analyses: the copy may differ in whitespace, so the
+   * quotes are checked again to get citations into this copy's text. The
+   * coverage parts are found again too, since their offsets point into the
+   * cached copy; only complete analyses are cached, so every part counts as analyzed.
+   * @param {Object} analysis - Result of simplifyDocument
+   * @param {string} documentText - The copy of the document that was submitted
+   * @returns {Object} - The analysis with its original text, citations, coverage and markdown report updated
+   */
+  rebaseAnalysis(analysis, documentText) {
+    const checked = verifyQuotes(analysis.structured, documentText);
+    const simplifiedContent = renderAnalysisMarkdown(checked.analysis);
+    const parts = chunkDocument(documentText, { maxChars: this.chunkSize }).map(chunk => this.describePart(chunk, 'analyzed'));
+
+    return {
+      ...analysis,
+      original: documentText,
+      simplified: simplifiedContent,
+      structured: checked.analysis,
+      ...toHistoryFields(checked.analysis),
+      wordCount: {
+        original: documentText.split(/\s+/).length,
+        simplified: simplifiedContent.split(/\s+/).length
+      },
+      coverage: this.buildCoverage(documentText, parts),
+      verification: checked.verification
+    };
+  }
+
+  /**
+   * Compares two versions of a document and explains what changed
+   * 
+   * The documents are diffed clause by clause on the server; the model only
+   * sees the changed clauses and explains each one, so it can't comment on
+   * text that stayed the same.
+   * @param {string} beforeText - Old version
+   * @param {string} afterText - New version
+   * @param {string} documentType - Type of document
+   * @param {Object} options - Request options
+   * @param {Function} options.onRetry - Called before each retry
+   * @param {AbortSignal} options.signal - Cancels the comparison
+   * @param {Function} options.onUsage - Called with the tokens of every model request, for metering
+   * @returns {Promise<Object>} - Changes with explanations, stats, summary and verdict
+   */
+  async compareDocuments(beforeText, afterText, documentType = 'tos', { onRetry, signal, onUsage } = {}) {
+    const provider = this.provider;
+
+    if (!provider.isConfigured()) {
+      throw new Error(`The "${provider.name}" LLM provider is not configured. Check the LLM_PROVIDER settings in the server environment variables.`);
+    }
+
+    const { changes, stats } = diffDocuments(beforeText, afterText);
+    const result = {
+      stats,
+      documentType,
+      timestamp: new Date().toISOString(),
+      success: true
+    };
+
+    // Nothing for the model to explain
+    if (changes.length === 0) {
+      return {
+        ...result,
+        changes,
+        summary: ['The two versions say the same thing; only spacing, capitals or clause numbers differ.'],
+        verdict: { rating: 'neutral', summary: 'Nothing in the new version changes what you are agreeing to.' },
+        explainedChanges: 0
+      };
+    }
+
+    try {
+      const shown = changes.slice(0, MAX_COMPARE_CHANGES);
+      const prompt = this.createComparePrompt(shown, changes.length, documentType);
+      const comparison = await this.generateStructuredReport(prompt, {
+        onRetry,
+        signal,
+        onUsage,
+        parse: parseComparison,
+        jsonFormat: COMPARISON_JSON_FORMAT
+      });
+
+      // Explanations for ids that aren't in the diff are dropped
+      const explanations = new Map(comparison.changes.map(change => [change.id.toUpperCase(), change]));
+      const explained = changes.map((change) => {
+        const explanation = explanations.get(change.id);
+        return explanation ? { ...change, impact: explanation.impact, explanation: explanation.explanation } : change;
+      });
+
+      return {
+        ...result,
+        changes: explained,
+        summary: comparison.summary,
+        verdict: comparison.verdict,
+        explainedChanges: explained.filter(change => change.explanation).length,
+        model: provider.model,
+        provider: provider.name,
+        promptTemplateId: prompt.id,
+        promptTemplateVersion: prompt.version,
+        promptTemplates: [...new Set([this.getSystemPrompt(), prompt].flatMap(entry => entry.templates))]
+      };
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
+      console.error('Comparison Service Error:', error);
+      throw Object.assign(new Error(`Failed to compare documents: ${error.message}`), { code: error.code });
+    }
+  }
+
+  /**
+   * Lines the model's concern answers up with the user's concerns
+   * 
+   * Every concern gets exactly one answer, under the user's own wording:
+   * answers are matched by concern text, then by position, and a concern the
+   * model skipped is answered "unclear" rather than left out.
+   * @param {Object} structured - Valid structured analysis
+   * @param {Array<string>} concerns - The user's concerns
+   * @returns {Object} - Analysis with one concerns entry per concern, or none when there are no concerns
+   */
+  matchConcernAnswers(structured, concerns) {
+    const { concerns: answers = [], ...analysis } = structured;
+    if (concerns.length === 0) {
+      return analysis;
+    }
+
+    const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const wanted = concerns.map(normalize);
+    const byConcern = new Map(answers.map(answer => [normalize(answer.concern), answer]));
+
+    return {
+      ...analysis,
+      concerns: concerns.map((concern, index) => {
+        const positional = answers[index] && !wanted.includes(normalize(answers[index].concern)) ? answers[index] : null;
+        const answer = byConcern.get(wanted[index]) || positional;
+
+        return answer
+          ? { ...answer, concern }
+          : { concern, question: concern, answer: 'unclear', explanation: 'The analysis did not cover this concern. Try asking about it in the follow-up chat.' };
+      })
+    };
+  }
+
+  /**
+   * Logs how many quotes in an analysis could be found in the document
+   * @param {Object} verification - Result of verifyQuotes
+   */
+  logVerification({ checked, verified, unverified, claims }) {
+    if (unverified === 0) {
+      console.log(`Quote check: all ${checked} quote(s) found in the document`);
+      return;
+    }
+
+    console.warn(`Quote check: ${unverified} of ${checked} quote(s) not found in the document (${verified} verified):`,
+      claims.map(claim => `${claim.list}[${claim.index}] "${claim.quote}"`));
+  }
+
+  /**
+   * Generates the final report as JSON and checks it against the analysis schema
+   * 
+   * The first answer is streamed when a text callback is given. Answers that
+   * don't parse or don't match the schema are sent back to the model to be fixed.
+   * @param {Object} prompt - Rendered report prompt
+   * @param {Object} options - Request options
+   * @param {Function} options.parse - Parser for the answer (parseAnalysis unless another schema is used)
+   * @param {string} options.jsonFormat - Format description for repair prompts, matching parse
+   * @returns {Promise<Object>} - Valid structured analysis
+   */
+  async generateStructuredReport(prompt, { onText, onRetry, signal, onUsage, parse = parseAnalysis, jsonFormat = ANALYSIS_JSON_FORMAT }) {
+    let raw;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_STRUCTURE_ATTEMPTS; attempt++) {
+      if (attempt === 1 && onText) {
+        const renderer = createStreamingRenderer(onText);
+        raw = await this.streamCompletion(prompt, { onToken: renderer.onToken, onRetry, signal, onUsage, json: true });
+        renderer.flush();
+      } else if (attempt === 1) {
+        raw = await this.requestCompletion(prompt, { onRetry, signal, onUsage, json: true });
+      } else {
+        raw = await this.requestCompletion(this.createRepairPrompt(raw, errors, jsonFormat), { onRetry, signal, onUsage, json: true });
+      }
+
+      const result = parse(raw);
+      if (result.valid) {
+        return result.value;
+      }
+
+      errors = result.errors;
+      console.warn(`Structured analysis attempt ${attempt} was invalid:`, errors.slice(0, 5));
+    }
+
+    throw new Error(`The AI response did not match the expected analysis format (${errors.slice(0, 3).join('; ')})`);
+  }
+
+  /**
+   * Runs the map-reduce analysis for documents that span several chunks
+   * @param {Array<Object>} chunks - Chunks from chunkDocument
+   * @param {string} documentType - Document type
+   * @param {Object} options - Level, concerns, progress, retry, token and cancellation options
+   * @returns {Promise<Object>} - Merged structured report, per-part coverage and the prompts used
+   */
+  async analyzeInChunks(chunks, documentType, { simplificationLevel, concerns = [], onProgress, onText, onRetry, signal, onUsage }) {
+    const totalChunks = chunks.length;
+    // One step per chunk plus the final merge
+    const totalSteps = totalChunks + 1;
+    const notes = [];
+    const parts = [];
+    const chunkPrompts = [];
+
+    for (const chunk of chunks) {
+      const partNumber = chunk.index + 1;
+      onProgress({
+        step: 'analyzing',
+        progress: Math.round((chunk.index / totalSteps) * 100),
+        chunk: partNumber,
+        totalChunks,
+        message: `Analyzing part ${partNumber} of ${totalChunks}${chunk.heading ? ` (${chunk.heading})` : ''}...`
+      });
+
+      try {
+        const chunkPrompt = this.createChunkPrompt(chunk, totalChunks, documentType, simplificationLevel, concerns);
+        chunkPrompts.push(chunkPrompt);
+        const chunkNotes = await this.requestCompletion(
+          chunkPrompt,
+          { maxTokens: Math.min(this.maxTokens, CHUNK_NOTES_MAX_TOKENS), onRetry, signal, onUsage }
+        );
+        notes.push({ partNumber, heading: chunk.heading, notes: chunkNotes });
+        parts.push(this.describePart(chunk, 'analyzed'));
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+
+        // Keep going so one bad part doesn't lose the whole document
+        console.error(`Chunk ${partNumber} analysis failed:`, error.message);
+        parts.push(this.describePart(chunk, 'failed', error.message));
+      }
+    }
+
+    if (notes.length === 0) {
+      throw new Error('None of the document parts could be analyzed');
+    }
+
+    onProgress({
+      step: 'merging',
+      progress: Math.round((totalChunks / totalSteps) * 100),
+      chunk: totalChunks,
+      totalChunks,
+      message: `Combining ${notes.length} analyzed parts into one report...`
+    });
+
+    const mergePrompt = this.createMergePrompt(notes, totalChunks, documentType, simplificationLevel, concerns);
+    const structured = await this.generateStructuredReport(mergePrompt, { onText, onRetry, signal, onUsage, jsonFormat: this.getAnalysisFormat(concerns) });
+
+    return { structured, parts, prompts: [mergePrompt, ...chunkPrompts] };
+  }
+
+  /**
+   * Answers a follow-up question about an analyzed document
+   * 
+   * The answer is grounded in the document's original text. Long documents
+   * are cut down to the parts that share the most words with the question.
+   * @param {Object} document - History entry (originalText, documentType, structuredAnalysis, summary)
+   * @param {Array<Object>} chat - Earlier messages ({ role, content })
+   * @param {string} question - The user's question
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {Function} options.onUsage - Called with the tokens the request used, for metering
+   * @returns {Promise<Object>} - Answer with the model and prompt template that produced it
+   */
+  async answerQuestion(document, chat, question, { signal, onUsage } = {}) {
+    const provider = this.provider;
+
+    if (!provider.isConfigured()) {
+      throw new Error(`The "${provider.name}" LLM provider is not configured. Check the LLM_PROVIDER settings in the server environment variables.`);
+    }
+
+    if (!document.originalText || document.originalText.trim().length === 0) {
+      throw new Error('This document has no original text to answer questions from');
+    }
+
+    const prompt = this.createChatPrompt(document, question);
+    const followUps = [
+      ...chat.slice(-CHAT_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: question }
+    ];
+
+    const answer = await this.requestCompletion(prompt, { followUps, signal, onUsage });
+
+    return {
+      answer: answer.trim(),
+      model: provider.model,
+      provider: provider.name,
+      promptTemplateId: prompt.id,
+      promptTemplateVersion: prompt.version
+    };
+  }
+
+  /**
+   * Picks the parts of a long document that are most likely to answer a question
+   * @param {string} text - Document text
+   * @param {string} question - The user's question
+   * @param {number} maxChars - Character budget
+   * @returns {Object} - { text, excerpted }
+   */
+  selectRelevantText(text, question, maxChars) {
+    if (text.length <= maxChars) {
+      return { text, excerpted: false };
+    }
+
+    const terms = [...new Set(question.toLowerCase().match(/[a-z]{4,}/g) || [])]
+      .filter(term => !QUESTION_STOP_WORDS.has(term));
+    // Small budgets still get a few pieces to choose from
+    const chunks = chunkDocument(text, { maxChars: Math.min(CHAT_EXCERPT_CHARS, Math.floor(maxChars / 3)) });
+
+    const scored = chunks.map((chunk) => {
+      const lower = chunk.text.toLowerCase();
+      const score = terms.reduce((total, term) => total + lower.split(term).length - 1, 0);
+      return { chunk, score };
+    });
+
+    // Best matches first; ties keep document order so the start of the document wins
+    const selected = [];
+    let used = 0;
+    scored
+      .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)
+      .forEach(({ chunk }) => {
+        if (used + chunk.text.length <= maxChars) {
+          selected.push(chunk);
+          used += chunk.text.length;
+        }
+      });
+
+    return {
+      text: selected
+        .sort((a, b) => a.index - b.index)
+        .map(chunk => chunk.text.trim())
+        .join('\n\n[...]\n\n'),
+      excerpted: true
+    };
+  }
+
+  /**
+   * Sends a prompt to the configured LLM provider, with a timeout and retries
+   * @param {Object} prompt - Rendered prompt from the prompt registry
+   * @param {Object} options - Request options
+   * @param {number} options.maxTokens - Maximum tokens in the completion
+   * @param {Array<Object>} options.followUps - Chat messages sent after the prompt
+   * @param {Function} options.onRetry - Called before each retry
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {boolean} options.json - Ask for a JSON object response
+   * @param {Function} options.onUsage - Called with the tokens the request used
+   * @returns {Promise<string>} - Completion text
+   */
+  async requestCompletion(prompt, { maxTokens = this.maxTokens, followUps = [], onRetry, signal, json = false, onUsage } = {}) {
+    const provider = this.provider;
+    const messages = this.buildMessages(prompt, followUps);
+
+    return withRetries(
+      (attemptSignal) => provider.complete(messages, { maxTokens, signal: attemptSignal, json, onUsage }),
+      { signal, onRetry }
+    );
+  }
+
+  /**
+   * Sends a prompt to the configured LLM provider and streams the answer back
+   * 
+   * The timeout restarts with every token. Once tokens have been sent on,
+   * a failure is not retried because the caller has already shown them.
+   * @param {Object} prompt - Rendered prompt from the prompt registry
+   * @param {Object} options - Request options
+   * @param {number} options.maxTokens - Maximum tokens in the completion
+   * @param {Function} options.onToken - Called with each piece of text as it arrives
+   * @param {Function} options.onRetry - Called before each retry
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {boolean} options.json - Ask for a JSON object response
+   * @param {Function} options.onUsage - Called with the tokens the request used
+   * @returns {Promise<string>} - Full completion text
+   */
+  async streamCompletion(prompt, { maxTokens = this.maxTokens, onToken = () => {}, onRetry, signal, json = false, onUsage } = {}) {
+    const provider = this.provider;
+    const messages = this.buildMessages(prompt);
+    let receivedTokens = false;
+
+    return withRetries(
+      (attemptSignal, touch) => provider.stream(messages, {
+        maxTokens,
+        json,
+        signal: attemptSignal,
+        onUsage,
+        onToken: (token) => {
+          receivedTokens = true;
+          touch();
+          onToken(token);
+        }
+      }),
+      { signal, onRetry, canRetry: () => !receivedTokens }
+    );
+  }
+
+  /**
+   * Gets the Dumbifier system prompt
+   * @returns {Object} - Rendered system prompt
+   */
+  getSystemPrompt() {
+    return promptRegistry.render('system');
+  }
+
+  /**
+   * Wraps a prompt with the Dumbifier system prompt
+   * @param {Object} prompt - Rendered prompt from the prompt registry
+   * @param {Array<Object>} followUps - Chat messages that come after the prompt
+   * @returns {Array<Object>} - Chat messages
+   */
+  buildMessages(prompt, followUps = []) {
+    return [
+      {
+        role: 'system',
+        content: this.getSystemPrompt().text
+      },
+      {
+        role: 'user',
+        content: prompt.text
+      },
+      ...followUps
+    ];
+  }
+
+  /**
+   * Describes one analyzed part of the document for the coverage report
+   * @param {Object} chunk - Chunk from chunkDocument
+   * @param {string} status - 'analyzed' or 'failed'
+   * @param {string} error - Failure reason, if any
+   * @returns {Object} - Part description
+   */
+  describePart(chunk, status, error) {
+    return {
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      heading: chunk.heading,
+      status,
+      ...(error && { error })
+    };
+  }
+
+  /**
+   * Summarizes which parts of the document made it into the report
+   * @param {string} text - Document text
+   * @param {Array<Object>} parts - Part descriptions
+   * @returns {Object} - Coverage summary
+   */
+  buildCoverage(text, parts) {
+    const analyzedParts = parts.filter(part => part.status === 'analyzed');
+
+    return {
+      complete: analyzedParts.length === parts.length,
+      totalParts: parts.length,
+      analyzedParts: analyzedParts.length,
+      totalChars: text.length,
+      analyzedChars: analyzedParts.reduce((sum, part) => sum + (part.end - part.start), 0),
+      parts
+    };
+  }
+
+  /**
+   * Creates a specialized prompt based on document type and simplification level
+   * @param {string} text - Document text
+   * @param {string} type - Document type
+   * @param {string} level - Simplification level
+   * @param {Array<string>} concerns - The user's concerns
+   * @returns {Object} - Rendered prompt ({ id, version, text, templates })
+   */
+  createPrompt(text, type, level = DEFAULT_SIMPLIFICATION_LEVEL, concerns = []) {
+    return promptRegistry.render('analysis', {
+      documentType: type.toUpperCase(),
+      typeInstructions: this.getTypeSpecificInstructions(type),
+      levelInstructions: this.getLevelInstructions(level),
+      jsonFormat: ANALYSIS_JSON_FORMAT,
+      concernInstructions: this.getConcernInstructions(concerns),
+      text
+    });
+  }
+
+  /**
+   * Gets the instructions for answering the user's concerns
+   * @param {Array<string>} concerns - The user's concerns
+   * @param {string} templateId - 'concerns' for the report, 'chunk-concerns' for part notes
+   * @returns {Object|string} - Rendered fragment, starting with a blank line, or '' without concerns
+   */
+  getConcernInstructions(concerns, templateId = 'concerns') {
+    if (concerns.length === 0) {
+      return '';
+    }
+
+    const instructions = promptRegistry.render(templateId, {
+      concernList: concerns.map((concern, index) => `- Concern ${index + 1}: ${concern}`).join('\n')
+    });
+    return { ...instructions, text: `\n\n${instructions.text}` };
+  }
+
+  /**
+   * Gets the JSON format a report must follow, including the concerns key when there are concerns
+   * @param {Array<string>} concerns - The user's concerns
+   * @returns {string} - Format description for repair prompts
+   */
+  getAnalysisFormat(concerns) {
+    const instructions = this.getConcernInstructions(concerns);
+    return instructions ? `${ANALYSIS_JSON_FORMAT}${instructions.text}` : ANALYSIS_JSON_FORMAT;
+  }
+
+  /**
+   * Creates the prompt for one part of a long document (map step)
+   * @param {Object} chunk - Chunk from chunkDocument
+   * @param {number} totalChunks - Number of chunks in the document
+   * @param {string} type - Document type
+   * @param {string} level - Simplification level
+   * @param {Array<string>} concerns - The user's concerns
+   * @returns {Object} - Rendered prompt
+   */
+  createChunkPrompt(chunk, totalChunks, type, level = DEFAULT_SIMPLIFICATION_LEVEL, concerns = []) {
+    // Only some levels change how the notes are taken
+    const levelNotes = promptRegistry.has(`chunk-level-${level}`) ? promptRegistry.render(`chunk-level-${level}`) : null;
+
+    return promptRegistry.render('chunk-notes', {
+      partNumber: chunk.index + 1,
+      totalParts: totalChunks,
+      documentType: type.toUpperCase(),
+      typeInstructions: this.getTypeSpecificInstructions(type),
+      levelNotes: levelNotes ? { ...levelNotes, text: `\n${levelNotes.text}` } : '',
+      concernNotes: this.getConcernInstructions(concerns, 'chunk-concerns'),
+      partHeading: chunk.heading ? ` (starts at "${chunk.heading}")` : '',
+      text: chunk.text
+    });
+  }
+
+  /**
+   * Creates the prompt that merges partial notes into one report (reduce step)
+   * @param {Array<Object>} notes - Notes for each analyzed part
+   * @param {number} totalChunks - Number of chunks in the document
+   * @param {string} type - Document type
+   * @param {string} level - Simplification level
+   * @param {Array<string>} concerns - The user's concerns
+   * @returns {Object} - Rendered prompt
+   */
+  createMergePrompt(notes, totalChunks, type, level = DEFAULT_SIMPLIFICATION_LEVEL, concerns = []) {
+    const partNotes = notes
+      .map(note => `### Part ${note.partNumber} of ${totalChunks}${note.heading ? ` (${note.heading})` : ''}\n${note.notes}`)
+      .join('\n\n');
+
+    return promptRegistry.render('merge', {
+      documentType: type.toUpperCase(),
+      totalParts: totalChunks,
+      typeInstructions: this.getTypeSpecificInstructions(type),
+      levelInstructions: this.getLevelInstructions(level),
+      jsonFormat: ANALYSIS_JSON_FORMAT,
+      concernInstructions: this.getConcernInstructions(concerns),
+      partNotes
+    });
+  }
+
+  /**
+   * Creates the prompt that asks the model to fix an answer that broke the schema
+   * @param {string} raw - Previous model answer
+   * @param {Array<string>} errors - Validation errors
+   * @param {string} jsonFormat - Format the answer should have followed
+   * @returns {Object} - Rendered prompt
+   */
+  createRepairPrompt(raw, errors, jsonFormat = ANALYSIS_JSON_FORMAT) {
+    return promptRegistry.render('repair', {
+      errors: errors.slice(0, 10).map(error => `- ${error}`).join('\n'),
+      jsonFormat,
+      raw
+    });
+  }
+
+  /**
+   * Creates the prompt that asks the model to explain the changes between two versions
+   * @param {Array<Object>} changes - Changes from diffDocuments
+   * @param {number} totalChanges - Number of changes before any were left out
+   * @param {string} type - Document type
+   * @returns {Object} - Rendered prompt
+   */
+  createComparePrompt(changes, totalChanges, type) {
+    const clip = (text) => (text.length > MAX_COMPARE_CLAUSE_CHARS ? `${text.slice(0, MAX_COMPARE_CLAUSE_CHARS)} [...]` : text);
+    const describe = (change) => {
+      const heading = (change.after || change.before).heading;
+      const lines = [`[${change.id}] ${change.type.toUpperCase()}${heading ? ` (${heading})` : ''}`];
+      if (change.before) {
+        lines.push(`${change.after ? 'BEFORE' : 'OLD'}: ${clip(change.before.text)}`);
+      }
+      if (change.after) {
+        lines.push(`${change.before ? 'AFTER' : 'NEW'}: ${clip(change.after.text)}`);
+      }
+      return lines.join('\n');
+    };
+
+    return promptRegistry.render('compare', {
+      documentType: type.toUpperCase(),
+      typeInstructions: this.getTypeSpecificInstructions(type),
+      changeCount: totalChanges,
+      omittedNote: changes.length < totalChanges ? `; only the first ${changes.length} are shown` : '',
+      jsonFormat: COMPARISON_JSON_FORMAT,
+      changes: changes.map(describe).join('\n\n')
+    });
+  }
+
+  /**
+   * Creates the prompt that grounds follow-up questions in the document
+   * @param {Object} document - History entry
+   * @param {string} question - The user's question, used to pick text from long documents
+   * @returns {Object} - Rendered prompt
+   */
+  createChatPrompt(document, question) {
+    const { text, excerpted } = this.selectRelevantText(document.originalText, question, this.chatContextChars);
+    const structured = document.structuredAnalysis;
+    const analysisSummary = structured
+      ? [
+        ...structured.tldr.map(point => `- ${getPointText(point)}`),
+        ...structured.redFlags.map(flag => `- Red flag (${flag.severity}): ${flag.title}`),
+        `Verdict: ${structured.verdict.summary}`
+      ].join('\n')
+      : document.summary || 'No summary was saved for this document.';
+
+    return promptRegistry.render('chat-context', {
+      documentType: (document.documentType || 'legal').toUpperCase(),
+      analysisSummary,
+      excerptNote: excerpted ? ' (only the parts most related to the latest question)' : '',
+      documentText: text
+    });
+  }
+
+  /**
+   * Gets the mission and writing style for a simplification level
+   * @param {string} level - 'basic', 'detailed' or 'technical'
+   * @returns {Object} - Rendered level-specific instructions
+   */
+  getLevelInstructions(level) {
+    const id = promptRegistry.has(`level-${level}`) ? `level-${level}` : `level-${DEFAULT_SIMPLIFICATION_LEVEL}`;
+    return promptRegistry.render(id);
+  }
+
+  /**
+   * Gets document type-specific instructions
+   * @param {string} type - Document type; types without their own template get the general one
+   * @returns {Object} - Rendered type-specific instructions
+   */
+  getTypeSpecificInstructions(type) {
+    return promptRegistry.render(promptRegistry.has(`type-${type}`) ? `type-${type}` : 'type-other');
+  }
+}
+
+// Export a singleton instance
+export const analysisService = new AnalysisService();
+export default analysisService;
@@ -0,0 +1,305 @@
+/**
+ * Citations
+ *
+ * Finds the passages quoted by a structured analysis in the original document
+ * so every point can link back to where the document says it, and flags the
+ * quotes that are not there at all (the model made them up). Quotes are
+ * matched loosely: case, whitespace, curly quotes and dashes are ignored, a
+ * quote the model shortened with "..." is matched by its longest piece, and a
+ * lightly reworded quote is matched by the words it shares with the document.
+ */
+
+// Characters the model may have "typed" differently from the document
+const CHARACTER_FOLDS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-'
+};
+
+// Pieces of an elided quote shorter than this match too many places to be trusted
+const MIN_PIECE_CHARS = 15;
+
+// Analysis lists whose items can carry a quote
+const CITED_LISTS = ['tldr', 'sections', 'redFlags', 'moneyAndPrivacy', 'rights', 'concerns'];
+
+// Share of a quote's words that must appear, in order, in the passage it matches
+const MIN_FUZZY_SIMILARITY = 0.8;
+
+// Quotes shorter than this are too generic to match loosely
+const MIN_FUZZY_WORDS = 4;
+
+// Only the windows around the quote's rarest words are compared, to keep long documents fast
+const FUZZY_ANCHOR_WORDS = 3;
+
+// Quoted passages inside explanations, e.g. they "may share your data with partners"
+const INLINE_QUOTE_PATTERN = /["“]([^"“”]{12,300})["”]/g;
+const INLINE_QUOTE_MIN_WORDS = 3;
+
+// Free-text fields that can contain inline quotes
+const TEXT_FIELDS = ['point', 'explanation', 'summary'];
+
+const WORD_PATTERN = /[a-z0-9]+(?:'[a-z]+)?/g;
+
+/**
+ * Normalizes text for matching and remembers where each character came from
+ * @param {string} text - Text to normalize
+ * @returns {Object} - { normalized, offsets } where offsets[i] is the source index of normalized[i]
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let previousWasSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = CHARACTER_FOLDS[text[i]] || text[i];
+
+    if (/\s/.test(char)) {
+      if (previousWasSpace) {
+        continue;
+      }
+      char = ' ';
+      previousWasSpace = true;
+    } else {
+      previousWasSpace = false;
+    }
+
+    normalized += char.toLowerCase();
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Normalizes a quote the same way as the document, minus any wrapping quote marks
+ * @param {string} quote - Quote from the model
+ * @returns {string} - Normalized quote
+ */
+function normalizeQuote(quote) {
+  return normalizeWithOffsets(quote).normalized
+    .trim()
+    .replace(/^["']+|["']+$/g, '')
+    .trim();
+}
+
+/**
+ * Finds a quote in a document
+ * @param {Object} document - Result of normalizeWithOffsets for the document
+ * @param {string} quote - Quote from the model
+ * @returns {Object|null} - { start, end } character offsets in the original text, or null
+ */
+function findQuote(document, quote) {
+  const normalizedQuote = normalizeQuote(quote);
+  if (!normalizedQuote) {
+    return null;
+  }
+
+  // Try the whole quote first, then the longest pieces of an elided one
+  const candidates = [
+    normalizedQuote,
+    ...normalizedQuote
+      .split(/\s*(?:\.\.\.|…)\s*/)
+      .filter(piece => piece.length >= MIN_PIECE_CHARS && piece !== normalizedQuote)
+      .sort((a, b) => b.length - a.length)
+  ];
+
+  for (const candidate of candidates) {
+    const index = document.normalized.indexOf(candidate);
+    if (index !== -1) {
+      return {
+        start: document.offsets[index],
+        end: document.offsets[index + candidate.length - 1] + 1
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits normalized text into words, remembering where each one is in the original text
+ * @param {Object} document - Result of normalizeWithOffsets
+ * @returns {Array<Object>} - Words ({ word, start, end })
+ */
+function toWords(document) {
+  return [...document.normalized.matchAll(WORD_PATTERN)].map(match => ({
+    word: match[0],
+    start: document.offsets[match.index],
+    end: document.offsets[match.index + match[0].length - 1] + 1
+  }));
+}
+
+/**
+ * Counts the words two lists have in common, in order (longest common subsequence)
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {number} - Number of shared words
+ */
+function countSharedWords(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [0];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Finds the passage that best matches a reworded quote
+ *
+ * Windows of the document around the quote's rarest words are compared with
+ * the quote word by word; the best one counts if enough of the quote's words
+ * appear in it in the same order.
+ * @param {Object} document - Prepared document (normalizeWithOffsets result plus words and wordCounts)
+ * @param {string} quote - Quote from the model
+ * @returns {Object|null} - { start, end, approximate: true } or null
+ */
+function findQuoteFuzzy(document, quote) {
+  const quoteWords = normalizeQuote(quote).match(WORD_PATTERN) || [];
+  if (quoteWords.length < MIN_FUZZY_WORDS) {
+    return null;
+  }
+
+  const anchors = [...new Set(quoteWords)]
+    .filter(word => document.wordCounts.has(word))
+    .sort((a, b) => document.wordCounts.get(a) - document.wordCounts.get(b))
+    .slice(0, FUZZY_ANCHOR_WORDS);
+
+  let best = null;
+  document.words.forEach((entry, index) => {
+    if (!anchors.includes(entry.word)) {
+      return;
+    }
+
+    // Line the window up so the anchor sits where it does in the quote
+    const windowStart = Math.max(0, index - quoteWords.indexOf(entry.word));
+    const window = document.words.slice(windowStart, windowStart + quoteWords.length);
+    const similarity = countSharedWords(quoteWords, window.map(word => word.word)) / quoteWords.length;
+
+    if (similarity >= MIN_FUZZY_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { similarity, start: window[0].start, end: window[window.length - 1].end };
+    }
+  });
+
+  return best ? { start: best.start, end: best.end, approximate: true } : null;
+}
+
+/**
+ * Prepares a document for repeated lookups
+ * @param {string} text - Original document text
+ * @returns {Object} - Normalized text, offsets, words and how often each word appears
+ */
+function prepareDocument(text) {
+  const document = normalizeWithOffsets(text);
+  const words = toWords(document);
+  const wordCounts = new Map();
+  words.forEach(({ word }) => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+
+  return { ...document, words, wordCounts };
+}
+
+/**
+ * Finds a quote exactly (after normalizing) or, failing that, loosely
+ * @param {Object} document - Result of prepareDocument
+ * @param {string} quote - Quote from the model
+ * @returns {Object|null} - { start, end, approximate? } or null when the quote is not in the document
+ */
+function matchQuote(document, quote) {
+  return findQuote(document, quote) || findQuoteFuzzy(document, quote);
+}
+
+/**
+ * Locates a single quote in a document
+ * @param {string} text - Original document text
+ * @param {string} quote - Quote to find
+ * @returns {Object|null} - { start, end, approximate? } or null when the quote is not in the text
+ */
+export function locateQuote(text, quote) {
+  return matchQuote(prepareDocument(text), quote);
+}
+
+/**
+ * Pulls the quoted passages out of a piece of free text
+ * @param {string} text - Explanation, point or summary
+ * @returns {Array<string>} - Quoted passages long enough to check
+ */
+function extractInlineQuotes(text) {
+  return [...(text || '').matchAll(INLINE_QUOTE_PATTERN)]
+    .map(match => match[1].trim())
+    .filter(quote => quote.split(/\s+/).length >= INLINE_QUOTE_MIN_WORDS);
+}
+
+/**
+ * Checks every quote in an analysis against the original document
+ *
+ * Items whose "quote" is found get a citation ({ start, end }, plus
+ * approximate: true for a loose match); items whose quote is not in the
+ * document are marked unverified. Passages quoted inside the explanations
+ * are checked too, and the ones that can't be found are listed in
+ * unverifiedQuotes.
+ * @param {Object} analysis - Valid structured analysis
+ * @param {string} text - Original document text
+ * @returns {Object} - { analysis, verification } where verification is { checked, verified, unverified, claims }
+ */
+export function verifyQuotes(analysis, text) {
+  const document = prepareDocument(text);
+  const claims = [];
+  let checked = 0;
+
+  const check = (entry, list, index) => {
+    // Results of an earlier check (e.g. against another copy of the text) are replaced
+    let checkedEntry = { ...entry };
+    delete checkedEntry.citation;
+    delete checkedEntry.unverified;
+    delete checkedEntry.unverifiedQuotes;
+    const title = entry.title || entry.point || entry.question || entry.rating;
+
+    if (entry.quote) {
+      checked++;
+      const citation = matchQuote(document, entry.quote);
+      if (citation) {
+        checkedEntry.citation = citation;
+      } else {
+        checkedEntry.unverified = true;
+        claims.push({ list, index, title, quote: entry.quote });
+      }
+    }
+
+    const unverifiedQuotes = TEXT_FIELDS
+      .flatMap(field => extractInlineQuotes(entry[field]))
+      .filter((quote) => {
+        checked++;
+        return !matchQuote(document, quote);
+      });
+
+    if (unverifiedQuotes.length > 0) {
+      checkedEntry = { ...checkedEntry, unverifiedQuotes };
+      unverifiedQuotes.forEach(quote => claims.push({ list, index, title, quote }));
+    }
+
+    return checkedEntry;
+  };
+
+  const checkedAnalysis = {
+    ...analysis,
+    // Concerns are only there when the user has some
+    ...Object.fromEntries(CITED_LISTS.filter(list => analysis[list]).map(list => [list, analysis[list].map((entry, index) => check(entry, list, index))])),
+    verdict: check(analysis.verdict, 'verdict', 0)
+  };
+
+  return {
+    analysis: checkedAnalysis,
+    verification: {
+      checked,
+      verified: checked - claims.length,
+      unverified: claims.length,
+      claims
+    }
+  };
+}
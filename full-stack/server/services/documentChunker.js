@@ -0,0 +1,184 @@
+/**
+ * Document Chunker
+ *
+ * Splits long legal documents into chunks that fit in a single model request.
+ * Chunks prefer to start at clause boundaries (headings, numbered clauses,
+ * paragraph breaks) so each one reads as a self-contained part of the document.
+ */
+
+// Lines that usually open a new clause: markdown headings, "Section 4", "12.3 ..." or "7) ..."
+const CLAUSE_PATTERN = /^\s*(?:#{1,6}\s+\S|(?:section|article|clause|part)\s+[\dIVXLC]+\b|\d+(?:\.\d+)+\.?\s+\S|\d+[.)]\s+\S)/i;
+
+// Short ALL CAPS lines are almost always titles ("LIMITATION OF LIABILITY")
+const CAPS_HEADING_PATTERN = /^\s*[A-Z][A-Z0-9 ,&'()/-]{3,80}\s*$/;
+
+// A sentence ends at . ! ? or ; followed by whitespace
+const SENTENCE_PATTERN = /[^.!?;]+(?:[.!?;]+["')\]]*\s*|$)/g;
+
+// Once a chunk is this full, a clause boundary is a good enough reason to start a new one
+const CLAUSE_BREAK_RATIO = 0.6;
+
+/**
+ * Splits text into line segments with their character offsets
+ * @param {string} text - Document text
+ * @returns {Array<Object>} - Segments with start, end and clauseStart flag
+ */
+function splitIntoLines(text) {
+  const segments = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let previousBlank = true;
+  let match;
+
+  while ((match = linePattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      break;
+    }
+
+    const line = match[0];
+    const isBlank = line.trim().length === 0;
+    const isHeading = !isBlank && (CLAUSE_PATTERN.test(line) || CAPS_HEADING_PATTERN.test(line));
+
+    segments.push({
+      start: match.index,
+      end: match.index + line.length,
+      clauseStart: !isBlank && (previousBlank || isHeading),
+      heading: isHeading && line.trim().length <= 100 ? line.trim() : null
+    });
+
+    previousBlank = isBlank;
+  }
+
+  return segments;
+}
+
+/**
+ * Breaks a segment that is longer than maxChars into sentence-sized pieces
+ * @param {string} text - Document text
+ * @param {Object} segment - Segment to split
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {Array<Object>} - Smaller segments
+ */
+function splitLongSegment(text, segment, maxChars) {
+  const pieces = [];
+  const segmentText = text.slice(segment.start, segment.end);
+  let match;
+
+  SENTENCE_PATTERN.lastIndex = 0;
+  while ((match = SENTENCE_PATTERN.exec(segmentText)) !== null) {
+    if (match[0].length === 0) {
+      SENTENCE_PATTERN.lastIndex++;
+      continue;
+    }
+
+    // A single run-on "sentence" can still be too long, so hard split it
+    for (let offset = 0; offset < match[0].length; offset += maxChars) {
+      const start = segment.start + match.index + offset;
+      pieces.push({
+        start,
+        end: Math.min(start + maxChars, segment.start + match.index + match[0].length),
+        clauseStart: pieces.length === 0 && segment.clauseStart,
+        heading: pieces.length === 0 ? segment.heading : null
+      });
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Splits a document into clause-aware chunks
+ * @param {string} text - Document text
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @returns {Array<Object>} - Chunks with index, text, start, end and heading
+ */
+export function chunkDocument(text, { maxChars = 6000 } = {}) {
+  const segments = splitIntoLines(text).flatMap(segment =>
+    segment.end - segment.start > maxChars ? splitLongSegment(text, segment, maxChars) : [segment]
+  );
+
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && text.slice(current.start, current.end).trim().length > 0) {
+      chunks.push({
+        index: chunks.length,
+        start: current.start,
+        end: current.end,
+        heading: current.heading,
+        text: text.slice(current.start, current.end)
+      });
+    }
+    current = null;
+  };
+
+  segments.forEach(segment => {
+    if (current) {
+      const size = current.end - current.start;
+      const wouldOverflow = segment.end - current.start > maxChars;
+      const clauseBreak = segment.clauseStart && size >= maxChars * CLAUSE_BREAK_RATIO;
+
+      if (wouldOverflow || clauseBreak) {
+        flush();
+      }
+    }
+
+    if (!current) {
+      current = { start: segment.start, end: segment.end, heading: segment.heading };
+    } else {
+      current.end = segment.end;
+      current.heading = current.heading || segment.heading;
+    }
+  });
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Splits a document into its clauses: paragraphs and numbered or headed blocks
+ *
+ * A heading on a line of its own stays with the clause that follows it.
+ * @param {string} text - Document text
+ * @returns {Array<Object>} - Clauses with index, text, start, end and heading
+ */
+export function splitClauses(text) {
+  const clauses = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      clauses.push({ index: clauses.length, ...current, text: text.slice(current.start, current.end).trim() });
+    }
+    current = null;
+  };
+
+  splitIntoLines(text).forEach((segment) => {
+    const isBlank = text.slice(segment.start, segment.end).trim().length === 0;
+    const headingOnly = current && current.heading && text.slice(current.start, current.end).trim() === current.heading;
+
+    if (isBlank) {
+      if (!headingOnly) {
+        flush();
+      }
+      return;
+    }
+
+    // Two headings in a row (a title, then "1. Fees") are separate clauses
+    if (segment.clauseStart && current && (!headingOnly || segment.heading)) {
+      flush();
+    }
+
+    if (!current) {
+      current = { start: segment.start, end: segment.end, heading: segment.heading };
+    } else {
+      current.end = segment.end;
+    }
+  });
+
+  flush();
+  return clauses;
+}
+
+export default chunkDocument;
@@ -0,0 +1,230 @@
+/**
+ * Document Diff
+ *
+ * Compares two versions of a legal document clause by clause. Clauses that
+ * are the same in both versions (ignoring case, spacing and renumbering) line
+ * up the two documents; between them, an old and a new clause that share
+ * most of their words count as one modified clause, and the rest are
+ * removed or added.
+ */
+
+import { splitClauses } from './documentChunker.js';
+
+// Share of words an old and a new clause must have in common to count as the same clause, reworded
+const MODIFIED_SIMILARITY = 0.5;
+
+// Clauses longer than this (in words) are not diffed word by word
+const MAX_WORD_DIFF_WORDS = 1500;
+
+// Leading clause numbers ("4.", "12.3", "Section 7") are ignored so renumbering isn't a change
+const NUMBERING_PATTERN = /^\s*(?:(?:section|article|clause|part)\s+[\dIVXLC]+[.:)]?|\d+(?:\.\d+)*[.)]?)\s+/i;
+
+/**
+ * Reduces a clause to the text that matters for matching
+ * @param {string} text - Clause text
+ * @returns {string} - Lowercase text without numbering or extra whitespace
+ */
+function toKey(text) {
+  return text.replace(NUMBERING_PATTERN, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the longest run of equal items two lists share, in order
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @param {Function} equals - Compares an item of a with an item of b
+ * @returns {Array<Array<number>>} - Matching [indexInA, indexInB] pairs, in order
+ */
+function longestCommonSubsequence(a, b, equals = (x, y) => x === y) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = equals(a[i], b[j])
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (equals(a[i], b[j])) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Measures how many words two clauses share (Dice coefficient over distinct words)
+ * @param {string} a - First clause key
+ * @param {string} b - Second clause key
+ * @returns {number} - Similarity from 0 to 1
+ */
+function wordSimilarity(a, b) {
+  const wordsA = new Set(a.match(/[a-z0-9']+/g) || []);
+  const wordsB = new Set(b.match(/[a-z0-9']+/g) || []);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) {
+      shared++;
+    }
+  });
+
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Diffs two versions of a clause word by word
+ * @param {string} before - Old clause text
+ * @param {string} after - New clause text
+ * @returns {Array<Object>|null} - Runs of { type: 'same' | 'removed' | 'added', text }, or null for very long clauses
+ */
+export function diffWords(before, after) {
+  const oldWords = before.split(/\s+/).filter(Boolean);
+  const newWords = after.split(/\s+/).filter(Boolean);
+  if (oldWords.length > MAX_WORD_DIFF_WORDS || newWords.length > MAX_WORD_DIFF_WORDS) {
+    return null;
+  }
+
+  const runs = [];
+  const push = (type, word) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      runs.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  const catchUp = (oldIndex, newIndex) => {
+    for (; i < oldIndex; i++) {
+      push('removed', oldWords[i]);
+    }
+    for (; j < newIndex; j++) {
+      push('added', newWords[j]);
+    }
+  };
+
+  longestCommonSubsequence(oldWords, newWords, (x, y) => x.toLowerCase() === y.toLowerCase()).forEach(([oldIndex, newIndex]) => {
+    catchUp(oldIndex, newIndex);
+    push('same', newWords[j]);
+    i++;
+    j++;
+  });
+  catchUp(oldWords.length, newWords.length);
+
+  return runs;
+}
+
+/**
+ * Pairs up the removed and added clauses between two unchanged ones
+ * @param {Array<Object>} removed - Old clauses in the gap
+ * @param {Array<Object>} added - New clauses in the gap
+ * @returns {Array<Object>} - Changes in document order
+ */
+function alignGap(removed, added) {
+  const pairs = [];
+  const usedNew = new Set();
+
+  // Best matches first, so each old clause is paired with the new clause most like it;
+  // clauses under the same heading are paired even when the wording changed a lot
+  removed
+    .flatMap(oldClause => added.map(newClause => ({
+      oldClause,
+      newClause,
+      similarity: wordSimilarity(oldClause.key, newClause.key),
+      sameHeading: Boolean(oldClause.heading && newClause.heading && toKey(oldClause.heading) === toKey(newClause.heading))
+    })))
+    .filter(candidate => candidate.similarity >= MODIFIED_SIMILARITY || candidate.sameHeading)
+    .sort((a, b) => (b.sameHeading - a.sameHeading) || (b.similarity - a.similarity))
+    .forEach((candidate) => {
+      if (!candidate.oldClause.paired && !usedNew.has(candidate.newClause)) {
+        candidate.oldClause.paired = true;
+        usedNew.add(candidate.newClause);
+        pairs.push(candidate);
+      }
+    });
+
+  const changes = [
+    ...pairs.map(({ oldClause, newClause, similarity }) => ({
+      type: 'modified',
+      before: oldClause,
+      after: newClause,
+      similarity: Math.round(similarity * 100) / 100,
+      words: diffWords(oldClause.text, newClause.text)
+    })),
+    ...removed.filter(clause => !clause.paired).map(clause => ({ type: 'removed', before: clause })),
+    ...added.filter(clause => !usedNew.has(clause)).map(clause => ({ type: 'added', after: clause }))
+  ];
+
+  // New-document order, with removed clauses where they used to be
+  const position = (change) => (change.after ? change.after.index : change.before.nextNewIndex - 0.5);
+  return changes.sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Strips the working fields from a clause before it is returned
+ * @param {Object} clause - Clause with matching fields
+ * @returns {Object} - { index, heading, text, start, end }
+ */
+function publicClause({ index, heading, text, start, end }) {
+  return { index, heading, text, start, end };
+}
+
+/**
+ * Compares two versions of a document clause by clause
+ * @param {string} beforeText - Old version
+ * @param {string} afterText - New version
+ * @returns {Object} - { changes, stats } where each change is { id, type, before?, after?, similarity?, words? }
+ */
+export function diffDocuments(beforeText, afterText) {
+  const oldClauses = splitClauses(beforeText).map(clause => ({ ...clause, key: toKey(clause.text) }));
+  const newClauses = splitClauses(afterText).map(clause => ({ ...clause, key: toKey(clause.text) }));
+
+  const anchors = longestCommonSubsequence(oldClauses.map(clause => clause.key), newClauses.map(clause => clause.key));
+  const changes = [];
+  let oldStart = 0;
+  let newStart = 0;
+
+  [...anchors, [oldClauses.length, newClauses.length]].forEach(([oldIndex, newIndex]) => {
+    const removed = oldClauses.slice(oldStart, oldIndex).map(clause => ({ ...clause, nextNewIndex: newIndex }));
+    const added = newClauses.slice(newStart, newIndex);
+    changes.push(...alignGap(removed, added));
+    oldStart = oldIndex + 1;
+    newStart = newIndex + 1;
+  });
+
+  const numbered = changes.map((change, index) => ({
+    id: `C${index + 1}`,
+    ...change,
+    ...(change.before && { before: publicClause(change.before) }),
+    ...(change.after && { after: publicClause(change.after) })
+  }));
+
+  return {
+    changes: numbered,
+    stats: {
+      added: numbered.filter(change => change.type === 'added').length,
+      removed: numbered.filter(change => change.type === 'removed').length,
+      modified: numbered.filter(change => change.type === 'modified').length,
+      unchanged: anchors.length
+    }
+  };
+}
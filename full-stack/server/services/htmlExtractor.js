@@ -0,0 +1,335 @@
+/**
+ * HTML Text Extractor
+ *
+ * Pulls the main text out of a web page for analysis: the page is parsed into
+ * a small element tree, scripts and page furniture (navigation, site headers
+ * and footers, cookie banners, sidebars) are dropped, and what is left is
+ * written out as paragraphs with markdown headings, list items and table
+ * rows, the same shape the file extractors produce.
+ */
+
+// Elements whose content is never text a reader sees
+const RAW_TEXT_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object', 'canvas', 'textarea', 'select', 'button'];
+
+// Elements without a closing tag
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Elements that start a new paragraph of their own
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+// A <p> or <li> is closed by the next one even without its end tag
+const AUTO_CLOSED_BY = {
+  p: new Set([...BLOCK_TAGS].filter(tag => !['body', 'main', 'article', 'section', 'div'].includes(tag))),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  tr: new Set(['tr']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr'])
+};
+
+// Always page furniture rather than content
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'form', 'dialog', 'menu']);
+const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog']);
+
+// Class or id words used for banners and furniture, e.g. "cookie-banner", "site_nav"
+const BOILERPLATE_NAME_PATTERN = /(?:^|[\s_-])(?:cookies?|consent|gdpr|banner|newsletter|subscribe|breadcrumbs?|share|social|sidebar|nav|navbar|menu|popup|modal|skip|promo|advert|ads)(?:[\s_-]|$)/i;
+
+// An element matching BOILERPLATE_NAME_PATTERN is only dropped if it is this short and has no
+// headings, since a cookie policy may well sit in a <div class="cookie-policy">
+const MAX_BOILERPLATE_LENGTH = 1500;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  sect: '§', para: '¶', copy: '©', reg: '®', trade: '™', deg: '°', euro: '€', pound: '£', shy: ''
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of source.matchAll(/([^\s=/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+  }
+  return attributes;
+};
+
+const collapseSpaces = (text) => text.replace(/[ \t\r\n\f\u00a0]+/g, ' ');
+
+const joinBlocks = (blocks) => blocks.filter(Boolean).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+const formatTableRow = (cells) => `| ${cells.map(cell => cell.replace(/\s*\n+\s*/g, ' ')).join(' | ')} |`;
+
+class HtmlExtractor {
+  /**
+   * Extracts the title and main text of a web page
+   * @param {string} html - Page source
+   * @returns {Object} - { title, text }
+   */
+  extract(html) {
+    const root = this.parse(html);
+    const title = this.readTitle(root);
+
+    const body = this.find(root, node => node.tag === 'body') || root;
+    this.removeBoilerplate(body, false);
+
+    // Pages that mark their main content make the job easy
+    const main = this.find(body, node => node.tag === 'main' || node.attributes.role === 'main');
+    const articles = main ? [] : this.findAll(body, node => node.tag === 'article');
+    const content = main || (articles.length === 1 ? articles[0] : body);
+
+    return { title, text: joinBlocks(this.readBlocks(content)) };
+  }
+
+  /**
+   * Parses HTML into a tree of { tag, attributes, children } nodes and text strings
+   *
+   * Forgiving rather than exact: stray end tags are ignored and unclosed
+   * elements are closed by their parent's end tag, which is enough to find
+   * where text sits on real-world pages.
+   * @param {string} html - Page source
+   * @returns {Object} - Root node
+   */
+  parse(html) {
+    const rawText = new RegExp(`<(${RAW_TEXT_TAGS.join('|')})\\b[^>]*>[\\s\\S]*?</\\1\\s*>`, 'gi');
+    const source = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+      .replace(rawText, '');
+
+    const root = { tag: '#root', attributes: {}, children: [] };
+    const stack = [root];
+
+    for (const [, closing, name, attributeSource, text] of source.matchAll(/<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+|<)/g)) {
+      const parent = stack[stack.length - 1];
+
+      if (text !== undefined) {
+        parent.children.push(decodeEntities(text));
+        continue;
+      }
+
+      const tag = name.toLowerCase();
+
+      if (closing) {
+        const index = stack.findLastIndex(node => node.tag === tag);
+        if (index > 0) {
+          stack.length = index;
+        }
+        continue;
+      }
+
+      // Close a <p>, <li> or cell the new element can't sit inside
+      while (AUTO_CLOSED_BY[stack[stack.length - 1].tag]?.has(tag)) {
+        stack.pop();
+      }
+
+      const node = { tag, attributes: parseAttributes(attributeSource), children: [] };
+      stack[stack.length - 1].children.push(node);
+
+      if (!VOID_TAGS.has(tag) && !attributeSource.trim().endsWith('/')) {
+        stack.push(node);
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Reads the page title, preferring the one meant for sharing
+   * @param {Object} root - Parsed page
+   * @returns {string} - Title, or '' when the page has none
+   */
+  readTitle(root) {
+    const ogTitle = this.find(root, node => node.tag === 'meta' && node.attributes.property === 'og:title');
+    const title = this.find(root, node => node.tag === 'title');
+    return collapseSpaces(ogTitle?.attributes.content || (title ? this.readText(title) : '')).trim();
+  }
+
+  /**
+   * Drops navigation, banners and other page furniture from a subtree
+   * @param {Object} node - Element to clean
+   * @param {boolean} inContent - Whether node is inside <main> or <article>, where <header> and <footer> belong to the text
+   */
+  removeBoilerplate(node, inContent) {
+    node.children = node.children.filter(child => typeof child === 'string' || !this.isBoilerplate(child, inContent));
+
+    node.children.forEach((child) => {
+      if (typeof child !== 'string') {
+        this.removeBoilerplate(child, inContent || ['main', 'article'].includes(child.tag) || child.attributes.role === 'main');
+      }
+    });
+  }
+
+  /**
+   * Tells whether an element is page furniture rather than content
+   * @param {Object} node - Element
+   * @param {boolean} inContent - Whether the element is inside the main content
+   * @returns {boolean} - True when the element should be dropped
+   */
+  isBoilerplate(node, inContent) {
+    const { attributes } = node;
+
+    if (BOILERPLATE_TAGS.has(node.tag) || BOILERPLATE_ROLES.has(attributes.role)) {
+      return true;
+    }
+    if (!inContent && ['header', 'footer'].includes(node.tag)) {
+      return true;
+    }
+    if ('hidden' in attributes || attributes['aria-hidden'] === 'true' || /display\s*:\s*none/i.test(attributes.style || '')) {
+      return true;
+    }
+
+    // Banners are short; anything long or with headings is kept to be safe
+    if (BOILERPLATE_NAME_PATTERN.test(`${attributes.class || ''} ${attributes.id || ''}`)) {
+      const hasHeading = this.find(node, child => /^h[1-3]$/.test(child.tag));
+      return !hasHeading && collapseSpaces(this.readText(node)).trim().length < MAX_BOILERPLATE_LENGTH;
+    }
+
+    return false;
+  }
+
+  /**
+   * Writes an element's content out as blocks of text
+   * @param {Object} node - Element
+   * @returns {Array<string>} - Paragraphs, headings, list items and table rows
+   */
+  readBlocks(node) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+      blocks.push(inline.replace(/ *\n */g, '\n').trim());
+      inline = '';
+    };
+
+    const walk = (children) => children.forEach((child) => {
+      if (typeof child === 'string') {
+        inline += collapseSpaces(child);
+      } else if (child.tag === 'br') {
+        inline += '\n';
+      } else if (['table', 'ul', 'ol', 'pre'].includes(child.tag) || /^h[1-6]$/.test(child.tag)) {
+        flush();
+        blocks.push(this.readSpecialBlock(child));
+      } else if (BLOCK_TAGS.has(child.tag) || ['header', 'footer', 'tr'].includes(child.tag)) {
+        flush();
+        blocks.push(...this.readBlocks(child));
+      } else {
+        // Inline elements (links, emphasis, spans) just add their text
+        walk(child.children);
+      }
+    });
+
+    walk(node.children);
+    flush();
+    return blocks.filter(Boolean);
+  }
+
+  /**
+   * Writes out a heading, list, table or preformatted block
+   * @param {Object} node - h1-h6, ul, ol, table or pre element
+   * @returns {string} - Text of the block
+   */
+  readSpecialBlock(node) {
+    if (node.tag === 'pre') {
+      return this.readText(node).replace(/^\n+|\s+$/g, '');
+    }
+
+    if (node.tag === 'table') {
+      return this.findAll(node, child => child.tag === 'tr')
+        .map(row => row.children.filter(cell => cell.tag === 'td' || cell.tag === 'th').map(cell => joinBlocks(this.readBlocks(cell))))
+        .filter(cells => cells.some(Boolean))
+        .map(formatTableRow)
+        .join('\n');
+    }
+
+    if (node.tag === 'ul' || node.tag === 'ol') {
+      return this.readList(node, 0);
+    }
+
+    const text = joinBlocks(this.readBlocks(node)).replace(/\s*\n+\s*/g, ' ');
+    return text && `${'#'.repeat(Number(node.tag[1]))} ${text}`;
+  }
+
+  /**
+   * Writes out a list, numbering ordered lists and indenting nested ones
+   * @param {Object} node - ul or ol element
+   * @param {number} level - Nesting depth
+   * @returns {string} - One line (or paragraph) per item
+   */
+  readList(node, level) {
+    const start = parseInt(node.attributes.start, 10);
+    let number = Number.isFinite(start) ? start : 1;
+
+    return node.children
+      .filter(child => child.tag === 'li')
+      .map((item) => {
+        const nested = item.children.filter(child => child.tag === 'ul' || child.tag === 'ol');
+        const text = joinBlocks(this.readBlocks({ ...item, children: item.children.filter(child => !nested.includes(child)) }));
+        const marker = node.tag === 'ol' ? `${number++}.` : '-';
+        const lines = text ? [`${'  '.repeat(level)}${marker} ${text}`] : [];
+        return [...lines, ...nested.map(list => this.readList(list, level + 1))].join('\n');
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Collects all text inside an element, as written
+   * @param {Object} node - Element
+   * @returns {string} - Text
+   */
+  readText(node) {
+    return node.children.map(child => (typeof child === 'string' ? child : child.tag === 'br' ? '\n' : this.readText(child))).join('');
+  }
+
+  /**
+   * Finds the first element in a subtree that matches
+   * @param {Object} node - Element to search in
+   * @param {Function} test - Called with each element
+   * @returns {Object|null} - Matching element
+   */
+  find(node, test) {
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        continue;
+      }
+      if (test(child)) {
+        return child;
+      }
+      const found = this.find(child, test);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds every element in a subtree that matches, outermost first
+   * @param {Object} node - Element to search in
+   * @param {Function} test - Called with each element
+   * @returns {Array<Object>} - Matching elements
+   */
+  findAll(node, test) {
+    return node.children.flatMap((child) => {
+      if (typeof child === 'string') {
+        return [];
+      }
+      return test(child) ? [child, ...this.findAll(child, test)] : this.findAll(child, test);
+    });
+  }
+}
+
+// Export a singleton instance
+export const htmlExtractor = new HtmlExtractor();
+export default htmlExtractor;
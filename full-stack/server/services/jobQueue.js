@@ -0,0 +1,357 @@
+/**
+ * Background Job Queue
+ *
+ * Runs analyses away from the request that submitted them, so closing or
+ * reloading the tab doesn't lose the work. Jobs live in Mongo (see
+ * models/Job.js), which lets any number of workers share the queue - the one
+ * inside the API server and any started with `npm run worker`.
+ *
+ * A worker claims the oldest queued job atomically, runs the LLM pipeline and
+ * writes progress, report snapshots and finally the result onto the job. While
+ * it runs, a heartbeat keeps the job's lock fresh and notices when the user
+ * cancelled it. A job whose worker died (no heartbeat for a while) is handed
+ * to another worker, up to MAX_ATTEMPTS times.
+ *
+ * A finished analysis is added to the user's document history as the job
+ * completes, so it is kept even if no tab was open to see it finish.
+ */
+
+import os from 'os';
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import { analysisCache } from './analysisCache.js';
+import { usageService } from './usageService.js';
+
+const DEFAULT_CONCURRENCY = 2;
+
+// How often an idle worker looks for new jobs
+const POLL_INTERVAL_MS = 2000;
+
+// How often a running job's lock is refreshed (and pending progress written)
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+// A running job whose worker has been silent this long is assumed abandoned
+const STALE_AFTER_MS = 60000;
+
+const MAX_ATTEMPTS = 3;
+
+// Progress and snapshots arrive many times a second while streaming; write them at most this often
+const UPDATE_INTERVAL_MS = 1000;
+
+// What a job that can't be tried again is marked with
+const abandonedFields = () => ({
+  status: 'failed',
+  error: { message: 'The analysis was interrupted too many times. Please try again.', code: 'JOB_ABANDONED' },
+  finishedAt: new Date()
+});
+
+// Jobs a user can have waiting or running at once
+export const MAX_ACTIVE_JOBS_PER_USER = 5;
+
+export const ACTIVE_STATUSES = ['queued', 'running'];
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = DEFAULT_CONCURRENCY;
+    // Abort controllers of the jobs this process is running, by job id
+    this.running = new Map();
+    this.timer = null;
+    this.isPolling = false;
+    this.isStopped = true;
+  }
+
+  /**
+   * Adds an analysis to the queue
+   * @param {string} userId - Owner of the job
+   * @param {Object} input - { text, filename, documentType, pages, ocr, simplificationLevel, concerns, refresh }
+   * @param {Object} options - Job options
+   * @param {string} options.usageReservation - Quota reserved for the job (see usageService.reserve)
+   * @returns {Promise<Object>} - The queued job
+   */
+  async enqueue(userId, input, { usageReservation } = {}) {
+    const job = await Job.create({ user: userId, input, usageReservation });
+
+    // A worker in this process picks it up straight away instead of at its next poll
+    this.wake();
+    return job;
+  }
+
+  /**
+   * Counts a user's queued and running jobs
+   * @param {string} userId - Job owner
+   * @returns {Promise<number>}
+   */
+  countActive(userId) {
+    return Job.countDocuments({ user: userId, status: { $in: ACTIVE_STATUSES } });
+  }
+
+  /**
+   * Cancels a job that hasn't finished
+   * @param {string} userId - Job owner
+   * @param {string} jobId - Job to cancel
+   * @returns {Promise<Object|null>} - The cancelled job, or null if it doesn't exist or already finished
+   */
+  async cancel(userId, jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, user: userId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'cancelled', finishedAt: new Date() } },
+      { new: true }
+    );
+
+    // A worker in this process stops now; one elsewhere notices at its next heartbeat.
+    // A job that never ran gives its reserved quota back; a running one settles it as it stops
+    if (job) {
+      this.running.get(String(job._id))?.abort();
+      if (job.attempts === 0) {
+        await usageService.release(job.usageReservation);
+      }
+    }
+    return job;
+  }
+
+  /**
+   * Starts working through the queue
+   * @param {Object} options - Worker options
+   * @param {number} options.concurrency - How many jobs run at once in this process
+   */
+  start({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+    if (!this.isStopped) {
+      return;
+    }
+
+    this.isStopped = false;
+    this.concurrency = concurrency;
+    console.log(`⚙️  Job worker ${this.workerId} started (${concurrency} at a time)`);
+    this.poll();
+  }
+
+  /**
+   * Stops taking jobs and puts the ones still running back in the queue for another worker
+   *
+   * A job on its last attempt fails instead, since no worker would claim it again.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isStopped = true;
+    clearTimeout(this.timer);
+
+    const jobIds = [...this.running.keys()];
+    this.running.forEach((controller) => controller.abort());
+    this.running.clear();
+
+    if (jobIds.length > 0) {
+      const held = { _id: { $in: jobIds }, status: 'running', lockedBy: this.workerId };
+
+      const failed = await Job.updateMany(
+        { ...held, attempts: { $gte: MAX_ATTEMPTS } },
+        { $set: abandonedFields(), $unset: { lockedBy: 1, lockedAt: 1 } }
+      );
+      const requeued = await Job.updateMany(
+        held,
+        { $set: { status: 'queued' }, $unset: { lockedBy: 1, lockedAt: 1 } }
+      );
+      console.log(`⚙️  Returned ${requeued.modifiedCount} running job(s) to the queue, failed ${failed.modifiedCount} out of attempts`);
+    }
+  }
+
+  /**
+   * Looks for work now rather than at the next poll
+   */
+  wake() {
+    if (!this.isStopped && !this.isPolling) {
+      clearTimeout(this.timer);
+      this.poll();
+    }
+  }
+
+  /**
+   * Claims jobs until this worker is busy or the queue is empty, then checks again later
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    this.isPolling = true;
+
+    try {
+      await this.failAbandoned();
+
+      while (!this.isStopped && this.running.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) {
+          break;
+        }
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('Job worker poll error:', error);
+    } finally {
+      this.isPolling = false;
+    }
+
+    if (!this.isStopped) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.poll(), POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Atomically takes the oldest queued job, or a running one whose worker went silent
+   * @returns {Promise<Object|null>} - The claimed job, or null when there is nothing to do
+   */
+  claimNext() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+
+    return Job.findOneAndUpdate(
+      {
+        $or: [{ status: 'queued' }, { status: 'running', lockedAt: { $lt: staleBefore } }],
+        attempts: { $lt: MAX_ATTEMPTS }
+      },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedAt: new Date(), startedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Fails jobs that were abandoned by a worker too many times to try again
+   *
+   * Covers stale running jobs and queued ones with no attempts left (returned
+   * to the queue by a worker that stopped), which claimNext would never take.
+   * @returns {Promise<void>}
+   */
+  async failAbandoned() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+
+    await Job.updateMany(
+      {
+        $or: [{ status: 'queued' }, { status: 'running', lockedAt: { $lt: staleBefore } }],
+        attempts: { $gte: MAX_ATTEMPTS }
+      },
+      { $set: abandonedFields() }
+    );
+  }
+
+  /**
+   * Runs one claimed job through the analysis pipeline and stores the outcome
+   * @param {Object} job - A job this worker holds
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    const jobId = String(job._id);
+    const controller = new AbortController();
+    this.running.set(jobId, controller);
+
+    // Writes only land while this worker still holds the job, so a cancelled job stays cancelled
+    const owned = { _id: job._id, status: 'running', lockedBy: this.workerId };
+
+    let pending = {};
+    let lastWriteAt = 0;
+    const write = (fields) => Job.updateOne(owned, { $set: fields })
+      .catch((error) => console.warn(`Could not update job ${jobId}:`, error.message));
+
+    const update = (fields) => {
+      Object.assign(pending, fields);
+      if (Date.now() - lastWriteAt >= UPDATE_INTERVAL_MS) {
+        lastWriteAt = Date.now();
+        write(pending);
+        pending = {};
+      }
+    };
+
+    const heartbeat = setInterval(async () => {
+      const fields = { ...pending, lockedAt: new Date() };
+      pending = {};
+
+      try {
+        const { matchedCount } = await Job.updateOne(owned, { $set: fields });
+        if (matchedCount === 0) {
+          controller.abort();
+        }
+      } catch (error) {
+        console.warn(`Job ${jobId} heartbeat failed:`, error.message);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      const { text, documentType, simplificationLevel, concerns, refresh } = job.input;
+
+      const analysis = await usageService.track(job.user, 'analysis', (onUsage) => analysisCache.simplifyDocument(text, documentType, {
+        simplificationLevel,
+        concerns,
+        refresh,
+        onProgress: ({ step, progress, message }) => update({ progress: { step, progress, message } }),
+        onText: (markdown) => update({ snapshot: markdown }),
+        onUsage,
+        signal: controller.signal
+      }), job.usageReservation);
+
+      const historyId = await this.saveToHistory(job, analysis);
+
+      await Job.updateOne(owned, {
+        $set: {
+          status: 'completed',
+          result: historyId ? { ...analysis, historyId } : analysis,
+          progress: { step: 'complete', progress: 100, message: 'Analysis complete!' },
+          finishedAt: new Date()
+        },
+        $unset: { snapshot: 1 }
+      });
+    } catch (error) {
+      // Cancelled by the user, or handed back to the queue by stop()
+      if (!controller.signal.aborted) {
+        console.error(`Job ${jobId} failed:`, error);
+        await write({
+          status: 'failed',
+          error: { message: error.message || 'Server error analyzing document', code: error.code || 'ANALYSIS_ERROR' },
+          finishedAt: new Date()
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(jobId);
+      this.wake();
+    }
+  }
+
+  /**
+   * Adds a finished job's analysis to its owner's document history
+   * @param {Object} job - The job that finished
+   * @param {Object} analysis - Its analysis result
+   * @returns {Promise<string|null>} - Id of the history entry, or null when history is off or the save failed
+   */
+  async saveToHistory(job, analysis) {
+    const { filename, documentType, pages, ocr } = job.input;
+
+    try {
+      return await User.appendDocumentHistory(job.user, {
+        filename: filename || 'Pasted Text',
+        originalText: analysis.original,
+        simplifiedText: analysis.simplified,
+        summary: analysis.summary,
+        keyPoints: analysis.keyPoints || [],
+        warningFlags: analysis.warningFlags || [],
+        structuredAnalysis: analysis.structured,
+        model: analysis.model,
+        simplificationLevel: analysis.simplificationLevel,
+        promptTemplateId: analysis.promptTemplateId,
+        promptTemplateVersion: analysis.promptTemplateVersion,
+        promptTemplates: analysis.promptTemplates || [],
+        verification: analysis.verification,
+        pages: pages || [],
+        ocr: ocr?.confidence !== undefined ? ocr : undefined,
+        documentType: documentType || 'tos',
+        processedAt: new Date()
+      });
+    } catch (error) {
+      // The result is still on the job for the page to save
+      console.warn(`Could not add job ${job._id} to history:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Export a singleton instance
+export const jobQueue = new JobQueue();
+export default jobQueue;
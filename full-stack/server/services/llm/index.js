@@ -0,0 +1,66 @@
+/**
+ * LLM Provider Registry
+ * 
+ * Picks the language model backend from configuration (LLM_PROVIDER):
+ *   openai - OpenAI chat completions (OPENAI_API_KEY, OPENAI_MODEL)
+ *   local  - any OpenAI-compatible server such as llama.cpp or Ollama
+ *            (LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, optional LOCAL_LLM_API_KEY)
+ *   mock   - deterministic offline answers for development and demos
+ * 
+ * Every provider implements the same interface:
+ *   name, model, isConfigured(),
+ *   complete(messages, { maxTokens, temperature, json, signal, onUsage }) -> Promise<string>,
+ *   stream(messages, { ...same options, onToken }) -> Promise<string>
+ * where onUsage is called once per successful request with the tokens it used
+ * ({ promptTokens, completionTokens, model, estimated }, see tokenUsage.js).
+ * 
+ * HTTP failures should be thrown as LLMRequestError (see requestPolicy.js) so
+ * the analysis service can time out and retry them.
+ */
+
+import { OpenAIProvider } from './openaiProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+const providerFactories = {
+  openai: () => new OpenAIProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+  }),
+
+  local: () => new OpenAIProvider({
+    name: 'local',
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requiresApiKey: false
+  }),
+
+  mock: () => new MockProvider({
+    model: process.env.MOCK_LLM_MODEL || 'mock-analyst'
+  })
+};
+
+export { LLMRequestError, withRetries } from './requestPolicy.js';
+
+export const PROVIDER_NAMES = Object.keys(providerFactories);
+
+/**
+ * Creates the provider selected by LLM_PROVIDER
+ * 
+ * Settings are read on every call because dotenv loads after module imports.
+ * @returns {Object} - LLM provider
+ */
+export function getProvider() {
+  const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  return factory();
+}
+
+export default getProvider;
@@ -0,0 +1,376 @@
+/**
+ * Mock Provider
+ *
+ * A deterministic stand-in for a real model so the whole analysis pipeline can
+ * run offline and without paid keys. It reads the document out of the prompt
+ * and answers with simple keyword-based findings: the same input always gives
+ * the same output.
+ */
+
+import { estimateUsage } from './tokenUsage.js';
+
+// Keyword rules used to fake red flags, money/privacy items and rights
+const FLAG_RULES = [
+  { pattern: /arbitrat/i, severity: 'high', title: 'Forced arbitration', explanation: 'Disputes go to a private arbitrator instead of a court.' },
+  { pattern: /class[\s-]+action/i, severity: 'high', title: 'No class actions', explanation: 'You cannot team up with other users to sue them.' },
+  { pattern: /automatic(ally)?\s+renew|auto[\s-]?renew/i, severity: 'medium', title: 'Auto-renewal', explanation: 'Your plan renews and charges you unless you cancel in time.' },
+  { pattern: /(modify|change|update)\s+(these|this|the)\s+(terms|agreement)/i, severity: 'medium', title: 'Terms can change', explanation: 'They can change the rules later, sometimes without telling you directly.' },
+  { pattern: /perpetual|irrevocable/i, severity: 'medium', title: 'Forever licence', explanation: 'They keep rights to your content even after you leave.' },
+  { pattern: /sell\s+(your\s+)?(personal\s+)?(data|information)/i, severity: 'high', title: 'Your data can be sold', explanation: 'Your personal information may be sold to other companies.' },
+  { pattern: /terminate|suspend/i, severity: 'low', title: 'Account can be closed', explanation: 'They can close or suspend your account.' }
+];
+
+const MONEY_PATTERN = /\b(fee|fees|price|payment|charge|subscription|refund)\b/i;
+const PRIVACY_PATTERN = /\b(personal (data|information)|cookies?|tracking|third[\s-]part(y|ies))\b/i;
+const HEADING_PATTERN = /^\s*(?:#{1,6}\s+\S.{0,80}|(?:[Ss]ection|[Aa]rticle|SECTION|ARTICLE)\s+\d+.{0,80}|\d+(?:\.\d+)*[.)]\s+.{1,80}|[A-Z][A-Z ,&'-]{3,60})$/;
+
+// Start of each change in a version comparison prompt: "[C1] MODIFIED (heading)"
+const CHANGE_PATTERN = /^\[(C\d+)\] (ADDED|REMOVED|MODIFIED)/m;
+
+// The user's concerns as listed by the concerns prompts: "- Concern 1: ..."
+const CONCERN_PATTERN = /^- Concern \d+: (.+)$/gm;
+
+// Short words that don't tie a concern to a sentence
+const CONCERN_STOP_WORDS = new Set(['what', 'when', 'will', 'they', 'their', 'them', 'this', 'that', 'with', 'have', 'does', 'about', 'from', 'your', 'mine']);
+
+// Size of each streamed piece
+const STREAM_PIECE_CHARS = 12;
+
+// Longest quote the analysis schema asks for
+const MAX_QUOTE_CHARS = 200;
+
+export class MockProvider {
+  constructor({ model = 'mock-analyst' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+  }
+
+  /**
+   * The mock never needs configuration
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Returns a deterministic answer for the prompt
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @param {Object} options - Request options
+   * @param {boolean} options.json - Answer with a structured analysis
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {Function} options.onUsage - Called with the estimated tokens, as a real model would use
+   * @returns {Promise<string>} - Completion text
+   */
+  async complete(messages, { json = false, signal, onUsage = () => {} } = {}) {
+    this.throwIfAborted(signal);
+
+    const answer = this.buildCompletion(messages, json);
+    onUsage(estimateUsage(messages, answer, this.model));
+    return answer;
+  }
+
+  /**
+   * Picks the kind of answer the prompt asks for
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @param {boolean} json - Answer with a structured analysis
+   * @returns {string} - Completion text
+   */
+  buildCompletion(messages, json) {
+    // Follow-up questions are sent after the document prompt as extra user messages
+    const userMessages = messages.filter(message => message.role === 'user');
+    if (!json && userMessages.length > 1) {
+      return this.buildAnswer(this.extractContent(userMessages.slice(0, 1)), userMessages[userMessages.length - 1].content);
+    }
+
+    const content = this.extractContent(messages);
+    if (json && CHANGE_PATTERN.test(content)) {
+      return JSON.stringify(this.buildComparison(content));
+    }
+
+    const concerns = this.extractConcerns(messages);
+    return json ? JSON.stringify(this.buildAnalysis(content, concerns)) : this.buildNotes(content, concerns);
+  }
+
+  /**
+   * Streams the deterministic answer in fixed-size pieces
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @param {Object} options - Request options (see complete)
+   * @param {Function} options.onToken - Called with each piece of text
+   * @returns {Promise<string>} - Full completion text
+   */
+  async stream(messages, { onToken = () => {}, ...options } = {}) {
+    const text = await this.complete(messages, options);
+
+    for (let index = 0; index < text.length; index += STREAM_PIECE_CHARS) {
+      // Yield to the event loop so streamed events actually go out one by one
+      await new Promise(resolve => setImmediate(resolve));
+      this.throwIfAborted(options.signal);
+      onToken(text.slice(index, index + STREAM_PIECE_CHARS));
+    }
+
+    return text;
+  }
+
+  /**
+   * Pulls the document (or notes) out of the last user message
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {string} - Text after the last "---" separator
+   */
+  extractContent(messages) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const separator = prompt.lastIndexOf('\n---\n');
+    return separator === -1 ? prompt : prompt.slice(separator + 5);
+  }
+
+  /**
+   * Pulls the user's concerns out of the instructions before the document
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {Array<string>} - Concerns, in the order they were listed
+   */
+  extractConcerns(messages) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const separator = prompt.lastIndexOf('\n---\n');
+    const instructions = separator === -1 ? prompt : prompt.slice(0, separator);
+    return [...instructions.matchAll(CONCERN_PATTERN)].map(match => match[1].trim());
+  }
+
+  /**
+   * Finds the sentence that shares the most words with a concern
+   * @param {string} text - Document text or notes
+   * @param {string} concern - The user's concern
+   * @returns {string|null} - Sentence, or null when nothing matches
+   */
+  findConcernSentence(text, concern) {
+    const terms = (concern.toLowerCase().match(/[a-z]{4,}/g) || []).filter(term => !CONCERN_STOP_WORDS.has(term));
+    let best = null;
+    let bestScore = 0;
+
+    (text.match(/[^.!?\n]+[.!?]?/g) || []).forEach((sentence) => {
+      const lower = sentence.toLowerCase();
+      const score = terms.filter(term => lower.includes(term)).length;
+      if (score > bestScore) {
+        best = sentence.trim();
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Builds a structured analysis that matches the analysis schema
+   * @param {string} text - Document text
+   * @param {Array<string>} concerns - The user's concerns, answered when given
+   * @returns {Object} - Structured analysis
+   */
+  buildAnalysis(text, concerns = []) {
+    const redFlags = FLAG_RULES
+      .filter(rule => rule.pattern.test(text))
+      .map(({ pattern, severity, title, explanation }) => ({ severity, title, explanation, quote: this.quoteAround(text, pattern) }));
+
+    const headings = text.split('\n')
+      .map(line => line.match(HEADING_PATTERN)?.[0].trim())
+      .filter(Boolean)
+      .slice(0, 5);
+
+    const moneyAndPrivacy = [];
+    if (MONEY_PATTERN.test(text)) {
+      moneyAndPrivacy.push({ category: 'money', title: 'Payments', explanation: 'The document talks about fees, charges or refunds.', quote: this.quoteAround(text, MONEY_PATTERN) });
+    }
+    if (PRIVACY_PATTERN.test(text)) {
+      moneyAndPrivacy.push({ category: 'privacy', title: 'Your data', explanation: 'The document covers how your personal information is used.', quote: this.quoteAround(text, PRIVACY_PATTERN) });
+    }
+
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    const hasHighRisk = redFlags.some(flag => flag.severity === 'high');
+
+    const analysis = {
+      tldr: [
+        { point: `This is a ${wordCount}-word document (mock analysis, no AI was used).` },
+        ...redFlags.slice(0, 3).map(flag => ({ point: `${flag.title}: ${flag.explanation}`, quote: flag.quote }))
+      ],
+      sections: headings.length > 0
+        ? headings.map(heading => this.toSectionTitle(heading)).map(title => ({
+          title,
+          explanation: 'Mock explanation of this part of the document.',
+          quote: title
+        }))
+        : [{ title: 'The document', explanation: 'Mock explanation of this part of the document.' }],
+      redFlags,
+      moneyAndPrivacy,
+      rights: /refund/i.test(text)
+        ? [{ title: 'Refunds', explanation: 'The document mentions when you can get your money back.', quote: this.quoteAround(text, /refund/i) }]
+        : [],
+      verdict: {
+        rating: hasHighRisk ? 'sketchy' : redFlags.length > 0 ? 'mixed' : 'reasonable',
+        summary: `The mock provider found ${redFlags.length} red flag(s) using simple keyword rules.`
+      }
+    };
+
+    if (concerns.length > 0) {
+      // A concern counts as "yes" when some sentence mentions its words; a real model would read it properly
+      analysis.concerns = concerns.map((concern) => {
+        const sentence = this.findConcernSentence(text, concern);
+        return sentence
+          ? { concern, question: `Does the document cover "${concern}"?`, answer: 'yes', explanation: 'The document mentions this (mock answer, no AI was used).', quote: this.quoteAround(text, new RegExp(sentence.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))) }
+          : { concern, question: `Does the document cover "${concern}"?`, answer: 'unclear', explanation: 'The document does not seem to mention this (mock answer, no AI was used).' };
+      });
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Builds a version comparison that matches the comparison schema
+   *
+   * A change is "worse" when it adds wording that a red flag rule catches and
+   * "better" when it takes such wording away.
+   * @param {string} text - Changes listed in the compare prompt
+   * @returns {Object} - Comparison
+   */
+  buildComparison(text) {
+    const flagsIn = (clause) => FLAG_RULES.filter(rule => rule.pattern.test(clause || '')).map(rule => rule.title);
+
+    const blocks = text.split(/\n\n(?=\[C\d+\] )/).filter(block => CHANGE_PATTERN.test(block));
+
+    const changes = blocks.map((block) => {
+      const [, id, type] = block.match(CHANGE_PATTERN);
+      // Clause text can run over several lines, so each part ends where the next label starts
+      const before = block.match(/^(?:BEFORE|OLD): ([\s\S]*?)(?=\nAFTER: |$(?![\s\S]))/m)?.[1];
+      const after = block.match(/^(?:AFTER|NEW): ([\s\S]*)/m)?.[1];
+      const added = flagsIn(after).filter(title => !flagsIn(before).includes(title));
+      const removed = flagsIn(before).filter(title => !flagsIn(after).includes(title));
+
+      if (added.length > 0) {
+        return { id, impact: 'worse', explanation: `This ${type.toLowerCase()} clause brings in: ${added.join(', ')}.` };
+      }
+      if (removed.length > 0) {
+        return { id, impact: 'better', explanation: `This ${type.toLowerCase()} clause drops: ${removed.join(', ')}.` };
+      }
+      return { id, impact: 'neutral', explanation: `Mock explanation of this ${type.toLowerCase()} clause; no red flag words changed.` };
+    });
+
+    const worse = changes.filter(change => change.impact === 'worse').length;
+    const better = changes.filter(change => change.impact === 'better').length;
+
+    return {
+      summary: [`${changes.length} clause(s) changed (mock comparison, no AI was used).`, `${worse} change(s) look worse for you and ${better} look better.`],
+      changes,
+      verdict: {
+        rating: worse > 0 && better > 0 ? 'mixed' : worse > 0 ? 'worse' : better > 0 ? 'better' : 'neutral',
+        summary: `The mock provider compared red flag keywords in ${changes.length} changed clause(s).`
+      }
+    };
+  }
+
+  /**
+   * Finds the words to quote for a keyword match
+   *
+   * When the text is notes from the chunk step, the passage the notes already
+   * quoted is reused, like a real model copying quotes through the merge step.
+   * @param {string} text - Document text or notes
+   * @param {RegExp} pattern - Keyword pattern that matched the text
+   * @returns {string} - Quote of at most MAX_QUOTE_CHARS characters
+   */
+  quoteAround(text, pattern) {
+    const match = text.match(pattern);
+    const lineStart = text.lastIndexOf('\n', match.index) + 1;
+    const lineEnd = text.indexOf('\n', match.index);
+    const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+
+    const quoted = line.match(/"([^"]+)"/);
+    if (quoted) {
+      return quoted[1].slice(0, MAX_QUOTE_CHARS);
+    }
+
+    return this.sentenceAround(text, match.index).slice(0, MAX_QUOTE_CHARS);
+  }
+
+  /**
+   * Gets the sentence (within one line) around a position in the text
+   * @param {string} text - Document text
+   * @param {number} position - Index inside the sentence
+   * @returns {string} - Trimmed sentence
+   */
+  sentenceAround(text, position) {
+    const before = text.slice(0, position);
+    const start = Math.max(...['.', '!', '?', '\n'].map(mark => before.lastIndexOf(mark))) + 1;
+    const end = text.slice(position).search(/[.!?\n]/);
+    return text.slice(start, end === -1 ? text.length : position + end + 1).trim();
+  }
+
+  /**
+   * Turns a heading into a section title; merge-step notes head each part "Part N of M (heading)"
+   * @param {string} heading - Heading line
+   * @returns {string} - Section title
+   */
+  toSectionTitle(heading) {
+    const title = heading.replace(/^\s*#+\s*/, '');
+    return title.match(/^Part \d+ of \d+ \((.+)\)$/)?.[1] || title;
+  }
+
+  /**
+   * Builds plain-text notes for one part of a long document
+   * @param {string} text - Part text
+   * @param {Array<string>} concerns - The user's concerns, noted when this part mentions them
+   * @returns {string} - Notes
+   */
+  buildNotes(text, concerns = []) {
+    const matches = FLAG_RULES
+      .map(rule => ({ rule, match: text.match(rule.pattern) }))
+      .filter(({ match }) => match);
+    const lines = [`Key points\n- This part has ${text.length} characters.`];
+
+    // Quoting the whole sentence lets the merge step find the same flags again and cite them
+    if (matches.length > 0) {
+      lines.push(`Red flags & gotchas\n${matches.map(({ rule, match }) => `- ${rule.title}: "${this.sentenceAround(text, match.index).replace(/"/g, "'").slice(0, MAX_QUOTE_CHARS)}"`).join('\n')}`);
+    }
+
+    const concernNotes = concerns
+      .map(concern => ({ concern, sentence: this.findConcernSentence(text, concern) }))
+      .filter(({ sentence }) => sentence)
+      .map(({ concern, sentence }) => `- ${concern}: "${sentence.replace(/"/g, "'").slice(0, MAX_QUOTE_CHARS)}"`);
+    if (concernNotes.length > 0) {
+      lines.push(`Your concerns\n${concernNotes.join('\n')}`);
+    }
+
+    return lines.join('\n\n');
+  }
+
+  /**
+   * Answers a follow-up question by quoting the sentences that share the most words with it
+   * @param {string} text - Document text
+   * @param {string} question - The user's question
+   * @returns {string} - Answer
+   */
+  buildAnswer(text, question) {
+    const terms = (question.toLowerCase().match(/[a-z]{4,}/g) || []);
+    const sentences = (text.match(/[^.!?\n]+[.!?]?/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+
+    const matches = sentences
+      .map((sentence, index) => ({
+        sentence,
+        index,
+        score: terms.filter(term => sentence.toLowerCase().includes(term)).length
+      }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, 2);
+
+    if (matches.length === 0) {
+      return 'I couldn\'t find anything about that in this document. (Mock answer - no AI was used.)';
+    }
+
+    return `Here's what the document says about that: ${matches.map(match => `"${match.sentence}"`).join(' ')} (Mock answer - no AI was used.)`;
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,184 @@
+/**
+ * OpenAI Provider
+ * 
+ * Talks to the OpenAI chat completions API. Any server that speaks the same
+ * protocol (llama.cpp, Ollama, LM Studio, vLLM) can reuse it with another baseUrl.
+ */
+
+import { createResponseError } from './requestPolicy.js';
+import { estimateUsage, readUsage } from './tokenUsage.js';
+
+export const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+export class OpenAIProvider {
+  /**
+   * @param {Object} options - Provider settings
+   * @param {string} options.name - Provider name reported to clients
+   * @param {string} options.baseUrl - API root, e.g. https://api.openai.com/v1
+   * @param {string} options.apiKey - Bearer token (optional for local servers)
+   * @param {string} options.model - Model name
+   * @param {boolean} options.requiresApiKey - Whether the provider is unusable without a key
+   */
+  constructor({ name = 'openai', baseUrl = OPENAI_BASE_URL, apiKey, model, requiresApiKey = true }) {
+    this.name = name;
+    this.apiUrl = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.requiresApiKey = requiresApiKey;
+  }
+
+  /**
+   * Validates if the provider can be used
+   */
+  isConfigured() {
+    return !this.requiresApiKey || !!this.apiKey;
+  }
+
+  /**
+   * Sends messages to the chat completions API
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @param {Object} options - Request options
+   * @param {number} options.maxTokens - Maximum tokens in the completion
+   * @param {number} options.temperature - Sampling temperature
+   * @param {boolean} options.json - Ask for a JSON object response
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {Function} options.onUsage - Called with the tokens the request used (see tokenUsage.js), estimated if it was cancelled
+   * @returns {Promise<string>} - Completion text
+   */
+  async complete(messages, { onUsage = () => {}, ...options } = {}) {
+    let data;
+    try {
+      const response = await this.post(messages, options);
+      data = await response.json();
+    } catch (error) {
+      this.reportInterrupted(messages, '', options.signal, onUsage);
+      throw error;
+    }
+    
+    if (!data.choices || data.choices.length === 0) {
+      throw new Error(`No response generated from ${this.name}`);
+    }
+
+    const content = data.choices[0].message.content;
+    onUsage(readUsage(data.usage, this.model) || estimateUsage(messages, content, this.model));
+    return content;
+  }
+
+  /**
+   * Sends messages to the chat completions API and streams the answer back
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @param {Object} options - Request options (see complete)
+   * @param {Function} options.onToken - Called with each piece of text as it arrives
+   * @param {Function} options.onUsage - Called with the tokens the request used once it finishes, estimated if it was cancelled
+   * @returns {Promise<string>} - Full completion text
+   */
+  async stream(messages, { onToken = () => {}, onUsage = () => {}, ...options } = {}) {
+    let content = '';
+    let usage = null;
+    let finished = false;
+
+    try {
+      const response = await this.post(messages, { ...options, stream: true });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      // The API streams server-sent events: "data: {...}" lines ending with "data: [DONE]"
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) {
+            continue;
+          }
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') {
+            finished = true;
+            break;
+          }
+
+          // The usage arrives in a last event with no choices
+          const event = JSON.parse(payload);
+          usage = readUsage(event.usage, this.model) || usage;
+
+          const token = event.choices?.[0]?.delta?.content;
+          if (token) {
+            content += token;
+            onToken(token);
+          }
+        }
+      }
+    } catch (error) {
+      this.reportInterrupted(messages, content, options.signal, onUsage);
+      throw error;
+    }
+
+    if (!finished && !content) {
+      throw new Error(`No response generated from ${this.name}`);
+    }
+
+    onUsage(usage || estimateUsage(messages, content, this.model));
+    return content;
+  }
+
+  /**
+   * Reports the estimated usage of a request cancelled or timed out after it was sent
+   *
+   * The provider charges for the prompt and whatever it generated before the
+   * connection dropped but never says how much, so it is estimated from the text.
+   * @param {Array<Object>} messages - Chat messages sent
+   * @param {string} content - Text received before the request stopped
+   * @param {AbortSignal} signal - The request's signal
+   * @param {Function} onUsage - Usage callback
+   */
+  reportInterrupted(messages, content, signal, onUsage) {
+    if (signal?.aborted) {
+      onUsage(estimateUsage(messages, content, this.model));
+    }
+  }
+
+  /**
+   * Posts a chat completion request and checks the HTTP status
+   * 
+   * Failures are thrown as LLMRequestError so rate limits and server errors can be retried.
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {Promise<Response>} - Successful fetch response
+   */
+  async post(messages, { maxTokens, temperature = 0.4, json = false, stream = false, signal }) {
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } }),
+        ...(json && { response_format: { type: 'json_object' } }),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createResponseError(this.name, response);
+    }
+
+    return response;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,244 @@
+/**
+ * LLM Request Policy
+ *
+ * Keeps a slow or rate-limited provider from hanging an analysis: every
+ * request gets a timeout, and rate limits (429), server errors (5xx) and
+ * timeouts are retried with exponential backoff and jitter, honouring
+ * Retry-After when the provider sends it. A Retry-After longer than the
+ * maximum delay fails the request at once instead of retrying too early.
+ */
+
+// Error codes that are worth another attempt
+const RETRYABLE_CODES = ['LLM_RATE_LIMITED', 'LLM_SERVER_ERROR', 'LLM_TIMEOUT', 'LLM_NETWORK_ERROR'];
+
+/**
+ * Error raised for failed provider requests
+ *
+ * code is one of LLM_RATE_LIMITED, LLM_SERVER_ERROR, LLM_TIMEOUT,
+ * LLM_NETWORK_ERROR or LLM_REQUEST_ERROR (anything not worth retrying).
+ */
+export class LLMRequestError extends Error {
+  constructor(message, { code = 'LLM_REQUEST_ERROR', status, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Reads the request policy from the environment
+ *
+ * Settings are read on every call because dotenv loads after module imports.
+ * @returns {Object} - timeoutMs, maxRetries, baseDelayMs and maxDelayMs
+ */
+export function getRequestPolicy() {
+  return {
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000'),
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '3'),
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000'),
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000')
+  };
+}
+
+/**
+ * Converts a Retry-After header (seconds or an HTTP date) to milliseconds
+ * @param {string|null} header - Retry-After header value
+ * @returns {number|undefined} - Delay in milliseconds, if the header is usable
+ */
+export function parseRetryAfter(header) {
+  if (!header) {
+    return undefined;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Builds an LLMRequestError from a failed HTTP response
+ * @param {string} providerName - Provider name used in the message
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<LLMRequestError>} - Error with code, status and retry delay
+ */
+export async function createResponseError(providerName, response) {
+  const errorData = await response.json().catch(() => ({}));
+  const detail = errorData.error?.message || 'Unknown error';
+  let code = 'LLM_REQUEST_ERROR';
+
+  if (response.status === 429) {
+    code = 'LLM_RATE_LIMITED';
+  } else if (response.status >= 500) {
+    code = 'LLM_SERVER_ERROR';
+  }
+
+  return new LLMRequestError(`${providerName} API error: ${response.status} - ${detail}`, {
+    code,
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+  });
+}
+
+/**
+ * Works out how long to wait before the next attempt
+ *
+ * Uses "full jitter": a random delay up to the exponential backoff, so many
+ * clients hitting the same rate limit don't all retry at the same moment.
+ * A provider's Retry-After is waited out in full; when it is longer than
+ * maxDelayMs there is no delay worth waiting and null is returned.
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} error - The error that caused the retry
+ * @param {Object} policy - Request policy
+ * @returns {number|null} - Delay in milliseconds, or null to give up
+ */
+export function getRetryDelay(attempt, error, { baseDelayMs, maxDelayMs }) {
+  if (error.retryAfterMs !== undefined) {
+    return error.retryAfterMs <= maxDelayMs ? error.retryAfterMs : null;
+  }
+
+  const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * backoff);
+}
+
+/**
+ * Describes a retry for the progress callback
+ * @param {Object} error - The error that caused the retry
+ * @returns {string} - Short human-readable reason
+ */
+function describeRetryReason(error) {
+  switch (error.code) {
+    case 'LLM_RATE_LIMITED':
+      return 'The AI provider is busy (rate limited)';
+    case 'LLM_TIMEOUT':
+      return 'The AI provider took too long to answer';
+    default:
+      return 'The AI provider had a temporary problem';
+  }
+}
+
+/**
+ * Waits for a delay unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createAbortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Runs one attempt with a timeout layered on top of the caller's signal
+ *
+ * The timeout restarts whenever the attempt reports activity, so a long
+ * stream that keeps sending tokens is not cut off while a silent one is.
+ * @param {Function} run - (signal, touch) => Promise, the request itself
+ * @param {AbortSignal} signal - Caller's cancel signal
+ * @param {number} timeoutMs - Time allowed without any activity
+ * @returns {Promise<*>} - Result of run
+ */
+async function runWithTimeout(run, signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer;
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+  touch();
+
+  try {
+    return await run(controller.signal, touch);
+  } catch (error) {
+    if (timedOut) {
+      throw new LLMRequestError(`No answer from the AI provider within ${Math.ceil(timeoutMs / 1000)} seconds`, { code: 'LLM_TIMEOUT' });
+    }
+    if (error.name === 'AbortError' || signal?.aborted) {
+      throw createAbortError();
+    }
+    if (error instanceof LLMRequestError) {
+      throw error;
+    }
+    // fetch rejects with a TypeError (with the socket error as its cause) when the connection itself fails
+    if (error instanceof TypeError && error.cause) {
+      throw new LLMRequestError(`Could not reach the AI provider: ${error.message}`, { code: 'LLM_NETWORK_ERROR' });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Runs a provider request with a timeout and retries for temporary failures
+ * @param {Function} run - (signal, touch) => Promise, called once per attempt
+ * @param {Object} options - Retry options
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {Function} options.onRetry - Called before waiting ({ attempt, maxRetries, delayMs, reason, code })
+ * @param {Function} options.canRetry - Extra check, e.g. to stop retrying a stream that already sent tokens
+ * @param {Object} options.policy - Overrides for the environment policy
+ * @returns {Promise<*>} - Result of run
+ */
+export async function withRetries(run, { signal, onRetry = () => {}, canRetry = () => true, policy = {} } = {}) {
+  const settings = { ...getRequestPolicy(), ...policy };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await runWithTimeout(run, signal, settings.timeoutMs);
+    } catch (error) {
+      const retryable = RETRYABLE_CODES.includes(error.code) && canRetry(error);
+      if (!retryable || attempt >= settings.maxRetries) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt + 1, error, settings);
+      if (delayMs === null) {
+        throw error;
+      }
+
+      console.warn(`LLM request failed (${error.message}), retry ${attempt + 1}/${settings.maxRetries} in ${delayMs}ms`);
+      onRetry({
+        attempt: attempt + 1,
+        maxRetries: settings.maxRetries,
+        delayMs,
+        code: error.code,
+        reason: describeRetryReason(error)
+      });
+
+      await sleep(delayMs, signal);
+    }
+  }
+}
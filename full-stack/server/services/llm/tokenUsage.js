@@ -0,0 +1,57 @@
+/**
+ * Token Usage
+ *
+ * Providers report the tokens each request used with an onUsage callback.
+ * When a backend doesn't say (the mock provider, or a local server that
+ * leaves usage out), the counts are estimated from the text instead.
+ */
+
+// Rough size of a token in English text
+const CHARS_PER_TOKEN = 4;
+
+// Tokens a chat message costs beyond its text (role and separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimates how many tokens a piece of text is
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the usage of a request the provider didn't report on
+ * @param {Array<Object>} messages - Chat messages sent ({ role, content })
+ * @param {string} completion - Text that came back
+ * @param {string} model - Model that answered
+ * @returns {Object} - { promptTokens, completionTokens, model, estimated }
+ */
+export function estimateUsage(messages, completion, model) {
+  return {
+    promptTokens: messages.reduce((total, message) => total + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0),
+    completionTokens: estimateTokens(completion),
+    model,
+    estimated: true
+  };
+}
+
+/**
+ * Converts the usage block of an OpenAI-style response
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @param {string} model - Model that answered
+ * @returns {Object|null} - { promptTokens, completionTokens, model, estimated }, or null without a usage block
+ */
+export function readUsage(usage, model) {
+  if (!usage) {
+    return null;
+  }
+
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    model,
+    estimated: false
+  };
+}
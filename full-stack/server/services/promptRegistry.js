@@ -0,0 +1,196 @@
+/**
+ * Prompt Template Registry
+ *
+ * Loads the versioned prompt templates kept in server/prompts. Each file is
+ * named <id>.v<version>.md and starts with a front matter block (id, version,
+ * description) followed by the template text, with variables written as {{name}}.
+ *
+ * A published version is never edited: to change a prompt, add a file with the
+ * next version. The newest version of each template is used unless
+ * PROMPT_VERSIONS pins older ones (e.g. PROMPT_VERSIONS=analysis:1,merge:2).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+const FILE_PATTERN = /^([a-z0-9-]+)\.v(\d+)\.md$/;
+const FRONT_MATTER_PATTERN = /^---\n([\s\S]*?)\n---\n/;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+export class PromptRegistry {
+  constructor(directory = PROMPTS_DIR) {
+    this.directory = directory;
+    this.templates = null;
+  }
+
+  /**
+   * Reads every template file, once
+   * @returns {Map<string, Map<number, Object>>} - Templates by id, then by version
+   */
+  load() {
+    if (this.templates) {
+      return this.templates;
+    }
+
+    const templates = new Map();
+
+    fs.readdirSync(this.directory).forEach((fileName) => {
+      const match = fileName.match(FILE_PATTERN);
+      if (!match) {
+        return;
+      }
+
+      const template = this.parseFile(fileName, fs.readFileSync(path.join(this.directory, fileName), 'utf8'));
+      if (template.id !== match[1] || template.version !== parseInt(match[2])) {
+        throw new Error(`Prompt template ${fileName} says it is ${template.id} v${template.version}; the file name and front matter must match`);
+      }
+
+      if (!templates.has(template.id)) {
+        templates.set(template.id, new Map());
+      }
+      templates.get(template.id).set(template.version, template);
+    });
+
+    this.templates = templates;
+    return templates;
+  }
+
+  /**
+   * Drops the cached templates so edited files are picked up
+   */
+  reload() {
+    this.templates = null;
+    return this.load();
+  }
+
+  /**
+   * Parses the front matter and body of a template file
+   * @param {string} fileName - File name, used in error messages
+   * @param {string} content - File content
+   * @returns {Object} - { id, version, description, body }
+   */
+  parseFile(fileName, content) {
+    const normalized = content.replace(/\r\n/g, '\n');
+    const frontMatter = normalized.match(FRONT_MATTER_PATTERN);
+
+    if (!frontMatter) {
+      throw new Error(`Prompt template ${fileName} is missing its front matter`);
+    }
+
+    const fields = {};
+    frontMatter[1].split('\n').forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator !== -1) {
+        fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+
+    return {
+      id: fields.id,
+      version: parseInt(fields.version),
+      description: fields.description || '',
+      // The file's final newline is not part of the template
+      body: normalized.slice(frontMatter[0].length).replace(/\n$/, '')
+    };
+  }
+
+  /**
+   * Reads pinned versions from PROMPT_VERSIONS ("id:version,id:version")
+   * @returns {Object} - Pinned version by template id
+   */
+  getPinnedVersions() {
+    return Object.fromEntries(
+      (process.env.PROMPT_VERSIONS || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([id, version]) => id && version)
+        .map(([id, version]) => [id, parseInt(version)])
+    );
+  }
+
+  /**
+   * Checks whether a template exists
+   * @param {string} id - Template id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.load().has(id);
+  }
+
+  /**
+   * Gets a template, by default the pinned or newest version
+   * @param {string} id - Template id
+   * @param {number} version - Specific version to get
+   * @returns {Object} - { id, version, description, body }
+   */
+  get(id, version) {
+    const versions = this.load().get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt template "${id}"`);
+    }
+
+    const wanted = version || this.getPinnedVersions()[id] || Math.max(...versions.keys());
+    const template = versions.get(wanted);
+    if (!template) {
+      throw new Error(`Prompt template "${id}" has no version ${wanted}`);
+    }
+
+    return template;
+  }
+
+  /**
+   * Fills in a template's variables
+   *
+   * A variable can be a string or another rendered template, so fragments
+   * such as the document type instructions are recorded along with the prompt
+   * that uses them.
+   * @param {string} id - Template id
+   * @param {Object} variables - Values for the {{name}} placeholders
+   * @returns {Object} - { id, version, text, templates } where templates lists every "id@vN" used
+   */
+  render(id, variables = {}) {
+    const template = this.get(id);
+    const templates = [`${template.id}@v${template.version}`];
+
+    // One pass over the template, so {{...}} inside a value (e.g. the document) is left alone
+    const text = template.body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      const value = variables[name];
+
+      if (value === undefined || value === null) {
+        throw new Error(`Prompt template "${id}" v${template.version} needs the variable "${name}"`);
+      }
+
+      if (typeof value === 'object') {
+        templates.push(...value.templates);
+        return value.text;
+      }
+
+      return String(value);
+    });
+
+    return { id: template.id, version: template.version, text, templates: [...new Set(templates)] };
+  }
+
+  /**
+   * Lists every template with its versions and the one in use
+   * @returns {Array<Object>} - { id, versions, activeVersion, description }
+   */
+  list() {
+    return [...this.load().keys()].sort().map((id) => {
+      const active = this.get(id);
+      return {
+        id,
+        versions: [...this.load().get(id).keys()].sort((a, b) => a - b),
+        activeVersion: active.version,
+        description: active.description
+      };
+    });
+  }
+}
+
+// Export a singleton instance
+export const promptRegistry = new PromptRegistry();
+export default promptRegistry;
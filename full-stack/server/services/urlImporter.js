@@ -0,0 +1,297 @@
+/**
+ * URL Importer
+ *
+ * Fetches a policy page from the web and returns its main text (see
+ * htmlExtractor.js). The server makes the request on the user's behalf, so
+ * it must not become a way into the private network: only http(s) URLs are
+ * fetched, every address a host name resolves to is checked when the
+ * connection is made (redirects included, so DNS tricks don't get around it),
+ * and responses are cut off by size and time.
+ *
+ * Limits come from URL_IMPORT_MAX_BYTES (2 MB) and URL_IMPORT_TIMEOUT_MS
+ * (10 seconds). URL_IMPORT_ALLOW_PRIVATE=true lifts the address check for
+ * local development and tests against a fixture server.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { htmlExtractor } from './htmlExtractor.js';
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+const MAX_URL_LENGTH = 2048;
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const TEXT_TYPES = ['text/plain'];
+
+// Loopback, private, link-local, shared and reserved ranges a public site never lives in.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by
+// BlockList itself; NAT64 and 6to4 addresses can wrap any IPv4 address, so they are
+// blocked outright.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error raised when a page can't be imported
+ *
+ * code is one of INVALID_URL, URL_NOT_ALLOWED, URL_TIMEOUT, URL_TOO_LARGE,
+ * URL_FETCH_FAILED, UNSUPPORTED_CONTENT or NO_TEXT_FOUND; status is the
+ * HTTP status the route answers with.
+ */
+export class UrlImportError extends Error {
+  constructor(message, { code = 'URL_FETCH_FAILED', status = 502 } = {}) {
+    super(message);
+    this.name = 'UrlImportError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`);
+
+const notAllowed = () => new UrlImportError('That address is on a private network and can\'t be imported.', { code: 'URL_NOT_ALLOWED', status: 403 });
+
+class UrlImporter {
+  // Settings are read on access because dotenv loads after module imports
+  get maxBytes() {
+    return parseInt(process.env.URL_IMPORT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+  }
+
+  get timeoutMs() {
+    return parseInt(process.env.URL_IMPORT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  }
+
+  get allowPrivate() {
+    return process.env.URL_IMPORT_ALLOW_PRIVATE === 'true';
+  }
+
+  /**
+   * Fetches a page and extracts its main text
+   * @param {string} value - URL the user entered
+   * @returns {Promise<Object>} - { url, title, text } where url is the address the page was finally read from
+   */
+  async importUrl(value) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const page = await this.fetchPage(this.parseUrl(value), controller.signal);
+      const isHtml = HTML_TYPES.includes(page.contentType);
+      const { title, text } = isHtml
+        ? htmlExtractor.extract(page.body)
+        : { title: '', text: page.body.replace(/\r\n?/g, '\n').trim() };
+
+      if (!text) {
+        throw new UrlImportError('No readable text was found on that page. If the page builds its text with scripts, copy-paste it instead.', { code: 'NO_TEXT_FOUND', status: 422 });
+      }
+
+      return { url: page.url.href, title, text };
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new UrlImportError(`The page took longer than ${Math.round(this.timeoutMs / 1000)} seconds to load.`, { code: 'URL_TIMEOUT', status: 504 });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Checks that a URL is a web address that may be fetched
+   * @param {string} value - URL to check
+   * @returns {URL} - Parsed URL
+   */
+  parseUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value).trim());
+    } catch {
+      throw new UrlImportError('Please enter a full web address, starting with http:// or https://', { code: 'INVALID_URL', status: 400 });
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || String(value).length > MAX_URL_LENGTH) {
+      throw new UrlImportError('Only http:// and https:// web addresses can be imported.', { code: 'INVALID_URL', status: 400 });
+    }
+    if (url.username || url.password) {
+      throw new UrlImportError('Web addresses with a user name or password can\'t be imported.', { code: 'INVALID_URL', status: 400 });
+    }
+
+    // Host names are checked when they are looked up; literal addresses never are
+    const address = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(address) && this.isBlockedAddress(address)) {
+      throw notAllowed();
+    }
+
+    return url;
+  }
+
+  /**
+   * Tells whether an IP address is off limits
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} - True for loopback, private, link-local and reserved addresses
+   */
+  isBlockedAddress(address) {
+    if (this.allowPrivate) {
+      return false;
+    }
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * DNS lookup for outgoing requests that refuses blocked addresses
+   *
+   * Used as the connection's lookup, so the address checked is the address
+   * connected to.
+   * @param {string} hostname - Host to resolve
+   * @param {Object} options - dns.lookup options from the HTTP agent
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      if (addresses.some(({ address }) => this.isBlockedAddress(address))) {
+        return callback(notAllowed());
+      }
+      return options.all
+        ? callback(null, addresses)
+        : callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Fetches a page, following redirects and enforcing the size limit
+   * @param {URL} url - Page to fetch
+   * @param {AbortSignal} signal - Aborts the request when the time is up
+   * @returns {Promise<Object>} - { url, contentType, body }
+   */
+  async fetchPage(url, signal) {
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const response = await this.request(url, signal);
+      const location = response.headers.location;
+
+      if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+        url = this.parseUrl(new URL(location, url).href);
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new UrlImportError(`The page couldn't be loaded (the site answered with HTTP ${response.statusCode}).`, { code: 'URL_FETCH_FAILED', status: 502 });
+      }
+
+      const [contentType, ...parameters] = (response.headers['content-type'] || 'text/html').toLowerCase().split(';').map(part => part.trim());
+      if (![...HTML_TYPES, ...TEXT_TYPES].includes(contentType)) {
+        response.resume();
+        throw new UrlImportError('That link is not a web page. Download the file and upload it instead.', { code: 'UNSUPPORTED_CONTENT', status: 415 });
+      }
+
+      const bytes = await this.readBody(response);
+      const charset = parameters.find(part => part.startsWith('charset='))?.slice(8).replace(/"/g, '');
+      return { url, contentType, body: this.decode(bytes, charset, contentType) };
+    }
+
+    throw new UrlImportError('The page redirected too many times.', { code: 'URL_FETCH_FAILED', status: 502 });
+  }
+
+  /**
+   * Sends a GET request through the guarded lookup
+   * @param {URL} url - Address to request
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<http.IncomingMessage>} - Response, with the body not yet read
+   */
+  request(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        signal,
+        // A fresh connection every time, so no pooled socket skips the address check
+        agent: false,
+        lookup: this.lookup.bind(this),
+        headers: {
+          Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9',
+          'Accept-Encoding': 'identity',
+          'User-Agent': 'ToS-Dumbifier/1.0 (policy import)'
+        }
+      }, resolve);
+
+      request.on('error', (error) => {
+        if (error instanceof UrlImportError || signal.aborted) {
+          return reject(error);
+        }
+        reject(new UrlImportError(`The page couldn't be loaded (${error.code || error.message}).`, { code: 'URL_FETCH_FAILED', status: 502 }));
+      });
+    });
+  }
+
+  /**
+   * Reads a response body, giving up once it passes the size limit
+   * @param {http.IncomingMessage} response - Response to read
+   * @returns {Promise<Buffer>} - Body
+   */
+  readBody(response) {
+    const tooLarge = () => new UrlImportError(`That page is larger than ${formatSize(this.maxBytes)}.`, { code: 'URL_TOO_LARGE', status: 413 });
+
+    if (parseInt(response.headers['content-length']) > this.maxBytes) {
+      response.destroy();
+      return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBytes) {
+          response.destroy();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+  }
+
+  /**
+   * Decodes a body with the charset from the headers or the page's own <meta> tag
+   * @param {Buffer} bytes - Body
+   * @param {string} charset - Charset from the Content-Type header, if any
+   * @param {string} contentType - Media type
+   * @returns {string} - Text
+   */
+  decode(bytes, charset, contentType) {
+    const declared = charset || (HTML_TYPES.includes(contentType)
+      ? bytes.subarray(0, 1024).toString('latin1').match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1]
+      : undefined);
+
+    try {
+      return new TextDecoder(declared || 'utf-8').decode(bytes);
+    } catch {
+      // An unknown charset name; UTF-8 is the best guess
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+  }
+}
+
+// Export a singleton instance
+export const urlImporter = new UrlImporter();
+export default urlImporter;
@@ -0,0 +1,309 @@
+/**
+ * Usage Metering Service
+ *
+ * Records the tokens and estimated cost of every LLM request made for a user
+ * and checks them against the daily and monthly quotas of the user's plan.
+ *
+ * Quotas count analyses (analyses and comparisons; chat answers only count
+ * towards tokens) and tokens. Days and months are UTC. The plans below can be
+ * changed without a deploy with PLAN_QUOTAS, e.g.
+ * PLAN_QUOTAS={"free":{"daily":{"analyses":5}}}; a limit of null means unlimited.
+ *
+ * A request reserves its analysis and estimated prompt tokens before the
+ * quota check and settles them with the real counts when it ends, so
+ * requests running at the same time can't all pass the check.
+ */
+
+import UsageRecord from '../models/UsageRecord.js';
+
+// Matches User.plan
+export const PLAN_NAMES = ['free', 'pro'];
+export const DEFAULT_PLAN = 'free';
+
+const DEFAULT_PLANS = {
+  free: {
+    daily: { analyses: 10, tokens: 150000 },
+    monthly: { analyses: 100, tokens: 1500000 }
+  },
+  pro: {
+    daily: { analyses: 100, tokens: 2000000 },
+    monthly: { analyses: 2000, tokens: 40000000 }
+  }
+};
+
+// US dollars per 1,000 tokens; the longest matching model name prefix wins and unknown models cost nothing
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4': { prompt: 0.03, completion: 0.06 }
+};
+
+// Kinds of usage that count as an analysis
+const ANALYSIS_KINDS = ['analysis', 'compare'];
+
+const PERIODS = ['daily', 'monthly'];
+
+// A reservation that was never settled (its server crashed) stops counting after this long
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+class UsageService {
+  /**
+   * Gets the quotas of a plan, with any PLAN_QUOTAS overrides
+   *
+   * Read on every call because dotenv loads after module imports.
+   * @param {string} plan - Plan name
+   * @returns {Object} - { daily: { analyses, tokens }, monthly: { analyses, tokens } }
+   */
+  getPlanQuotas(plan) {
+    const base = DEFAULT_PLANS[plan] || DEFAULT_PLANS[DEFAULT_PLAN];
+    let overrides = {};
+
+    try {
+      overrides = JSON.parse(process.env.PLAN_QUOTAS || '{}')[plan] || {};
+    } catch (error) {
+      console.warn('Ignoring PLAN_QUOTAS, it is not valid JSON:', error.message);
+    }
+
+    return Object.fromEntries(PERIODS.map(period => [period, { ...base[period], ...overrides[period] }]));
+  }
+
+  /**
+   * Estimates what a request cost
+   * @param {string} model - Model that answered
+   * @param {number} promptTokens - Tokens sent
+   * @param {number} completionTokens - Tokens received
+   * @returns {number} - Cost in US dollars
+   */
+  estimateCost(model = '', promptTokens = 0, completionTokens = 0) {
+    // A flat price for every model (e.g. a self-hosted one) overrides the price list
+    const flatPrompt = parseFloat(process.env.LLM_PRICE_PROMPT_PER_1K);
+    const flatCompletion = parseFloat(process.env.LLM_PRICE_COMPLETION_PER_1K);
+
+    const match = Object.keys(MODEL_PRICES)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    const price = {
+      prompt: Number.isFinite(flatPrompt) ? flatPrompt : MODEL_PRICES[match]?.prompt || 0,
+      completion: Number.isFinite(flatCompletion) ? flatCompletion : MODEL_PRICES[match]?.completion || 0
+    };
+
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1000;
+  }
+
+  /**
+   * Reserves quota for a request and checks the user has room for it
+   *
+   * The reservation is written before usage is added up, and the check counts
+   * every other reservation, so of two requests racing for the last analysis
+   * at most one gets through.
+   * @param {Object} user - User document
+   * @param {string} kind - 'analysis', 'compare' or 'chat'
+   * @param {number} tokens - Tokens the request is expected to send
+   * @returns {Promise<Object>} - { reservation, usage, exceeded }; reservation is the record id to settle, null when exceeded
+   */
+  async reserve(user, kind, tokens = 0) {
+    const { _id: reservation } = await UsageRecord.create({
+      user: user._id,
+      kind,
+      promptTokens: tokens,
+      totalTokens: tokens,
+      estimated: true,
+      reserved: true
+    });
+
+    try {
+      const usage = await this.getUsage(user, { excluding: reservation });
+      const exceeded = this.findExceeded(usage, kind);
+
+      if (exceeded) {
+        await this.release(reservation);
+      }
+      return { reservation: exceeded ? null : reservation, usage, exceeded };
+    } catch (error) {
+      await this.release(reservation);
+      throw error;
+    }
+  }
+
+  /**
+   * Gives back a reservation that was never used
+   *
+   * Does nothing once the reservation is settled.
+   * @param {string} reservation - Reserved record id
+   * @returns {Promise<void>}
+   */
+  async release(reservation) {
+    if (!reservation) {
+      return;
+    }
+
+    try {
+      await UsageRecord.deleteOne({ _id: reservation, reserved: true });
+    } catch (error) {
+      // It stops counting on its own after RESERVATION_TTL_MS
+      console.error('Failed to release reserved usage:', error);
+    }
+  }
+
+  /**
+   * Runs LLM work for a user and records the tokens it used, even if it fails or is cancelled
+   * @param {string} userId - User the work is for
+   * @param {string} kind - 'analysis', 'compare' or 'chat'
+   * @param {Function} run - Called with an onUsage callback to pass to the analysis service
+   * @param {string} reservation - Record reserved for the work by reserve, settled with what it used
+   * @returns {Promise<*>} - Whatever run returns
+   */
+  async track(userId, kind, run, reservation) {
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, estimated: false, model: undefined };
+    const onUsage = ({ promptTokens, completionTokens, model, estimated }) => {
+      totals.requests += 1;
+      totals.promptTokens += promptTokens;
+      totals.completionTokens += completionTokens;
+      totals.estimated = totals.estimated || estimated;
+      totals.model = model;
+    };
+
+    try {
+      return await run(onUsage);
+    } finally {
+      // Work answered without the model (a cached analysis) counts for nothing
+      if (totals.requests > 0) {
+        await this.record(userId, kind, totals, reservation);
+      } else {
+        await this.release(reservation);
+      }
+    }
+  }
+
+  /**
+   * Stores the usage of one piece of work
+   * @param {string} userId - User the work was for
+   * @param {string} kind - 'analysis', 'compare' or 'chat'
+   * @param {Object} totals - { requests, promptTokens, completionTokens, estimated, model }
+   * @param {string} reservation - Reserved record to settle instead of adding a new one
+   * @returns {Promise<void>}
+   */
+  async record(userId, kind, { requests, promptTokens, completionTokens, estimated, model }, reservation) {
+    const fields = {
+      requests,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimatedCost: this.estimateCost(model, promptTokens, completionTokens),
+      estimated,
+      model
+    };
+
+    try {
+      // A reservation released meanwhile (the client went away first) is recorded afresh
+      const settled = reservation && await UsageRecord.findOneAndUpdate(
+        { _id: reservation, reserved: true },
+        { $set: { ...fields, reserved: false } }
+      );
+
+      if (!settled) {
+        await UsageRecord.create({ user: userId, kind, ...fields });
+      }
+    } catch (error) {
+      // The user already has their answer; a lost record only under-counts
+      console.error('Failed to record usage:', error);
+    }
+  }
+
+  /**
+   * Adds up a user's usage for the current day and month and compares it with their plan
+   *
+   * Requests still running count with what they reserved.
+   * @param {Object} user - User document
+   * @param {Object} options - Usage options
+   * @param {string} options.excluding - Record left out, so a request's check doesn't count its own reservation
+   * @returns {Promise<Object>} - { plan, daily, monthly }, each period with analyses and tokens ({ used, limit, remaining }), token split, cost and reset time
+   */
+  async getUsage(user, { excluding } = {}) {
+    const now = new Date();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const starts = { daily: dayStart, monthly: monthStart };
+    const resets = {
+      daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+      monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+
+    // Sums a field over the records of one period
+    const sumSince = (start, value) => ({ $sum: { $cond: [{ $gte: ['$createdAt', start] }, value, 0] } });
+    const isAnalysis = { $cond: [{ $in: ['$kind', ANALYSIS_KINDS] }, 1, 0] };
+
+    const [totals = {}] = await UsageRecord.aggregate([
+      {
+        $match: {
+          user: user._id,
+          createdAt: { $gte: monthStart },
+          ...(excluding && { _id: { $ne: excluding } }),
+          $or: [{ reserved: { $ne: true } }, { createdAt: { $gte: new Date(now.getTime() - RESERVATION_TTL_MS) } }]
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(PERIODS.flatMap(period => [
+            [`${period}Analyses`, sumSince(starts[period], isAnalysis)],
+            [`${period}PromptTokens`, sumSince(starts[period], '$promptTokens')],
+            [`${period}CompletionTokens`, sumSince(starts[period], '$completionTokens')],
+            [`${period}Cost`, sumSince(starts[period], '$estimatedCost')]
+          ]))
+        }
+      }
+    ]);
+
+    const plan = user.plan || DEFAULT_PLAN;
+    const quotas = this.getPlanQuotas(plan);
+    const describe = (used, limit) => ({
+      used,
+      limit: limit ?? null,
+      remaining: limit === null || limit === undefined ? null : Math.max(0, limit - used)
+    });
+
+    return {
+      plan,
+      ...Object.fromEntries(PERIODS.map((period) => {
+        const promptTokens = totals[`${period}PromptTokens`] || 0;
+        const completionTokens = totals[`${period}CompletionTokens`] || 0;
+
+        return [period, {
+          analyses: describe(totals[`${period}Analyses`] || 0, quotas[period].analyses),
+          tokens: describe(promptTokens + completionTokens, quotas[period].tokens),
+          promptTokens,
+          completionTokens,
+          estimatedCost: Math.round((totals[`${period}Cost`] || 0) * 10000) / 10000,
+          resetsAt: resets[period]
+        }];
+      }))
+    };
+  }
+
+  /**
+   * Finds the first quota a new piece of work would go over
+   * @param {Object} usage - Result of getUsage
+   * @param {string} kind - 'analysis', 'compare' or 'chat'; chat only needs tokens left
+   * @returns {Object|null} - { period, metric, limit, resetsAt }, or null when there is room
+   */
+  findExceeded(usage, kind) {
+    const metrics = ANALYSIS_KINDS.includes(kind) ? ['analyses', 'tokens'] : ['tokens'];
+
+    for (const period of PERIODS) {
+      for (const metric of metrics) {
+        const { remaining, limit } = usage[period][metric];
+        if (remaining === 0) {
+          return { period, metric, limit, resetsAt: usage[period].resetsAt };
+        }
+      }
+    }
+    return null;
+  }
+}
+
+// Export a singleton instance
+export const usageService = new UsageService();
+export default usageService;
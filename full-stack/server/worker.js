@@ -0,0 +1,39 @@
+/**
+ * Background Job Worker for ToS Dumbifier
+ *
+ * Runs queued analyses without serving the API, so LLM work can be scaled
+ * apart from the web server. Start as many as needed with `npm run worker`;
+ * they share the queue in MongoDB.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { jobQueue } from './services/jobQueue.js';
+
+// Load environment variables
+dotenv.config();
+
+const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/tos-dumbifier';
+
+// Running jobs go back to the queue so another worker can finish them
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, stopping job worker...`);
+  await jobQueue.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+try {
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(mongoURI);
+  console.log('✅ MongoDB Connected Successfully');
+
+  jobQueue.start({ concurrency: parseInt(process.env.JOB_CONCURRENCY || '2') });
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+} catch (error) {
+  console.error('❌ MongoDB Connection Failed:', error.message);
+  console.error('💡 See MONGODB_ATLAS_SETUP.md for detailed setup instructions');
+  process.exit(1);
+}
@@ -23,15 +23,60 @@ if (!fs.existsSync(envPath)) {
     console.log('✅ Created .env file from .env.example');
   } else {
     // Create basic .env file
-    const basicEnv = `# OpenAI API Configuration
-VITE_OPENAI_API_KEY=your_openai_api_key_here
-VITE_OPENAI_MODEL=gpt-3.5-turbo
-VITE_OPENAI_MAX_TOKENS=1500
+    const basicEnv = `# LLM provider: openai, local (OpenAI-compatible server such as Ollama) or mock (offline)
+LLM_PROVIDER=openai
+LOCAL_LLM_BASE_URL=http://localhost:11434/v1
+LOCAL_LLM_MODEL=llama3.1
+
+# OpenAI API Configuration (server only - never prefix with VITE_)
+OPENAI_API_KEY=your_openai_api_key_here
+OPENAI_MODEL=gpt-3.5-turbo
+OPENAI_MAX_TOKENS=1500
+
+# LLM request timeout (ms without an answer) and retries for rate limits and server errors
+LLM_TIMEOUT_MS=60000
+LLM_MAX_RETRIES=3
+
+# Prompt templates live in server/prompts; pin older versions with e.g. PROMPT_VERSIONS=analysis:1
+PROMPT_VERSIONS=
+
+# Background analysis jobs: how many each worker runs at once, and whether the API server runs a worker
+# (set JOB_WORKER_IN_SERVER=false to run them only in separate "npm run worker" processes)
+JOB_CONCURRENCY=2
+JOB_WORKER_IN_SERVER=true
+
+# Usage quotas per plan, overriding the defaults in server/services/usageService.js, e.g.
+# PLAN_QUOTAS={"free":{"daily":{"analyses":5}}}; a flat price per 1K tokens overrides the model price list
+PLAN_QUOTAS=
+LLM_PRICE_PROMPT_PER_1K=
+LLM_PRICE_COMPLETION_PER_1K=
+
+# Finished analyses are cached by document content for this many hours (ANALYSIS_CACHE=false turns it off)
+ANALYSIS_CACHE=true
+ANALYSIS_CACHE_TTL_HOURS=168
+
+# Pages imported from a link are cut off past this size and time; private network
+# addresses are refused unless URL_IMPORT_ALLOW_PRIVATE=true (local testing only)
+URL_IMPORT_MAX_BYTES=2097152
+URL_IMPORT_TIMEOUT_MS=10000
+URL_IMPORT_ALLOW_PRIVATE=false
 
 # Application Settings
 VITE_APP_NAME=ToS Dumbifier
 VITE_MAX_FILE_SIZE=10485760
 VITE_DEBUG_MODE=false
+
+# Documents this long (in characters) keep analyzing on the server if the tab is closed;
+# shorter ones stream into the page unless the user ticks "Keep analyzing if I close this tab".
+# Must stay below the server's 50000-character document limit
+VITE_BACKGROUND_ANALYSIS_CHARS=20000
+
+# OCR language(s) for images and scanned PDFs (e.g. eng+deu; npm install @tesseract.js-data/deu
+# for each extra one). The app serves the OCR engine and language data itself; set the paths
+# only to load them from somewhere else
+VITE_OCR_LANGUAGE=eng
+VITE_OCR_CORE_PATH=
+VITE_OCR_LANG_PATH=
 `;
     fs.writeFileSync(envPath, basicEnv);
     console.log('✅ Created basic .env file');
@@ -42,17 +87,21 @@ VITE_DEBUG_MODE=false
 
 // Check for OpenAI API key
 const envContent = fs.readFileSync(envPath, 'utf8');
-const hasApiKey = envContent.includes('VITE_OPENAI_API_KEY=') && 
-                  !envContent.includes('VITE_OPENAI_API_KEY=your_openai_api_key_here');
+const hasApiKey = /^OPENAI_API_KEY=/m.test(envContent) && 
+                  !envContent.includes('OPENAI_API_KEY=your_openai_api_key_here');
+
+const usesOpenAI = !/^LLM_PROVIDER=(local|mock)\s*$/m.test(envContent);
 
-if (!hasApiKey) {
+if (!usesOpenAI) {
+  console.log('ℹ️  Using a local or mock LLM provider - no OpenAI API key needed');
+} else if (!hasApiKey) {
   console.log('\n⚠️  IMPORTANT: OpenAI API Key Required');
   console.log('=====================================');
   console.log('1. Go to https://platform.openai.com/api-keys');
   console.log('2. Create an account or sign in');
   console.log('3. Generate a new API key');
   console.log('4. Edit .env file and replace "your_openai_api_key_here" with your actual API key');
-  console.log('5. Restart the development server\n');
+  console.log('5. Restart the API server (npm run server)\n');
 } else {
   console.log('✅ OpenAI API key appears to be configured');
 }
@@ -60,6 +109,8 @@ if (!hasApiKey) {
 // Check if required directories exist
 const dirsToCheck = [
   'src/services',
+  'server/services',
+  'server/prompts',
   'src/components',
   'src/utils'
 ];
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import './Dashboard.css';
 import { dashboardConfig } from './dashboardConfig.js';
 import Navbar from './Navbar.jsx';
@@ -6,6 +6,21 @@ import FileUploader from './FileUploader/FileUploader.tsx';
 import { useAuth } from '../context/AuthContext.jsx';
 import { documentProcessor } from '../services/documentProcessor.js';
 import DocumentResults from '../components/DocumentResults/DocumentResults.jsx';
+import HistoryPanel from '../components/HistoryPanel/HistoryPanel.jsx';
+import CompareView from '../components/CompareView/CompareView.jsx';
+import ConcernsPanel from '../components/ConcernsPanel/ConcernsPanel.jsx';
+import UsagePanel from '../components/UsagePanel/UsagePanel.jsx';
+import DocumentTypePicker from '../components/DocumentTypePicker/DocumentTypePicker.jsx';
+import LinkImporter from '../components/LinkImporter/LinkImporter.jsx';
+import ResumedJobs from '../components/ResumedJobs/ResumedJobs.jsx';
+import { documentClassifier } from '../services/documentClassifier.js';
+import { jobsApi } from '../services/jobsApi.js';
+
+// Imported pages are saved under their URL instead of a filename
+const isLink = (filename) => /^https?:\/\//.test(filename || '');
+
+// Jobs whose text was typed, pasted or imported into the main textbox rather than uploaded
+const isTextboxJob = (job) => !job.filename || job.filename === 'Pasted Text' || isLink(job.filename);
 
 /**
  * renders a dashboard with a title and textboxes
@@ -13,6 +28,8 @@ import DocumentResults from '../components/DocumentResults/DocumentResults.jsx';
  */
 const Dashboard = () => {
   const [isNavbarExpanded, setIsNavbarExpanded] = useState(false);
+  // 'dashboard', 'history', 'concerns', 'compare' or 'usage'
+  const [activeView, setActiveView] = useState('dashboard');
   const { user, logout } = useAuth();
   
   // State for text processing
@@ -21,6 +38,20 @@ const Dashboard = () => {
   const [showTextResults, setShowTextResults] = useState(false);
   const [processingProgress, setProcessingProgress] = useState(0);
   const [processingMessage, setProcessingMessage] = useState('');
+  const [isRetrying, setIsRetrying] = useState(false);
+  const [streamingDocument, setStreamingDocument] = useState(null);
+  const [streamingText, setStreamingText] = useState('');
+  // Empty means "use the level saved in the user's preferences"
+  const [simplificationLevel, setSimplificationLevel] = useState('');
+  // Whether the next analysis runs as a server job that outlives this tab instead of streaming
+  const [runInBackground, setRunInBackground] = useState(false);
+  // Detected type of the pasted text, and the type the user picked instead (empty means "use the detected one")
+  const [classification, setClassification] = useState(null);
+  const [chosenDocumentType, setChosenDocumentType] = useState('');
+  // Background analyses found running after a reload, other than the one shown in the textbox
+  const [resumedJobs, setResumedJobs] = useState([]);
+  const abortControllerRef = useRef(null);
+  const hasCheckedJobsRef = useRef(false);
 
   const handleLogout = async () => {
     try {
@@ -29,6 +60,21 @@ const Dashboard = () => {
       console.error('Logout error:', error);
     }
   };
+
+  // Function to handle navbar clicks
+  const handleNavigate = (itemId) => {
+    if (itemId === 'logout') {
+      handleLogout();
+    } else if (['dashboard', 'history', 'concerns', 'compare', 'usage'].includes(itemId)) {
+      setActiveView(itemId);
+    }
+  };
+
+  // Function to reopen a saved analysis (and its chat) from history
+  const handleOpenHistoryEntry = (entry) => {
+    setTextResults(documentProcessor.fromHistoryEntry(entry));
+    setShowTextResults(true);
+  };
   
   // Function to get the right CSS class for textbox size
   const getTextboxSizeClass = (size) => {
@@ -53,38 +99,124 @@ const Dashboard = () => {
     };
   };
 
-  // Function to detect document type based on content
-  const detectDocumentType = (text) => {
-    const lowercaseText = text.toLowerCase();
-    
-    // Terms of Service detection
-    if (lowercaseText.includes('terms of service') || 
-        lowercaseText.includes('terms and conditions') ||
-        lowercaseText.includes('user agreement') ||
-        lowercaseText.includes('acceptable use')) {
-      return 'tos';
+  // Function to detect the document type as the user types or pastes
+  const handleMainTextChange = (text) => {
+    if (!text.trim()) {
+      setClassification(null);
+      setChosenDocumentType('');
+      return;
     }
-    
-    // Privacy Policy detection
-    if (lowercaseText.includes('privacy policy') ||
-        lowercaseText.includes('data collection') ||
-        lowercaseText.includes('personal information') ||
-        lowercaseText.includes('cookies') ||
-        lowercaseText.includes('tracking')) {
-      return 'privacy-policy';
+    setClassification(documentClassifier.classify(text));
+  };
+
+  // Function to analyze text, streamed or as a background job; jobId waits for one that is already
+  // running, refresh skips the server's cached analysis of the same text
+  const analyzeText = useCallback(async ({ text, filename, documentType, jobId, refresh }) => {
+    setIsProcessingText(true);
+    setProcessingProgress(0);
+    setProcessingMessage(jobId ? 'Picking up where your analysis left off...' : `Processing ${documentType.toUpperCase()} document...`);
+    setTextResults(null);
+    setShowTextResults(false);
+
+    try {
+      // Show the results panel right away so the summary can stream into it
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setStreamingText('');
+      setStreamingDocument({
+        originalText: text,
+        documentType,
+        filename
+      });
+
+      // Create a progress callback
+      const onProgress = (progress) => {
+        setProcessingProgress(progress.progress);
+        setProcessingMessage(progress.message);
+        setIsRetrying(progress.step === 'retrying');
+      };
+
+      // A background job keeps running on the server if this page is closed or reloaded
+      const result = await documentProcessor.processDocument({
+        text,
+        filename,
+        type: 'text/plain',
+        documentType
+      }, onProgress, {
+        onText: (markdown) => setStreamingText(markdown),
+        signal: controller.signal,
+        simplificationLevel: simplificationLevel || undefined,
+        background: runInBackground,
+        jobId,
+        refresh
+      });
+
+      if (result && result.success) {
+        setTextResults(result);
+        setShowTextResults(true);
+        setProcessingMessage('Analysis complete!');
+        
+        // Save to user history if logged in
+        if (user) {
+          try {
+            await documentProcessor.saveToHistory(result);
+          } catch (historyError) {
+            console.warn('Failed to save to history:', historyError);
+          }
+        }
+      } else if (result?.cancelled) {
+        setProcessingMessage('Analysis cancelled.');
+      } else {
+        setProcessingMessage('Failed to process text. Please try again.');
+
+        // Still show what the offline clause check found
+        if (result?.clauseFindings) {
+          setTextResults(result);
+          setShowTextResults(true);
+        }
+      }
+
+    } catch (error) {
+      console.error('Text processing failed:', error);
+      setProcessingMessage(error.message || 'Processing failed. Please try again.');
+    } finally {
+      setIsProcessingText(false);
+      setIsRetrying(false);
+      setStreamingDocument(null);
+      abortControllerRef.current = null;
     }
-    
-    // EULA detection
-    if (lowercaseText.includes('end user license') ||
-        lowercaseText.includes('software license') ||
-        lowercaseText.includes('eula') ||
-        lowercaseText.includes('license agreement')) {
-      return 'eula';
+  }, [simplificationLevel, runInBackground, user]);
+
+  // Reattach to the analyses that were still running when the page was closed or reloaded
+  useEffect(() => {
+    if (!user || hasCheckedJobsRef.current) {
+      return;
     }
-    
-    // Default to 'other' for general legal documents
-    return 'other';
-  };
+    hasCheckedJobsRef.current = true;
+
+    jobsApi.getActiveJobs()
+      .then((jobs) => {
+        // The newest pasted text or imported page goes back in the textbox; the rest are listed
+        const textboxJob = jobs.find(isTextboxJob);
+        setResumedJobs(jobs.filter((job) => job !== textboxJob));
+
+        if (!textboxJob) {
+          return;
+        }
+
+        const textarea = document.getElementById('main-textbox');
+        if (textarea) {
+          textarea.value = textboxJob.text;
+        }
+        analyzeText({
+          text: textboxJob.text,
+          filename: textboxJob.filename || 'Pasted Text',
+          documentType: textboxJob.documentType,
+          jobId: textboxJob.id
+        });
+      })
+      .catch((jobsError) => console.warn('Could not check for running analyses:', jobsError));
+  }, [user, analyzeText]);
 
   // Function to handle text submission
   const handleSubmit = async (textboxId, textValue) => {
@@ -103,55 +235,30 @@ const Dashboard = () => {
 
     // Process text with OpenAI for the main textbox
     if (textboxId === 'main-textbox') {
-      setIsProcessingText(true);
-      setProcessingProgress(0);
-      setProcessingMessage('Analyzing document type...');
-      setTextResults(null);
-      setShowTextResults(false);
-
-      try {
-        // Detect document type
-        const documentType = detectDocumentType(textString);
-        console.log(`Detected document type: ${documentType}`);
-        setProcessingMessage(`Processing ${documentType.toUpperCase()} document...`);
-
-        // Create a progress callback
-        const onProgress = (progress) => {
-          setProcessingProgress(progress.progress);
-          setProcessingMessage(progress.message);
-        };
-
-        // Process the text as a document with detected type
-        const result = await documentProcessor.processDocument({
-          text: textString,  // Ensure it's a string
-          filename: 'Pasted Text',
-          type: 'text/plain',
-          documentType: documentType  // Pass the detected document type
-        }, onProgress);
-
-        if (result && result.success) {
-          setTextResults(result);
-          setShowTextResults(true);
-          setProcessingMessage('Analysis complete!');
-          
-          // Save to user history if logged in
-          if (user) {
-            try {
-              await documentProcessor.saveToHistory(result);
-            } catch (historyError) {
-              console.warn('Failed to save to history:', historyError);
-            }
-          }
-        } else {
-          setProcessingMessage('Failed to process text. Please try again.');
-        }
+      // Use the type the user picked, or detect it
+      const documentType = chosenDocumentType || documentClassifier.classify(textString).type;
+      console.log(`Document type: ${documentType}`);
+      await analyzeText({ text: textString, filename: 'Pasted Text', documentType });
+    }
+  };
 
-      } catch (error) {
-        console.error('Text processing failed:', error);
-        setProcessingMessage(error.message || 'Processing failed. Please try again.');
-      } finally {
-        setIsProcessingText(false);
-      }
+  // Function to analyze a page imported from a link; the URL stands in for the filename
+  const handleImportedPage = async (page) => {
+    const textarea = document.getElementById('main-textbox');
+    if (textarea) {
+      textarea.value = page.text;
+    }
+
+    const detected = documentClassifier.classify(page.text, page.title || page.url);
+    setClassification(detected);
+    setChosenDocumentType('');
+    await analyzeText({ text: page.text, filename: page.url, documentType: detected.type });
+  };
+
+  // Function to cancel the analysis that is currently streaming
+  const handleCancelProcessing = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
     }
   };
 
@@ -166,16 +273,47 @@ const Dashboard = () => {
 
   return (
     <div className={`dashboard ${isNavbarExpanded ? 'navbar-expanded' : ''}`}>
-      <Navbar onToggle={setIsNavbarExpanded} />
+      <Navbar onToggle={setIsNavbarExpanded} onNavigate={handleNavigate} activeItem={activeView} />
       
       {/* Dashboard Title */}
       <h1 className="dashboard-title">
         {dashboardConfig.header.title}
       </h1>
       
+      {/* Simplification level for the next analysis */}
+      <div
+        className="level-selector"
+        style={{ position: 'absolute', ...dashboardConfig.levelSelector.position }}
+      >
+        <label htmlFor="simplification-level">{dashboardConfig.levelSelector.label}</label>
+        <select
+          id="simplification-level"
+          value={simplificationLevel}
+          onChange={(e) => setSimplificationLevel(e.target.value)}
+          disabled={isProcessingText}
+        >
+          {dashboardConfig.levelSelector.options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.value === '' && user?.preferences?.simplificationLevel
+                ? `${option.label} (${user.preferences.simplificationLevel})`
+                : option.label}
+            </option>
+          ))}
+        </select>
+        <label className="background-toggle">
+          <input
+            type="checkbox"
+            checked={runInBackground}
+            onChange={(e) => setRunInBackground(e.target.checked)}
+            disabled={isProcessingText}
+          />
+          {dashboardConfig.backgroundToggle.label}
+        </label>
+      </div>
+
       {/* File Uploader Component */}
       <div className="file-uploader-container">
-        <FileUploader />
+        <FileUploader simplificationLevel={simplificationLevel || undefined} runInBackground={runInBackground} />
       </div>
       
       {/* Render all textboxes from config */}
@@ -192,6 +330,7 @@ const Dashboard = () => {
             rows={textbox.rows}
             cols={textbox.cols}
             defaultValue={textbox.initialValue}
+            onChange={textbox.id === 'main-textbox' ? (e) => handleMainTextChange(e.target.value) : undefined}
           />
           <button
             className="textbox-submit-btn"
@@ -218,6 +357,21 @@ const Dashboard = () => {
             )}
           </button>
           
+          {/* Fetches a policy page from the web instead of pasting its text */}
+          {textbox.id === 'main-textbox' && (
+            <LinkImporter onImport={handleImportedPage} disabled={isProcessingText} />
+          )}
+
+          {/* Detected document type, which the user can change before analyzing */}
+          {textbox.id === 'main-textbox' && classification && (
+            <DocumentTypePicker
+              classification={classification}
+              value={chosenDocumentType || classification.type}
+              onChange={(type) => setChosenDocumentType(type === classification.type ? '' : type)}
+              disabled={isProcessingText}
+            />
+          )}
+
           {/* Processing status for main textbox */}
           {textbox.id === 'main-textbox' && isProcessingText && (
             <div className="text-processing-status">
@@ -230,18 +384,76 @@ const Dashboard = () => {
                 </div>
                 <span className="progress-text">{processingProgress}%</span>
               </div>
-              <p className="processing-message">{processingMessage}</p>
+              <p className={`processing-message ${isRetrying ? 'retrying' : ''}`}>{processingMessage}</p>
+              <button className="retry-btn" onClick={handleCancelProcessing}>
+                Cancel
+              </button>
             </div>
           )}
         </div>
       ))}
 
+      {/* Summary streaming in while the text is analyzed */}
+      {isProcessingText && streamingDocument && (
+        <DocumentResults
+          result={{
+            success: true,
+            streaming: true,
+            ...streamingDocument,
+            processedText: streamingText,
+            progress: processingProgress,
+            progressMessage: processingMessage
+          }}
+          onCancel={handleCancelProcessing}
+        />
+      )}
+
+      {/* Uploads and older analyses that kept running while the page was closed */}
+      {resumedJobs.length > 0 && (
+        <ResumedJobs
+          jobs={resumedJobs}
+          onOpen={(result) => {
+            setTextResults(result);
+            setShowTextResults(true);
+          }}
+        />
+      )}
+
+      {/* Saved documents; opened entries show on top in DocumentResults */}
+      {activeView === 'history' && (
+        <HistoryPanel
+          onOpen={handleOpenHistoryEntry}
+          onClose={() => setActiveView('dashboard')}
+        />
+      )}
+
+      {/* Concerns every analysis should answer */}
+      {activeView === 'concerns' && (
+        <ConcernsPanel onClose={() => setActiveView('dashboard')} />
+      )}
+
+      {/* Old vs new version of a document */}
+      {activeView === 'compare' && (
+        <CompareView onClose={() => setActiveView('dashboard')} />
+      )}
+
+      {/* Plan quota, tokens and cost so far */}
+      {activeView === 'usage' && (
+        <UsagePanel onClose={() => setActiveView('dashboard')} />
+      )}
+
       {/* Text Processing Results */}
       {showTextResults && textResults && (
         <DocumentResults
           result={textResults}
           onClose={handleCloseTextResults}
-          onSave={() => documentProcessor.saveToHistory(textResults)}
+          onSaveToHistory={() => documentProcessor.saveToHistory(textResults)}
+          onReanalyze={(result) => analyzeText({
+            text: result.originalText,
+            filename: result.filename,
+            documentType: result.documentType,
+            refresh: true
+          })}
         />
       )}
       
@@ -1,6 +1,8 @@
-import { ChangeEvent, useState } from 'react';
+import { useRef, useState } from 'react';
 import { documentProcessor } from '../../services/documentProcessor.js';
 import DocumentResults from '../../components/DocumentResults/DocumentResults.jsx';
+import DocumentTypePicker from '../../components/DocumentTypePicker/DocumentTypePicker.jsx';
+import BatchOverview from '../../components/BatchOverview/BatchOverview.jsx';
 
 type ProcessingStatus = "idle" | "processing" | "success" | "error";
 
@@ -8,50 +10,158 @@ interface ProcessingProgress {
     step: string;
     progress: number;
     message: string;
+    retry?: {
+        attempt: number;
+        maxRetries: number;
+        delayMs: number;
+    };
+}
+
+// One file of a batch upload and how far its analysis has got
+interface BatchItem {
+    file: File;
+    classification: any;
+    chosenDocumentType: string;
+    progress: number;
+    message: string;
+    result: any;
 }
 
-export default function FileUploader() {
+interface FileUploaderProps {
+    // Overrides the user's saved simplification level for this analysis
+    simplificationLevel?: 'basic' | 'detailed' | 'technical';
+    // Runs analyses as server jobs that survive closing the tab instead of streaming them
+    runInBackground?: boolean;
+}
+
+export default function FileUploader({ simplificationLevel, runInBackground = false }: FileUploaderProps) {
     const [file, setFile] = useState<File | null>(null);
     const [status, setStatus] = useState<ProcessingStatus>("idle");
     const [progress, setProgress] = useState<number>(0);
     const [progressMessage, setProgressMessage] = useState<string>("");
     const [result, setResult] = useState<any>(null);
     const [showResults, setShowResults] = useState<boolean>(false);
+    const [streamingText, setStreamingText] = useState<string>("");
+    const [isRetrying, setIsRetrying] = useState<boolean>(false);
+    const abortControllerRef = useRef<AbortController | null>(null);
+    // Detected type of the selected file, and the type the user picked instead (empty means "use the detected one")
+    const [classification, setClassification] = useState<any>(null);
+    const [chosenDocumentType, setChosenDocumentType] = useState<string>("");
+    const selectedFileRef = useRef<File | null>(null);
+    // Several files selected at once are analyzed as a batch and reviewed in one overview
+    const [batch, setBatch] = useState<BatchItem[]>([]);
+    const [showOverview, setShowOverview] = useState<boolean>(false);
+    const [openBatchIndex, setOpenBatchIndex] = useState<number | null>(null);
+    const [isDragging, setIsDragging] = useState<boolean>(false);
+    const selectedBatchRef = useRef<File[]>([]);
+
+    function selectFiles(fileList: FileList | null) {
+        const selected = Array.from(fileList || []);
+        if (selected.length === 0) return;
+
+        const isBatch = selected.length > 1;
+        setFile(isBatch ? null : selected[0]);
+        setBatch(isBatch ? selected.map((batchFile) => ({
+            file: batchFile,
+            classification: null,
+            chosenDocumentType: "",
+            progress: 0,
+            message: "Waiting...",
+            result: null
+        })) : []);
+        setStatus("idle");
+        setResult(null);
+        setStreamingText("");
+        setShowResults(false);
+        setShowOverview(false);
+        setOpenBatchIndex(null);
+        setClassification(null);
+        setChosenDocumentType("");
+        console.log('Selected files:', selected);
+
+        // Only the latest selection's types are shown
+        selectedFileRef.current = isBatch ? null : selected[0];
+        selectedBatchRef.current = isBatch ? selected : [];
+        selected.forEach((selectedFile, index) => {
+            documentProcessor.classifyFile(selectedFile).then((detected) => {
+                if (selectedFileRef.current === selectedFile) {
+                    setClassification(detected);
+                } else if (selectedBatchRef.current[index] === selectedFile) {
+                    updateBatchItem(index, { classification: detected });
+                }
+            });
+        });
+    }
 
     function handleFileChange(e: React.ChangeEvent<HTMLInputElement>) {
-        if (e.target.files) {
-            setFile(e.target.files[0]);
-            setStatus("idle");
-            setResult(null);
-            setShowResults(false);
-            console.log('Selected file:', e.target.files[0]);
+        selectFiles(e.target.files);
+    }
+
+    function handleDragOver(e: React.DragEvent<HTMLDivElement>) {
+        e.preventDefault();
+        if (status !== "processing") {
+            setIsDragging(true);
         }
     }
 
+    function handleDrop(e: React.DragEvent<HTMLDivElement>) {
+        e.preventDefault();
+        setIsDragging(false);
+        if (status !== "processing") {
+            selectFiles(e.dataTransfer.files);
+        }
+    }
+
+    function updateBatchItem(index: number, changes: Partial<BatchItem>) {
+        setBatch((current) => current.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)));
+    }
+
     const handleProgressUpdate = (progressData: ProcessingProgress) => {
         setProgress(progressData.progress);
         setProgressMessage(progressData.message);
+        setIsRetrying(progressData.step === 'retrying');
         
         if (progressData.step === 'error') {
             setStatus("error");
+        } else if (progressData.step === 'cancelled') {
+            setStatus("idle");
         } else if (progressData.step === 'complete') {
             setStatus("success");
         }
     };
 
-    async function handleProcessDocument() {
+    // refresh skips the server's cached analysis of the same text
+    async function handleProcessDocument(refresh: boolean = false) {
         if (!file) return;
 
         setStatus("processing");
         setProgress(0);
         setProgressMessage("Starting document processing...");
+        setStreamingText("");
+
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
 
         try {
             const processingResult = await documentProcessor.processDocument(
                 file, 
-                handleProgressUpdate
+                handleProgressUpdate,
+                {
+                    onText: (text: string) => setStreamingText(text),
+                    signal: controller.signal,
+                    simplificationLevel,
+                    documentType: chosenDocumentType || undefined,
+                    // A job keeps running on the server; the Dashboard picks it up again after a reload
+                    background: runInBackground,
+                    refresh
+                }
             );
 
+            if (processingResult.cancelled) {
+                setStatus("idle");
+                return;
+            }
+
             setResult(processingResult);
             
             if (processingResult.success) {
@@ -64,9 +174,62 @@ export default function FileUploader() {
             console.error("Document processing failed:", error);
             setStatus("error");
             setProgressMessage(error instanceof Error ? error.message : "Processing failed");
+        } finally {
+            setIsRetrying(false);
+            abortControllerRef.current = null;
+        }
+    }
+
+    async function handleProcessBatch() {
+        setStatus("processing");
+        setBatch((current) => current.map((item) => ({ ...item, progress: 0, message: "Waiting...", result: null })));
+
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+
+        try {
+            const results = await documentProcessor.processBatch(
+                batch.map((item) => item.file),
+                (index: number, progressData: ProcessingProgress) => updateBatchItem(index, {
+                    progress: progressData.progress,
+                    message: progressData.message
+                }),
+                {
+                    signal: controller.signal,
+                    simplificationLevel,
+                    background: runInBackground,
+                    documentTypes: batch.map((item) => item.chosenDocumentType || undefined),
+                    onFileComplete: (index: number, fileResult: any) => updateBatchItem(index, { result: fileResult })
+                }
+            );
+
+            // Nothing to review if the batch was cancelled before any file finished
+            if (!results.some((fileResult: any) => fileResult.success || fileResult.clauseFindings)) {
+                setStatus(controller.signal.aborted ? "idle" : "error");
+                setProgressMessage("None of the documents could be analyzed. Please try again.");
+                return;
+            }
+
+            setStatus("success");
+            setShowOverview(true);
+        } catch (error) {
+            console.error("Batch processing failed:", error);
+            setStatus("error");
+            setProgressMessage(error instanceof Error ? error.message : "Processing failed");
+        } finally {
+            abortControllerRef.current = null;
         }
     }
 
+    // Results that finished are kept in the overview even if the rest of the batch was cancelled
+    const handleSaveBatchToHistory = () => Promise.all(
+        batch.filter((item) => item.result?.success).map((item) => documentProcessor.saveToHistory(item.result))
+    );
+
+    const handleCancelProcessing = () => {
+        abortControllerRef.current?.abort();
+    };
+
     const handleCloseResults = () => {
         setShowResults(false);
         setResult(null);
@@ -81,30 +244,108 @@ export default function FileUploader() {
     return (
         <>
             <div className="space-y-2">
-                <div className="file-input-section">
+                <div
+                    className={`file-input-section file-drop-zone ${isDragging ? 'dragging' : ''}`}
+                    onDragOver={handleDragOver}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                >
                     <input 
                         type="file" 
-                        accept=".txt,.pdf,.doc,.docx" 
+                        accept=".txt,.pdf,.docx,.odt,.png,.jpg,.jpeg" 
+                        multiple
                         onChange={handleFileChange}
                         disabled={status === "processing"}
                     />
                     <p className="file-help-text">
-                        Upload a Terms of Service, Privacy Policy, or EULA document (.txt, .pdf, .doc, .docx)
+                        Upload or drop a Terms of Service, Privacy Policy, or EULA document (.txt, .pdf, .docx, .odt) or a screenshot or scan (.png, .jpg) - pick several to review a vendor's documents together
                     </p>
                 </div>
 
+                {batch.length > 0 && (
+                    <div className="file-info batch-queue">
+                        <h4>Selected Documents ({batch.length}):</h4>
+                        {batch.map((item, index) => (
+                            <div key={index} className="batch-queue-item">
+                                <p>
+                                    <strong>{item.file.name}</strong> ({(item.file.size / 1024).toFixed(2)} KB)
+                                    {item.result && (
+                                        <span className="batch-queue-status">
+                                            {item.result.success ? ' ✅ Done' : item.result.cancelled ? ' ⏹️ Cancelled' : ` ❌ ${item.result.error}`}
+                                        </span>
+                                    )}
+                                </p>
+                                {status === "processing" && !item.result && (
+                                    <div className="progress-container">
+                                        <div className="progress-bar">
+                                            <div className="progress-fill" style={{ width: `${item.progress}%` }} />
+                                        </div>
+                                        <p className="progress-text">{item.progress}%</p>
+                                    </div>
+                                )}
+                                {status === "processing" && !item.result && (
+                                    <p className="progress-message">{item.message}</p>
+                                )}
+                                {status === "idle" && (
+                                    <DocumentTypePicker
+                                        classification={item.classification}
+                                        value={item.chosenDocumentType || item.classification?.type}
+                                        onChange={(type: string) => updateBatchItem(index, {
+                                            chosenDocumentType: type === item.classification?.type ? "" : type
+                                        })}
+                                    />
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {batch.length > 0 && status === "idle" && (
+                    <div className="process-section">
+                        <button onClick={handleProcessBatch} className="process-btn">
+                            🤖 Analyze All {batch.length} with AI
+                        </button>
+                        <p className="process-help-text">
+                            Documents are analyzed a couple at a time; you'll get an overview of all of them at the end
+                        </p>
+                    </div>
+                )}
+
+                {batch.length > 0 && status === "processing" && (
+                    <div className="processing-section">
+                        <button onClick={handleCancelProcessing} className="retry-btn">
+                            Cancel Batch
+                        </button>
+                    </div>
+                )}
+
+                {batch.length > 0 && status === "success" && !showOverview && openBatchIndex === null && (
+                    <div className="success-section">
+                        <p className="success-message">✅ Batch processed!</p>
+                        <button onClick={() => setShowOverview(true)} className="view-results-btn">
+                            View Overview
+                        </button>
+                    </div>
+                )}
+
                 {file && (
                     <div className="file-info">
                         <h4>Selected Document:</h4>
                         <p><strong>Name:</strong> {file.name}</p>
                         <p><strong>Size:</strong> {(file.size / 1024).toFixed(2)} KB</p>
                         <p><strong>Type:</strong> {file.type || 'Unknown'}</p>
+                        <DocumentTypePicker
+                            classification={classification}
+                            value={chosenDocumentType || classification?.type}
+                            onChange={(type: string) => setChosenDocumentType(type === classification.type ? "" : type)}
+                            disabled={status === "processing"}
+                        />
                     </div>
                 )}
 
                 {file && status !== "processing" && (
                     <div className="process-section">
-                        <button onClick={handleProcessDocument} className="process-btn">
+                        <button onClick={() => handleProcessDocument()} className="process-btn">
                             🤖 Analyze with AI
                         </button>
                         <p className="process-help-text">
@@ -113,7 +354,7 @@ export default function FileUploader() {
                     </div>
                 )}
 
-                {status === "processing" && (
+                {file && status === "processing" && (
                     <div className="processing-section">
                         <div className="progress-container">
                             <div className="progress-bar">
@@ -124,11 +365,14 @@ export default function FileUploader() {
                             </div>
                             <p className="progress-text">{progress}%</p>
                         </div>
-                        <p className="progress-message">{progressMessage}</p>
+                        <p className={`progress-message ${isRetrying ? 'retrying' : ''}`}>{progressMessage}</p>
+                        <button onClick={handleCancelProcessing} className="retry-btn">
+                            Cancel
+                        </button>
                     </div>
                 )}
 
-                {status === "success" && !showResults && (
+                {file && status === "success" && !showResults && (
                     <div className="success-section">
                         <p className="success-message">✅ Document processed successfully!</p>
                         <button onClick={() => setShowResults(true)} className="view-results-btn">
@@ -140,6 +384,11 @@ export default function FileUploader() {
                 {status === "error" && (
                     <div className="error-section">
                         <p className="error-message">❌ {progressMessage || "Processing failed. Please try again."}</p>
+                        {result?.clauseFindings && (
+                            <button onClick={() => setShowResults(true)} className="view-results-btn">
+                                View Clause Check
+                            </button>
+                        )}
                         <button onClick={() => setStatus("idle")} className="retry-btn">
                             Try Again
                         </button>
@@ -147,11 +396,52 @@ export default function FileUploader() {
                 )}
             </div>
 
+            {status === "processing" && streamingText && (
+                <DocumentResults
+                    result={{
+                        success: true,
+                        streaming: true,
+                        filename: file?.name,
+                        processedText: streamingText,
+                        progress,
+                        progressMessage
+                    }}
+                    onCancel={handleCancelProcessing}
+                />
+            )}
+
+            {showOverview && (
+                <BatchOverview
+                    items={batch}
+                    onOpenReport={(index: number) => {
+                        setShowOverview(false);
+                        setOpenBatchIndex(index);
+                    }}
+                    onSaveAll={handleSaveBatchToHistory}
+                    onClose={() => setShowOverview(false)}
+                />
+            )}
+
+            {openBatchIndex !== null && batch[openBatchIndex]?.result && (
+                <DocumentResults
+                    result={{ file: batch[openBatchIndex].file, ...batch[openBatchIndex].result }}
+                    onClose={() => {
+                        setOpenBatchIndex(null);
+                        setShowOverview(true);
+                    }}
+                    onSaveToHistory={handleSaveToHistory}
+                />
+            )}
+
             {showResults && result && (
                 <DocumentResults
                     result={result}
                     onClose={handleCloseResults}
                     onSaveToHistory={handleSaveToHistory}
+                    onReanalyze={() => {
+                        setShowResults(false);
+                        handleProcessDocument(true);
+                    }}
                 />
             )}
         </>
@@ -5,8 +5,9 @@ import './Navbar.css';
  * Navbar Component - Left-side navigation bar
  * 
  * This component renders a collapsible left-side navbar with navigation items
+ * and reports clicks through onNavigate(itemId)
  */
-const Navbar = ({ onToggle }) => {
+const Navbar = ({ onToggle, onNavigate, activeItem = 'dashboard' }) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
   const toggleNavbar = () => {
@@ -21,8 +22,7 @@ const Navbar = ({ onToggle }) => {
     {
       id: 'dashboard',
       icon: '/svg_icons/dashboardIcon.svg',
-      label: 'Dashboard',
-      active: true
+      label: 'Dashboard'
     },
     {
       id: 'dictionary',
@@ -34,6 +34,21 @@ const Navbar = ({ onToggle }) => {
       icon: '/svg_icons/historyIcon.svg',
       label: 'History'
     },
+    {
+      id: 'concerns',
+      icon: '/svg_icons/concernsIcon.svg',
+      label: 'My Concerns'
+    },
+    {
+      id: 'compare',
+      icon: '/svg_icons/compareIcon.svg',
+      label: 'Compare'
+    },
+    {
+      id: 'usage',
+      icon: '/svg_icons/usageIcon.svg',
+      label: 'Usage'
+    },
     {
       id: 'help',
       icon: '/svg_icons/helpIcon.svg',
@@ -65,8 +80,17 @@ const Navbar = ({ onToggle }) => {
       {/* Navigation items */}
       <ul className="navbar-items">
         {navItems.map((item) => (
-          <li key={item.id} className={`navbar-item ${item.active ? 'active' : ''}`}>
-            <a href="#" className="navbar-link" onClick={(e) => e.preventDefault()}>
+          <li key={item.id} className={`navbar-item ${item.id === activeItem ? 'active' : ''}`}>
+            <a
+              href="#"
+              className="navbar-link"
+              onClick={(e) => {
+                e.preventDefault();
+                if (onNavigate) {
+                  onNavigate(item.id);
+                }
+              }}
+            >
               <img 
                 src={item.icon} 
                 alt={item.label}
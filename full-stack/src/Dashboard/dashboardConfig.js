@@ -30,6 +30,23 @@ export const dashboardConfig = {
     },
   ],
 
+  // Simplification level picker - overrides the saved preference for one analysis
+  levelSelector: {
+    position: { top: "24%", left: "55%" },
+    label: "Simplification level:",
+    options: [
+      { value: "", label: "My default" },                              // Use the profile preference
+      { value: "basic", label: "Basic - short and simple" },
+      { value: "detailed", label: "Detailed - plain-English report" },
+      { value: "technical", label: "Technical - clause by clause" },
+    ],
+  },
+
+  // Runs the next analysis as a server job instead of streaming it (long documents always are)
+  backgroundToggle: {
+    label: "Keep analyzing if I close this tab",
+  },
+
   //simple text elements
   textElements: [
     {
@@ -44,7 +61,7 @@ export const dashboardConfig = {
     },
     {
       id: "instruction-text", 
-      text: "📝 Copy & Paste: Paste any legal text into the textbox below and click the ➤ button for AI analysis.\n📁 File Upload: Or use the file uploader on the right to analyze document files.",
+      text: "📝 Copy & Paste: Paste any legal text into the textbox below and click the ➤ button for AI analysis, or paste a link to the page under it.\n📁 File Upload: Or use the file uploader on the right to analyze document files.",
       position: { top: "20%", left: "15%" },
       style: {
         fontSize: "1rem",
@@ -0,0 +1,139 @@
+/**
+ * BatchOverview Component
+ *
+ * Shows every document from a batch upload side by side - riskiest first,
+ * with its verdict and worst red flags - so a vendor's documents can be
+ * reviewed together before opening the full report of any one of them
+ */
+
+import React, { useState } from 'react';
+import { documentClassifier } from '../../services/documentClassifier.js';
+import './BatchOverview.css';
+
+const VERDICT_LABELS = {
+  reasonable: '👍 Reasonable',
+  mixed: '🤷 Mixed bag',
+  sketchy: '👎 Sketchy'
+};
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+// Red flags shown per document; the full report has the rest
+const TOP_FLAGS = 3;
+
+const BatchOverview = ({ items, onOpenReport, onSaveAll, onClose }) => {
+  const [saveStatus, setSaveStatus] = useState('idle');
+
+  const succeeded = items.filter((item) => item.result?.success);
+  const failed = items.filter((item) => !item.result?.success && !item.result?.cancelled);
+  const cancelled = items.filter((item) => item.result?.cancelled);
+
+  const getRedFlags = (item) => item.result?.analysis?.structured?.redFlags || [];
+
+  // Red flags across every document, by severity
+  const flagCounts = Object.fromEntries(SEVERITY_ORDER.map((severity) => [
+    severity,
+    succeeded.reduce((count, item) => count + getRedFlags(item).filter((flag) => flag.severity === severity).length, 0)
+  ]));
+
+  // Riskiest first; documents without a score (cancelled ones) go last
+  const sortedItems = items
+    .map((item, index) => ({ ...item, index }))
+    .sort((a, b) => (b.result?.riskScore?.overall ?? -1) - (a.result?.riskScore?.overall ?? -1));
+
+  const handleSaveAll = async () => {
+    setSaveStatus('saving');
+    try {
+      await onSaveAll();
+      setSaveStatus('saved');
+    } catch (saveError) {
+      console.error('Failed to save the batch to history:', saveError);
+      setSaveStatus('idle');
+    }
+  };
+
+  const getTopFlags = (item) => [...getRedFlags(item)]
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    .slice(0, TOP_FLAGS);
+
+  return (
+    <div className="batch-overview">
+      <div className="batch-dialog">
+        <div className="batch-header">
+          <h2>Batch Overview</h2>
+          <div className="header-actions">
+            {succeeded.length > 0 && (
+              <button className="save-btn" onClick={handleSaveAll} disabled={saveStatus !== 'idle'}>
+                {saveStatus === 'saved' ? '✅ Saved' : saveStatus === 'saving' ? 'Saving...' : '💾 Save All to History'}
+              </button>
+            )}
+            <button onClick={onClose} className="close-btn">×</button>
+          </div>
+        </div>
+
+        <div className="batch-body">
+          <div className="batch-summary">
+            <span>📄 {succeeded.length} of {items.length} document(s) analyzed</span>
+            {failed.length > 0 && <span>❌ {failed.length} failed</span>}
+            {cancelled.length > 0 && <span>⏹️ {cancelled.length} cancelled</span>}
+          </div>
+
+          {succeeded.length > 0 && (
+            <div className="batch-flag-counts">
+              <strong>Red flags across all documents:</strong>
+              {SEVERITY_ORDER.map((severity) => (
+                <span key={severity} className={`severity-badge ${severity}`}>{flagCounts[severity]} {severity}</span>
+              ))}
+            </div>
+          )}
+
+          {sortedItems.map((item) => (
+            <div key={item.index} className="batch-item">
+              <div className="batch-item-info">
+                <div className="batch-item-title">
+                  <strong>{item.file.name}</strong>
+                  {item.result?.documentType && (
+                    <span className="doc-type">{documentClassifier.getLabel(item.result.documentType)}</span>
+                  )}
+                  {item.result?.riskScore && (
+                    <span className={`severity-badge ${item.result.riskScore.level}`}>Risk {item.result.riskScore.overall}/100</span>
+                  )}
+                </div>
+
+                {item.result?.success ? (
+                  <>
+                    {item.result.analysis?.structured?.verdict && (
+                      <p>
+                        <strong>{VERDICT_LABELS[item.result.analysis.structured.verdict.rating]}:</strong>{' '}
+                        {item.result.analysis.structured.verdict.summary}
+                      </p>
+                    )}
+                    <ul className="batch-flags">
+                      {getTopFlags(item).map((flag, flagIndex) => (
+                        <li key={flagIndex}>
+                          <span className={`severity-badge ${flag.severity}`}>{flag.severity}</span> {flag.title}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                ) : (
+                  <p className="batch-item-error">
+                    {item.result?.cancelled ? '⏹️ Cancelled before it finished' : `❌ ${item.result?.error || 'Processing failed'}`}
+                  </p>
+                )}
+              </div>
+
+              {(item.result?.success || item.result?.clauseFindings) && (
+                <button className="copy-btn" onClick={() => onOpenReport(item.index)}>
+                  {item.result.success ? 'View Report' : 'View Clause Check'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchOverview;
@@ -0,0 +1,243 @@
+/**
+ * CompareView Component
+ *
+ * Compares two versions of a document - pasted text or documents from the
+ * user's history - and shows the added, removed and modified clauses with a
+ * plain-English explanation of what each change means
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { analysisApi } from '../../services/analysisApi.js';
+import { historyApi } from '../../services/historyApi.js';
+import './CompareView.css';
+
+const SIDES = [
+  { id: 'before', label: 'Old version' },
+  { id: 'after', label: 'New version' }
+];
+
+const CHANGE_LABELS = {
+  added: '➕ Added',
+  removed: '➖ Removed',
+  modified: '✏️ Modified'
+};
+
+const IMPACT_LABELS = {
+  worse: '👎 Worse for you',
+  better: '👍 Better for you',
+  neutral: '🤷 No real difference'
+};
+
+const VERDICT_LABELS = {
+  worse: '👎 The new version is worse for you',
+  better: '👍 The new version is better for you',
+  mixed: '🤷 Some changes are better, some worse',
+  neutral: '😐 Nothing that really matters changed'
+};
+
+const emptySide = { source: 'text', text: '', documentId: '' };
+
+const CompareView = ({ onClose }) => {
+  const [sides, setSides] = useState({ before: emptySide, after: emptySide });
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [error, setError] = useState('');
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    historyApi.getHistory({ limit: 50 })
+      .then((page) => setHistoryEntries(page.history))
+      .catch((loadError) => console.warn('Could not load history for comparison:', loadError));
+
+    // Stop a running comparison when the view closes
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const updateSide = (sideId, changes) => {
+    setSides((current) => ({ ...current, [sideId]: { ...current[sideId], ...changes } }));
+  };
+
+  const isReady = SIDES.every(({ id }) => (
+    sides[id].source === 'history' ? sides[id].documentId : sides[id].text.trim()
+  ));
+
+  const handleCompare = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsComparing(true);
+    setError('');
+
+    try {
+      const request = {};
+      SIDES.forEach(({ id }) => {
+        if (sides[id].source === 'history') {
+          request[`${id}DocumentId`] = sides[id].documentId;
+        } else {
+          request[id] = sides[id].text;
+        }
+      });
+
+      setComparison(await analysisApi.compare(request, { signal: controller.signal }));
+    } catch (compareError) {
+      if (compareError.name !== 'AbortError') {
+        console.error('Comparison failed:', compareError);
+        setError(compareError.message || 'Could not compare the documents. Please try again.');
+      }
+    } finally {
+      setIsComparing(false);
+      abortControllerRef.current = null;
+    }
+  };
+
+  const renderSideInput = ({ id, label }) => {
+    const side = sides[id];
+
+    return (
+      <div key={id} className="compare-side">
+        <div className="compare-side-header">
+          <h3>{label}</h3>
+          <select
+            value={side.source}
+            onChange={(e) => updateSide(id, { source: e.target.value })}
+            aria-label={`${label} source`}
+          >
+            <option value="text">Paste text</option>
+            <option value="history" disabled={historyEntries.length === 0}>From history</option>
+          </select>
+        </div>
+        {side.source === 'history' ? (
+          <select
+            className="compare-history-select"
+            value={side.documentId}
+            onChange={(e) => updateSide(id, { documentId: e.target.value })}
+          >
+            <option value="">Choose a saved document...</option>
+            {historyEntries.map((entry) => (
+              <option key={entry._id} value={entry._id}>
+                {entry.filename || 'Pasted Text'} ({new Date(entry.processedAt).toLocaleDateString()})
+              </option>
+            ))}
+          </select>
+        ) : (
+          <textarea
+            value={side.text}
+            onChange={(e) => updateSide(id, { text: e.target.value })}
+            placeholder={`Paste the ${label.toLowerCase()} here...`}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderClauseText = (change) => {
+    if (change.type === 'modified' && change.words) {
+      return (
+        <p className="change-text">
+          {change.words.map((run, index) => {
+            if (run.type === 'added') {
+              return <ins key={index}>{run.text} </ins>;
+            }
+            if (run.type === 'removed') {
+              return <del key={index}>{run.text} </del>;
+            }
+            return <span key={index}>{run.text} </span>;
+          })}
+        </p>
+      );
+    }
+
+    if (change.type === 'modified') {
+      return (
+        <>
+          <p className="change-text"><del>{change.before.text}</del></p>
+          <p className="change-text"><ins>{change.after.text}</ins></p>
+        </>
+      );
+    }
+
+    return change.type === 'added'
+      ? <p className="change-text"><ins>{change.after.text}</ins></p>
+      : <p className="change-text"><del>{change.before.text}</del></p>;
+  };
+
+  const renderResults = () => (
+    <div className="compare-results">
+      <div className={`compare-verdict ${comparison.verdict.rating}`}>
+        <strong>{VERDICT_LABELS[comparison.verdict.rating]}</strong>
+        <p>{comparison.verdict.summary}</p>
+      </div>
+
+      <ul className="compare-summary">
+        {comparison.summary.map((point, index) => (
+          <li key={index}>{point}</li>
+        ))}
+      </ul>
+
+      <div className="compare-stats">
+        <span className="change-badge added">{comparison.stats.added} added</span>
+        <span className="change-badge removed">{comparison.stats.removed} removed</span>
+        <span className="change-badge modified">{comparison.stats.modified} modified</span>
+        <span className="change-badge">{comparison.stats.unchanged} unchanged</span>
+      </div>
+
+      {comparison.changes.map((change) => (
+        <div key={change.id} className={`change-item ${change.type}`}>
+          <div className="change-item-title">
+            <span className={`change-badge ${change.type}`}>{CHANGE_LABELS[change.type]}</span>
+            {change.impact && <span className={`impact-badge ${change.impact}`}>{IMPACT_LABELS[change.impact]}</span>}
+            {(change.after || change.before).heading && <strong>{(change.after || change.before).heading}</strong>}
+          </div>
+          {change.explanation && <p className="change-explanation">{change.explanation}</p>}
+          {renderClauseText(change)}
+        </div>
+      ))}
+
+      {comparison.explainedChanges < comparison.changes.length && (
+        <p className="compare-note">
+          {comparison.changes.length - comparison.explainedChanges} change(s) were too many to explain in one go; their text is still shown above.
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="compare-view">
+      <div className="compare-dialog">
+        <div className="compare-header">
+          <h2>Compare Versions</h2>
+          <div className="header-actions">
+            {comparison && (
+              <button className="save-btn" onClick={() => setComparison(null)}>New Comparison</button>
+            )}
+            <button onClick={onClose} className="close-btn">×</button>
+          </div>
+        </div>
+
+        <div className="compare-body">
+          {comparison ? renderResults() : (
+            <>
+              <p className="compare-intro">
+                Got a "we've updated our terms" email? Put the old and new versions side by side to see only what changed.
+              </p>
+              <div className="compare-inputs">
+                {SIDES.map(renderSideInput)}
+              </div>
+              {error && <p className="compare-error">❌ {error}</p>}
+              <div className="compare-actions">
+                {isComparing ? (
+                  <button className="save-btn" onClick={() => abortControllerRef.current?.abort()}>Cancel</button>
+                ) : (
+                  <button className="save-btn" onClick={handleCompare} disabled={!isReady}>Compare</button>
+                )}
+                {isComparing && <span className="compare-progress">Finding and explaining the changes...</span>}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,124 @@
+/**
+ * ConcernsPanel Component
+ * 
+ * Edits the user's concern watchlist: the things every analysis should answer
+ * with a yes/no/unclear verdict in its "Your Concerns" section
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext.jsx';
+import './ConcernsPanel.css';
+
+// Match the limits on User.concerns
+const MAX_CONCERNS = 10;
+const MAX_CONCERN_CHARS = 200;
+
+const SUGGESTIONS = [
+  'Can they sell or share my data?',
+  'Can they use my content to train AI?',
+  'Can I get a refund?',
+  'Can they change the terms without telling me?'
+];
+
+const ConcernsPanel = ({ onClose }) => {
+  const { user, updateConcerns } = useAuth();
+  const [concerns, setConcerns] = useState(user?.concerns || []);
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const isFull = concerns.length >= MAX_CONCERNS;
+
+  const addConcern = (text) => {
+    const concern = text.replace(/\s+/g, ' ').trim();
+    if (!concern || isFull || concerns.some((existing) => existing.toLowerCase() === concern.toLowerCase())) {
+      return;
+    }
+
+    setConcerns([...concerns, concern]);
+    setDraft('');
+    setStatus(null);
+  };
+
+  const removeConcern = (index) => {
+    setConcerns(concerns.filter((_, i) => i !== index));
+    setStatus(null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await updateConcerns(concerns);
+    setIsSaving(false);
+    setStatus(result.success
+      ? { type: 'saved', message: 'Saved! Your next analysis will answer these.' }
+      : { type: 'error', message: result.error });
+  };
+
+  return (
+    <div className="concerns-panel">
+      <div className="concerns-dialog">
+        <div className="concerns-header">
+          <h2>My Concerns</h2>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        <div className="concerns-body">
+          <p className="concerns-intro">
+            Add the things you always want checked. Every analysis will answer each one with a yes, no or unclear, plus what the document says.
+          </p>
+
+          {concerns.length === 0 ? (
+            <p className="concerns-empty">No concerns yet.</p>
+          ) : (
+            <ul className="concerns-list">
+              {concerns.map((concern, index) => (
+                <li key={concern}>
+                  <span>{concern}</span>
+                  <button className="copy-btn" onClick={() => removeConcern(index)} aria-label={`Remove "${concern}"`}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form
+            className="concerns-add"
+            onSubmit={(e) => {
+              e.preventDefault();
+              addConcern(draft);
+            }}
+          >
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              maxLength={MAX_CONCERN_CHARS}
+              placeholder={isFull ? `You can keep up to ${MAX_CONCERNS} concerns` : 'e.g. Can they sell my data?'}
+              disabled={isFull}
+            />
+            <button type="submit" className="copy-btn" disabled={isFull || !draft.trim()}>Add</button>
+          </form>
+
+          <div className="concerns-suggestions">
+            {SUGGESTIONS.filter((suggestion) => !concerns.includes(suggestion)).map((suggestion) => (
+              <button key={suggestion} className="concern-suggestion" onClick={() => addConcern(suggestion)} disabled={isFull}>
+                + {suggestion}
+              </button>
+            ))}
+          </div>
+
+          {status && <p className={`concerns-status ${status.type}`}>{status.type === 'error' ? '❌' : '✅'} {status.message}</p>}
+
+          <div className="concerns-actions">
+            <button className="save-btn" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Concerns'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConcernsPanel;
@@ -0,0 +1,48 @@
+/**
+ * ClauseFindings Component
+ *
+ * Lists the risky clauses found by the rule-based clause detector, with the
+ * sentences that matched. These come from fixed patterns rather than the AI,
+ * so they are shown even when the AI analysis is unavailable.
+ */
+
+import React from 'react';
+
+const ClauseFindings = ({ findings, onCite, getPageLabel = () => null }) => {
+  if (!findings) {
+    return null;
+  }
+
+  return (
+    <section className="report-section clause-findings">
+      <h4>🔍 Clause Check (no AI)</h4>
+      {findings.length === 0 ? (
+        <p className="report-empty">None of the common risky clauses we check for were found.</p>
+      ) : (
+        <ul className="report-items">
+          {findings.map((finding) => (
+            <li key={finding.id} className="report-item">
+              <div className="report-item-title">
+                <span className={`severity-badge ${finding.severity}`}>{finding.severity}</span>
+                <strong>{finding.title}</strong>
+              </div>
+              <p>{finding.explanation}</p>
+              {finding.matches.map((match) => (
+                <blockquote key={match.start} className="clause-match">
+                  "{match.text}"
+                  {onCite && (
+                    <button className="cite-btn" onClick={() => onCite({ start: match.start, end: match.end })}>
+                      📍 See in document{getPageLabel(match) ? `, ${getPageLabel(match)}` : ''}
+                    </button>
+                  )}
+                </blockquote>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ClauseFindings;
@@ -0,0 +1,123 @@
+/**
+ * DocumentChat Component
+ *
+ * Lets users ask follow-up questions about an analyzed document. Answers are
+ * grounded in the document's original text, and the conversation is saved
+ * with the document's history entry so it can be picked up again later.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { documentProcessor } from '../../services/documentProcessor.js';
+import { historyApi } from '../../services/historyApi.js';
+
+const SUGGESTED_QUESTIONS = [
+  'Can they sell my data?',
+  'How do I cancel?',
+  'Can I get a refund?'
+];
+
+const DocumentChat = ({ result }) => {
+  const [messages, setMessages] = useState(result.chat || []);
+  const [question, setQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState('');
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages, isAsking]);
+
+  const askQuestion = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || isAsking) {
+      return;
+    }
+
+    setIsAsking(true);
+    setError('');
+    // Show the question right away; the server sends back the saved conversation
+    setMessages((current) => [...current, { role: 'user', content: trimmed, pending: true }]);
+    setQuestion('');
+
+    try {
+      // The chat lives on the history entry, so the document has to be saved first
+      const documentId = await documentProcessor.saveToHistory(result);
+      if (!documentId) {
+        throw new Error('Follow-up questions need the document saved to your history. Check that saving history is turned on in your profile.');
+      }
+
+      const response = await historyApi.askQuestion(documentId, trimmed);
+      result.chat = response.chat;
+      setMessages(response.chat);
+    } catch (askError) {
+      console.error('Follow-up question failed:', askError);
+      setError(askError.message || 'Could not answer that question. Please try again.');
+      setMessages((current) => current.filter((message) => !message.pending));
+      setQuestion(trimmed);
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    askQuestion(question);
+  };
+
+  return (
+    <div className="document-chat">
+      <div className="chat-messages">
+        {messages.length === 0 && (
+          <div className="chat-empty">
+            <p>Ask anything about this document. Answers come from the document's own text.</p>
+            <div className="chat-suggestions">
+              {SUGGESTED_QUESTIONS.map((suggestion) => (
+                <button
+                  key={suggestion}
+                  className="chat-suggestion"
+                  onClick={() => askQuestion(suggestion)}
+                  disabled={isAsking}
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div key={message._id || index} className={`chat-message ${message.role}`}>
+            <span className="chat-role">{message.role === 'user' ? 'You' : '🤖 Dumbifier'}</span>
+            <p>{message.content}</p>
+          </div>
+        ))}
+
+        {isAsking && (
+          <div className="chat-message assistant">
+            <span className="chat-role">🤖 Dumbifier</span>
+            <p className="chat-thinking">Reading the document...</p>
+          </div>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {error && <p className="chat-error">❌ {error}</p>}
+
+      <form className="chat-input" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder='e.g. "Can they sell my photos?"'
+          maxLength={2000}
+          disabled={isAsking}
+        />
+        <button type="submit" className="save-btn" disabled={isAsking || !question.trim()}>
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default DocumentChat;
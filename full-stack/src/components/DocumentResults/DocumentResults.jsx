@@ -4,11 +4,40 @@
  * Displays the results of document analysis in a user-friendly format
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { splitReportSections } from '../../utils/reportSections.js';
+import StructuredReport from './StructuredReport.jsx';
+import DocumentChat from './DocumentChat.jsx';
+import ClauseFindings from './ClauseFindings.jsx';
+import RiskScorecard from './RiskScorecard.jsx';
+import { documentClassifier } from '../../services/documentClassifier.js';
+import { getPageLabel } from '../../utils/pageMap.js';
 import './DocumentResults.css';
 
-const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
+// OCR confidence (0-100) at or above which the read is good, or at least usable
+const OCR_GOOD = 85;
+const OCR_FAIR = 65;
+
+// Hard-to-read passages listed in the OCR note; the rest are still marked in the original text
+const MAX_LISTED_OCR_REGIONS = 5;
+
+const getOcrLevel = (confidence) => {
+  if (confidence >= OCR_GOOD) return 'high';
+  if (confidence >= OCR_FAIR) return 'medium';
+  return 'low';
+};
+
+const DocumentResults = ({ result, onClose, onSaveToHistory, onCancel, onReanalyze }) => {
   const [activeTab, setActiveTab] = useState('summary');
+  // Passage of the original text a cited point links to ({ start, end })
+  const [highlight, setHighlight] = useState(null);
+  const highlightRef = useRef(null);
+
+  useEffect(() => {
+    if (activeTab === 'original' && highlight) {
+      highlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [activeTab, highlight]);
 
   if (!result || !result.success) {
     return (
@@ -20,6 +49,15 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
         <div className="error-message">
           <p>{result?.error || 'An unknown error occurred'}</p>
         </div>
+        {/* The rule-based clause check runs without the AI, so it can still help */}
+        {result?.clauseFindings && (
+          <div className="results-content">
+            <div className="simplified-content">
+              <RiskScorecard riskScore={result.riskScore} />
+              <ClauseFindings findings={result.clauseFindings} />
+            </div>
+          </div>
+        )}
       </div>
     );
   }
@@ -33,12 +71,17 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
       simplified: result.processedText ? result.processedText.split(/\s+/).length : 0
     },
     model: 'GPT-4',
+    coverage: result.coverage,
     timestamp: result.processedAt || new Date().toISOString()
   };
   
   const { documentType, filename } = result;
   const file = result.file || { name: filename || 'Pasted Text' };
 
+  // While streaming, the report is still being written and can be cancelled
+  const isStreaming = !!result.streaming;
+  const sections = splitReportSections(analysis.simplified);
+
   const handleSave = () => {
     if (onSaveToHistory) {
       onSaveToHistory(result);
@@ -52,13 +95,141 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
     });
   };
 
-  const formatDocumentType = (type) => {
-    const types = {
-      'tos': 'Terms of Service',
-      'privacy-policy': 'Privacy Policy',
-      'eula': 'End User License Agreement'
-    };
-    return types[type] || 'Legal Document';
+  // "page 7" for a passage of a PDF; null for documents without pages
+  const describePage = (range) => getPageLabel(result.pages, range);
+
+  // Shows the passage a cited point is based on
+  const handleCite = (citation) => {
+    setHighlight(citation);
+    setActiveTab('original');
+  };
+
+  // Marks the cited passage, and any lines OCR found hard to read, in the original text
+  const renderOriginalText = (text) => {
+    if (!text) {
+      return 'No original text available';
+    }
+
+    const cited = highlight && highlight.end <= text.length ? highlight : null;
+    const regions = (result.ocr?.lowConfidence || []).filter(region => region.end <= text.length);
+
+    if (!cited && regions.length === 0) {
+      return text;
+    }
+
+    // Cut the text wherever a mark starts or ends, then wrap each piece in the marks covering it
+    const cuts = [...new Set([0, text.length, ...[cited, ...regions].filter(Boolean).flatMap(range => [range.start, range.end])])]
+      .sort((a, b) => a - b);
+
+    return cuts.slice(0, -1).map((start, index) => {
+      const end = cuts[index + 1];
+      const region = regions.find(range => range.start <= start && end <= range.end);
+      let piece = text.slice(start, end);
+
+      if (region) {
+        piece = <span className="ocr-low-confidence" title={`OCR confidence ${region.confidence}%`}>{piece}</span>;
+      }
+      if (cited && cited.start <= start && end <= cited.end) {
+        piece = <mark ref={start === cited.start ? highlightRef : undefined} className="citation-highlight">{piece}</mark>;
+      }
+      return <React.Fragment key={start}>{piece}</React.Fragment>;
+    });
+  };
+
+  // Warns about quotes the server could not find in the document
+  const renderVerificationNote = (verification) => {
+    if (!verification || verification.unverified === 0) {
+      return null;
+    }
+
+    return (
+      <div className="coverage-note partial">
+        ⚠️ {verification.unverified} quoted claim(s) could not be found in the original text and are marked Unverified.
+        Check them against the document before relying on them.
+      </div>
+    );
+  };
+
+  // Says when the server answered from its cache, with a way to get a fresh analysis
+  const renderCachedNote = () => {
+    if (!analysis.cached) {
+      return null;
+    }
+
+    return (
+      <div className="coverage-note cached">
+        <span>
+          ⚡ This document was analyzed before, so this is the saved analysis
+          from {new Date(analysis.cachedAt).toLocaleString()}.
+        </span>
+        {onReanalyze && (
+          <button onClick={() => onReanalyze(result)} className="copy-btn">Re-analyse anyway</button>
+        )}
+      </div>
+    );
+  };
+
+  // Says the text was read with OCR and points out the passages worth checking against the scan
+  const renderOcrNote = (ocr) => {
+    if (!ocr) {
+      return null;
+    }
+
+    const source = ocr.pages ? `${ocr.pages.length} scanned page(s)` : 'an image';
+    const text = analysis.original || '';
+
+    return (
+      <div className={`coverage-note ocr ${getOcrLevel(ocr.confidence)}`}>
+        🔍 The text was read from {source} with OCR, {ocr.confidence}% confidence overall.
+        {ocr.lowConfidence.length > 0 ? (
+          <>
+            {' '}{ocr.lowConfidence.length} line(s) were hard to read and are underlined in the original text - check them against your copy:
+            <ul className="ocr-regions">
+              {ocr.lowConfidence.slice(0, MAX_LISTED_OCR_REGIONS).map((region) => (
+                <li key={region.start}>
+                  <button onClick={() => handleCite(region)} className="ocr-region-btn">
+                    "{text.slice(region.start, region.end).slice(0, 60)}" ({[describePage(region), `${region.confidence}%`].filter(Boolean).join(', ')})
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : ' Every line was read clearly.'}
+      </div>
+    );
+  };
+
+  const formatDocumentType = (type) => documentClassifier.getLabel(type);
+
+  const formatPartLabel = (part) => {
+    return `Part ${part.index + 1}${part.heading ? ` (${part.heading})` : ''}`;
+  };
+
+  // Tells the user which parts of a long document made it into the analysis
+  const renderCoverageNote = (coverage) => {
+    if (!coverage) {
+      return null;
+    }
+
+    if (coverage.complete) {
+      return (
+        <div className="coverage-note">
+          ✅ Full document analyzed{coverage.totalParts > 1 ? ` in ${coverage.totalParts} parts` : ''}.
+        </div>
+      );
+    }
+
+    const missingParts = coverage.parts.filter(part => part.status !== 'analyzed');
+    const percentCovered = coverage.totalChars > 0
+      ? Math.round((coverage.analyzedChars / coverage.totalChars) * 100)
+      : 0;
+
+    return (
+      <div className="coverage-note partial">
+        ⚠️ {coverage.analyzedParts} of {coverage.totalParts} parts analyzed ({percentCovered}% of the text).
+        Not covered: {missingParts.map(formatPartLabel).join(', ')}
+      </div>
+    );
   };
 
   return (
@@ -69,14 +240,33 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
           <div className="document-meta">
             <span className="doc-type">{formatDocumentType(documentType)}</span>
             {file && <span className="file-name">{file.name}</span>}
+            {analysis.cached && <span className="cached-badge">Cached</span>}
+            {result.ocr && (
+              <span className={`ocr-badge ${getOcrLevel(result.ocr.confidence)}`} title="How sure OCR was about the text it read">
+                OCR {result.ocr.confidence}%
+              </span>
+            )}
           </div>
         </div>
         <div className="header-actions">
-          <button onClick={handleSave} className="save-btn">Save to History</button>
-          <button onClick={onClose} className="close-btn">×</button>
+          {isStreaming ? (
+            <button onClick={onCancel} className="save-btn cancel-btn">Cancel</button>
+          ) : (
+            <button onClick={handleSave} className="save-btn">Save to History</button>
+          )}
+          <button onClick={isStreaming ? onCancel : onClose} className="close-btn">×</button>
         </div>
       </div>
 
+      {isStreaming && (
+        <div className="streaming-status">
+          <div className="streaming-progress-bar">
+            <div className="streaming-progress-fill" style={{ width: `${result.progress || 0}%` }}></div>
+          </div>
+          <span>{result.progressMessage || 'Writing your summary...'}</span>
+        </div>
+      )}
+
       <div className="results-tabs">
         <button 
           className={`tab ${activeTab === 'summary' ? 'active' : ''}`}
@@ -96,6 +286,14 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
         >
           Statistics
         </button>
+        {!isStreaming && (
+          <button
+            className={`tab ${activeTab === 'chat' ? 'active' : ''}`}
+            onClick={() => setActiveTab('chat')}
+          >
+            Ask Questions
+          </button>
+        )}
       </div>
 
       <div className="results-content">
@@ -110,10 +308,30 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
                 Copy to Clipboard
               </button>
             </div>
+            {!isStreaming && renderCachedNote()}
+            {renderOcrNote(result.ocr)}
+            {renderCoverageNote(analysis.coverage)}
+            {!isStreaming && renderVerificationNote(analysis.verification)}
+            {!isStreaming && <RiskScorecard riskScore={result.riskScore} />}
             <div className="simplified-content">
-              <div dangerouslySetInnerHTML={{ 
-                __html: (analysis.simplified || 'No processed text available').replace(/\n/g, '<br>') 
-              }} />
+              {!isStreaming && analysis.structured ? (
+                <StructuredReport report={analysis.structured} onCite={handleCite} getPageLabel={describePage} />
+              ) : sections.length > 0 ? (
+                sections.map((section, index) => (
+                  <section key={index} className="report-section">
+                    {section.title && <h4>{section.title}</h4>}
+                    <div className="report-section-body">
+                      {section.body}
+                      {isStreaming && index === sections.length - 1 && <span className="streaming-cursor"></span>}
+                    </div>
+                  </section>
+                ))
+              ) : (
+                <p className="report-placeholder">
+                  {isStreaming ? 'Reading the document... the summary will appear here as it is written.' : 'No processed text available'}
+                </p>
+              )}
+              {!isStreaming && <ClauseFindings findings={result.clauseFindings} onCite={handleCite} getPageLabel={describePage} />}
             </div>
           </div>
         )}
@@ -121,7 +339,10 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
         {activeTab === 'original' && (
           <div className="tab-content">
             <div className="content-header">
-              <h3>Original Document Text</h3>
+              <h3>
+                Original Document Text
+                {highlight && describePage(highlight) && <span className="highlight-page"> - highlighted passage on {describePage(highlight)}</span>}
+              </h3>
               <button 
                 onClick={() => handleCopyToClipboard(analysis.original || 'No original text available')}
                 className="copy-btn"
@@ -130,11 +351,20 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
               </button>
             </div>
             <div className="original-content">
-              <pre>{analysis.original || 'No original text available'}</pre>
+              <pre>{renderOriginalText(analysis.original)}</pre>
             </div>
           </div>
         )}
 
+        {activeTab === 'chat' && !isStreaming && (
+          <div className="tab-content">
+            <div className="content-header">
+              <h3>Ask About This Document</h3>
+            </div>
+            <DocumentChat result={result} />
+          </div>
+        )}
+
         {activeTab === 'stats' && (
           <div className="tab-content">
             <h3>Document Statistics</h3>
@@ -156,14 +386,63 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
                   ) : 0}%
                 </span>
               </div>
+              {analysis.coverage && (
+                <div className="stat-item">
+                  <label>Parts Analyzed:</label>
+                  <span>{analysis.coverage.analyzedParts} of {analysis.coverage.totalParts}</span>
+                </div>
+              )}
+              {result.pages && (
+                <div className="stat-item">
+                  <label>Pages With Text:</label>
+                  <span>{result.pages.length}</span>
+                </div>
+              )}
+              {result.ocr && (
+                <div className="stat-item">
+                  <label>OCR Confidence:</label>
+                  <span>
+                    {result.ocr.confidence}%
+                    {result.ocr.pages ? ` (pages ${result.ocr.pages.join(', ')})` : ''}
+                  </span>
+                </div>
+              )}
               <div className="stat-item">
                 <label>Document Type:</label>
                 <span>{formatDocumentType(documentType)}</span>
               </div>
+              {result.classification && (
+                <div className="stat-item">
+                  <label>Type Detection:</label>
+                  <span>
+                    {result.classification.type === documentType
+                      ? `${Math.round(result.classification.confidence * 100)}% sure`
+                      : `Picked by you (detected ${formatDocumentType(result.classification.type)})`}
+                  </span>
+                </div>
+              )}
+              {analysis.simplificationLevel && (
+                <div className="stat-item">
+                  <label>Simplification Level:</label>
+                  <span>{analysis.simplificationLevel.charAt(0).toUpperCase() + analysis.simplificationLevel.slice(1)}</span>
+                </div>
+              )}
               <div className="stat-item">
                 <label>AI Model Used:</label>
                 <span>{analysis.model || 'GPT-4'}</span>
               </div>
+              {analysis.verification?.checked > 0 && (
+                <div className="stat-item">
+                  <label>Quotes Verified:</label>
+                  <span>{analysis.verification.verified} of {analysis.verification.checked}</span>
+                </div>
+              )}
+              {analysis.promptTemplateId && (
+                <div className="stat-item">
+                  <label>Prompt Template:</label>
+                  <span>{analysis.promptTemplateId} v{analysis.promptTemplateVersion}</span>
+                </div>
+              )}
               <div className="stat-item">
                 <label>Processed At:</label>
                 <span>{new Date(analysis.timestamp || new Date()).toLocaleString()}</span>
@@ -181,6 +460,22 @@ const DocumentResults = ({ result, onClose, onSaveToHistory }) => {
                 </>
               )}
             </div>
+            {analysis.coverage?.totalParts > 1 && (
+              <div className="coverage-parts">
+                <h4>Document Parts</h4>
+                <ul>
+                  {analysis.coverage.parts.map((part) => (
+                    <li key={part.index} className={`coverage-part ${part.status}`}>
+                      <span>{formatPartLabel(part)}</span>
+                      <span>
+                        {part.status === 'analyzed' ? '✅ Analyzed' : '❌ Not analyzed'}
+                        {' '}· characters {part.start.toLocaleString()}–{part.end.toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,44 @@
+/**
+ * RiskScorecard Component
+ *
+ * Shows the document's risk score from 0 to 100 and how each category
+ * (privacy, money, content ownership, disputes, termination, changes) scored
+ */
+
+import React from 'react';
+import { riskScorer } from '../../services/riskScorer.js';
+
+const LEVEL_LABELS = {
+  low: '🟢 Low risk',
+  medium: '🟠 Some risk',
+  high: '🔴 High risk'
+};
+
+const RiskScorecard = ({ riskScore }) => {
+  if (!riskScore) {
+    return null;
+  }
+
+  return (
+    <div className={`risk-scorecard ${riskScore.level}`}>
+      <div className="risk-overall">
+        <span className="risk-number">{riskScore.overall}</span>
+        <span className="risk-out-of">/100</span>
+        <strong>{LEVEL_LABELS[riskScore.level]}</strong>
+      </div>
+      <ul className="risk-categories">
+        {riskScore.categories.map((category) => (
+          <li key={category.id} title={category.reasons.join(', ') || 'Nothing found'}>
+            <span className="risk-category-label">{category.label}</span>
+            <div className="risk-bar">
+              <div className={`risk-bar-fill ${riskScorer.getLevel(category.score)}`} style={{ width: `${category.score}%` }}></div>
+            </div>
+            <span className="risk-category-score">{category.score}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RiskScorecard;
@@ -0,0 +1,159 @@
+/**
+ * StructuredReport Component
+ * 
+ * Renders the structured analysis (TL;DR, the user's concerns, sections, red
+ * flags with severity, money/privacy items, rights and verdict) returned by
+ * the server. Points
+ * that quote the document link back to the quoted passage (and say which page
+ * it is on, for PDFs), and quotes the server could not find in the document
+ * are marked unverified.
+ */
+
+import React from 'react';
+
+const VERDICT_LABELS = {
+  reasonable: '👍 Reasonable',
+  mixed: '🤷 Mixed bag',
+  sketchy: '👎 Sketchy'
+};
+
+const CATEGORY_LABELS = {
+  money: '💵 Money',
+  privacy: '🔒 Privacy'
+};
+
+const ANSWER_LABELS = {
+  yes: 'Yes',
+  no: 'No',
+  unclear: 'Unclear'
+};
+
+const StructuredReport = ({ report, onCite, getPageLabel = () => null }) => {
+  // Only quotes the server found in the document have a citation to jump to
+  const renderCitation = (item) => {
+    if (!item.citation || !onCite) {
+      return null;
+    }
+
+    const page = getPageLabel(item.citation);
+
+    return (
+      <button className="cite-btn" onClick={() => onCite(item.citation)} title={`"${item.quote}"`}>
+        📍 See in document{page ? `, ${page}` : ''}{item.citation.approximate ? ' (close match)' : ''}
+      </button>
+    );
+  };
+
+  // Quotes that are not in the document may have been made up by the AI
+  const renderUnverified = (item) => {
+    const quotes = [...(item.unverified ? [item.quote] : []), ...(item.unverifiedQuotes || [])];
+    if (quotes.length === 0) {
+      return null;
+    }
+
+    return (
+      <div className="unverified-note">
+        <span className="unverified-badge">⚠️ Unverified</span>
+        {quotes.map((quote, index) => (
+          <span key={index}> Not found in the document: "{quote}"</span>
+        ))}
+      </div>
+    );
+  };
+
+  const renderItems = (items, emptyText, renderBadge) => {
+    if (!items || items.length === 0) {
+      return <p className="report-empty">{emptyText}</p>;
+    }
+
+    return (
+      <ul className="report-items">
+        {items.map((item, index) => (
+          <li key={index} className="report-item">
+            <div className="report-item-title">
+              {renderBadge && renderBadge(item)}
+              <strong>{item.title}</strong>
+            </div>
+            <p>{item.explanation}</p>
+            {renderCitation(item)}
+            {renderUnverified(item)}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="structured-report">
+      <section className="report-section">
+        <h4>🔥 The Bottom Line (TL;DR)</h4>
+        <ul className="report-tldr">
+          {report.tldr.map((point, index) => (
+            // Reports saved before citations have plain-string points
+            typeof point === 'string' ? (
+              <li key={index}>{point}</li>
+            ) : (
+              <li key={index}>{point.point} {renderCitation(point)}{renderUnverified(point)}</li>
+            )
+          ))}
+        </ul>
+      </section>
+
+      {/* Only reports made for a user with a concern watchlist have answers */}
+      {report.concerns?.length > 0 && (
+        <section className="report-section">
+          <h4>🎯 Your Concerns</h4>
+          <ul className="report-items">
+            {report.concerns.map((entry, index) => (
+              <li key={index} className="report-item">
+                <div className="report-item-title">
+                  <span className={`answer-badge ${entry.answer}`}>{ANSWER_LABELS[entry.answer]}</span>
+                  <strong>{entry.question}</strong>
+                </div>
+                <p>{entry.explanation}</p>
+                <span className="concern-label">Your concern: {entry.concern}</span>
+                {renderCitation(entry)}
+                {renderUnverified(entry)}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className="report-section">
+        <h4>📖 What This Actually Says (In Human Terms)</h4>
+        {renderItems(report.sections, 'No sections were explained.')}
+      </section>
+
+      <section className="report-section">
+        <h4>🚨 Red Flags & Gotchas</h4>
+        {renderItems(report.redFlags, 'Nothing major stood out. 🎉', (flag) => (
+          <span className={`severity-badge ${flag.severity}`}>{flag.severity}</span>
+        ))}
+      </section>
+
+      <section className="report-section">
+        <h4>💰 Money & Privacy Stuff</h4>
+        {renderItems(report.moneyAndPrivacy, 'Nothing about costs or your data.', (entry) => (
+          <span className="category-badge">{CATEGORY_LABELS[entry.category]}</span>
+        ))}
+      </section>
+
+      <section className="report-section">
+        <h4>⚖️ Your Rights (Or Lack Thereof)</h4>
+        {renderItems(report.rights, 'The document does not spell out your options.')}
+      </section>
+
+      <section className="report-section">
+        <h4>🤔 Should You Actually Agree to This?</h4>
+        <div className={`verdict verdict-${report.verdict.rating}`}>
+          <strong>Verdict: {VERDICT_LABELS[report.verdict.rating]}</strong>
+          <p>{report.verdict.summary}</p>
+          {renderUnverified(report.verdict)}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default StructuredReport;
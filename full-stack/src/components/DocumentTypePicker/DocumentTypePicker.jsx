@@ -0,0 +1,53 @@
+/**
+ * DocumentTypePicker Component
+ * 
+ * Shows which kind of document the classifier thinks a text is, how sure it
+ * is and why, and lets the user pick another type before the analysis runs.
+ * When the classifier is unsure, the user is asked to check the type.
+ */
+
+import React from 'react';
+import { documentClassifier, DOCUMENT_TYPES } from '../../services/documentClassifier.js';
+import './DocumentTypePicker.css';
+
+// Signals listed under the detected type
+const MAX_SHOWN_SIGNALS = 3;
+
+const DocumentTypePicker = ({ classification, value, onChange, disabled = false }) => {
+  if (!classification) {
+    return null;
+  }
+
+  const isLowConfidence = documentClassifier.isLowConfidence(classification);
+  const isOverridden = value !== classification.type;
+  const reasons = [...new Set(
+    classification.signals
+      .filter((signal) => signal.type === classification.type)
+      .map((signal) => signal.label)
+  )].slice(0, MAX_SHOWN_SIGNALS);
+
+  return (
+    <div className={`document-type-picker ${isLowConfidence && !isOverridden ? 'low-confidence' : ''}`}>
+      <div className="document-type-row">
+        <label>Document type:</label>
+        <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+          {DOCUMENT_TYPES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}{option.value === classification.type ? ' (detected)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="document-type-note">
+        {isOverridden
+          ? `You picked this type; we detected ${documentClassifier.getLabel(classification.type)}.`
+          : classification.signals.length === 0
+            ? 'We couldn\'t tell what kind of document this is. Please pick the closest type.'
+            : `${Math.round(classification.confidence * 100)}% sure, based on: ${reasons.join(', ')}.`}
+        {isLowConfidence && !isOverridden && classification.signals.length > 0 && ' Not sure about this one - please check it.'}
+      </p>
+    </div>
+  );
+};
+
+export default DocumentTypePicker;
@@ -0,0 +1,140 @@
+/**
+ * HistoryPanel Component
+ * 
+ * Lists the documents saved to the user's history so an analysis (and its
+ * follow-up chat) can be opened again
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { historyApi } from '../../services/historyApi.js';
+import { documentClassifier } from '../../services/documentClassifier.js';
+import './HistoryPanel.css';
+
+const PAGE_SIZE = 20;
+
+// "sort:order" values for the sort menu
+const SORT_OPTIONS = [
+  { value: 'date:desc', label: 'Newest first' },
+  { value: 'date:asc', label: 'Oldest first' },
+  { value: 'risk:desc', label: 'Riskiest first' },
+  { value: 'risk:asc', label: 'Safest first' }
+];
+
+const HistoryPanel = ({ onOpen, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [openingId, setOpeningId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadPage = useCallback(async (offset) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const [sort, order] = sortOption.split(':');
+      const page = await historyApi.getHistory({ limit: PAGE_SIZE, offset, sort, order });
+      setEntries((current) => (offset === 0 ? page.history : [...current, ...page.history]));
+      setTotal(page.total);
+    } catch (loadError) {
+      console.error('Failed to load history:', loadError);
+      setError('Could not load your history. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sortOption]);
+
+  // Start again from the first page whenever the sort changes
+  useEffect(() => {
+    loadPage(0);
+  }, [loadPage]);
+
+  const handleOpen = async (entry) => {
+    setOpeningId(entry._id);
+
+    try {
+      // Fetch the entry again so a chat continued elsewhere is up to date
+      onOpen(await historyApi.getDocument(entry._id));
+    } catch (openError) {
+      console.error('Failed to open history entry:', openError);
+      setError('Could not open that document. Please try again.');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const summarize = (text) => {
+    if (!text) {
+      return 'No summary saved.';
+    }
+    return text.length > 160 ? `${text.slice(0, 160)}...` : text;
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="history-dialog">
+        <div className="history-header">
+          <h2>Document History</h2>
+          <div className="history-header-actions">
+            <select
+              className="history-sort"
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value)}
+              aria-label="Sort history"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={onClose} className="close-btn">×</button>
+          </div>
+        </div>
+
+        <div className="history-list">
+          {error && <p className="history-error">❌ {error}</p>}
+
+          {!isLoading && entries.length === 0 && !error && (
+            <p className="history-empty">No saved documents yet. Analyze a document and it will show up here.</p>
+          )}
+
+          {entries.map((entry) => (
+            <div key={entry._id} className="history-item">
+              <div className="history-item-info">
+                <div className="history-item-title">
+                  <strong>{entry.filename || 'Pasted Text'}</strong>
+                  <span className="doc-type">{documentClassifier.getLabel(entry.documentType)}</span>
+                  {entry.riskScore?.overall !== undefined && (
+                    <span className={`severity-badge ${entry.riskScore.level}`}>Risk {entry.riskScore.overall}/100</span>
+                  )}
+                </div>
+                <p>{summarize(entry.summary)}</p>
+                <span className="history-item-meta">
+                  {new Date(entry.processedAt).toLocaleString()}
+                  {entry.chat?.length > 0 && ` · 💬 ${entry.chat.filter((message) => message.role === 'user').length} question(s)`}
+                </span>
+              </div>
+              <button
+                className="save-btn"
+                onClick={() => handleOpen(entry)}
+                disabled={openingId === entry._id}
+              >
+                {openingId === entry._id ? 'Opening...' : 'Open'}
+              </button>
+            </div>
+          ))}
+
+          {isLoading && <p className="history-empty">Loading...</p>}
+
+          {!isLoading && entries.length < total && (
+            <button className="copy-btn history-more" onClick={() => loadPage(entries.length)}>
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,60 @@
+/**
+ * LinkImporter Component
+ *
+ * "Paste a link" form: the server fetches the page and returns its main text,
+ * which is handed to onImport for analysis
+ */
+
+import React, { useState } from 'react';
+import { importApi } from '../../services/importApi.js';
+import './LinkImporter.css';
+
+const LinkImporter = ({ onImport, disabled }) => {
+  const [url, setUrl] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const link = url.trim();
+    if (!link) {
+      return;
+    }
+
+    setIsImporting(true);
+    setError('');
+
+    try {
+      const page = await importApi.importUrl(link);
+      setUrl('');
+      onImport(page);
+    } catch (importError) {
+      console.error('Failed to import link:', importError);
+      setError(importError.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <form className="link-importer" onSubmit={handleSubmit}>
+      <label htmlFor="link-importer-url">Or paste a link:</label>
+      <div className="link-importer-row">
+        <input
+          id="link-importer-url"
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/terms"
+          disabled={disabled || isImporting}
+        />
+        <button type="submit" className="link-importer-btn" disabled={disabled || isImporting || !url.trim()}>
+          {isImporting ? 'Fetching...' : 'Analyze page'}
+        </button>
+      </div>
+      {error && <p className="link-importer-error">{error}</p>}
+    </form>
+  );
+};
+
+export default LinkImporter;
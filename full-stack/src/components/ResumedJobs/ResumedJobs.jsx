@@ -0,0 +1,102 @@
+/**
+ * ResumedJobs Component
+ *
+ * Lists the background analyses that were still running when the page was
+ * closed or reloaded - file uploads and any pasted text other than the one
+ * put back in the textbox - and waits for each to finish so its report can
+ * be opened. The server adds each finished analysis to the user's history.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { documentProcessor } from '../../services/documentProcessor.js';
+import './ResumedJobs.css';
+
+const ResumedJobs = ({ jobs, onOpen }) => {
+  const [items, setItems] = useState(() => jobs.map((job) => ({
+    job,
+    progress: job.progress?.progress || 0,
+    message: 'Picking up where this analysis left off...',
+    result: null
+  })));
+  // Abort controllers by job id; aborting cancels the job on the server
+  const controllersRef = useRef(new Map());
+  const hasStartedRef = useRef(false);
+
+  useEffect(() => {
+    if (hasStartedRef.current) {
+      return;
+    }
+    hasStartedRef.current = true;
+
+    jobs.forEach((job) => {
+      const controller = new AbortController();
+      controllersRef.current.set(job.id, controller);
+
+      const update = (fields) => setItems((current) => current.map((item) => (
+        item.job.id === job.id ? { ...item, ...fields } : item
+      )));
+
+      // Uploaded files come back with their page and OCR details, so the report matches a fresh upload
+      documentProcessor.processDocument({
+        text: job.text,
+        filename: job.filename || 'Pasted Text',
+        documentType: job.documentType,
+        pages: job.pages,
+        ocr: job.ocr
+      }, (progress) => update({ progress: progress.progress, message: progress.message }), {
+        jobId: job.id,
+        signal: controller.signal
+      }).then((result) => {
+        controllersRef.current.delete(job.id);
+        update({ result });
+      });
+    });
+  }, [jobs]);
+
+  const handleDismiss = (jobId) => {
+    setItems((current) => current.filter((item) => item.job.id !== jobId));
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="resumed-jobs">
+      <h3>Analyses still running</h3>
+
+      {items.map(({ job, progress, message, result }) => (
+        <div key={job.id} className="resumed-job">
+          <div className="resumed-job-header">
+            <strong title={job.filename}>{job.filename || 'Pasted Text'}</strong>
+            {result && (
+              <button className="close-btn" onClick={() => handleDismiss(job.id)} title="Dismiss">×</button>
+            )}
+          </div>
+
+          {!result ? (
+            <>
+              <div className="progress-container">
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${progress}%` }}></div>
+                </div>
+                <button className="copy-btn" onClick={() => controllersRef.current.get(job.id)?.abort()}>
+                  Cancel
+                </button>
+              </div>
+              <p className="resumed-job-message">{message}</p>
+            </>
+          ) : result.success ? (
+            <button className="copy-btn" onClick={() => onOpen(result)}>View Report</button>
+          ) : (
+            <p className="resumed-job-message">
+              {result.cancelled ? '⏹️ Cancelled before it finished' : `❌ ${result.error || 'Processing failed'}`}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ResumedJobs;
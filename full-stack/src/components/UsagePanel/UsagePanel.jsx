@@ -0,0 +1,96 @@
+/**
+ * UsagePanel Component
+ *
+ * Shows how much of the user's plan they have used today and this month:
+ * analyses, tokens and what the AI requests cost
+ */
+
+import React, { useEffect, useState } from 'react';
+import { usageApi } from '../../services/usageApi.js';
+import './UsagePanel.css';
+
+const PERIODS = [
+  { id: 'daily', label: 'Today' },
+  { id: 'monthly', label: 'This Month' }
+];
+
+// Bars turn amber, then red, as a quota runs out
+const getMeterLevel = (percent) => {
+  if (percent >= 90) return 'high';
+  if (percent >= 70) return 'medium';
+  return 'low';
+};
+
+const UsageMeter = ({ label, used, limit }) => {
+  const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+
+  return (
+    <div className="usage-meter">
+      <div className="usage-meter-label">
+        <span>{label}</span>
+        <span>{used.toLocaleString()} / {limit === null ? 'Unlimited' : limit.toLocaleString()}</span>
+      </div>
+      <div className="usage-meter-track">
+        <div className={`usage-meter-fill ${getMeterLevel(percent)}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+const UsagePanel = ({ onClose }) => {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    usageApi.getUsage()
+      .then(setUsage)
+      .catch((loadError) => {
+        console.error('Failed to load usage:', loadError);
+        setError('Could not load your usage. Please try again.');
+      });
+  }, []);
+
+  return (
+    <div className="usage-panel">
+      <div className="usage-dialog">
+        <div className="usage-header">
+          <h2>Usage</h2>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        <div className="usage-body">
+          {error && <p className="usage-error">❌ {error}</p>}
+
+          {!usage && !error && <p className="usage-loading">Loading...</p>}
+
+          {usage && (
+            <>
+              <p className="usage-plan">
+                You are on the <strong>{usage.plan}</strong> plan.
+              </p>
+
+              {PERIODS.map(({ id, label }) => {
+                const period = usage[id];
+
+                return (
+                  <section key={id} className="usage-period">
+                    <h3>{label}</h3>
+                    <UsageMeter label="Analyses" used={period.analyses.used} limit={period.analyses.limit} />
+                    <UsageMeter label="Tokens" used={period.tokens.used} limit={period.tokens.limit} />
+                    <p className="usage-details">
+                      {period.promptTokens.toLocaleString()} tokens sent, {period.completionTokens.toLocaleString()} received
+                      {' · '}about ${period.estimatedCost.toFixed(2)}
+                      {' · '}resets {new Date(period.resetsAt).toLocaleString()}
+                    </p>
+                  </section>
+                );
+              })}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsagePanel;
@@ -6,9 +6,10 @@
 
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import axios from 'axios';
+import config from '../utils/config.js';
 
 // API base URL
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+const API_BASE_URL = config.api.server;
 
 // Create auth context
 const AuthContext = createContext(null);
@@ -276,6 +277,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Replaces the concern watchlist that every analysis answers
+  const updateConcerns = async (concerns) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/user/concerns`, { concerns });
+
+      dispatch({
+        type: 'UPDATE_USER',
+        payload: { concerns: response.data.concerns }
+      });
+
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Updating your concerns failed';
+      return { success: false, error: message };
+    }
+  };
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -286,6 +304,7 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateProfile,
+    updateConcerns,
     clearError,
     checkAuthStatus
   };
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { clauseDetector } from '../clauseDetector.js';
+
+const TERMS = `1. Subscriptions
+Your plan renews automatically every month. Cancel any time.
+
+2. Disputes
+Any dispute will be settled by binding arbitration. You waive any right to bring a class action.
+
+3. Data
+We may sell your personal information to partners.`;
+
+describe('clauseDetector', () => {
+  it('returns nothing for empty text', () => {
+    expect(clauseDetector.detect('')).toEqual([]);
+  });
+
+  it('finds risky clauses, most severe first', () => {
+    const findings = clauseDetector.detect(TERMS);
+
+    expect(findings.map(finding => finding.id)).toEqual(['forced-arbitration', 'class-action-waiver', 'data-sale', 'auto-renewal']);
+    expect(findings.map(finding => finding.severity)).toEqual(['high', 'high', 'high', 'medium']);
+  });
+
+  it('reports the whole sentence that triggered a rule with its offsets', () => {
+    const [match] = clauseDetector.detect(TERMS).find(finding => finding.id === 'class-action-waiver').matches;
+
+    expect(match.text).toBe('You waive any right to bring a class action.');
+    expect(TERMS.slice(match.start, match.end)).toBe(match.text);
+  });
+
+  it('keeps a sentence within its line', () => {
+    const [match] = clauseDetector.detect(TERMS).find(finding => finding.id === 'auto-renewal').matches;
+
+    expect(match.text).toBe('Your plan renews automatically every month.');
+  });
+
+  it('skips sentences that say the opposite', () => {
+    const findings = clauseDetector.detect('We do not sell your personal information. We never trade personal data.');
+
+    expect(findings).toEqual([]);
+  });
+
+  it('lists a sentence once even when several patterns match it', () => {
+    const findings = clauseDetector.detect('Disputes are resolved by arbitration and you submit to binding arbitration.');
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0].matches).toHaveLength(1);
+  });
+
+  it('lists at most five matches per clause', () => {
+    const text = Array.from({ length: 8 }, (_, index) => `Plan ${index} renews automatically.`).join(' ');
+
+    expect(clauseDetector.detect(text)[0].matches).toHaveLength(5);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { documentClassifier, DOCUMENT_TYPES, LOW_CONFIDENCE } from '../documentClassifier.js';
+
+const PRIVACY_POLICY = `Privacy Policy
+This policy explains the personal information we collect when you use the app,
+how we use cookies, and how to opt out of tracking under the GDPR.`;
+
+describe('documentClassifier', () => {
+  describe('classify', () => {
+    it.each([
+      ['tos', 'Terms of Service\nBy using the service you agree to these terms. We may close your account.'],
+      ['privacy-policy', PRIVACY_POLICY],
+      ['eula', 'End User License Agreement\nYou may not reverse engineer the software.'],
+      ['cookie-policy', 'Cookie Policy\nWe use strictly necessary cookies and analytics cookies. Change your cookie preferences at any time.'],
+      ['refund-policy', 'Refund Policy\nItems may be returned within 30 days of delivery in original packaging. A restocking fee applies.'],
+      ['sla', 'Service Level Agreement\nWe guarantee 99.9% monthly uptime percentage. Service credits are your only remedy.'],
+      ['nda', 'Mutual Non-Disclosure Agreement\nThe receiving party shall protect the confidential information.'],
+      ['lease', 'Residential Lease Agreement\nThe tenant shall pay the landlord a security deposit before moving into the premises.'],
+      ['employment-offer', 'Offer Letter\nWe are pleased to offer you the position at a base salary of $90,000. Your start date is June 1.']
+    ])('recognizes a %s with confidence', (type, text) => {
+      const classification = documentClassifier.classify(text);
+
+      expect(classification.type).toBe(type);
+      expect(documentClassifier.isLowConfidence(classification)).toBe(false);
+    });
+
+    it('counts a phrase in the title more than a mention in the text', () => {
+      const classification = documentClassifier.classify(`Terms of Service\nSee our privacy policy for the personal information we collect.`);
+
+      expect(classification.type).toBe('tos');
+      expect(classification.signals[0]).toEqual({ type: 'tos', label: 'terms of service', source: 'title', weight: 9 });
+    });
+
+    it('does not treat a first line that reads like a sentence as the title', () => {
+      const classification = documentClassifier.classify('Read our terms of service.\nNothing else here.');
+
+      expect(classification.signals).toEqual([{ type: 'tos', label: 'terms of service', source: 'content', weight: 3 }]);
+    });
+
+    it('uses the file name when the text says little', () => {
+      const classification = documentClassifier.classify('Last updated January 2025.', 'acme_privacy.pdf');
+
+      expect(classification).toMatchObject({ type: 'privacy-policy', signals: [{ source: 'filename', weight: 3 }] });
+    });
+
+    it('falls back to other with no confidence when nothing matches', () => {
+      const classification = documentClassifier.classify('Meeting notes from Tuesday.', 'notes.txt');
+
+      expect(classification).toEqual({ type: 'other', confidence: 0, signals: [] });
+      expect(documentClassifier.isLowConfidence(classification)).toBe(true);
+    });
+
+    it('handles missing text', () => {
+      expect(documentClassifier.classify(undefined)).toMatchObject({ type: 'other', confidence: 0 });
+    });
+
+    it('has low confidence when there is little to go on', () => {
+      const classification = documentClassifier.classify('Please log in to your account.');
+
+      expect(classification.type).toBe('tos');
+      expect(classification.confidence).toBeLessThan(LOW_CONFIDENCE);
+      expect(documentClassifier.isLowConfidence(classification)).toBe(true);
+    });
+
+    it('has low confidence when two types are a close call', () => {
+      const classification = documentClassifier.classify('You agree to these terms and conditions. Our privacy policy also applies.');
+
+      expect(classification.type).toBe('tos');
+      expect(documentClassifier.isLowConfidence(classification)).toBe(true);
+    });
+
+    it('lists the strongest signals first', () => {
+      const { signals } = documentClassifier.classify(PRIVACY_POLICY, 'privacy.txt');
+      const weights = signals.map(signal => signal.weight);
+
+      expect(weights).toEqual([...weights].sort((a, b) => b - a));
+    });
+  });
+
+  describe('getLabel', () => {
+    it('names every document type and falls back for unknown ones', () => {
+      DOCUMENT_TYPES.forEach(({ value, label }) => expect(documentClassifier.getLabel(value)).toBe(label));
+      expect(documentClassifier.getLabel('memo')).toBe('Legal Document');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { analysisApi } from '../analysisApi.js';
+import { documentProcessor } from '../documentProcessor.js';
+import config from '../../utils/config.js';
+
+vi.mock('../analysisApi.js', () => ({
+  analysisApi: {
+    analyze: vi.fn(async () => ({ success: true })),
+    analyzeInBackground: vi.fn(async () => ({ success: true }))
+  }
+}));
+
+// The server refuses documents longer than this (server/middleware/analysisRequest.js)
+const SERVER_MAX_TEXT_LENGTH = 50000;
+
+describe('documentProcessor', () => {
+  describe('analyze', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('qualifies documents the server accepts for a background job', () => {
+      expect(config.analysis.backgroundThreshold).toBeLessThan(SERVER_MAX_TEXT_LENGTH);
+    });
+
+    it('streams a document shorter than the background threshold', async () => {
+      await documentProcessor.analyze('Short terms.', 'tos', { filename: 'terms.txt' });
+
+      expect(analysisApi.analyze).toHaveBeenCalledWith('Short terms.', 'tos', {});
+      expect(analysisApi.analyzeInBackground).not.toHaveBeenCalled();
+    });
+
+    it('runs a document above the background threshold as a job', async () => {
+      const text = 'x'.repeat(config.analysis.backgroundThreshold + 1);
+      const onJob = vi.fn();
+
+      await documentProcessor.analyze(text, 'tos', { filename: 'terms.txt', onJob });
+
+      expect(analysisApi.analyzeInBackground).toHaveBeenCalledWith(text, 'tos', expect.objectContaining({ filename: 'terms.txt', onJob }));
+      expect(analysisApi.analyze).not.toHaveBeenCalled();
+    });
+
+    it('runs a short document as a job when the user asks for one', async () => {
+      await documentProcessor.analyze('Short terms.', 'tos', { background: true });
+
+      expect(analysisApi.analyzeInBackground).toHaveBeenCalled();
+      expect(analysisApi.analyze).not.toHaveBeenCalled();
+    });
+  });
+});
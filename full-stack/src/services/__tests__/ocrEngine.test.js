@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createWorker } from 'tesseract.js';
+import { ocrEngine, LOW_CONFIDENCE } from '../ocrEngine.js';
+
+vi.mock('tesseract.js', () => ({ createWorker: vi.fn() }));
+
+const line = (text, confidence = 95) => ({ text, confidence });
+
+// A tesseract.js page result: blocks of paragraphs of lines
+const ocrPage = (paragraphs, confidence = 88) => ({
+  confidence,
+  blocks: [{ paragraphs: paragraphs.map(lines => ({ lines })) }]
+});
+
+const SCAN = ocrPage([
+  [line('TERMS OF SERVICE\n')],
+  [line('  We may end your account  \n', 91), line('at any tirne w1thout n0tice.\n', 42)],
+  [line('   \n', 10)],
+  [line('Fees are n0n-refundab1e.\n', 37)]
+]);
+
+describe('ocrEngine', () => {
+  describe('readResult', () => {
+    it('joins lines with line breaks and paragraphs with blank lines, skipping empty ones', () => {
+      expect(ocrEngine.readResult(SCAN).text).toBe('TERMS OF SERVICE\n\nWe may end your account\nat any tirne w1thout n0tice.\n\nFees are n0n-refundab1e.');
+    });
+
+    it('points every low-confidence region at its line in the joined text', () => {
+      const { text, lowConfidence } = ocrEngine.readResult(SCAN);
+
+      expect(lowConfidence).toEqual([
+        { start: 42, end: 70, confidence: 42 },
+        { start: 72, end: 96, confidence: 37 }
+      ]);
+      expect(lowConfidence.map(region => text.slice(region.start, region.end))).toEqual([
+        'at any tirne w1thout n0tice.',
+        'Fees are n0n-refundab1e.'
+      ]);
+      expect(lowConfidence.every(region => region.confidence < LOW_CONFIDENCE)).toBe(true);
+    });
+
+    it('reports no confidence for an image without text', () => {
+      expect(ocrEngine.readResult({ confidence: 30, blocks: null })).toEqual({ text: '', confidence: 0, lowConfidence: [] });
+    });
+  });
+
+  describe('recognize', () => {
+    const worker = { recognize: vi.fn() };
+
+    beforeEach(() => {
+      ocrEngine.workerPromise = null;
+      worker.recognize.mockReset();
+      vi.stubGlobal('window', { location: { href: 'https://app.example.com/dashboard' } });
+      createWorker.mockReset().mockImplementation(async (language, oem, { logger }) => {
+        worker.recognize.mockImplementation(async () => {
+          logger({ status: 'recognizing text', progress: 0.5 });
+          return { data: SCAN };
+        });
+        return worker;
+      });
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('loads the engine and language data from the app, as full URLs', async () => {
+      await ocrEngine.recognize('scan.png');
+
+      expect(createWorker).toHaveBeenCalledWith('eng', undefined, expect.objectContaining({
+        corePath: 'https://app.example.com/tesseract/core',
+        langPath: 'https://app.example.com/tesseract/lang'
+      }));
+    });
+
+    it('returns the text and regions of the image and reports progress', async () => {
+      const onProgress = vi.fn();
+
+      const result = await ocrEngine.recognize('scan.png', onProgress);
+
+      expect(result).toEqual({ ...ocrEngine.readResult(SCAN), confidence: 88 });
+      expect(onProgress).toHaveBeenCalledWith({ stage: 'reading', progress: 0.5 });
+    });
+
+    it('starts the engine once for several images', async () => {
+      await Promise.all([ocrEngine.recognize('one.png'), ocrEngine.recognize('two.png')]);
+
+      expect(createWorker).toHaveBeenCalledOnce();
+      expect(worker.recognize).toHaveBeenCalledTimes(2);
+    });
+
+    it('explains an engine that could not be loaded and tries again next time', async () => {
+      createWorker.mockRejectedValueOnce(new Error('Failed to fetch'));
+
+      await expect(ocrEngine.recognize('scan.png')).rejects.toThrow('The OCR engine could not be loaded (Failed to fetch).');
+      await expect(ocrEngine.recognize('scan.png')).resolves.toMatchObject({ confidence: 88 });
+    });
+  });
+});
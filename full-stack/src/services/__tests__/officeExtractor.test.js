@@ -0,0 +1,136 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { officeExtractor } from '../officeExtractor.js';
+
+const WORD = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const ODF = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"'
+].join(' ');
+
+const zip = (files) => zipSync(Object.fromEntries(Object.entries(files).map(([name, text]) => [name, strToU8(text)]))).buffer;
+
+const paragraph = (text, { style, numId, level = 0 } = {}) => {
+  const numbering = numId ? `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>` : '';
+  const properties = style || numId ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${numbering}</w:pPr>` : '';
+  return `<w:p>${properties}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+};
+
+const WORD_STYLES = `<?xml version="1.0"?><w:styles ${WORD}>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:pPr><w:numPr><w:numId w:val="1"/></w:numPr></w:pPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Heading1"/><w:pPr><w:numPr><w:ilvl w:val="1"/></w:numPr></w:pPr></w:style>
+</w:styles>`;
+
+const WORD_NUMBERING = `<?xml version="1.0"?><w:numbering ${WORD}>
+  <w:abstractNum w:abstractNumId="0">
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/></w:lvl>
+    <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1.%2"/></w:lvl>
+  </w:abstractNum>
+  <w:abstractNum w:abstractNumId="1">
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="lowerLetter"/><w:lvlText w:val="(%1)"/></w:lvl>
+    <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="lowerRoman"/><w:lvlText w:val="(%2)"/></w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+  <w:num w:numId="5"><w:abstractNumId w:val="1"/></w:num>
+</w:numbering>`;
+
+const docx = (body) => zip({
+  'word/document.xml': `<?xml version="1.0"?><w:document ${WORD}><w:body>${body}<w:sectPr/></w:body></w:document>`,
+  'word/styles.xml': WORD_STYLES,
+  'word/numbering.xml': WORD_NUMBERING
+});
+
+describe('officeExtractor', () => {
+  describe('readDocx', () => {
+    it('writes out heading and clause numbering', () => {
+      const text = officeExtractor.readDocx(docx([
+        paragraph('Definitions', { style: 'Heading1' }),
+        paragraph('In these terms "we" means Acme.'),
+        paragraph('Termination', { style: 'Heading1' }),
+        paragraph('Ending your account', { style: 'Heading2' }),
+        paragraph('You may leave whenever you like.', { numId: 5 }),
+        paragraph('except where the law says so', { numId: 5, level: 1 }),
+        paragraph('Refunds are not given.', { numId: 5 }),
+        paragraph('Notice', { style: 'Heading2' })
+      ].join('')));
+
+      expect(text).toBe([
+        '# 1. Definitions',
+        'In these terms "we" means Acme.',
+        '# 2. Termination',
+        '## 2.1 Ending your account',
+        '(a) You may leave whenever you like.',
+        '  (i) except where the law says so',
+        '(b) Refunds are not given.',
+        '## 2.2 Notice'
+      ].join('\n\n'));
+    });
+
+    it('keeps inserted text, drops deleted text and writes tables as rows', () => {
+      const text = officeExtractor.readDocx(docx([
+        '<w:p><w:r><w:t xml:space="preserve">Fees are </w:t></w:r><w:del><w:r><w:delText>waived</w:delText></w:r></w:del><w:ins><w:r><w:t>due monthly</w:t></w:r></w:ins></w:p>',
+        `<w:tbl><w:tr><w:tc>${paragraph('Fee')}</w:tc><w:tc>${paragraph('Amount')}</w:tc></w:tr>`,
+        `<w:tr><w:tc>${paragraph('Late fee')}</w:tc><w:tc>${paragraph('$25')}${paragraph('per month')}</w:tc></w:tr></w:tbl>`
+      ].join('')));
+
+      expect(text).toBe('Fees are due monthly\n\n| Fee | Amount |\n| Late fee | $25 per month |');
+    });
+
+    it('explains password-protected and damaged files', () => {
+      const protectedFile = new Uint8Array([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0]).buffer;
+
+      expect(() => officeExtractor.readDocx(protectedFile)).toThrow(/password-protected/);
+      expect(() => officeExtractor.readDocx(strToU8('not a zip').buffer)).toThrow(/not a valid Word document/);
+      expect(() => officeExtractor.readDocx(zip({ 'other.xml': '<x/>' }))).toThrow(/not a valid Word document/);
+    });
+  });
+
+  describe('readOdt', () => {
+    it('numbers outline headings and nested lists', () => {
+      const content = `<?xml version="1.0"?><office:document-content ${ODF}>
+        <office:automatic-styles>
+          <text:list-style style:name="L1">
+            <text:list-level-style-number text:level="1" style:num-format="a" style:num-prefix="(" style:num-suffix=")"/>
+            <text:list-level-style-number text:level="2" style:num-format="i" style:num-suffix="."/>
+          </text:list-style>
+        </office:automatic-styles>
+        <office:body><office:text>
+          <text:h text:outline-level="1">Privacy Policy</text:h>
+          <text:h text:outline-level="2">What we collect</text:h>
+          <text:p>We collect<text:s text:c="2"/>data.<text:note><text:note-body><text:p>A footnote</text:p></text:note-body></text:note></text:p>
+          <text:list text:style-name="L1">
+            <text:list-item><text:p>Your name</text:p>
+              <text:list><text:list-item><text:p>first</text:p></text:list-item><text:list-item><text:p>last</text:p></text:list-item></text:list>
+            </text:list-item>
+            <text:list-item><text:p>Your email</text:p></text:list-item>
+          </text:list>
+          <text:h text:outline-level="2">Sharing</text:h>
+          <table:table><table:table-row><table:table-cell><text:p>Ads</text:p></table:table-cell><table:table-cell><text:p>Money</text:p></table:table-cell></table:table-row></table:table>
+        </office:text></office:body>
+      </office:document-content>`;
+      const styles = `<?xml version="1.0"?><office:document-styles ${ODF}><office:styles>
+        <text:outline-style style:name="Outline">
+          <text:outline-level-style text:level="1" style:num-format="1" style:num-suffix="."/>
+          <text:outline-level-style text:level="2" style:num-format="1" text:display-levels="2"/>
+        </text:outline-style>
+      </office:styles></office:document-styles>`;
+
+      const text = officeExtractor.readOdt(zip({ 'content.xml': content, 'styles.xml': styles }));
+
+      expect(text).toBe([
+        '# 1. Privacy Policy',
+        '## 1.1 What we collect',
+        'We collect  data.',
+        '(a) Your name',
+        '  i. first',
+        '  ii. last',
+        '(b) Your email',
+        '## 1.2 Sharing',
+        '| Ads | Money |'
+      ].join('\n\n'));
+    });
+  });
+});
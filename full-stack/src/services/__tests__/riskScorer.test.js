@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { riskScorer } from '../riskScorer.js';
+import { clauseDetector } from '../clauseDetector.js';
+
+const TERMS = `1. Disputes
+Any dispute will be settled by binding arbitration.
+
+2. Changes
+We may change these terms at any time.`;
+
+const ARBITRATION = 'Any dispute will be settled by binding arbitration.';
+
+const arbitrationFlag = (fields = {}) => ({
+  title: 'Forced arbitration',
+  explanation: 'You can\'t take a dispute to court.',
+  severity: 'high',
+  ...fields
+});
+
+const category = (score, id) => score.categories.find(entry => entry.id === id);
+
+describe('riskScorer', () => {
+  const findings = clauseDetector.detect(TERMS).filter(finding => finding.id === 'forced-arbitration');
+
+  it('scores the clause check findings alone when there is no AI analysis', () => {
+    const score = riskScorer.score(null, findings);
+
+    expect(category(score, 'disputes')).toMatchObject({ score: 45, reasons: ['Forced arbitration (clause check)'] });
+    expect(score.level).toBe('low');
+  });
+
+  it('counts a clause both checks found once, with both reasons', () => {
+    const start = TERMS.indexOf(ARBITRATION);
+    const flag = arbitrationFlag({ citation: { start: start + 4, end: start + 20 } });
+
+    const disputes = category(riskScorer.score({ redFlags: [flag] }, findings), 'disputes');
+
+    expect(disputes.score).toBe(45);
+    expect(disputes.reasons).toEqual(['Forced arbitration (clause check)', 'Forced arbitration']);
+  });
+
+  it('keeps the higher severity of the two', () => {
+    const start = TERMS.indexOf(ARBITRATION);
+    const lowFindings = findings.map(finding => ({ ...finding, severity: 'low' }));
+    const flag = arbitrationFlag({ citation: { start, end: start + ARBITRATION.length } });
+
+    expect(category(riskScorer.score({ redFlags: [flag] }, lowFindings), 'disputes').score).toBe(45);
+  });
+
+  it('counts flags that quote other text, or no text, separately', () => {
+    const elsewhere = TERMS.indexOf('We may change');
+    const flags = [
+      arbitrationFlag({ title: 'No jury trials', citation: { start: elsewhere, end: elsewhere + 10 } }),
+      arbitrationFlag({ title: 'Disputes go to arbitration' })
+    ];
+
+    // 1 - (0.55 * 0.55 * 0.55)
+    expect(category(riskScorer.score({ redFlags: flags }, findings), 'disputes').score).toBe(83);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getDocument } from 'pdfjs-dist';
+import { textExtractor } from '../textExtractor.js';
+import { getPageLabel, getPageNumber } from '../../utils/pageMap.js';
+
+vi.mock('pdfjs-dist', () => ({ GlobalWorkerOptions: {}, getDocument: vi.fn() }));
+
+// A pdf.js text item: a run of text drawn at (x, y), 10 units high
+const item = (str, x, y, fields = {}) => ({ str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10, hasEOL: false, ...fields });
+
+// A pdf.js document whose pages draw the given items
+const fakePdf = (pageItems) => ({
+  numPages: pageItems.length,
+  getPage: async (number) => ({
+    getTextContent: async () => ({ items: pageItems[number - 1] }),
+    cleanup: () => {}
+  }),
+  destroy: vi.fn()
+});
+
+const PAGE_ONE = [item('1. Fees', 0, 700), item('You pay every month and', 0, 688)];
+const PAGE_THREE = [item('fees are not refunded.', 0, 700), item('2. Disputes', 0, 660), item('Courts decide.', 0, 648)];
+
+const readPdf = (pageItems, { ocr = false } = {}) => {
+  getDocument.mockReturnValue({ promise: Promise.resolve(fakePdf(pageItems)) });
+  return textExtractor.readPdfFile(new File(['%PDF-1.7'], 'terms.pdf', { type: 'application/pdf' }), { ocr });
+};
+
+describe('textExtractor', () => {
+  describe('joinPdfText', () => {
+    it('breaks lines and paragraphs where the text moves down the page', () => {
+      expect(textExtractor.joinPdfText(PAGE_THREE)).toBe('fees are not refunded.\n\n2. Disputes\nCourts decide.');
+    });
+
+    it('adds the space between words placed apart on a line, but not inside a word', () => {
+      const items = [item('We', 0, 700), item('may', 20, 700), item('termin', 40, 700), item('ate.', 70, 700)];
+
+      expect(textExtractor.joinPdfText(items)).toBe('We may terminate.');
+    });
+
+    it('skips marked content and keeps explicit line ends', () => {
+      const items = [{ type: 'beginMarkedContent' }, item('Section 1', 0, 700, { hasEOL: true }), item('Text.', 0, 700)];
+
+      expect(textExtractor.joinPdfText(items)).toBe('Section 1\nText.');
+    });
+  });
+
+  describe('readPdfFile', () => {
+    beforeEach(() => {
+      getDocument.mockReset();
+      vi.restoreAllMocks();
+    });
+
+    it('records the range of every page in the joined text, skipping blank pages', async () => {
+      const { text, pages, ocr } = await readPdf([PAGE_ONE, [], PAGE_THREE]);
+
+      expect(text).toBe('1. Fees\nYou pay every month and\n\nfees are not refunded.\n\n2. Disputes\nCourts decide.');
+      expect(pages).toEqual([
+        { number: 1, start: 0, end: 31 },
+        { number: 3, start: 33, end: text.length }
+      ]);
+      expect(text.slice(pages[0].start, pages[0].end)).toBe(textExtractor.joinPdfText(PAGE_ONE));
+      expect(text.slice(pages[1].start, pages[1].end)).toBe(textExtractor.joinPdfText(PAGE_THREE));
+      expect(ocr).toBeNull();
+    });
+
+    it('moves the low-confidence regions of scanned pages onto the joined text', async () => {
+      const scans = [
+        { text: 'We may end your\naccount at any tirne.', confidence: 70, lowConfidence: [{ start: 16, end: 37, confidence: 41 }] },
+        { text: 'Fees are n0n-refundab1e.', confidence: 50, lowConfidence: [{ start: 0, end: 24, confidence: 50 }] }
+      ];
+      vi.spyOn(textExtractor, 'readPdfPageWithOcr').mockImplementation(async () => scans.shift());
+
+      const { text, pages, ocr } = await readPdf([PAGE_ONE, [], []], { ocr: true });
+
+      expect(pages.map(page => page.number)).toEqual([1, 2, 3]);
+      expect(ocr).toMatchObject({ pages: [2, 3], confidence: 62 });
+      expect(ocr.lowConfidence.map(region => text.slice(region.start, region.end))).toEqual([
+        'account at any tirne.',
+        'Fees are n0n-refundab1e.'
+      ]);
+      expect(ocr.lowConfidence.map(region => getPageLabel(pages, region))).toEqual(['page 2', 'page 3']);
+    });
+
+    it('explains a PDF without any text', async () => {
+      await expect(readPdf([[], []])).rejects.toThrow('This PDF has no selectable text');
+    });
+  });
+
+  describe('page labels', () => {
+    it('labels passages on one page and passages that cross a page break', async () => {
+      const { text, pages } = await readPdf([PAGE_ONE, [], PAGE_THREE]);
+      const passage = (quote) => ({ start: text.indexOf(quote), end: text.indexOf(quote) + quote.length });
+
+      expect(getPageLabel(pages, passage('You pay every month'))).toBe('page 1');
+      expect(getPageLabel(pages, passage('Courts decide.'))).toBe('page 3');
+      expect(getPageLabel(pages, passage('every month and\n\nfees are not refunded'))).toBe('pages 1-3');
+    });
+
+    it('counts the separator between pages, and a passage ending at a page break, as the page before', async () => {
+      const { text, pages } = await readPdf([PAGE_ONE, PAGE_THREE]);
+      const separator = pages[0].end;
+
+      expect(text.slice(separator, pages[1].start)).toBe('\n\n');
+      expect(getPageNumber(pages, separator)).toBe(1);
+      expect(getPageLabel(pages, { start: 0, end: pages[0].end })).toBe('page 1');
+      expect(getPageLabel(pages, { start: pages[1].start, end: pages[1].start + 4 })).toBe('page 2');
+    });
+
+    it('has no label for text without pages', () => {
+      expect(getPageLabel([], { start: 0, end: 5 })).toBeNull();
+      expect(getPageLabel(undefined, { start: 0, end: 5 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Analysis API Client
+ * 
+ * Sends documents to the ToS Dumbifier server for AI analysis.
+ * Requests go through the global axios instance so the auth interceptors
+ * configured in AuthContext attach the Bearer token automatically.
+ */
+
+import axios from 'axios';
+import config from '../utils/config.js';
+import { jobsApi } from './jobsApi.js';
+
+// Friendlier wording for provider failures the server already retried
+const ERROR_MESSAGES = {
+  LLM_RATE_LIMITED: 'The AI provider is handling too many requests right now. Please wait a minute and try again.',
+  LLM_TIMEOUT: 'The AI provider took too long to answer. Please try again.'
+};
+
+// How often a background job is checked on
+const JOB_POLL_INTERVAL_MS = 1500;
+
+class AnalysisApi {
+  constructor() {
+    this.baseUrl = config.api.server;
+  }
+
+  /**
+   * Requests an AI analysis of the given text from the server
+   * 
+   * Uses the streaming endpoint so long documents can report progress for
+   * every chunk and the report arrives while it is being written.
+   * @param {string} text - The raw document text to simplify
+   * @param {string} documentType - Type of document (one of DOCUMENT_TYPES in documentClassifier.js)
+   * @param {Object} options - Request options
+   * @param {Function} options.onProgress - Called with each server progress event
+   * @param {Function} options.onText - Called with the markdown report so far each time it grows
+   * @param {AbortSignal} options.signal - Cancels the analysis
+   * @param {string} options.simplificationLevel - 'basic', 'detailed' or 'technical'; the server uses the saved preference when omitted
+   * @param {boolean} options.refresh - Analyze again instead of using the server's cached analysis of the same text
+   * @returns {Promise<Object>} - Structured analysis, markdown report and history fields; cached and cachedAt when it came from the cache
+   */
+  async analyze(text, documentType = 'tos', { onProgress = () => {}, onText = () => {}, signal, simplificationLevel, refresh } = {}) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/analyze/stream`, {
+        text,
+        documentType,
+        ...(simplificationLevel && { simplificationLevel }),
+        ...(refresh && { refresh })
+      }, {
+        adapter: 'fetch',
+        responseType: 'stream',
+        signal
+      });
+
+      for await (const event of this.readEvents(response.data)) {
+        if (event.type === 'progress') {
+          onProgress(event);
+        } else if (event.type === 'snapshot') {
+          onText(event.text);
+        } else if (event.type === 'result') {
+          return event.analysis;
+        } else if (event.type === 'error') {
+          throw new Error(ERROR_MESSAGES[event.error] || event.message);
+        }
+      }
+
+      throw new Error('The server closed the connection before the analysis finished');
+    } catch (error) {
+      if (axios.isCancel(error) || error.name === 'AbortError' || signal?.aborted) {
+        const cancelled = new Error('Analysis cancelled');
+        cancelled.name = 'AbortError';
+        throw cancelled;
+      }
+
+      const message = await this.getErrorMessage(error);
+      throw new Error(`Failed to simplify document: ${message}`);
+    }
+  }
+
+  /**
+   * Requests an AI analysis as a background job on the server and waits for it
+   *
+   * The job keeps running if the page is closed or reloaded; pass the id of a
+   * job that is still running (see jobsApi.getActiveJobs) to wait for it again.
+   * Reports the same progress and snapshots as analyze, by polling the job.
+   * @param {string} text - The raw document text to simplify
+   * @param {string} documentType - Type of document (one of DOCUMENT_TYPES in documentClassifier.js)
+   * @param {Object} options - Request options, as for analyze
+   * @param {Function} options.onJob - Called with the job once it is queued (or found)
+   * @param {string} options.jobId - Job to wait for instead of queuing a new one
+   * @param {string} options.filename - Name shown for the job if the page is reloaded
+   * @param {Array<Object>} options.pages - Page offsets of an uploaded PDF, kept with the job for its history entry
+   * @param {Object} options.ocr - OCR confidence of a scanned upload, kept likewise
+   * @returns {Promise<Object>} - Structured analysis, markdown report and history fields
+   */
+  async analyzeInBackground(text, documentType = 'tos', { onProgress = () => {}, onText = () => {}, onJob = () => {}, signal, simplificationLevel, refresh, jobId, filename, pages, ocr } = {}) {
+    let job;
+
+    try {
+      job = jobId
+        ? await jobsApi.getJob(jobId)
+        : await jobsApi.submit({ text, documentType, filename, pages, ocr, simplificationLevel, refresh });
+      onJob(job);
+
+      let lastProgress;
+      let lastSnapshot;
+
+      while (true) {
+        const progressKey = job.progress && `${job.progress.step}:${job.progress.progress}:${job.progress.message}`;
+        if (job.progress?.message && progressKey !== lastProgress) {
+          lastProgress = progressKey;
+          onProgress(job.progress);
+        }
+
+        if (job.snapshot && job.snapshot !== lastSnapshot) {
+          lastSnapshot = job.snapshot;
+          onText(job.snapshot);
+        }
+
+        if (job.status === 'completed') {
+          return await jobsApi.getResult(job.id);
+        }
+        if (job.status === 'failed') {
+          throw new Error(ERROR_MESSAGES[job.error?.code] || job.error?.message || 'The analysis failed');
+        }
+        if (job.status === 'cancelled') {
+          const cancelled = new Error('Analysis cancelled');
+          cancelled.name = 'AbortError';
+          throw cancelled;
+        }
+
+        await this.wait(JOB_POLL_INTERVAL_MS, signal);
+        job = await jobsApi.getJob(job.id);
+      }
+    } catch (error) {
+      if (axios.isCancel(error) || error.name === 'AbortError' || signal?.aborted) {
+        // Only the user cancelling stops the job; it keeps running while nobody is polling
+        if (signal?.aborted && job) {
+          jobsApi.cancel(job.id).catch((cancelError) => console.warn('Could not cancel the analysis job:', cancelError));
+        }
+
+        const cancelled = new Error('Analysis cancelled');
+        cancelled.name = 'AbortError';
+        throw cancelled;
+      }
+
+      const message = await this.getErrorMessage(error);
+      throw new Error(`Failed to simplify document: ${message}`);
+    }
+  }
+
+  /**
+   * Waits before the next poll, stopping early when cancelled
+   * @param {number} ms - Time to wait
+   * @param {AbortSignal} signal - Cancels the wait
+   * @returns {Promise<void>}
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Analysis cancelled', 'AbortError'));
+        return;
+      }
+
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Analysis cancelled', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Compares two versions of a document and asks the server to explain what changed
+   * @param {Object} versions - Each side is pasted text or the id of a history entry
+   * @param {string} versions.before - Old version text
+   * @param {string} versions.after - New version text
+   * @param {string} versions.beforeDocumentId - History entry holding the old version
+   * @param {string} versions.afterDocumentId - History entry holding the new version
+   * @param {string} versions.documentType - Type of document; taken from the history entries when omitted
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the comparison
+   * @returns {Promise<Object>} - Changes (added, removed, modified) with explanations, stats, summary and verdict
+   */
+  async compare({ before, after, beforeDocumentId, afterDocumentId, documentType }, { signal } = {}) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/analyze/compare`, {
+        ...(beforeDocumentId ? { beforeDocumentId } : { before }),
+        ...(afterDocumentId ? { afterDocumentId } : { after }),
+        ...(documentType && { documentType })
+      }, { signal });
+
+      return response.data.comparison;
+    } catch (error) {
+      if (axios.isCancel(error) || signal?.aborted) {
+        const cancelled = new Error('Comparison cancelled');
+        cancelled.name = 'AbortError';
+        throw cancelled;
+      }
+
+      const message = await this.getErrorMessage(error);
+      throw new Error(`Failed to compare documents: ${message}`);
+    }
+  }
+
+  /**
+   * Parses a newline-delimited JSON response body into events
+   * @param {ReadableStream} stream - Response body
+   * @returns {AsyncGenerator<Object>} - Parsed events
+   */
+  async *readEvents(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield JSON.parse(buffer);
+    }
+  }
+
+  /**
+   * Gets a readable message from a failed request
+   * @param {Error} error - Axios or stream error
+   * @returns {Promise<string>} - Error message
+   */
+  async getErrorMessage(error) {
+    const data = error.response?.data;
+
+    // Streaming requests hand back the error body as a stream too
+    if (data instanceof ReadableStream) {
+      const body = await new Response(data).text();
+      try {
+        const parsed = JSON.parse(body);
+        return ERROR_MESSAGES[parsed.error] || parsed.message || error.message;
+      } catch {
+        return body || error.message;
+      }
+    }
+
+    return ERROR_MESSAGES[data?.error] || data?.message || error.message;
+  }
+
+  /**
+   * Checks which LLM provider the server uses and whether it is configured
+   * @returns {Promise<Object>} - Configuration status reported by the server
+   */
+  async getStatus() {
+    const response = await axios.get(`${this.baseUrl}/analyze/status`);
+    return response.data;
+  }
+}
+
+// Export a singleton instance
+export const analysisApi = new AnalysisApi();
+export default analysisApi;
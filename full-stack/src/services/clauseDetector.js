@@ -0,0 +1,173 @@
+/**
+ * Clause Detection Service
+ *
+ * Finds well-known risky clauses with fixed text patterns. It runs in the
+ * browser next to the AI analysis, needs no API key and always gives the same
+ * findings for the same text, so it still works when the AI is unavailable.
+ */
+
+// Each rule lists the patterns that signal the clause; "unless" skips sentences that say the opposite
+const CLAUSE_RULES = [
+  {
+    id: 'forced-arbitration',
+    title: 'Forced arbitration',
+    severity: 'high',
+    explanation: 'Disputes go to a private arbitrator instead of a court, usually with no jury and limited appeal.',
+    patterns: [
+      /\b(binding|mandatory|final and binding)\s+(individual\s+)?arbitration\b/gi,
+      /\bdisputes?\b[^.]{0,120}\b(resolved|settled|decided)\s+(exclusively\s+)?(by|through|in)\s+arbitration\b/gi,
+      /\bsubmit(ted)?\s+to\s+(binding\s+)?arbitration\b/gi
+    ]
+  },
+  {
+    id: 'class-action-waiver',
+    title: 'Class-action waiver',
+    severity: 'high',
+    explanation: 'You give up the right to join other users in a group lawsuit, so small harms are rarely worth fighting alone.',
+    patterns: [
+      /\bwaive\b[^.]{0,80}\bclass[\s-]+(action|arbitration|proceeding)s?\b/gi,
+      /\bclass[\s-]+(action|arbitration|proceeding)s?\b[^.]{0,80}\b(waive[sd]?|not\s+(be\s+)?(permitted|allowed|available))\b/gi,
+      /\b(only|solely)\s+(on\s+an?|in\s+(your|their))\s+individual\s+(basis|capacity)\b/gi,
+      /\bnot\s+as\s+a\s+(plaintiff\s+or\s+)?class\s+member\b/gi
+    ]
+  },
+  {
+    id: 'auto-renewal',
+    title: 'Auto-renewal',
+    severity: 'medium',
+    explanation: 'Your plan renews and charges you again unless you cancel before the deadline.',
+    patterns: [
+      /\bautomatic(ally)?\s+renew(s|ed|al)?\b/gi,
+      /\bauto[\s-]?renew(s|ed|al)?\b/gi,
+      /\brenews?\s+automatically\b/gi,
+      /\bcontinuous\s+subscription\b/gi
+    ]
+  },
+  {
+    id: 'unilateral-changes',
+    title: 'Terms can change without your say',
+    severity: 'medium',
+    explanation: 'They can rewrite the rules later, and keeping on using the service counts as agreeing.',
+    patterns: [
+      /\b(we|company)\s+(may|can|reserve\s+the\s+right\s+to)\s+(at\s+any\s+time\s+)?(modify|change|update|amend|revise)\s+(these|this|the(se)?|our)\s+(terms|agreement|policy|conditions)\b/gi,
+      /\breserve\s+the\s+right\s+to\s+(modify|change|update|amend|revise)\b/gi,
+      /\bcontinued\s+use\b[^.]{0,100}\b(constitutes?|means?|deemed)\b[^.]{0,40}\b(acceptance|accept|agree)/gi
+    ]
+  },
+  {
+    id: 'perpetual-licence',
+    title: 'Forever licence to your content',
+    severity: 'medium',
+    explanation: 'They keep broad rights to what you upload, even after you delete it or close your account.',
+    patterns: [
+      /\b(perpetual|irrevocable)\b[^.]{0,120}\blicen[cs]e\b/gi,
+      /\blicen[cs]e\b[^.]{0,120}\b(perpetual|irrevocable)\b/gi
+    ]
+  },
+  {
+    id: 'data-sale',
+    title: 'Your data can be sold',
+    severity: 'high',
+    explanation: 'Your personal information may be sold or traded to other companies.',
+    patterns: [
+      /\bsell\b[^.]{0,40}\b(personal\s+)?(data|information)\b/gi,
+      /\bsale\s+of\s+(your\s+)?personal\s+(data|information)\b/gi,
+      /\b(rent|trade|exchange)\b[^.]{0,40}\bpersonal\s+(data|information)\b/gi
+    ],
+    unless: /\b(do|does|will|shall)\s+not\s+(sell|rent|trade)|\bnever\s+(sell|rent|trade)|\bno\s+sale\b/i
+  },
+  {
+    id: 'governing-law',
+    title: 'Disputes handled far away',
+    severity: 'low',
+    explanation: 'Their chosen laws and courts apply, which can mean fighting a dispute far from home.',
+    patterns: [
+      /\bgoverned\s+by\b[^.]{0,60}\blaws?\s+of\b/gi,
+      /\bexclusive\s+(jurisdiction|venue)\b/gi,
+      /\bsubmit\s+to\s+the\s+(personal\s+)?(and\s+exclusive\s+)?jurisdiction\b/gi
+    ]
+  }
+];
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Matches listed for a single rule, so boilerplate repeated across a long document stays readable
+const MAX_MATCHES_PER_RULE = 5;
+
+class ClauseDetector {
+  /**
+   * Finds risky clauses in a document
+   * @param {string} text - Document text
+   * @returns {Array<Object>} - Findings ({ id, title, severity, explanation, matches }), most severe first;
+   *   each match is { start, end, text } for the sentence that triggered the rule
+   */
+  detect(text) {
+    if (!text) {
+      return [];
+    }
+
+    return CLAUSE_RULES
+      .map((rule) => ({
+        id: rule.id,
+        title: rule.title,
+        severity: rule.severity,
+        explanation: rule.explanation,
+        matches: this.findMatches(text, rule)
+      }))
+      .filter(finding => finding.matches.length > 0)
+      .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  }
+
+  /**
+   * Finds the sentences that trigger a rule
+   * @param {string} text - Document text
+   * @param {Object} rule - Clause rule
+   * @returns {Array<Object>} - Matches ({ start, end, text }) in document order
+   */
+  findMatches(text, rule) {
+    const sentences = new Map();
+
+    rule.patterns.forEach((pattern) => {
+      for (const match of text.matchAll(pattern)) {
+        const sentence = this.getSentence(text, match.index, match.index + match[0].length);
+        if (!sentences.has(sentence.start) && !rule.unless?.test(sentence.text)) {
+          sentences.set(sentence.start, sentence);
+        }
+      }
+    });
+
+    return [...sentences.values()]
+      .sort((a, b) => a.start - b.start)
+      .slice(0, MAX_MATCHES_PER_RULE);
+  }
+
+  /**
+   * Widens a match to the sentence around it, staying within one line
+   * @param {string} text - Document text
+   * @param {number} start - Match start
+   * @param {number} end - Match end
+   * @returns {Object} - { start, end, text } of the sentence
+   */
+  getSentence(text, start, end) {
+    let sentenceStart = start;
+    while (sentenceStart > 0 && !/[\n.!?]/.test(text[sentenceStart - 1])) {
+      sentenceStart--;
+    }
+
+    let sentenceEnd = end;
+    while (sentenceEnd < text.length && text[sentenceEnd] !== '\n' && !/[.!?]/.test(text[sentenceEnd - 1])) {
+      sentenceEnd++;
+    }
+
+    // Skip the space after the previous sentence's full stop
+    while (sentenceStart < start && /\s/.test(text[sentenceStart])) {
+      sentenceStart++;
+    }
+
+    return { start: sentenceStart, end: sentenceEnd, text: text.slice(sentenceStart, sentenceEnd) };
+  }
+}
+
+// Export singleton instance
+export const clauseDetector = new ClauseDetector();
+export default clauseDetector;
@@ -0,0 +1,198 @@
+/**
+ * Document Classifier
+ *
+ * Works out what kind of legal document a text is (terms of service, privacy
+ * policy, EULA, lease, NDA and so on, or something else) from its file name
+ * and wording. Every matching phrase is a signal with a weight, and phrases
+ * in the title (the first line) count three times over because documents
+ * often mention each other ("see our Privacy Policy"). The type with the most weight wins; the
+ * confidence is its share of all the weight, lowered when there was little
+ * to go on, so the UI can ask the user when it's a close call.
+ */
+
+// Types the analysis understands, in the order they are offered to the user (matches documentHistory.documentType)
+export const DOCUMENT_TYPES = [
+  { value: 'tos', label: 'Terms of Service' },
+  { value: 'privacy-policy', label: 'Privacy Policy' },
+  { value: 'eula', label: 'End User License Agreement' },
+  { value: 'cookie-policy', label: 'Cookie Policy' },
+  { value: 'refund-policy', label: 'Refund & Return Policy' },
+  { value: 'sla', label: 'Service Level Agreement' },
+  { value: 'nda', label: 'Non-Disclosure Agreement' },
+  { value: 'lease', label: 'Residential Lease' },
+  { value: 'employment-offer', label: 'Employment Offer Letter' },
+  { value: 'other', label: 'Other Legal Document' }
+];
+
+// Phrases that point to each type, with how strongly they do
+const CONTENT_SIGNALS = {
+  'tos': [
+    { label: 'terms of service', pattern: /\bterms of service\b/i, weight: 3 },
+    { label: 'terms of use', pattern: /\bterms of use\b/i, weight: 3 },
+    { label: 'terms and conditions', pattern: /\bterms (and|&) conditions\b/i, weight: 3 },
+    { label: 'user agreement', pattern: /\buser agreement\b/i, weight: 2 },
+    { label: 'acceptable use', pattern: /\bacceptable use\b/i, weight: 2 },
+    { label: 'you agree to', pattern: /\byou agree to\b/i, weight: 1 },
+    { label: 'your account', pattern: /\byour account\b/i, weight: 1 },
+    { label: 'arbitration', pattern: /\barbitration\b/i, weight: 1 }
+  ],
+  'privacy-policy': [
+    { label: 'privacy policy', pattern: /\bprivacy (policy|notice|statement)\b/i, weight: 3 },
+    { label: 'personal information', pattern: /\bpersonal (information|data)\b/i, weight: 2 },
+    { label: 'information we collect', pattern: /\b(information|data) we collect\b|\bwe collect\b/i, weight: 2 },
+    { label: 'data protection laws', pattern: /\b(gdpr|ccpa|data controller|data protection)\b/i, weight: 2 },
+    { label: 'cookies', pattern: /\bcookies\b/i, weight: 1 },
+    { label: 'tracking', pattern: /\btracking\b/i, weight: 1 },
+    { label: 'opt out', pattern: /\bopt[\s-]out\b/i, weight: 1 }
+  ],
+  'eula': [
+    { label: 'end user license', pattern: /\bend[\s-]user licen[cs]e\b/i, weight: 3 },
+    { label: 'EULA', pattern: /\beula\b/i, weight: 3 },
+    { label: 'software license', pattern: /\bsoftware licen[cs]e\b/i, weight: 2 },
+    { label: 'license agreement', pattern: /\blicen[cs]e agreement\b/i, weight: 2 },
+    { label: 'reverse engineer', pattern: /\breverse[\s-]engineer/i, weight: 2 },
+    { label: 'install the software', pattern: /\b(install|copies of) (the )?software\b/i, weight: 1 }
+  ],
+  'cookie-policy': [
+    { label: 'cookie policy', pattern: /\bcookies? (policy|notice|statement)\b/i, weight: 3 },
+    { label: 'types of cookies', pattern: /\b(strictly necessary|essential|functional|analytics|advertising|performance|targeting) cookies\b/i, weight: 2 },
+    { label: 'cookie settings', pattern: /\bcookie (settings|preferences|banner|consent)\b/i, weight: 2 },
+    { label: 'web beacons', pattern: /\b(web beacons?|pixel tags?|local storage)\b/i, weight: 1 },
+    { label: 'browser settings', pattern: /\bbrowser settings\b/i, weight: 1 }
+  ],
+  'refund-policy': [
+    { label: 'refund policy', pattern: /\b(refunds?|returns?)( (and|&) (refunds?|returns?|exchanges?))? policy\b/i, weight: 3 },
+    { label: 'restocking fee', pattern: /\brestocking fees?\b/i, weight: 2 },
+    { label: 'return shipping', pattern: /\breturn shipping\b/i, weight: 2 },
+    { label: 'store credit', pattern: /\bstore credit\b/i, weight: 2 },
+    { label: 'return window', pattern: /\bwithin \d+ days of (purchase|delivery|receipt)\b/i, weight: 1 },
+    { label: 'original condition', pattern: /\b(original (condition|packaging)|unworn|unused)\b/i, weight: 1 }
+  ],
+  'sla': [
+    { label: 'service level agreement', pattern: /\bservice[\s-]level (agreement|objective)s?\b/i, weight: 3 },
+    { label: 'SLA', pattern: /\bSLA\b/, weight: 3 },
+    { label: 'uptime', pattern: /\b(monthly )?uptime( percentage)?\b|\b99\.\d+\s?%/i, weight: 2 },
+    { label: 'service credits', pattern: /\bservice credits?\b/i, weight: 2 },
+    { label: 'scheduled maintenance', pattern: /\bscheduled maintenance\b/i, weight: 1 },
+    { label: 'response times', pattern: /\b(response|resolution) times?\b/i, weight: 1 }
+  ],
+  'nda': [
+    { label: 'non-disclosure agreement', pattern: /\bnon[\s-]?disclosure\b|\bconfidentiality agreement\b/i, weight: 3 },
+    { label: 'NDA', pattern: /\bNDA\b/, weight: 3 },
+    { label: 'confidential information', pattern: /\bconfidential information\b/i, weight: 2 },
+    { label: 'disclosing party', pattern: /\b(disclosing|receiving) party\b/i, weight: 2 },
+    { label: 'trade secrets', pattern: /\btrade secrets?\b/i, weight: 1 }
+  ],
+  'lease': [
+    { label: 'lease agreement', pattern: /\b(lease|rental|tenancy) agreement\b|\bresidential lease\b/i, weight: 3 },
+    { label: 'landlord', pattern: /\blandlords?\b/i, weight: 2 },
+    { label: 'tenant', pattern: /\btenants?\b/i, weight: 2 },
+    { label: 'security deposit', pattern: /\bsecurity deposit\b/i, weight: 2 },
+    { label: 'rent', pattern: /\bmonthly rent\b|\brent (is|shall be) (due|payable)\b/i, weight: 1 },
+    { label: 'premises', pattern: /\bpremises\b/i, weight: 1 }
+  ],
+  'employment-offer': [
+    { label: 'offer letter', pattern: /\boffer (letter|of employment)\b|\bemployment offer\b/i, weight: 3 },
+    { label: 'pleased to offer', pattern: /\bpleased to offer\b/i, weight: 2 },
+    { label: 'at-will employment', pattern: /\bat[\s-]will\b/i, weight: 2 },
+    { label: 'salary', pattern: /\b(base|annual|starting) salary\b/i, weight: 2 },
+    { label: 'start date', pattern: /\bstart(ing)? date\b/i, weight: 1 },
+    { label: 'equity or bonus', pattern: /\b(stock options?|vesting|signing bonus|sign-on bonus)\b/i, weight: 1 }
+  ]
+};
+
+// File names such as "terms_of_service.txt" or "app-eula.pdf"
+const FILE_NAME_SIGNALS = {
+  'tos': { label: 'file name', pattern: /(?<![a-z])(tos|terms)(?![a-z])/i, weight: 3 },
+  'privacy-policy': { label: 'file name', pattern: /privacy/i, weight: 3 },
+  'eula': { label: 'file name', pattern: /(?<![a-z])(eula|licen[cs]e)(?![a-z])/i, weight: 3 },
+  'cookie-policy': { label: 'file name', pattern: /cookie/i, weight: 3 },
+  'refund-policy': { label: 'file name', pattern: /refund|(?<![a-z])returns?(?![a-z])/i, weight: 3 },
+  'sla': { label: 'file name', pattern: /(?<![a-z])sla(?![a-z])/i, weight: 3 },
+  'nda': { label: 'file name', pattern: /(?<![a-z])nda(?![a-z])|non[\s_-]?disclosure/i, weight: 3 },
+  'lease': { label: 'file name', pattern: /lease|rental|tenancy/i, weight: 3 },
+  'employment-offer': { label: 'file name', pattern: /offer/i, weight: 3 }
+};
+
+// A first line that is longer or ends like a sentence is a paragraph, not a title
+const MAX_TITLE_CHARS = 100;
+const TITLE_WEIGHT = 3;
+
+// Total weight at which a winner with no competition is fully trusted
+const CONFIDENT_WEIGHT = 6;
+
+// Below this the user is asked to check the type
+export const LOW_CONFIDENCE = 0.6;
+
+class DocumentClassifier {
+  /**
+   * Classifies a document
+   * @param {string} text - Document text
+   * @param {string} fileName - File name, if the text came from a file
+   * @returns {Object} - { type, confidence, signals } where confidence is 0-1 and each signal is { type, label, source, weight }
+   */
+  classify(text, fileName = '') {
+    const content = String(text || '');
+    const firstLine = content.trim().split('\n')[0].trim();
+    const title = firstLine.length <= MAX_TITLE_CHARS && !/[.!?]$/.test(firstLine) ? firstLine : '';
+    const signals = [];
+
+    Object.entries(FILE_NAME_SIGNALS).forEach(([type, { label, pattern, weight }]) => {
+      if (fileName && pattern.test(fileName)) {
+        signals.push({ type, label, source: 'filename', weight });
+      }
+    });
+
+    Object.entries(CONTENT_SIGNALS).forEach(([type, rules]) => {
+      rules.forEach(({ label, pattern, weight }) => {
+        if (pattern.test(title)) {
+          signals.push({ type, label, source: 'title', weight: weight * TITLE_WEIGHT });
+        } else if (pattern.test(content)) {
+          signals.push({ type, label, source: 'content', weight });
+        }
+      });
+    });
+
+    const totals = Object.keys(CONTENT_SIGNALS)
+      .map(type => ({ type, weight: signals.filter(signal => signal.type === type).reduce((sum, signal) => sum + signal.weight, 0) }))
+      .sort((a, b) => b.weight - a.weight);
+    const [best] = totals;
+    const totalWeight = totals.reduce((sum, total) => sum + total.weight, 0);
+
+    if (best.weight === 0) {
+      return { type: 'other', confidence: 0, signals };
+    }
+
+    // The winner's share of the evidence, scaled down when there was little to go on
+    const share = best.weight / totalWeight;
+    const strength = Math.min(1, best.weight / CONFIDENT_WEIGHT);
+
+    return {
+      type: best.type,
+      confidence: Math.round(share * strength * 100) / 100,
+      signals: signals.sort((a, b) => b.weight - a.weight)
+    };
+  }
+
+  /**
+   * Checks whether the user should confirm a classification
+   * @param {Object} classification - Result of classify
+   * @returns {boolean}
+   */
+  isLowConfidence(classification) {
+    return classification.confidence < LOW_CONFIDENCE;
+  }
+
+  /**
+   * Gets the display name of a document type
+   * @param {string} type - Document type
+   * @returns {string} - Label
+   */
+  getLabel(type) {
+    return DOCUMENT_TYPES.find(option => option.value === type)?.label || 'Legal Document';
+  }
+}
+
+// Export singleton instance
+export const documentClassifier = new DocumentClassifier();
+export default documentClassifier;
@@ -3,16 +3,24 @@
  * 
  * This service orchestrates the document processing workflow:
  * 1. File upload and text extraction
- * 2. OpenAI analysis and simplification
+ * 2. Server-side AI analysis and simplification
  * 3. Result formatting and storage
  */
 
-import { openaiService } from './openaiService.js';
+import { textExtractor, LEGACY_WORD_MESSAGE } from './textExtractor.js';
+import { analysisApi } from './analysisApi.js';
+import { historyApi } from './historyApi.js';
+import { clauseDetector } from './clauseDetector.js';
+import { riskScorer } from './riskScorer.js';
+import { documentClassifier } from './documentClassifier.js';
 import config from '../utils/config.js';
 
+// Files analyzed at the same time in a batch; the rest wait their turn
+const BATCH_CONCURRENCY = 2;
+
 class DocumentProcessor {
   constructor() {
-    this.supportedTypes = ['.txt', '.pdf', '.doc', '.docx'];
+    this.supportedTypes = ['.txt', '.pdf', '.docx', '.odt', '.png', '.jpg', '.jpeg'];
     this.maxFileSize = config.app.maxFileSize;
   }
 
@@ -34,6 +42,10 @@ class DocumentProcessor {
     }
 
     const fileName = file.name.toLowerCase();
+    if (fileName.endsWith('.doc')) {
+      return { valid: false, error: LEGACY_WORD_MESSAGE };
+    }
+
     const isSupported = this.supportedTypes.some(type => fileName.endsWith(type));
     
     if (!isSupported) {
@@ -46,156 +58,22 @@ class DocumentProcessor {
     return { valid: true };
   }
 
-  /**
-   * Processes a document file through the complete workflow
-   * @param {File} file - The document file to process
-   * @param {Function} onProgress - Progress callback function
-   * @returns {Promise<Object>} - Processing result
-   */
-  async processDocument(file, onProgress = () => {}) {
-    try {
-      // Step 1: Validate file
-      onProgress({ step: 'validating', progress: 10, message: 'Validating file...' });
-      
-      const validation = this.validateFile(file);
-      if (!validation.valid) {
-        throw new Error(validation.error);
-      }
-
-      // Step 2: Extract text from file
-      onProgress({ step: 'extracting', progress: 30, message: 'Extracting text from file...' });
-      
-      const extractedText = await openaiService.extractTextFromFile(file);
-      
-      if (!extractedText || extractedText.trim().length === 0) {
-        throw new Error('No text content found in the file');
-      }
-
-      // Step 3: Analyze with OpenAI
-      onProgress({ step: 'analyzing', progress: 60, message: 'Analyzing document with AI...' });
-      
-      const documentType = this.detectDocumentType(file.name, extractedText);
-      const analysisResult = await openaiService.simplifyDocument(extractedText, documentType);
-
-      // Step 4: Format final result
-      onProgress({ step: 'formatting', progress: 90, message: 'Formatting results...' });
-      
-      const result = {
-        file: {
-          name: file.name,
-          size: file.size,
-          type: file.type,
-          lastModified: file.lastModified
-        },
-        documentType,
-        analysis: analysisResult,
-        processedAt: new Date().toISOString(),
-        success: true
-      };
-
-      onProgress({ step: 'complete', progress: 100, message: 'Document processing complete!' });
-      
-      return result;
-
-    } catch (error) {
-      console.error('Document processing error:', error);
-      onProgress({ step: 'error', progress: 0, message: error.message });
-      
-      return {
-        success: false,
-        error: error.message,
-        processedAt: new Date().toISOString()
-      };
-    }
-  }
-
-  /**
-   * Processes text directly (for copy-paste input)
-   * @param {Object} textData - Object containing text and metadata
-   * @param {Function} onProgress - Progress callback function
-   * @returns {Promise<Object>} - Processing result
-   */
-  async processText(textData, onProgress = () => {}) {
-    try {
-      const { text, filename = 'Pasted Text', type = 'text/plain' } = textData;
-
-      // Step 1: Validate text input
-      onProgress({ step: 'validating', progress: 10, message: 'Validating text input...' });
-      
-      // Ensure text is a string and handle various input types
-      let textString;
-      if (typeof text === 'string') {
-        textString = text;
-      } else if (text !== null && text !== undefined) {
-        textString = String(text);
-      } else {
-        throw new Error('No text content provided');
-      }
-      
-      // Trim whitespace
-      textString = textString.trim();
-      
-      if (textString.length === 0) {
-        throw new Error('No text content provided');
-      }
-
-      if (textString.length > 50000) { // Limit text length to avoid token overflow
-        throw new Error('Text is too long. Please limit to 50,000 characters or less.');
-      }
-
-      console.log('Processing text:', { 
-        originalType: typeof text, 
-        processedLength: textString.length, 
-        filename 
-      });
-
-      // Step 2: Analyze with OpenAI
-      onProgress({ step: 'analyzing', progress: 40, message: 'Analyzing text with AI...' });
-      
-      const documentType = this.detectDocumentType(filename, textString);
-      const analysisResult = await openaiService.simplifyDocument(textString, documentType);
-
-      // Step 3: Format final result
-      onProgress({ step: 'formatting', progress: 80, message: 'Formatting results...' });
-      
-      const result = {
-        file: {
-          name: filename,
-          size: textString.length,
-          type: type,
-          lastModified: Date.now()
-        },
-        documentType,
-        analysis: analysisResult,
-        processedAt: new Date().toISOString(),
-        success: true,
-        isTextInput: true // Flag to indicate this was text input, not file
-      };
-
-      onProgress({ step: 'complete', progress: 100, message: 'Text analysis complete!' });
-      
-      return result;
-
-    } catch (error) {
-      console.error('Text processing error:', error);
-      onProgress({ step: 'error', progress: 0, message: error.message });
-      
-      return {
-        success: false,
-        error: error.message,
-        processedAt: new Date().toISOString(),
-        isTextInput: true
-      };
-    }
-  }
-
   /**
    * Universal processing method that handles both files and text
    * @param {File|Object} input - File object or text data object
    * @param {Function} onProgress - Progress callback function
+   * @param {Object} options - Streaming and cancellation options
+   * @param {Function} options.onText - Called with the markdown report so far while it streams
+   * @param {AbortSignal} options.signal - Cancels the analysis
+   * @param {string} options.simplificationLevel - Overrides the saved preference for this analysis
+   * @param {string} options.documentType - Type the user picked for a file; text data carries its own documentType
+   * @param {boolean} options.background - Run the analysis as a server job that survives a page reload (long documents always do)
+   * @param {string} options.jobId - Running job to wait for instead of starting a new analysis
+   * @param {Function} options.onJob - Called with the background job once it is queued
+   * @param {boolean} options.refresh - Analyze again even if the server has a cached analysis of this text
    * @returns {Promise<Object>} - Processing result
    */
-  async processDocument(input, onProgress = () => {}) {
+  async processDocument(input, onProgress = () => {}, options = {}) {
     try {
       console.log('ProcessDocument called with:', { 
         inputType: typeof input, 
@@ -206,16 +84,20 @@ class DocumentProcessor {
 
       // Check if input is a File object or text data
       if (input instanceof File) {
-        return this.processFile(input, onProgress);
+        return this.processFile(input, onProgress, options);
       } else if (input && (input.text !== undefined || input.content !== undefined)) {
         // Handle text input - normalize the object structure
         const textData = {
           text: input.text || input.content,
           filename: input.filename || input.name || 'Pasted Text',
-          type: input.type || 'text/plain'
+          type: input.type || 'text/plain',
+          documentType: input.documentType,
+          // Set when resuming a background job for an uploaded file
+          pages: input.pages,
+          ocr: input.ocr
         };
         console.log('Calling processText with:', textData);
-        return this.processText(textData, onProgress);
+        return this.processText(textData, onProgress, options);
       } else {
         console.error('Invalid input received:', input);
         throw new Error('Invalid input: Expected File object or text data object with "text" or "content" property');
@@ -235,9 +117,13 @@ class DocumentProcessor {
    * Original file processing method (renamed for clarity)
    * @param {File} file - The document file to process
    * @param {Function} onProgress - Progress callback function
+   * @param {Object} options - Streaming, cancellation and document type options
    * @returns {Promise<Object>} - Processing result
    */
-  async processFile(file, onProgress = () => {}) {
+  async processFile(file, onProgress = () => {}, { onText, signal, simplificationLevel, documentType: chosenType, background, jobId, onJob, refresh } = {}) {
+    // Kept outside the try so the rule-based findings survive a failed AI analysis
+    let clauseFindings;
+
     try {
       // Step 1: Validate file
       onProgress({ step: 'validating', progress: 10, message: 'Validating file...' });
@@ -250,7 +136,10 @@ class DocumentProcessor {
       // Step 2: Extract text from file
       onProgress({ step: 'extracting', progress: 30, message: 'Extracting text from file...' });
       
-      const extractedText = await openaiService.extractTextFromFile(file);
+      // PDFs also say which page each part of the text came from; scans and images are read with OCR
+      const { text: extractedText, pages, ocr } = await textExtractor.extractDocument(file, {
+        onProgress: this.createAnalysisProgress(onProgress, 30, 60)
+      });
       
       if (!extractedText || extractedText.trim().length === 0) {
         throw new Error('No text content found in the file');
@@ -259,8 +148,22 @@ class DocumentProcessor {
       // Step 3: Analyze with OpenAI
       onProgress({ step: 'analyzing', progress: 60, message: 'Analyzing document with AI...' });
       
-      const documentType = this.detectDocumentType(file.name, extractedText);
-      const analysisResult = await openaiService.simplifyDocument(extractedText, documentType);
+      const classification = documentClassifier.classify(extractedText, file.name);
+      const documentType = chosenType || classification.type;
+      clauseFindings = clauseDetector.detect(extractedText);
+      const analysisResult = await this.analyze(extractedText, documentType, {
+        onProgress: this.createAnalysisProgress(onProgress, 60, 90),
+        onText,
+        signal,
+        simplificationLevel,
+        refresh,
+        background,
+        jobId,
+        onJob,
+        filename: file.name,
+        pages,
+        ocr
+      });
 
       // Step 4: Format final result
       onProgress({ step: 'formatting', progress: 90, message: 'Formatting results...' });
@@ -273,75 +176,161 @@ class DocumentProcessor {
           lastModified: file.lastModified
         },
         documentType,
+        classification,
         analysis: analysisResult,
+        pages,
+        ocr,
+        clauseFindings,
+        riskScore: riskScorer.score(analysisResult.structured, clauseFindings),
+        historyId: analysisResult.historyId,
         processedAt: new Date().toISOString(),
         success: true
       };
+      this.saveJobRiskScore(result);
 
       onProgress({ step: 'complete', progress: 100, message: 'Document processing complete!' });
       
       return result;
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        return this.createCancelledResult(onProgress);
+      }
+
       console.error('Document processing error:', error);
       onProgress({ step: 'error', progress: 0, message: error.message });
       
       return {
         success: false,
         error: error.message,
+        clauseFindings,
+        // Without the AI the score comes from the clause check alone
+        riskScore: clauseFindings && riskScorer.score(null, clauseFindings),
         processedAt: new Date().toISOString()
       };
     }
   }
 
   /**
-   * Attempts to detect document type based on filename and content
-   * @param {string} fileName - Name of the file
-   * @param {string} content - Document content
-   * @returns {string} - Detected document type
+   * Processes several files, a few at a time
+   * @param {Array<File>} files - The document files to process
+   * @param {Function} onFileProgress - Called with (index, progress) for every file's progress events
+   * @param {Object} options - Options shared by every file, as for processFile
+   * @param {Array<string>} options.documentTypes - Type the user picked for each file, by index
+   * @param {Function} options.onFileComplete - Called with (index, result) as soon as each file finishes
+   * @param {number} options.concurrency - How many files are analyzed at once
+   * @returns {Promise<Array<Object>>} - Processing results, in the same order as the files
    */
-  detectDocumentType(fileName, content) {
-    const lowerFileName = fileName.toLowerCase();
-    const lowerContent = content.toLowerCase();
+  async processBatch(files, onFileProgress = () => {}, { documentTypes = [], onFileComplete = () => {}, concurrency = BATCH_CONCURRENCY, ...options } = {}) {
+    const results = new Array(files.length);
+    let nextIndex = 0;
+
+    // Each worker keeps taking the next waiting file until none are left
+    const worker = async () => {
+      while (nextIndex < files.length) {
+        const index = nextIndex++;
+        const onProgress = (progress) => onFileProgress(index, progress);
+
+        // Files still waiting when the batch is cancelled are never started
+        results[index] = options.signal?.aborted
+          ? this.createCancelledResult(onProgress)
+          : await this.processFile(files[index], onProgress, { ...options, documentType: documentTypes[index] });
+        onFileComplete(index, results[index]);
+      }
+    };
 
-    // Check filename patterns
-    if (lowerFileName.includes('terms') || lowerFileName.includes('tos')) {
-      return 'tos';
-    }
-    if (lowerFileName.includes('privacy')) {
-      return 'privacy-policy';
-    }
-    if (lowerFileName.includes('eula') || lowerFileName.includes('license')) {
-      return 'eula';
-    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, worker));
+    return results;
+  }
 
-    // Check content patterns
-    if (lowerContent.includes('terms of service') || lowerContent.includes('terms and conditions')) {
-      return 'tos';
-    }
-    if (lowerContent.includes('privacy policy') || lowerContent.includes('data collection')) {
-      return 'privacy-policy';
-    }
-    if (lowerContent.includes('end user license') || lowerContent.includes('software license')) {
-      return 'eula';
+  /**
+   * Runs the AI analysis, streamed or as a background job that outlives the page
+   *
+   * Analyses stream unless the user asked for a job or the document is long
+   * enough that it is likely to outlast the tab.
+   * @param {string} text - Document text
+   * @param {string} documentType - Type of document
+   * @param {Object} options - analysisApi options, plus background to queue a job (or jobId to wait for one)
+   * @returns {Promise<Object>} - Analysis result
+   */
+  analyze(text, documentType, { background, jobId, onJob, filename, pages, ocr, ...options }) {
+    return jobId || background || text.length >= config.analysis.backgroundThreshold
+      ? analysisApi.analyzeInBackground(text, documentType, { ...options, jobId, onJob, filename, pages, ocr })
+      : analysisApi.analyze(text, documentType, options);
+  }
+
+  /**
+   * Builds the result returned when the user cancels an analysis
+   * @param {Function} onProgress - Progress callback function
+   * @returns {Object} - Cancelled processing result
+   */
+  createCancelledResult(onProgress) {
+    onProgress({ step: 'cancelled', progress: 0, message: 'Analysis cancelled' });
+
+    return {
+      success: false,
+      cancelled: true,
+      error: 'Analysis cancelled',
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Maps server analysis progress (0-100) onto a slice of the overall progress bar
+   * @param {Function} onProgress - Progress callback function
+   * @param {number} from - Overall progress when analysis starts
+   * @param {number} to - Overall progress when analysis finishes
+   * @returns {Function} - Callback for analysis progress events
+   */
+  createAnalysisProgress(onProgress, from, to) {
+    return (event) => {
+      onProgress({
+        step: event.step,
+        progress: Math.round(from + ((to - from) * event.progress) / 100),
+        message: event.message,
+        chunk: event.chunk,
+        totalChunks: event.totalChunks,
+        retry: event.retry
+      });
+    };
+  }
+
+  /**
+   * Extracts a file's text and classifies it, so the type can be shown before analysis
+   * @param {File} file - The selected file
+   * @returns {Promise<Object|null>} - Classification (see documentClassifier), or null when the file can't be read
+   */
+  async classifyFile(file) {
+    if (!this.validateFile(file).valid) {
+      return null;
     }
 
-    // Default to terms of service
-    return 'tos';
+    try {
+      // OCR is too slow for a quick look; scans and images are classified once they are read
+      const { text } = await textExtractor.extractDocument(file, { ocr: false });
+      return text && text.trim() ? documentClassifier.classify(text, file.name) : null;
+    } catch (error) {
+      console.warn('Could not read the file to detect its type:', error);
+      return null;
+    }
   }
 
   /**
    * Processes text directly (without file upload)
    * @param {Object|string} textData - Text data object or raw text string
    * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Streaming and cancellation options
    * @returns {Promise<Object>} - Processing result
    */
-  async processText(textData, onProgress = () => {}) {
+  async processText(textData, onProgress = () => {}, { onText, signal, simplificationLevel, background, jobId, onJob, refresh } = {}) {
+    // Kept outside the try so the rule-based findings survive a failed AI analysis
+    let clauseFindings;
+
     try {
       console.log('ProcessText called with:', textData);
       
       // Handle both old string format and new object format
-      let text, documentType, filename;
+      let text, documentType, filename, classification, pages, ocr;
       
       if (typeof textData === 'string') {
         // Legacy support for direct string input
@@ -351,8 +340,11 @@ class DocumentProcessor {
       } else if (textData && typeof textData === 'object') {
         // New object format
         text = textData.text || textData.content;
-        documentType = textData.documentType || this.detectDocumentType(textData.filename || 'text', text);
+        classification = documentClassifier.classify(text, textData.filename);
+        documentType = textData.documentType || classification.type;
         filename = textData.filename || 'Pasted Text';
+        pages = textData.pages || null;
+        ocr = textData.ocr || null;
       } else {
         throw new Error('Invalid text data format');
       }
@@ -362,9 +354,22 @@ class DocumentProcessor {
       }
 
       console.log(`Processing text as ${documentType} document`);
+      clauseFindings = clauseDetector.detect(text);
       onProgress({ step: 'analyzing', progress: 30, message: `Analyzing ${documentType.toUpperCase()} document with AI...` });
       
-      const analysisResult = await openaiService.simplifyDocument(text, documentType);
+      const analysisResult = await this.analyze(text, documentType, {
+        onProgress: this.createAnalysisProgress(onProgress, 30, 90),
+        onText,
+        signal,
+        simplificationLevel,
+        refresh,
+        background,
+        jobId,
+        onJob,
+        filename,
+        pages,
+        ocr
+      });
       console.log('OpenAI analysis result:', analysisResult);
 
       if (!analysisResult || !analysisResult.success) {
@@ -373,7 +378,7 @@ class DocumentProcessor {
 
       onProgress({ step: 'formatting', progress: 90, message: 'Formatting results...' });
 
-      // Handle the response structure from openaiService
+      // Handle the response structure from the analysis API
       const processedText = analysisResult.simplified || analysisResult.processedText || 'Processing failed';
       
       if (!processedText || processedText === 'Processing failed') {
@@ -385,7 +390,15 @@ class DocumentProcessor {
         originalText: text,
         processedText: processedText,
         documentType: documentType,
+        classification,
         filename: filename,
+        pages,
+        ocr,
+        analysis: analysisResult,
+        clauseFindings,
+        riskScore: riskScorer.score(analysisResult.structured, clauseFindings),
+        historyId: analysisResult.historyId,
+        coverage: analysisResult.coverage,
         processedAt: new Date().toISOString(),
         metadata: {
           originalLength: text.length,
@@ -398,16 +411,25 @@ class DocumentProcessor {
         }
       };
 
+      this.saveJobRiskScore(result);
+
       onProgress({ step: 'complete', progress: 100, message: 'Text processing complete!' });
       return result;
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        return this.createCancelledResult(onProgress);
+      }
+
       console.error('Text processing error:', error);
       onProgress({ step: 'error', progress: 0, message: error.message });
       
       return {
         success: false,
         error: error.message,
+        clauseFindings,
+        // Without the AI the score comes from the clause check alone
+        riskScore: clauseFindings && riskScorer.score(null, clauseFindings),
         processedAt: new Date().toISOString()
       };
     }
@@ -429,9 +451,13 @@ class DocumentProcessor {
 
   /**
    * Saves processing result to history
+   * 
+   * Keeps a local copy and stores the analysis in the user's server-side
+   * history, filling the summary, keyPoints and warningFlags fields.
    * @param {Object} result - Processing result to save
+   * @returns {Promise<string|null>} - Server history id, or null if it couldn't be saved
    */
-  saveToHistory(result) {
+  async saveToHistory(result) {
     try {
       const history = this.getProcessingHistory();
       
@@ -449,6 +475,110 @@ class DocumentProcessor {
     } catch (error) {
       console.error('Error saving to processing history:', error);
     }
+
+    // The same result can be saved automatically and from the Save button
+    if (result.historyId) {
+      return result.historyId;
+    }
+
+    try {
+      result.historyId = await historyApi.addDocument(this.toHistoryEntry(result));
+      return result.historyId;
+    } catch (error) {
+      console.error('Error saving to server history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Adds the risk score to the history entry a background job saved on the server
+   *
+   * The server saves the analysis as the job finishes, but scores are worked out here.
+   * @param {Object} result - Processing result of a background job
+   */
+  saveJobRiskScore(result) {
+    if (result.historyId && result.riskScore) {
+      historyApi.saveRiskScore(result.historyId, result.riskScore)
+        .catch((error) => console.error('Error saving risk score to history:', error));
+    }
+  }
+
+  /**
+   * Maps a processing result onto the documentHistory schema
+   * @param {Object} result - Processing result
+   * @returns {Object} - History entry
+   */
+  toHistoryEntry(result) {
+    const analysis = result.analysis || {};
+
+    return {
+      filename: result.file?.name || result.filename || 'Pasted Text',
+      originalText: analysis.original || result.originalText,
+      simplifiedText: analysis.simplified || result.processedText,
+      summary: analysis.summary,
+      keyPoints: analysis.keyPoints || [],
+      warningFlags: analysis.warningFlags || [],
+      structuredAnalysis: analysis.structured,
+      model: analysis.model,
+      simplificationLevel: analysis.simplificationLevel,
+      promptTemplateId: analysis.promptTemplateId,
+      promptTemplateVersion: analysis.promptTemplateVersion,
+      promptTemplates: analysis.promptTemplates || [],
+      verification: analysis.verification,
+      riskScore: result.riskScore,
+      pages: result.pages || undefined,
+      ocr: result.ocr || undefined,
+      documentType: result.documentType
+    };
+  }
+
+  /**
+   * Turns a server history entry back into a processing result for DocumentResults
+   * @param {Object} entry - documentHistory entry
+   * @returns {Object} - Processing result with its saved chat
+   */
+  fromHistoryEntry(entry) {
+    const originalText = entry.originalText || '';
+    const simplifiedText = entry.simplifiedText || '';
+    const clauseFindings = clauseDetector.detect(originalText);
+
+    return {
+      success: true,
+      historyId: entry._id,
+      originalText,
+      processedText: simplifiedText,
+      documentType: entry.documentType,
+      filename: entry.filename,
+      pages: entry.pages?.length ? entry.pages : null,
+      ocr: entry.ocr?.confidence !== undefined ? entry.ocr : null,
+      analysis: {
+        original: originalText,
+        simplified: simplifiedText,
+        structured: entry.structuredAnalysis,
+        summary: entry.summary,
+        keyPoints: entry.keyPoints,
+        warningFlags: entry.warningFlags,
+        wordCount: {
+          original: originalText.split(/\s+/).filter(Boolean).length,
+          simplified: simplifiedText.split(/\s+/).filter(Boolean).length
+        },
+        model: entry.model,
+        simplificationLevel: entry.simplificationLevel,
+        promptTemplateId: entry.promptTemplateId,
+        promptTemplateVersion: entry.promptTemplateVersion,
+        promptTemplates: entry.promptTemplates,
+        verification: entry.verification,
+        timestamp: entry.processedAt
+      },
+      // The rules are deterministic, so saved documents are simply checked again
+      clauseFindings,
+      // Entries saved before scoring existed are scored now
+      riskScore: entry.riskScore?.overall !== undefined
+        ? entry.riskScore
+        : riskScorer.score(entry.structuredAnalysis, clauseFindings),
+      chat: entry.chat || [],
+      processedAt: entry.processedAt
+    };
   }
 
   /**
@@ -0,0 +1,78 @@
+/**
+ * History API Client
+ * 
+ * Reads and writes the signed-in user's document history on the server.
+ * Requests go through the global axios instance configured in AuthContext.
+ */
+
+import axios from 'axios';
+import config from '../utils/config.js';
+
+class HistoryApi {
+  constructor() {
+    this.baseUrl = `${config.api.server}/user/document-history`;
+  }
+
+  /**
+   * Adds an analyzed document to the user's history
+   * @param {Object} entry - History entry (see the documentHistory schema)
+   * @returns {Promise<string>} - Id of the new history entry
+   */
+  async addDocument(entry) {
+    const response = await axios.post(this.baseUrl, entry);
+    return response.data.documentId;
+  }
+
+  /**
+   * Gets a page of the user's history, newest first unless sorted otherwise
+   * @param {Object} params - Paging and sorting options
+   * @param {number} params.limit - Number of entries
+   * @param {number} params.offset - Entries to skip
+   * @param {string} params.sort - "date" or "risk"
+   * @param {string} params.order - "desc" or "asc"
+   * @returns {Promise<Object>} - { history, total, limit, offset, sort, order }
+   */
+  async getHistory({ limit = 20, offset = 0, sort = 'date', order = 'desc' } = {}) {
+    const response = await axios.get(this.baseUrl, { params: { limit, offset, sort, order } });
+    return response.data;
+  }
+
+  /**
+   * Gets one history entry, including its chat
+   * @param {string} documentId - History entry id
+   * @returns {Promise<Object>} - History entry
+   */
+  async getDocument(documentId) {
+    const response = await axios.get(`${this.baseUrl}/${documentId}`);
+    return response.data.document;
+  }
+
+  /**
+   * Stores the risk score of a history entry a background job saved
+   * @param {string} documentId - History entry id
+   * @param {Object} riskScore - Score from riskScorer
+   * @returns {Promise<void>}
+   */
+  async saveRiskScore(documentId, riskScore) {
+    await axios.put(`${this.baseUrl}/${documentId}/risk-score`, { riskScore });
+  }
+
+  /**
+   * Asks a follow-up question about a document in history
+   * @param {string} documentId - History entry id
+   * @param {string} question - The user's question
+   * @returns {Promise<Object>} - { answer, model, chat } where chat is the whole saved conversation
+   */
+  async askQuestion(documentId, question) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/${documentId}/chat`, { question });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.message);
+    }
+  }
+}
+
+// Export a singleton instance
+export const historyApi = new HistoryApi();
+export default historyApi;
@@ -0,0 +1,33 @@
+/**
+ * Import API Client
+ *
+ * Has the server fetch a policy page from a link and hand back its main text.
+ * Requests go through the global axios instance configured in AuthContext.
+ */
+
+import axios from 'axios';
+import config from '../utils/config.js';
+
+class ImportApi {
+  constructor() {
+    this.baseUrl = `${config.api.server}/import`;
+  }
+
+  /**
+   * Imports the text of a web page
+   * @param {string} url - Address of the page
+   * @returns {Promise<Object>} - { url, title, text } where url is the address the page was finally read from
+   */
+  async importUrl(url) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/url`, { url });
+      return response.data.page;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || error.message);
+    }
+  }
+}
+
+// Export a singleton instance
+export const importApi = new ImportApi();
+export default importApi;
@@ -0,0 +1,76 @@
+/**
+ * Jobs API Client
+ *
+ * Queues analyses to run in the background on the server and checks on them.
+ * Requests go through the global axios instance configured in AuthContext.
+ */
+
+import axios from 'axios';
+import config from '../utils/config.js';
+
+class JobsApi {
+  constructor() {
+    this.baseUrl = `${config.api.server}/jobs`;
+  }
+
+  /**
+   * Queues an analysis
+   * @param {Object} request - { text, documentType, filename, pages, ocr, simplificationLevel, refresh }
+   * @returns {Promise<Object>} - The queued job's status
+   */
+  async submit({ text, documentType, filename, pages, ocr, simplificationLevel, refresh }) {
+    const response = await axios.post(this.baseUrl, {
+      text,
+      documentType,
+      filename,
+      ...(pages && { pages }),
+      ...(ocr && { ocr }),
+      ...(simplificationLevel && { simplificationLevel }),
+      ...(refresh && { refresh })
+    });
+    return response.data.job;
+  }
+
+  /**
+   * Gets a job's status, progress and report snapshot
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} - Job status
+   */
+  async getJob(jobId) {
+    const response = await axios.get(`${this.baseUrl}/${jobId}`);
+    return response.data.job;
+  }
+
+  /**
+   * Gets the analysis of a completed job
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} - Structured analysis, markdown report and history fields
+   */
+  async getResult(jobId) {
+    const response = await axios.get(`${this.baseUrl}/${jobId}/result`);
+    return response.data.analysis;
+  }
+
+  /**
+   * Gets the user's queued and running jobs, newest first, with their text and page details
+   * @returns {Promise<Array<Object>>} - Job statuses
+   */
+  async getActiveJobs() {
+    const response = await axios.get(this.baseUrl, { params: { active: true } });
+    return response.data.jobs;
+  }
+
+  /**
+   * Cancels a queued or running job
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} - The cancelled job's status
+   */
+  async cancel(jobId) {
+    const response = await axios.delete(`${this.baseUrl}/${jobId}`);
+    return response.data.job;
+  }
+}
+
+// Export a singleton instance
+export const jobsApi = new JobsApi();
+export default jobsApi;
@@ -0,0 +1,117 @@
+/**
+ * OCR Engine
+ *
+ * Reads text out of images (screenshots, photos, scanned PDF pages) in the
+ * browser with tesseract.js, so scans never leave the user's machine. The
+ * engine is loaded on first use and kept for later files. Besides the text,
+ * every read reports how sure the engine was and which lines it struggled
+ * with, so the results can flag them for the user to check.
+ */
+
+import tesseractWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import config from '../utils/config.js';
+
+// Lines read with less confidence than this (0-100) are flagged for the user to check
+export const LOW_CONFIDENCE = 60;
+
+class OcrEngine {
+  constructor() {
+    this.workerPromise = null;
+    // Reads run one at a time, so progress always belongs to the current one
+    this.queue = Promise.resolve();
+    this.onProgress = null;
+  }
+
+  /**
+   * Starts the tesseract worker, or returns the one already running
+   * @returns {Promise<Object>} - tesseract.js worker
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(config.ocr.language, undefined, {
+          workerPath: tesseractWorkerUrl,
+          // The worker starts from a blob, so the paths must be full URLs
+          corePath: new URL(config.ocr.corePath, window.location.href).href,
+          langPath: new URL(config.ocr.langPath, window.location.href).href,
+          logger: (message) => this.onProgress?.(message)
+        }))
+        .catch((error) => {
+          // Let the next file try again
+          this.workerPromise = null;
+          throw new Error(`The OCR engine could not be loaded (${error.message || error}).`);
+        });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Reads the text in an image
+   * @param {File|HTMLCanvasElement} image - Image file or a rendered page
+   * @param {Function} onProgress - Called with { stage, progress } where stage is 'loading' or 'reading' and progress is 0-1
+   * @returns {Promise<Object>} - { text, confidence, lowConfidence } with confidence 0-100 and the { start, end, confidence } of hard-to-read lines
+   */
+  recognize(image, onProgress = () => {}) {
+    const run = async () => {
+      this.onProgress = ({ status, progress }) => {
+        onProgress({ stage: status === 'recognizing text' ? 'reading' : 'loading', progress: progress || 0 });
+      };
+
+      try {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+        return this.readResult(data);
+      } finally {
+        this.onProgress = null;
+      }
+    };
+
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Builds the text from the recognized paragraphs and lines, noting where weak lines are
+   * @param {Object} data - tesseract.js page result
+   * @returns {Object} - { text, confidence, lowConfidence }
+   */
+  readResult(data) {
+    let text = '';
+    const lowConfidence = [];
+
+    (data.blocks || []).forEach((block) => {
+      block.paragraphs.forEach((paragraph) => {
+        const lines = paragraph.lines.filter(line => line.text.trim());
+        if (!lines.length) {
+          return;
+        }
+
+        if (text) {
+          text += '\n\n';
+        }
+
+        lines.forEach((line, index) => {
+          if (index > 0) {
+            text += '\n';
+          }
+          const lineText = line.text.trim();
+          if (line.confidence < LOW_CONFIDENCE) {
+            lowConfidence.push({ start: text.length, end: text.length + lineText.length, confidence: Math.round(line.confidence) });
+          }
+          text += lineText;
+        });
+      });
+    });
+
+    return {
+      text,
+      confidence: text ? Math.round(data.confidence) : 0,
+      lowConfidence
+    };
+  }
+}
+
+// Export a singleton instance
+export const ocrEngine = new OcrEngine();
+export default ocrEngine;
@@ -0,0 +1,576 @@
+/**
+ * Office Document Extraction
+ *
+ * Unzips Word (.docx) and OpenDocument (.odt) files in the browser and turns
+ * their XML into plain text that keeps the document's structure: headings
+ * become markdown headings, automatic clause numbering is written out
+ * ("4.2 Termination") and table rows become "| cell | cell |" lines. That is
+ * the structure the server's chunker splits clauses on, and lets the analysis
+ * refer to "Section 4.2".
+ */
+
+import { unzipSync, strFromU8 } from 'fflate';
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const ODF_NS = {
+  office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+  text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+  style: 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+  table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0'
+};
+
+// Legacy .doc files and password-protected Office files are OLE compound files, not zips
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0];
+
+// Heading style names Word uses in every language's styles.xml
+const WORD_HEADING_PATTERN = /^heading (\d)$/i;
+
+// Child elements of a node, optionally only those with the given local name
+const elements = (node, name) => [...(node?.childNodes || [])]
+  .filter(child => child.nodeType === 1 && (!name || child.localName === name));
+
+const element = (node, name) => elements(node, name)[0] || null;
+
+// Word's attributes (w:val etc.) are all in the main namespace; null when missing
+const wordAttr = (node, name) => (node?.hasAttributeNS(WORD_NS, name) ? node.getAttributeNS(WORD_NS, name) : null);
+
+const parseXml = (xml) => {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is damaged: its contents could not be read.');
+  }
+  return document;
+};
+
+const toRoman = (number) => {
+  const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let rest = number;
+  return numerals.reduce((roman, [value, numeral]) => {
+    const count = Math.floor(rest / value);
+    rest -= count * value;
+    return roman + numeral.repeat(count);
+  }, '');
+};
+
+// a, b, ... z, aa, bb - the way word processors letter long lists
+const toLetters = (number) => String.fromCharCode(97 + ((number - 1) % 26)).repeat(Math.ceil(number / 26));
+
+/**
+ * Writes a list counter in a numbering format
+ * @param {number} number - Counter value
+ * @param {string} format - Word numFmt (decimal, lowerLetter, upperRoman, ...) or ODF num-format (1, a, A, i, I)
+ * @returns {string} - Formatted number
+ */
+const formatNumber = (number, format) => {
+  switch (format) {
+    case 'lowerLetter':
+    case 'a':
+      return toLetters(number);
+    case 'upperLetter':
+    case 'A':
+      return toLetters(number).toUpperCase();
+    case 'lowerRoman':
+    case 'i':
+      return toRoman(number);
+    case 'upperRoman':
+    case 'I':
+      return toRoman(number).toUpperCase();
+    case 'decimalZero':
+      return String(number).padStart(2, '0');
+    case 'none':
+    case '':
+      return '';
+    default:
+      return String(number);
+  }
+};
+
+// Joins blocks of text, one blank line between paragraphs
+const joinBlocks = (blocks) => blocks.filter(Boolean).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+const formatHeading = (level, number, text) => `${'#'.repeat(Math.min(Math.max(level, 1), 6))} ${number ? `${number} ` : ''}${text}`;
+
+const formatListItem = (level, number, text) => `${'  '.repeat(level)}${number || '-'} ${text}`;
+
+const formatTableRow = (cells) => `| ${cells.map(cell => cell.replace(/\s*\n+\s*/g, ' ')).join(' | ')} |`;
+
+class OfficeExtractor {
+  /**
+   * Reads the files wanted from an Office document's zip
+   * @param {ArrayBuffer} buffer - File content
+   * @param {Array<string>} names - Paths inside the zip
+   * @param {string} label - Kind of document, for error messages
+   * @returns {Object} - File text by path (missing files are left out)
+   */
+  unzip(buffer, names, label) {
+    const bytes = new Uint8Array(buffer);
+
+    if (OLE_SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+      throw new Error(`This ${label} is password-protected. Remove the password and upload it again.`);
+    }
+
+    let files;
+    try {
+      files = unzipSync(bytes, { filter: file => names.includes(file.name) });
+    } catch {
+      throw new Error(`This file is not a valid ${label}, or it is damaged.`);
+    }
+
+    return Object.fromEntries(Object.entries(files).map(([name, data]) => [name, strFromU8(data)]));
+  }
+
+  /**
+   * Extracts the text of a Word .docx file
+   * @param {ArrayBuffer} buffer - File content
+   * @returns {string} - Text with headings, clause numbers and tables
+   */
+  readDocx(buffer) {
+    const files = this.unzip(buffer, ['word/document.xml', 'word/styles.xml', 'word/numbering.xml'], 'Word document');
+
+    if (!files['word/document.xml']) {
+      throw new Error('This file is not a valid Word document, or it is damaged.');
+    }
+
+    const styles = files['word/styles.xml'] ? this.readWordStyles(parseXml(files['word/styles.xml'])) : {};
+    const numbering = this.createWordNumbering(files['word/numbering.xml'] && parseXml(files['word/numbering.xml']));
+    const body = element(parseXml(files['word/document.xml']).documentElement, 'body');
+
+    return joinBlocks(this.readWordBlocks(body, { styles, numbering }));
+  }
+
+  /**
+   * Reads the heading level and list numbering of every paragraph style
+   * @param {Document} document - styles.xml
+   * @returns {Object} - { headingLevel, numId, ilvl } by style id, with basedOn styles resolved
+   */
+  readWordStyles(document) {
+    const raw = {};
+
+    elements(document.documentElement, 'style').forEach((style) => {
+      const name = wordAttr(element(style, 'name'), 'val') || '';
+      const pPr = element(style, 'pPr');
+      const numPr = element(pPr, 'numPr');
+      const outlineLevel = wordAttr(element(pPr, 'outlineLvl'), 'val');
+      const headingMatch = name.match(WORD_HEADING_PATTERN);
+
+      raw[wordAttr(style, 'styleId')] = {
+        basedOn: wordAttr(element(style, 'basedOn'), 'val'),
+        headingLevel: name.toLowerCase() === 'title' ? 1
+          : headingMatch ? parseInt(headingMatch[1])
+            : outlineLevel !== null && parseInt(outlineLevel) < 9 ? parseInt(outlineLevel) + 1
+              : undefined,
+        numId: wordAttr(element(numPr, 'numId'), 'val') ?? undefined,
+        ilvl: wordAttr(element(numPr, 'ilvl'), 'val') ?? undefined
+      };
+    });
+
+    // A style inherits whatever it doesn't set from the style it is based on
+    const resolve = (id, seen = new Set()) => {
+      const style = raw[id];
+      if (!style || seen.has(id)) {
+        return {};
+      }
+      seen.add(id);
+
+      const parent = resolve(style.basedOn, seen);
+      return {
+        headingLevel: style.headingLevel ?? parent.headingLevel,
+        numId: style.numId ?? parent.numId,
+        ilvl: style.ilvl ?? parent.ilvl
+      };
+    };
+
+    return Object.fromEntries(Object.keys(raw).map(id => [id, resolve(id)]));
+  }
+
+  /**
+   * Builds the counter that writes out Word's automatic numbering
+   * @param {Document} document - numbering.xml, if the file has one
+   * @returns {Function} - (numId, ilvl) => the number to show ("4.2", "(b)") or '' for bullets and unknown lists
+   */
+  createWordNumbering(document) {
+    const abstracts = {};
+    const nums = {};
+
+    if (document) {
+      elements(document.documentElement, 'abstractNum').forEach((abstract) => {
+        abstracts[wordAttr(abstract, 'abstractNumId')] = Object.fromEntries(elements(abstract, 'lvl').map(level => [
+          parseInt(wordAttr(level, 'ilvl')),
+          {
+            start: parseInt(wordAttr(element(level, 'start'), 'val') ?? '1'),
+            format: wordAttr(element(level, 'numFmt'), 'val') || 'decimal',
+            text: wordAttr(element(level, 'lvlText'), 'val') ?? '',
+            legal: !!element(level, 'isLgl')
+          }
+        ]));
+      });
+
+      elements(document.documentElement, 'num').forEach((num) => {
+        nums[wordAttr(num, 'numId')] = {
+          abstractId: wordAttr(element(num, 'abstractNumId'), 'val'),
+          startOverrides: Object.fromEntries(elements(num, 'lvlOverride')
+            .filter(override => element(override, 'startOverride'))
+            .map(override => [parseInt(wordAttr(override, 'ilvl')), parseInt(wordAttr(element(override, 'startOverride'), 'val'))]))
+        };
+      });
+    }
+
+    // Lists sharing an abstract definition continue each other's numbering, as in Word
+    const counters = {};
+    const startedNums = new Set();
+
+    return (numId, ilvl) => {
+      const num = nums[numId];
+      const levels = num && abstracts[num.abstractId];
+      const level = levels?.[ilvl];
+      if (!level) {
+        return '';
+      }
+
+      const counter = counters[num.abstractId] || (counters[num.abstractId] = []);
+
+      // A list that restarts its numbering does so the first time it is used
+      if (!startedNums.has(numId)) {
+        startedNums.add(numId);
+        Object.entries(num.startOverrides).forEach(([overriddenLevel, start]) => {
+          counter[overriddenLevel] = start - 1;
+        });
+      }
+
+      counter[ilvl] = (counter[ilvl] ?? (level.start - 1)) + 1;
+      // Deeper levels start again under a new item
+      counter.length = ilvl + 1;
+
+      if (level.format === 'bullet') {
+        return '';
+      }
+
+      return level.text.replace(/%(\d)/g, (placeholder, position) => {
+        const index = parseInt(position) - 1;
+        const value = counter[index] ?? levels[index]?.start ?? 1;
+        return formatNumber(value, level.legal ? 'decimal' : levels[index]?.format);
+      }).trim();
+    };
+  }
+
+  /**
+   * Turns the paragraphs and tables of a Word body (or table cell) into text blocks
+   * @param {Element} container - w:body, w:tc or w:sdtContent
+   * @param {Object} context - { styles, numbering }
+   * @returns {Array<string>} - Blocks of text
+   */
+  readWordBlocks(container, context) {
+    return elements(container).flatMap((node) => {
+      if (node.localName === 'p') {
+        return [this.readWordParagraph(node, context)];
+      }
+      if (node.localName === 'tbl') {
+        return [this.readWordTable(node, context)];
+      }
+      // Content controls wrap ordinary paragraphs
+      if (node.localName === 'sdt') {
+        return this.readWordBlocks(element(node, 'sdtContent'), context);
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Writes one Word paragraph as a heading, a list item or plain text
+   * @param {Element} paragraph - w:p
+   * @param {Object} context - { styles, numbering }
+   * @returns {string} - Paragraph text, or '' when it is empty
+   */
+  readWordParagraph(paragraph, { styles, numbering }) {
+    const text = this.readWordText(paragraph).trim();
+    if (!text) {
+      return '';
+    }
+
+    const pPr = element(paragraph, 'pPr');
+    const style = styles[wordAttr(element(pPr, 'pStyle'), 'val')] || {};
+    const numPr = element(pPr, 'numPr');
+    const numId = wordAttr(element(numPr, 'numId'), 'val') ?? style.numId;
+    const ilvl = parseInt(wordAttr(element(numPr, 'ilvl'), 'val') ?? style.ilvl ?? '0');
+
+    // numId 0 switches off the numbering a style would add
+    const isListed = numId !== undefined && numId !== '0';
+    const number = isListed ? numbering(numId, ilvl) : '';
+
+    if (style.headingLevel) {
+      return formatHeading(style.headingLevel, number, text);
+    }
+    return isListed ? formatListItem(ilvl, number, text) : text;
+  }
+
+  /**
+   * Collects the visible text of a Word paragraph, skipping deleted revisions
+   * @param {Element} node - w:p or an element inside it
+   * @returns {string} - Text
+   */
+  readWordText(node) {
+    return elements(node).map((child) => {
+      switch (child.localName) {
+        case 't':
+          return child.textContent;
+        case 'tab':
+          // A tab inside pPr/tabs is a tab stop definition, not text
+          return child.parentNode.localName === 'r' ? '\t' : '';
+        case 'br':
+        case 'cr':
+          return '\n';
+        case 'noBreakHyphen':
+          return '-';
+        case 'del':
+        case 'pPr':
+        case 'rPr':
+        case 'txbxContent':
+        case 'instrText':
+          return '';
+        default:
+          return this.readWordText(child);
+      }
+    }).join('');
+  }
+
+  /**
+   * Writes a Word table as one "| cell | cell |" line per row
+   * @param {Element} table - w:tbl
+   * @param {Object} context - { styles, numbering }
+   * @returns {string} - Table text
+   */
+  readWordTable(table, context) {
+    return elements(table, 'tr')
+      .map(row => elements(row, 'tc').map(cell => joinBlocks(this.readWordBlocks(cell, context))))
+      .filter(cells => cells.some(Boolean))
+      .map(formatTableRow)
+      .join('\n');
+  }
+
+  /**
+   * Extracts the text of an OpenDocument .odt file
+   * @param {ArrayBuffer} buffer - File content
+   * @returns {string} - Text with headings, list numbers and tables
+   */
+  readOdt(buffer) {
+    const files = this.unzip(buffer, ['content.xml', 'styles.xml'], 'OpenDocument text file');
+
+    if (!files['content.xml']) {
+      throw new Error('This file is not a valid OpenDocument text file, or it is damaged.');
+    }
+
+    const content = parseXml(files['content.xml']);
+    const styles = files['styles.xml'] ? parseXml(files['styles.xml']) : null;
+    const context = {
+      listStyles: this.readOdfListStyles([content, styles]),
+      outline: styles ? this.readOdfLevels(styles.getElementsByTagNameNS(ODF_NS.text, 'outline-style')[0]) : {},
+      headingCounter: [],
+      listCounters: {}
+    };
+
+    const body = content.getElementsByTagNameNS(ODF_NS.office, 'text')[0];
+
+    return joinBlocks(this.readOdfBlocks(body, context, null));
+  }
+
+  /**
+   * Reads the numbering of every list style, from the document and its styles file
+   * @param {Array<Document>} documents - content.xml and styles.xml
+   * @returns {Object} - Levels (see readOdfLevels) by list style name
+   */
+  readOdfListStyles(documents) {
+    return Object.fromEntries(documents.filter(Boolean).flatMap(document => (
+      [...document.getElementsByTagNameNS(ODF_NS.text, 'list-style')]
+        .map(listStyle => [listStyle.getAttributeNS(ODF_NS.style, 'name'), this.readOdfLevels(listStyle)])
+    )));
+  }
+
+  /**
+   * Reads the number format of each level of a list or outline style
+   * @param {Element} listStyle - text:list-style or text:outline-style
+   * @returns {Object} - { format, prefix, suffix, displayLevels, start, bullet } by level (1-based)
+   */
+  readOdfLevels(listStyle) {
+    return Object.fromEntries(elements(listStyle).map(level => [
+      parseInt(level.getAttributeNS(ODF_NS.text, 'level')),
+      {
+        bullet: level.localName === 'list-level-style-bullet',
+        format: level.getAttributeNS(ODF_NS.style, 'num-format') || '',
+        prefix: level.getAttributeNS(ODF_NS.style, 'num-prefix') || '',
+        suffix: level.getAttributeNS(ODF_NS.style, 'num-suffix') || '',
+        displayLevels: parseInt(level.getAttributeNS(ODF_NS.text, 'display-levels') || '1'),
+        start: parseInt(level.getAttributeNS(ODF_NS.text, 'start-value') || '1')
+      }
+    ]));
+  }
+
+  /**
+   * Counts one more item at a level and writes its number
+   * @param {Array<number>} counter - Current count per level (0-based), changed in place
+   * @param {Object} levels - Level formats (see readOdfLevels)
+   * @param {number} level - Level of the item (1-based)
+   * @returns {string} - The number ("4.2.", "b)"), or '' for bullets and unnumbered levels
+   */
+  countOdfItem(counter, levels, level) {
+    const format = levels[level];
+    counter[level - 1] = (counter[level - 1] ?? ((format?.start ?? 1) - 1)) + 1;
+    counter.length = level;
+
+    if (!format || format.bullet || !format.format) {
+      return '';
+    }
+
+    const shown = [];
+    for (let shownLevel = Math.max(1, level - format.displayLevels + 1); shownLevel <= level; shownLevel++) {
+      shown.push(formatNumber(counter[shownLevel - 1] ?? levels[shownLevel]?.start ?? 1, levels[shownLevel]?.format || '1'));
+    }
+    return `${format.prefix}${shown.join('.')}${format.suffix}`;
+  }
+
+  /**
+   * Turns the headings, paragraphs, lists and tables of an ODF container into text blocks
+   * @param {Element} container - office:text, a section, a list item or a table cell
+   * @param {Object} context - Styles and counters
+   * @param {Object} list - The list being read ({ styleName, level }), or null
+   * @returns {Array<string>} - Blocks of text
+   */
+  readOdfBlocks(container, context, list) {
+    return elements(container).flatMap((node) => {
+      const text = () => this.readOdfText(node).trim();
+
+      switch (node.localName) {
+        case 'h': {
+          const content = text();
+          if (!content) {
+            return [];
+          }
+          const level = parseInt(node.getAttributeNS(ODF_NS.text, 'outline-level') || '1');
+          const number = this.countOdfItem(context.headingCounter, context.outline, level);
+          return [formatHeading(level, this.readOdfWrittenNumber(node) || number, content)];
+        }
+        case 'p': {
+          const content = text();
+          if (!content) {
+            return [];
+          }
+          if (!list || list.numbered) {
+            return [content];
+          }
+          const number = this.countOdfListItem(context, list);
+          return [formatListItem(list.level - 1, this.readOdfWrittenNumber(node) || number, content)];
+        }
+        case 'list':
+          return this.readOdfList(node, context, list);
+        case 'table':
+          return [this.readOdfTable(node, context)];
+        case 'section':
+        case 'table-header-rows':
+        case 'table-rows':
+          return this.readOdfBlocks(node, context, list);
+        default:
+          return [];
+      }
+    });
+  }
+
+  /**
+   * Reads a (possibly nested) ODF list, numbering each item's first paragraph
+   * @param {Element} listNode - text:list
+   * @param {Object} context - Styles and counters
+   * @param {Object} parent - The enclosing list, or null
+   * @returns {Array<string>} - Blocks of text
+   */
+  readOdfList(listNode, context, parent) {
+    // Nested lists inherit the style of the outer list unless they name one
+    const styleName = listNode.getAttributeNS(ODF_NS.text, 'style-name') || parent?.styleName;
+    const level = (parent?.level || 0) + 1;
+    const continues = listNode.getAttributeNS(ODF_NS.text, 'continue-numbering') === 'true'
+      || listNode.hasAttributeNS(ODF_NS.text, 'continue-list');
+
+    if (level === 1 && !continues) {
+      context.listCounters[styleName] = [];
+    }
+
+    return elements(listNode, 'list-item').flatMap((item) => {
+      const itemList = { styleName, level, numbered: false };
+      return this.readOdfBlocks(item, context, itemList);
+    });
+  }
+
+  /**
+   * Numbers the first paragraph of a list item; later paragraphs of the item get none
+   * @param {Object} context - Styles and counters
+   * @param {Object} list - The item's list ({ styleName, level, numbered })
+   * @returns {string} - Number, or '' for bullets
+   */
+  countOdfListItem(context, list) {
+    list.numbered = true;
+    const counter = context.listCounters[list.styleName] || (context.listCounters[list.styleName] = []);
+    return this.countOdfItem(counter, context.listStyles[list.styleName] || {}, list.level);
+  }
+
+  /**
+   * Gets the number some writers save with a heading or list item (text:number)
+   * @param {Element} node - text:h or text:p
+   * @returns {string} - The saved number, or '' when there is none
+   */
+  readOdfWrittenNumber(node) {
+    return element(node, 'number')?.textContent.trim() || '';
+  }
+
+  /**
+   * Collects the text of an ODF paragraph or heading
+   * @param {Element} node - text:p, text:h or an element inside them
+   * @returns {string} - Text
+   */
+  readOdfText(node) {
+    return [...node.childNodes].map((child) => {
+      if (child.nodeType === 3) {
+        return child.nodeValue;
+      }
+      if (child.nodeType !== 1) {
+        return '';
+      }
+
+      switch (child.localName) {
+        case 's':
+          return ' '.repeat(parseInt(child.getAttributeNS(ODF_NS.text, 'c') || '1'));
+        case 'tab':
+          return '\t';
+        case 'line-break':
+          return '\n';
+        // Footnotes, comments and tracked deletions aren't part of the running text;
+        // saved numbers are written by readOdfBlocks
+        case 'number':
+        case 'note':
+        case 'annotation':
+        case 'tracked-changes':
+          return '';
+        default:
+          return this.readOdfText(child);
+      }
+    }).join('');
+  }
+
+  /**
+   * Writes an ODF table as one "| cell | cell |" line per row
+   * @param {Element} table - table:table
+   * @param {Object} context - Styles and counters
+   * @returns {string} - Table text
+   */
+  readOdfTable(table, context) {
+    const rows = [...table.getElementsByTagNameNS(ODF_NS.table, 'table-row')]
+      // Rows of nested tables are written inside their cell
+      .filter(row => row.parentNode === table || row.parentNode.parentNode === table);
+
+    return rows
+      .map(row => elements(row, 'table-cell').map(cell => joinBlocks(this.readOdfBlocks(cell, context, null))))
+      .filter(cells => cells.some(Boolean))
+      .map(formatTableRow)
+      .join('\n');
+  }
+}
+
+// Export a singleton instance
+export const officeExtractor = new OfficeExtractor();
+export default officeExtractor;
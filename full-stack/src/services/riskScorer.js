@@ -0,0 +1,162 @@
+/**
+ * Risk Scoring Service
+ *
+ * Rates how risky a document is from 0 (nothing to worry about) to 100, in
+ * total and per category. It combines the rule-based clause findings with the
+ * AI's red flags, money/privacy notes and verdict, and falls back to the
+ * clause findings alone when there is no AI analysis.
+ *
+ * A clause both checks found - an AI red flag in the same category whose
+ * quote overlaps a sentence the clause check matched - counts once, at the
+ * higher of the two severities.
+ */
+
+// Categories in display order, with the words that put an AI red flag in each one
+const CATEGORIES = [
+  { id: 'privacy', label: 'Privacy', keywords: /\b(data|privacy|personal|tracking|cookies?|third[\s-]part(y|ies)|share[sd]?|sold|sell)\b/i },
+  { id: 'money', label: 'Money', keywords: /\b(fees?|charge[sd]?|refunds?|payments?|price|billing|subscriptions?|renew(al|s)?|auto[\s-]?renew\w*|cost)\b/i },
+  { id: 'content', label: 'Content Ownership', keywords: /\b(content|licen[cs]e|intellectual|copyright|upload\w*|ownership|photos?|posts?)\b/i },
+  { id: 'disputes', label: 'Dispute Resolution', keywords: /\b(arbitrat\w*|court|lawsuits?|sue|class[\s-]action|jurisdiction|governing|dispute\w*|liabilit(y|ies)|waive\w*)\b/i },
+  { id: 'termination', label: 'Termination', keywords: /\b(terminat\w*|suspend\w*|clos(e|ing)|cancel\w*|ban\w*|delet\w*)\b/i },
+  { id: 'changes', label: 'Changes to the Terms', keywords: /\b(chang\w*|modif\w*|updat\w*|amend\w*)\b/i }
+];
+
+// Category of each clause detector rule
+const CLAUSE_CATEGORIES = {
+  'forced-arbitration': 'disputes',
+  'class-action-waiver': 'disputes',
+  'governing-law': 'disputes',
+  'auto-renewal': 'money',
+  'unilateral-changes': 'changes',
+  'perpetual-licence': 'content',
+  'data-sale': 'privacy'
+};
+
+// How much one finding of each severity raises a category's risk
+const SEVERITY_WEIGHTS = { high: 45, medium: 25, low: 10 };
+
+// A money or privacy note is worth knowing about but is not a problem by itself
+const NOTE_WEIGHT = 5;
+
+// Overall risk suggested by the AI's verdict
+const VERDICT_RISK = { reasonable: 15, mixed: 50, sketchy: 85 };
+
+// Share of the overall score taken from the verdict when there is one
+const VERDICT_SHARE = 0.3;
+
+class RiskScorer {
+  /**
+   * Scores a document
+   * @param {Object|null} structured - Structured AI analysis, if there is one
+   * @param {Array<Object>} clauseFindings - Findings from the clause detector
+   * @returns {Object} - { overall, level, categories } where each category is { id, label, score, reasons }
+   */
+  score(structured, clauseFindings = []) {
+    const contributions = Object.fromEntries(CATEGORIES.map(category => [category.id, []]));
+
+    clauseFindings.forEach((finding) => {
+      const category = CLAUSE_CATEGORIES[finding.id];
+      if (category) {
+        contributions[category].push({
+          weight: SEVERITY_WEIGHTS[finding.severity],
+          reasons: [`${finding.title} (clause check)`],
+          matches: finding.matches || []
+        });
+      }
+    });
+
+    if (structured) {
+      (structured.redFlags || []).forEach((flag) => {
+        const category = this.categorize(`${flag.title} ${flag.explanation}`);
+        if (!category) {
+          return;
+        }
+
+        const weight = SEVERITY_WEIGHTS[flag.severity];
+        const sameClause = this.findSameClause(contributions[category], flag.citation);
+        if (sameClause) {
+          sameClause.weight = Math.max(sameClause.weight, weight);
+          sameClause.reasons.push(flag.title);
+        } else {
+          contributions[category].push({ weight, reasons: [flag.title] });
+        }
+      });
+
+      (structured.moneyAndPrivacy || []).forEach((entry) => {
+        contributions[entry.category]?.push({ weight: NOTE_WEIGHT, reasons: [entry.title] });
+      });
+    }
+
+    const categories = CATEGORIES.map(({ id, label }) => ({
+      id,
+      label,
+      score: this.combine(contributions[id].map(contribution => contribution.weight)),
+      reasons: [...new Set(contributions[id].flatMap(contribution => contribution.reasons))]
+    }));
+
+    // The worst category counts most: one bad clause can sink an otherwise fair document
+    const scores = categories.map(category => category.score);
+    const average = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+    let overall = 0.6 * Math.max(...scores) + 0.4 * average;
+
+    const verdictRisk = VERDICT_RISK[structured?.verdict?.rating];
+    if (verdictRisk !== undefined) {
+      overall = (1 - VERDICT_SHARE) * overall + VERDICT_SHARE * verdictRisk;
+    }
+
+    overall = Math.round(overall);
+
+    return { overall, level: this.getLevel(overall), categories };
+  }
+
+  /**
+   * Finds the clause check finding an AI red flag is about, if both quote the same text
+   * @param {Array<Object>} contributions - A category's contributions so far
+   * @param {Object} citation - Where the flag's quote is in the document ({ start, end }), if it was found
+   * @returns {Object|null} - The clause check contribution, or null when the flag is about something else
+   */
+  findSameClause(contributions, citation) {
+    if (!citation) {
+      return null;
+    }
+
+    return contributions.find(contribution => contribution.matches?.some(
+      match => match.start < citation.end && citation.start < match.end
+    )) || null;
+  }
+
+  /**
+   * Picks the category an AI red flag belongs to
+   * @param {string} text - Flag title and explanation
+   * @returns {string|null} - Category id, or null when no category fits
+   */
+  categorize(text) {
+    return CATEGORIES.find(category => category.keywords.test(text))?.id || null;
+  }
+
+  /**
+   * Combines finding weights so each extra finding adds less than the one before
+   * @param {Array<number>} weights - Weights (0-100) of the findings in a category
+   * @returns {number} - Category score from 0 to 100
+   */
+  combine(weights) {
+    const safe = weights.reduce((chance, weight) => chance * (1 - weight / 100), 1);
+    return Math.round(100 * (1 - safe));
+  }
+
+  /**
+   * Turns a score into a risk level
+   * @param {number} score - Score from 0 to 100
+   * @returns {string} - low, medium or high
+   */
+  getLevel(score) {
+    if (score >= 67) {
+      return 'high';
+    }
+    return score >= 34 ? 'medium' : 'low';
+  }
+}
+
+// Export singleton instance
+export const riskScorer = new RiskScorer();
+export default riskScorer;
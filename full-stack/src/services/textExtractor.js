@@ -0,0 +1,324 @@
+/**
+ * Text Extraction Service
+ *
+ * Reads uploaded files in the browser and returns their plain text content
+ * so it can be sent to the server for analysis. PDFs are parsed locally with
+ * pdf.js; their text keeps track of which page each passage came from. Word
+ * (.docx) and OpenDocument (.odt) files keep their headings, clause numbers
+ * and tables (see officeExtractor.js). Images and PDF pages that are only a
+ * scan are read with OCR (see ocrEngine.js).
+ */
+
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+// Put between the text of two pages
+const PAGE_SEPARATOR = '\n\n';
+
+// A PDF page with less text than this is taken to be a scanned image
+const MIN_PDF_CHARS_PER_PAGE = 20;
+
+// Scanned pages are rendered at about 216 DPI for OCR
+const OCR_RENDER_SCALE = 3;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+// Old binary Word files would need a full Word parser; converting them is quick
+export const LEGACY_WORD_MESSAGE = 'Old Word .doc files can\'t be read here. Open the file in Word, Google Docs or LibreOffice, save it as .docx or PDF, and upload that instead.';
+
+class TextExtractor {
+  /**
+   * Extracts text from different file types
+   * @param {File} file - The uploaded file
+   * @returns {Promise<string>} - Extracted text content
+   */
+  async extractTextFromFile(file) {
+    const { text } = await this.extractDocument(file);
+    return text;
+  }
+
+  /**
+   * Extracts text from different file types, with the page each passage is on
+   * @param {File} file - The uploaded file
+   * @param {Object} options - OCR options
+   * @param {boolean} options.ocr - Read images and scanned PDF pages with OCR (false skips them, e.g. for a quick type check)
+   * @param {Function} options.onProgress - Called with { step: 'ocr', progress, message } (progress 0-100) while OCR runs
+   * @returns {Promise<Object>} - { text, pages, ocr } where pages lists { number, start, end } ranges of the text (null for files without pages)
+   *   and ocr is { confidence, pages, lowConfidence } when any of the text was read with OCR (null otherwise)
+   */
+  async extractDocument(file, { ocr = true, onProgress = () => {} } = {}) {
+    const fileType = file.type;
+    const fileName = file.name.toLowerCase();
+
+    try {
+      if (fileType === 'text/plain' || fileName.endsWith('.txt')) {
+        return { text: await this.readTextFile(file), pages: null, ocr: null };
+      } else if (fileType === 'application/pdf' || fileName.endsWith('.pdf')) {
+        return await this.readPdfFile(file, { ocr, onProgress });
+      } else if (IMAGE_TYPES.includes(fileType) || IMAGE_EXTENSIONS.some(extension => fileName.endsWith(extension))) {
+        return ocr ? await this.readImageFile(file, onProgress) : { text: '', pages: null, ocr: null };
+      } else if (fileName.endsWith('.docx')) {
+        return { text: await this.readOfficeFile(file, 'docx'), pages: null, ocr: null };
+      } else if (fileName.endsWith('.odt')) {
+        return { text: await this.readOfficeFile(file, 'odt'), pages: null, ocr: null };
+      } else if (fileName.endsWith('.doc')) {
+        throw new Error(LEGACY_WORD_MESSAGE);
+      } else {
+        throw new Error('Unsupported file type. Please use .txt, .pdf, .docx, .odt, .png or .jpg files or copy-paste the content.');
+      }
+    } catch (error) {
+      throw new Error(`Failed to extract text from file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads text from a text file
+   * @param {File} file - Text file
+   * @returns {Promise<string>} - File content
+   */
+  async readTextFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.onload = (event) => {
+        resolve(event.target.result);
+      };
+
+      reader.onerror = () => {
+        reject(new Error('Failed to read file'));
+      };
+
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Reads a Word or OpenDocument file, keeping its structure
+   *
+   * The parser is loaded on first use so it isn't part of the main bundle.
+   * @param {File} file - .docx or .odt file
+   * @param {string} format - 'docx' or 'odt'
+   * @returns {Promise<string>} - Text with headings, clause numbers and tables
+   */
+  async readOfficeFile(file, format) {
+    const { officeExtractor } = await import('./officeExtractor.js');
+    const buffer = await file.arrayBuffer();
+    return format === 'docx' ? officeExtractor.readDocx(buffer) : officeExtractor.readOdt(buffer);
+  }
+
+  /**
+   * Reads the text in a screenshot or photo with OCR
+   * @param {File} file - PNG or JPEG image
+   * @param {Function} onProgress - OCR progress callback
+   * @returns {Promise<Object>} - { text, pages, ocr }
+   */
+  async readImageFile(file, onProgress) {
+    const { ocrEngine } = await import('./ocrEngine.js');
+    const result = await ocrEngine.recognize(file, ({ stage, progress }) => {
+      onProgress(this.describeOcrProgress(stage, progress));
+    });
+
+    if (!result.text) {
+      throw new Error('No text could be read from this image. Try a sharper screenshot or copy-paste the content.');
+    }
+
+    return {
+      text: result.text,
+      pages: null,
+      ocr: { confidence: result.confidence, pages: null, lowConfidence: result.lowConfidence }
+    };
+  }
+
+  /**
+   * Describes OCR progress for the progress bar
+   * @param {string} stage - 'loading' or 'reading'
+   * @param {number} progress - Progress of the stage, 0-1
+   * @param {Object} page - { number, total } when reading a page of a PDF
+   * @returns {Object} - { step, progress, message } with progress 0-100 over the whole file
+   */
+  describeOcrProgress(stage, progress, page) {
+    const done = page ? (page.number - 1 + (stage === 'reading' ? progress : 0)) / page.total : (stage === 'reading' ? progress : 0);
+    const what = page ? `scanned page ${page.number} of ${page.total}` : 'the image';
+
+    return {
+      step: 'ocr',
+      progress: Math.round(done * 100),
+      message: stage === 'reading'
+        ? `Reading ${what} with OCR... ${Math.round(progress * 100)}%`
+        : 'Loading the OCR engine...'
+    };
+  }
+
+  /**
+   * Reads the text layer of a PDF, page by page, with OCR for pages that are only a scan
+   *
+   * pdf.js is loaded on first use so it isn't part of the main bundle.
+   * @param {File} file - PDF file
+   * @param {Object} options - { ocr, onProgress }, see extractDocument
+   * @returns {Promise<Object>} - { text, pages, ocr }
+   */
+  async readPdfFile(file, { ocr = true, onProgress = () => {} } = {}) {
+    const pdfjs = await import('pdfjs-dist');
+    pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+    let pdf;
+    try {
+      pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        throw new Error('This PDF is password-protected. Remove the password (for example by printing it to a new PDF) and upload it again.');
+      }
+      if (error.name === 'InvalidPDFException') {
+        throw new Error('This file is not a valid PDF, or it is damaged.');
+      }
+      throw error;
+    }
+
+    try {
+      let text = '';
+      const pages = [];
+      // Confidence of the OCR'd pages, weighted by how much text each has
+      const ocrPages = [];
+      const lowConfidence = [];
+
+      for (let number = 1; number <= pdf.numPages; number++) {
+        const page = await pdf.getPage(number);
+        const content = await page.getTextContent();
+        let pageText = this.joinPdfText(content.items);
+        let pageOcr = null;
+
+        if (ocr && pageText.replace(/\s/g, '').length < MIN_PDF_CHARS_PER_PAGE) {
+          pageOcr = await this.readPdfPageWithOcr(page, { number, total: pdf.numPages }, onProgress);
+          pageText = pageOcr.text;
+        }
+        page.cleanup();
+
+        // Blank pages have nothing to point at
+        if (!pageText) {
+          continue;
+        }
+
+        if (text) {
+          text += PAGE_SEPARATOR;
+        }
+        pages.push({ number, start: text.length, end: text.length + pageText.length });
+        if (pageOcr) {
+          ocrPages.push({ number, length: pageText.length, confidence: pageOcr.confidence });
+          lowConfidence.push(...pageOcr.lowConfidence.map(region => ({
+            ...region,
+            start: region.start + text.length,
+            end: region.end + text.length
+          })));
+        }
+        text += pageText;
+      }
+
+      if (!text.trim()) {
+        throw new Error(ocr
+          ? 'No text could be read from this PDF, even with OCR. Try a clearer scan or copy-paste the content.'
+          : 'This PDF has no selectable text - it looks like scanned images.');
+      }
+
+      const ocrLength = ocrPages.reduce((sum, page) => sum + page.length, 0);
+      return {
+        text,
+        pages,
+        ocr: ocrPages.length ? {
+          confidence: Math.round(ocrPages.reduce((sum, page) => sum + page.confidence * page.length, 0) / ocrLength),
+          pages: ocrPages.map(page => page.number),
+          lowConfidence
+        } : null
+      };
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * Renders a scanned PDF page and reads it with OCR
+   * @param {Object} page - pdf.js page
+   * @param {Object} position - { number, total } of the page in the PDF
+   * @param {Function} onProgress - OCR progress callback
+   * @returns {Promise<Object>} - { text, confidence, lowConfidence } as from ocrEngine.recognize
+   */
+  async readPdfPageWithOcr(page, position, onProgress) {
+    const { ocrEngine } = await import('./ocrEngine.js');
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    try {
+      await page.render({ canvas, viewport }).promise;
+      return await ocrEngine.recognize(canvas, ({ stage, progress }) => {
+        onProgress(this.describeOcrProgress(stage, progress, position));
+      });
+    } finally {
+      // Frees the page image right away instead of waiting for garbage collection
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+
+  /**
+   * Joins the text pieces of a PDF page into lines and paragraphs
+   *
+   * Pieces come in the order the page draws them, which is the reading order
+   * for almost every generated PDF (columns included). Their positions only
+   * decide where lines and paragraphs break and where spaces are missing.
+   * @param {Array<Object>} items - Text content items from pdf.js
+   * @returns {string} - Page text
+   */
+  joinPdfText(items) {
+    let text = '';
+    let last = null;
+
+    items.forEach((item) => {
+      // Marked content boundaries carry no text
+      if (typeof item.str !== 'string') {
+        return;
+      }
+
+      const x = item.transform[4];
+      const y = item.transform[5];
+      const height = item.height || Math.abs(item.transform[3]);
+
+      if (last) {
+        const lineHeight = Math.max(height, last.height) || 1;
+        const drop = last.y - y;
+
+        if (Math.abs(drop) > lineHeight / 2) {
+          // A new line; a bigger jump down starts a new paragraph
+          text = text.replace(/[ \t]+$/, '');
+          if (!text.endsWith('\n')) {
+            text += '\n';
+          }
+          if (drop > lineHeight * 1.8 && text && !text.endsWith('\n\n')) {
+            text += '\n';
+          }
+        } else if (x - last.end > lineHeight * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+          // Words placed apart without a space between them
+          text += ' ';
+        }
+      }
+
+      text += item.str;
+      if (item.hasEOL) {
+        text += '\n';
+      }
+
+      if (item.str.trim()) {
+        last = { y, height, end: x + item.width };
+      }
+    });
+
+    return text
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+// Export a singleton instance
+export const textExtractor = new TextExtractor();
+export default textExtractor;
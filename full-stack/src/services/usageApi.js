@@ -0,0 +1,28 @@
+/**
+ * Usage API Client
+ *
+ * Reads the signed-in user's token usage and remaining quota from the server.
+ * Requests go through the global axios instance configured in AuthContext.
+ */
+
+import axios from 'axios';
+import config from '../utils/config.js';
+
+class UsageApi {
+  constructor() {
+    this.baseUrl = `${config.api.server}/user/usage`;
+  }
+
+  /**
+   * Gets today's and this month's usage against the user's plan
+   * @returns {Promise<Object>} - { plan, daily, monthly }, each with analyses and tokens ({ used, limit, remaining }), cost and reset time
+   */
+  async getUsage() {
+    const response = await axios.get(this.baseUrl);
+    return response.data.usage;
+  }
+}
+
+// Export a singleton instance
+export const usageApi = new UsageApi();
+export default usageApi;
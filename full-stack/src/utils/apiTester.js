@@ -1,81 +1,43 @@
 /**
  * API Key Test Utility
  * 
- * Simple test to verify if your OpenAI API key is working correctly
+ * Simple test to verify if the server's LLM provider is configured correctly.
+ * API keys never leave the server; we only ask the server about them.
  */
 
-import { config } from '../utils/config.js';
+import { analysisApi } from '../services/analysisApi.js';
 
 export class APIKeyTester {
   static async testAPIKey() {
-    console.log('🔍 Testing OpenAI API Key...');
-    
-    // Check if key exists
-    if (!config.openai.apiKey) {
-      return {
-        success: false,
-        error: 'API key not found in environment variables',
-        suggestion: 'Make sure VITE_OPENAI_API_KEY is set in your .env file'
-      };
-    }
+    console.log('🔍 Checking LLM configuration on the server...');
 
-    // Check if key format looks correct
-    if (!config.openai.apiKey.startsWith('sk-')) {
-      return {
-        success: false,
-        error: 'API key format appears incorrect',
-        suggestion: 'OpenAI API keys should start with "sk-"'
-      };
-    }
-
-    console.log('✅ API key found and format looks correct');
-    console.log(`🔑 Key preview: ${config.openai.apiKey.substring(0, 10)}...`);
-
-    // Test API call
     try {
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${config.openai.apiKey}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'user',
-              content: 'Say "API test successful" if you receive this message.'
-            }
-          ],
-          max_tokens: 10
-        })
-      });
+      const status = await analysisApi.getStatus();
 
-      if (!response.ok) {
-        const errorData = await response.json();
+      if (!status.configured) {
         return {
           success: false,
-          error: `API call failed: ${response.status} - ${errorData.error?.message || 'Unknown error'}`,
-          suggestion: response.status === 401 ? 
-            'Your API key appears to be invalid or expired' :
-            'Check your internet connection and API key permissions'
+          error: `The server's "${status.provider}" LLM provider is not configured`,
+          suggestion: 'Set OPENAI_API_KEY in the server .env file, or set LLM_PROVIDER=local or LLM_PROVIDER=mock'
         };
       }
 
-      const data = await response.json();
-      console.log('🎉 API test successful!', data);
-      
+      console.log(`✅ Server is configured to use ${status.model} (${status.provider})`);
+
       return {
         success: true,
-        message: 'API key is working correctly!',
-        response: data.choices[0]?.message?.content
+        message: `The ${status.provider} provider is configured on the server!`,
+        provider: status.provider,
+        model: status.model
       };
 
     } catch (error) {
       return {
         success: false,
-        error: `Network error: ${error.message}`,
-        suggestion: 'Check your internet connection'
+        error: `Network error: ${error.response?.data?.message || error.message}`,
+        suggestion: error.response?.status === 401 ?
+          'Log in before testing the API configuration' :
+          'Check that the API server is running'
       };
     }
   }
@@ -5,13 +5,6 @@
  */
 
 export const config = {
-  // OpenAI Configuration
-  openai: {
-    apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-    model: import.meta.env.VITE_OPENAI_MODEL || 'gpt-3.5-turbo',
-    maxTokens: parseInt(import.meta.env.VITE_OPENAI_MAX_TOKENS || '1500'),
-  },
-  
   // Application Configuration
   app: {
     name: import.meta.env.VITE_APP_NAME || 'ToS Dumbifier',
@@ -19,9 +12,25 @@ export const config = {
     debugMode: import.meta.env.VITE_DEBUG_MODE === 'true',
   },
   
+  // OCR for images and scanned PDFs. The engine and language data are served by the app itself
+  // (see vite.config.js), so OCR works offline; other languages need their @tesseract.js-data package
+  ocr: {
+    language: import.meta.env.VITE_OCR_LANGUAGE || 'eng',
+    corePath: import.meta.env.VITE_OCR_CORE_PATH || `${import.meta.env.BASE_URL}tesseract/core`,
+    langPath: import.meta.env.VITE_OCR_LANG_PATH || `${import.meta.env.BASE_URL}tesseract/lang`,
+  },
+
+  // Documents at least this many characters long are analyzed as a background job that
+  // survives closing the tab; shorter ones stream, unless the user asks for a job.
+  // Keep it below the server's MAX_TEXT_LENGTH (50000), or no document ever qualifies
+  analysis: {
+    backgroundThreshold: parseInt(import.meta.env.VITE_BACKGROUND_ANALYSIS_CHARS || '20000'),
+  },
+
   // API URLs
+  // The OpenAI key lives on the server (OPENAI_API_KEY); the browser only talks to our API
   api: {
-    openai: 'https://api.openai.com/v1/chat/completions',
+    server: import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api',
   }
 };
 
@@ -32,22 +41,6 @@ export const config = {
 export function validateConfiguration() {
   const issues = [];
   
-  if (!config.openai.apiKey) {
-    issues.push({
-      type: 'critical',
-      message: 'OpenAI API key is not configured',
-      solution: 'Set VITE_OPENAI_API_KEY in your .env file'
-    });
-  }
-  
-  if (config.openai.maxTokens < 100 || config.openai.maxTokens > 4000) {
-    issues.push({
-      type: 'warning',
-      message: 'OpenAI max tokens should be between 100 and 4000',
-      solution: 'Adjust VITE_OPENAI_MAX_TOKENS in your .env file'
-    });
-  }
-  
   if (config.app.maxFileSize < 1024 || config.app.maxFileSize > 50 * 1024 * 1024) {
     issues.push({
       type: 'warning',
@@ -70,10 +63,8 @@ export function getConfigurationDisplay() {
   const validation = validateConfiguration();
   
   return {
-    openai: {
-      configured: !!config.openai.apiKey,
-      model: config.openai.model,
-      maxTokens: config.openai.maxTokens,
+    api: {
+      server: config.api.server,
     },
     app: {
       name: config.app.name,
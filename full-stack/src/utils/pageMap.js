@@ -0,0 +1,39 @@
+/**
+ * Page Map Utilities
+ *
+ * Text extracted from a paged document (e.g. a PDF) comes with the range each
+ * page covers in the text ({ number, start, end }), so a quote or clause found
+ * at some position can be traced back to the page it came from.
+ */
+
+/**
+ * Finds the page a position in the extracted text is on
+ * @param {Array<Object>} pages - Page ranges ({ number, start, end }), in order
+ * @param {number} offset - Position in the text
+ * @returns {number|null} - Page number, or null when the text has no pages
+ */
+export function getPageNumber(pages, offset) {
+  if (!pages?.length || typeof offset !== 'number') {
+    return null;
+  }
+
+  // Separators between pages belong to the page before them
+  const page = pages.findLast(range => range.start <= offset);
+  return page ? page.number : pages[0].number;
+}
+
+/**
+ * Describes where a passage of the extracted text is, e.g. "page 7" or "pages 7-8"
+ * @param {Array<Object>} pages - Page ranges ({ number, start, end })
+ * @param {Object} range - Passage ({ start, end })
+ * @returns {string|null} - Label, or null when the text has no pages
+ */
+export function getPageLabel(pages, { start, end }) {
+  const first = getPageNumber(pages, start);
+  if (first === null) {
+    return null;
+  }
+
+  const last = getPageNumber(pages, Math.max(start, end - 1));
+  return first === last ? `page ${first}` : `pages ${first}-${last}`;
+}
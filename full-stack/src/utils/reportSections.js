@@ -0,0 +1,39 @@
+/**
+ * Report Section Utilities
+ * 
+ * Splits the markdown report returned by the analysis into its "## " sections
+ * so they can be rendered one by one, including while the report is still streaming.
+ */
+
+/**
+ * Splits a markdown report into titled sections
+ * @param {string} markdown - Report text (complete or partial)
+ * @returns {Array<Object>} - Sections with title and body
+ */
+export function splitReportSections(markdown) {
+  const sections = [];
+  let current = null;
+
+  (markdown || '').split('\n').forEach((line) => {
+    const heading = line.match(/^#{1,3}\s+(.*)$/);
+
+    if (heading) {
+      current = { title: heading[1].trim(), lines: [] };
+      sections.push(current);
+      return;
+    }
+
+    // Text before the first heading still deserves a section
+    if (!current) {
+      current = { title: null, lines: [] };
+      sections.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return sections
+    .map((section) => ({ title: section.title, body: section.lines.join('\n').trim() }))
+    .filter((section) => section.title || section.body);
+}
+
+export default splitReportSections;
@@ -1,7 +1,48 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const nodeModules = fileURLToPath(new URL('./node_modules/', import.meta.url))
+
+// The OCR engine and the language data of every installed @tesseract.js-data package,
+// served from our own origin under /tesseract/ so OCR works offline (see src/utils/config.js)
+function ocrAssets() {
+  const coreDir = path.join(nodeModules, 'tesseract.js-core')
+  const dataDir = path.join(nodeModules, '@tesseract.js-data')
+
+  // tesseract.js picks the SIMD build when the browser supports it; only the LSTM engine is used
+  const files = {
+    'core/tesseract-core-lstm.wasm.js': path.join(coreDir, 'tesseract-core-lstm.wasm.js'),
+    'core/tesseract-core-simd-lstm.wasm.js': path.join(coreDir, 'tesseract-core-simd-lstm.wasm.js'),
+    ...Object.fromEntries(fs.readdirSync(dataDir).map((language) => [
+      `lang/${language}.traineddata.gz`,
+      path.join(dataDir, language, '4.0.0_best_int', `${language}.traineddata.gz`)
+    ]))
+  }
+
+  return {
+    name: 'ocr-assets',
+    configureServer(server) {
+      server.middlewares.use('/tesseract/', (req, res, next) => {
+        const file = files[req.url.split('?')[0].slice(1)]
+        if (!file) {
+          return next()
+        }
+        res.setHeader('Content-Type', file.endsWith('.js') ? 'text/javascript' : 'application/gzip')
+        fs.createReadStream(file).pipe(res)
+      })
+    },
+    generateBundle() {
+      Object.entries(files).forEach(([name, file]) => {
+        this.emitFile({ type: 'asset', fileName: `tesseract/${name}`, source: fs.readFileSync(file) })
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrAssets()],
 })